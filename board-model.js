@@ -0,0 +1,625 @@
+/**
+ * Board Data Model
+ * Keeps what the server has read from a board in one YANG datastore tree (RFC 7951 JSON)
+ * and turns it into normalized JSON for the REST API and the web UI:
+ *
+ *   interfaces()      - port, ethernet, bridge-port and counter summary per interface
+ *   bridgePort(name)  - PVID, priorities, PCP decoding/encoding maps
+ *   shapers(name)     - traffic-class shapers (CBS idle-slope / SLB rate and burst)
+ *   schedule(name)    - 802.1Qbv gate parameters (admin/oper cycle, base time, control lists)
+ *   statistics(name)  - interface, ethernet and per traffic class counters
+ *   psfp(bridge, c)   - 802.1Qci stream filters (with counters), stream gates and flow meters
+ *   streamIdentities() - 802.1CB stream identification (stream handle per match)
+ *   ptp()             - IEEE 1588 / 802.1AS instances: clock settings, servo offset, port states
+ *
+ * Results are parsed once here (transport `data`, or the mvdct YAML output), so the
+ * front-end no longer scans YAML text line by line.
+ */
+
+import yaml from 'js-yaml';
+import { YangDatastore } from './yang-datastore.js';
+
+export const INTERFACES_PATH = '/ietf-interfaces:interfaces';
+export const BRIDGES_PATH = '/ieee802-dot1q-bridge:bridges';
+export const PLATFORM_PATH = '/ietf-system:system-state/platform';
+export const STREAM_IDENTITY_PATH = '/ieee802-dot1cb-stream-identification:stream-identity';
+export const PTP_PATH = '/ieee1588-ptp:ptp';
+
+/**
+ * Path of one interface (list entry)
+ */
+export function interfacePath(name) {
+    return `${INTERFACES_PATH}/interface[name='${name}']`;
+}
+
+/**
+ * Path of one bridge component (list entry)
+ */
+export function componentPath(bridge, component) {
+    return `${BRIDGES_PATH}/bridge[name='${bridge}']/component[name='${component}']`;
+}
+
+/**
+ * Priority / IPV enum values of ieee802-dot1q-stream-filters-gates, indexed by priority
+ */
+export const PRIORITY_NAMES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven'];
+
+/**
+ * Datastore entries of a transport result: list of { '<path>': value }
+ * (mvdct may print log lines before the YAML document; only the part after "YAML:" is data)
+ * @returns {Array|null}
+ */
+export function resultEntries(result) {
+    if (!result || !result.success) {
+        return null;
+    }
+    if (Array.isArray(result.data)) {
+        return result.data;
+    }
+    if (!result.stdout) {
+        return null;
+    }
+
+    const marker = result.stdout.indexOf('\nYAML:\n');
+    const text = marker === -1 ? result.stdout : result.stdout.substring(marker + 7);
+    try {
+        const parsed = yaml.load(text);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================
+// Value helpers
+// ============================================
+
+/**
+ * Member by local name (data from other modules may come prefixed)
+ */
+function member(obj, name) {
+    if (!obj || typeof obj !== 'object') {
+        return undefined;
+    }
+    if (name in obj) {
+        return obj[name];
+    }
+    const key = Object.keys(obj).find(k => k.substring(k.indexOf(':') + 1) === name);
+    return key === undefined ? undefined : obj[key];
+}
+
+function number(value, fallback = 0) {
+    const n = Number(value);
+    return value === undefined || value === null || Number.isNaN(n) ? fallback : n;
+}
+
+function optionalNumber(value) {
+    return number(value, null);
+}
+
+function bool(value) {
+    return value === true || value === 'true';
+}
+
+/**
+ * Identity/enum value without its module prefix
+ */
+function identity(value) {
+    return value === undefined || value === null ? null : String(value).replace(/^[\w-]+:/, '');
+}
+
+/**
+ * 'in-unicast-pkts' → 'inUnicastPkts'
+ */
+function camel(name) {
+    return name.replace(/^[\w-]+:/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Numeric leaves of a container as camelCase counters
+ */
+function counters(container) {
+    const result = {};
+    for (const [name, value] of Object.entries(container || {})) {
+        if (value !== null && typeof value !== 'object' && !Number.isNaN(Number(value))) {
+            result[camel(name)] = Number(value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Rational time (numerator/denominator seconds) → nanoseconds
+ */
+function rationalNs(time) {
+    if (!time) {
+        return null;
+    }
+    const numerator = number(member(time, 'numerator'));
+    const denominator = number(member(time, 'denominator'), 1) || 1;
+    return Math.round(numerator * 1e9 / denominator);
+}
+
+/**
+ * PTP time → { seconds, nanoseconds }
+ */
+function ptpTime(time) {
+    if (!time) {
+        return null;
+    }
+    return {
+        seconds: String(member(time, 'seconds') ?? '0'),
+        nanoseconds: number(member(time, 'nanoseconds'))
+    };
+}
+
+/**
+ * PTP time-interval (ns scaled by 2^16) → nanoseconds
+ */
+function timeInterval(value) {
+    return value === undefined || value === null ? null : number(value) / 65536;
+}
+
+// ============================================
+// Normalizers (RFC 7951 JSON → API JSON)
+// ============================================
+
+/**
+ * Per traffic class packet counters (mchp-velocitysp-port:eth-port)
+ */
+export function normalizeTrafficClassCounters(iface) {
+    const port = member(iface, 'eth-port');
+    const classes = member(member(port, 'statistics'), 'traffic-class') || [];
+    return classes.map(tc => ({
+        trafficClass: number(member(tc, 'traffic-class')),
+        rxPackets: number(member(tc, 'rx-packets')),
+        txPackets: number(member(tc, 'tx-packets'))
+    }));
+}
+
+/**
+ * Interface, ethernet and traffic class counters of one interface
+ */
+export function normalizeStatistics(iface) {
+    const ethernet = member(iface, 'ethernet');
+    return {
+        interface: String(member(iface, 'name')),
+        operStatus: identity(member(iface, 'oper-status')),
+        counters: counters(member(iface, 'statistics')),
+        ethernet: counters(member(member(ethernet, 'statistics'), 'frame')),
+        trafficClass: normalizeTrafficClassCounters(iface)
+    };
+}
+
+/**
+ * PCP decoding/encoding maps: [{ pcp: '8P0D', priorityMap: [...] }]
+ */
+function pcpMaps(table, listName) {
+    return (member(table, listName) || []).map(map => ({
+        pcp: member(map, 'pcp'),
+        priorityMap: member(map, 'priority-map') || []
+    }));
+}
+
+/**
+ * Bridge port settings of one interface (null when the interface is not a bridge port)
+ */
+export function normalizeBridgePort(iface) {
+    const port = member(iface, 'bridge-port');
+    if (!port) {
+        return null;
+    }
+    return {
+        interface: String(member(iface, 'name')),
+        bridge: member(port, 'bridge-name') ?? null,
+        component: member(port, 'component-name') ?? null,
+        portType: identity(member(port, 'port-type')),
+        pvid: optionalNumber(member(port, 'pvid')),
+        defaultPriority: optionalNumber(member(port, 'default-priority')),
+        acceptableFrame: identity(member(port, 'acceptable-frame')),
+        ingressFiltering: bool(member(port, 'enable-ingress-filtering')),
+        forwardingDisabled: bool(member(port, 'forwarding-disable')),
+        pcpDecoding: pcpMaps(member(port, 'pcp-decoding-table'), 'pcp-decoding-map'),
+        pcpEncoding: pcpMaps(member(port, 'pcp-encoding-table'), 'pcp-encoding-map'),
+        scheduled: member(port, 'gate-parameter-table') !== undefined
+    };
+}
+
+/**
+ * Traffic class shapers: [{ trafficClass, mode: 'cbs' | 'slb' | 'none', idleSlope, cir, cbs }]
+ * (idle-slope and CIR in kbit/s, burst size in bytes)
+ */
+export function normalizeShapers(iface) {
+    const config = member(member(iface, 'eth-qos'), 'config');
+    return (member(config, 'traffic-class-shapers') || []).map(shaper => {
+        const cbs = member(shaper, 'credit-based');
+        const slb = member(shaper, 'single-leaky-bucket');
+        return {
+            trafficClass: number(member(shaper, 'traffic-class')),
+            mode: cbs ? 'cbs' : slb ? 'slb' : 'none',
+            idleSlope: cbs ? optionalNumber(member(cbs, 'idle-slope')) : null,
+            cir: slb ? optionalNumber(member(slb, 'committed-information-rate')) : null,
+            cbs: slb ? optionalNumber(member(slb, 'committed-burst-size')) : null
+        };
+    });
+}
+
+/**
+ * Gate control list entries: [{ index, operation, gateStates, timeInterval (ns) }]
+ */
+function controlList(list) {
+    return (member(list, 'gate-control-entry') || []).map((entry, i) => ({
+        index: number(member(entry, 'index'), i),
+        operation: identity(member(entry, 'operation-name')),
+        gateStates: number(member(entry, 'gate-states-value')),
+        timeInterval: number(member(entry, 'time-interval-value'))
+    }));
+}
+
+/**
+ * 802.1Qbv gate parameters of one interface (null when the port has no schedule)
+ * Cycle times are in nanoseconds, base times as { seconds, nanoseconds }.
+ */
+export function normalizeSchedule(iface) {
+    const table = member(member(iface, 'bridge-port'), 'gate-parameter-table');
+    if (!table) {
+        return null;
+    }
+    return {
+        interface: String(member(iface, 'name')),
+        gateEnabled: bool(member(table, 'gate-enabled')),
+        configChange: bool(member(table, 'config-change')),
+        configPending: bool(member(table, 'config-pending')),
+        configChangeTime: ptpTime(member(table, 'config-change-time')),
+        configChangeError: optionalNumber(member(table, 'config-change-error')),
+        currentTime: ptpTime(member(table, 'current-time')),
+        tickGranularity: optionalNumber(member(table, 'tick-granularity')),
+        supportedListMax: optionalNumber(member(table, 'supported-list-max')),
+        admin: {
+            gateStates: optionalNumber(member(table, 'admin-gate-states')),
+            cycleTime: rationalNs(member(table, 'admin-cycle-time')),
+            cycleTimeExtension: optionalNumber(member(table, 'admin-cycle-time-extension')),
+            baseTime: ptpTime(member(table, 'admin-base-time')),
+            controlList: controlList(member(table, 'admin-control-list'))
+        },
+        oper: {
+            gateStates: optionalNumber(member(table, 'oper-gate-states')),
+            cycleTime: rationalNs(member(table, 'oper-cycle-time')),
+            cycleTimeExtension: optionalNumber(member(table, 'oper-cycle-time-extension')),
+            baseTime: ptpTime(member(table, 'oper-base-time')),
+            controlList: controlList(member(table, 'oper-control-list'))
+        }
+    };
+}
+
+/**
+ * Priority spec / IPV enum → 0..7, 'wildcard' or null
+ */
+function priorityValue(value) {
+    const name = identity(value);
+    const index = PRIORITY_NAMES.indexOf(name);
+    return index !== -1 ? index : name === 'wildcard' ? 'wildcard' : null;
+}
+
+function streamGateList(list) {
+    return (member(list, 'gate-control-entry') || []).map((entry, i) => ({
+        index: number(member(entry, 'index'), i),
+        gateState: identity(member(entry, 'gate-state-value')),
+        ipv: priorityValue(member(entry, 'ipv-spec')),
+        timeInterval: number(member(entry, 'time-interval-value')),
+        intervalOctetMax: optionalNumber(member(entry, 'interval-octet-max'))
+    }));
+}
+
+/**
+ * 802.1Qci per-stream filtering and policing of one bridge component
+ * Rates are bits/s, burst sizes bytes, cycle times ns.
+ */
+export function normalizePSFP(component) {
+    const filters = member(component, 'stream-filters');
+    const gates = member(component, 'stream-gates');
+    const meters = member(component, 'flow-meters');
+
+    return {
+        streamFilters: (member(filters, 'stream-filter-instance-table') || []).map(filter => ({
+            id: number(member(filter, 'stream-filter-instance-id')),
+            streamHandle: member(filter, 'wildcard') !== undefined ? 'wildcard' : optionalNumber(member(filter, 'stream-handle')),
+            priority: priorityValue(member(filter, 'priority-spec')),
+            maxSduSize: number(member(filter, 'max-sdu-size')),
+            streamGate: optionalNumber(member(filter, 'stream-gate-ref')),
+            flowMeter: optionalNumber(member(filter, 'flow-meter-ref')),
+            blockOversize: bool(member(filter, 'stream-blocked-due-to-oversize-frame-enabled')),
+            blockedDueToOversize: bool(member(filter, 'stream-blocked-due-to-oversize-frame')),
+            counters: {
+                matchingFrames: number(member(filter, 'matching-frames-count')),
+                passingFrames: number(member(filter, 'passing-frames-count')),
+                notPassingFrames: number(member(filter, 'not-passing-frames-count')),
+                redFrames: number(member(filter, 'red-frames-count')),
+                passingSdu: number(member(filter, 'passing-sdu-count')),
+                notPassingSdu: number(member(filter, 'not-passing-sdu-count'))
+            }
+        })),
+        streamGates: (member(gates, 'stream-gate-instance-table') || []).map(gate => ({
+            id: number(member(gate, 'stream-gate-instance-id')),
+            enabled: bool(member(gate, 'gate-enable')),
+            gateState: identity(member(gate, 'admin-gate-states')) ?? 'open',
+            ipv: priorityValue(member(gate, 'admin-ipv')),
+            operGateState: identity(member(gate, 'oper-gate-state')),
+            operIpv: priorityValue(member(gate, 'oper-ipv')),
+            cycleTime: rationalNs(member(gate, 'admin-cycle-time')),
+            cycleTimeExtension: optionalNumber(member(gate, 'admin-cycle-time-extension')),
+            baseTime: ptpTime(member(gate, 'admin-base-time')),
+            controlList: streamGateList(member(gate, 'admin-control-list')),
+            configPending: bool(member(gate, 'config-pending')),
+            closedDueToInvalidRx: bool(member(gate, 'gate-closed-due-to-invalid-rx')),
+            closedDueToOctetsExceeded: bool(member(gate, 'gate-closed-due-octets-exceeded'))
+        })),
+        flowMeters: (member(meters, 'flow-meter-instance-table') || []).map(meter => ({
+            id: number(member(meter, 'flow-meter-instance-id')),
+            cir: number(member(meter, 'committed-information-rate')),
+            cbs: number(member(meter, 'committed-burst-size')),
+            eir: number(member(meter, 'excess-information-rate')),
+            ebs: number(member(meter, 'excess-burst-size')),
+            couplingFlag: member(meter, 'coupling-flag') === 'one' ? 1 : 0,
+            colorMode: member(meter, 'color-mode') ?? 'color-blind',
+            dropOnYellow: bool(member(meter, 'drop-on-yellow')),
+            markAllFramesRed: bool(member(meter, 'mark-all-frames-red'))
+        })),
+        limits: {
+            maxStreamFilters: optionalNumber(member(filters, 'max-stream-filter-instances')),
+            maxStreamGates: optionalNumber(member(gates, 'max-stream-gate-instances')),
+            maxFlowMeters: optionalNumber(member(meters, 'max-flow-meter-instances')),
+            supportedListMax: optionalNumber(member(gates, 'supported-list-max'))
+        }
+    };
+}
+
+/**
+ * 802.1CB stream identity entries: stream handle, identification function and its match fields
+ * (camelCase, e.g. destinationMac, vlan, ipDestination), ports the function listens on
+ */
+export function normalizeStreamIdentities(list) {
+    return (list || []).map(entry => {
+        const parameters = Object.keys(entry)
+            .map(key => key.replace(/^[\w-]+:/, ''))
+            .find(key => key.endsWith('-stream-identification') || key === 'organization-specific');
+        const match = {};
+        for (const [name, value] of Object.entries(member(entry, parameters) || {})) {
+            if (!name.endsWith('identification-type')) {
+                match[camel(name)] = value;
+            }
+        }
+        return {
+            index: number(member(entry, 'index')),
+            handle: number(member(entry, 'handle')),
+            type: parameters === 'null-stream-identification' ? 'null-stream' : parameters ? parameters.replace(/-stream-identification$/, '') : null,
+            ports: (member(member(entry, 'out-facing'), 'input-port') || []).map(String),
+            match
+        };
+    });
+}
+
+/**
+ * PTP instances: clock settings (default-ds), grandmaster (parent-ds), servo offsets and
+ * per port state, role (external-port-config desired-state) and mean link delay in ns
+ */
+export function normalizePTP(ptp) {
+    return (member(member(ptp, 'instances'), 'instance') || []).map(instance => {
+        const defaults = member(instance, 'default-ds') || {};
+        const parent = member(instance, 'parent-ds') || {};
+        const automotive = member(instance, 'automotive');
+        return {
+            index: number(member(instance, 'instance-index')),
+            enabled: bool(member(defaults, 'instance-enable')),
+            instanceType: identity(member(defaults, 'instance-type')),
+            profile: identity(member(automotive, 'profile')) ?? 'none',
+            domain: optionalNumber(member(defaults, 'domain-number')),
+            priority1: optionalNumber(member(defaults, 'priority1')),
+            priority2: optionalNumber(member(defaults, 'priority2')),
+            clockIdentity: member(defaults, 'clock-identity') ?? null,
+            externalPortConfig: bool(member(defaults, 'external-port-config-enable')),
+            grandmaster: {
+                identity: member(parent, 'grandmaster-identity') ?? null,
+                priority1: optionalNumber(member(parent, 'grandmaster-priority1')),
+                priority2: optionalNumber(member(parent, 'grandmaster-priority2')),
+                clockClass: identity(member(member(parent, 'grandmaster-clock-quality'), 'clock-class'))
+            },
+            parentPort: {
+                clockIdentity: member(member(parent, 'parent-port-identity'), 'clock-identity') ?? null,
+                portNumber: optionalNumber(member(member(parent, 'parent-port-identity'), 'port-number'))
+            },
+            servos: (member(member(instance, 'servos'), 'servo') || []).map(servo => ({
+                index: number(member(servo, 'servo-index')),
+                type: identity(member(servo, 'servo-type')),
+                ltc: optionalNumber(member(servo, 'ltc-index')),
+                offset: optionalNumber(member(servo, 'offset')),
+                state: optionalNumber(member(servo, 'state'))
+            })),
+            ports: (member(member(instance, 'ports'), 'port') || []).map(port => {
+                const ds = member(port, 'port-ds') || {};
+                return {
+                    index: number(member(port, 'port-index')),
+                    enabled: bool(member(ds, 'port-enable')),
+                    state: identity(member(ds, 'port-state')),
+                    desiredState: identity(member(member(port, 'external-port-config-port-ds'), 'desired-state')),
+                    meanLinkDelay: timeInterval(member(ds, 'mean-link-delay')),
+                    asCapable: member(ds, 'as-capable') === undefined ? null : bool(member(ds, 'as-capable')),
+                    logSyncInterval: optionalNumber(member(ds, 'log-sync-interval')),
+                    logMinPdelayReqInterval: optionalNumber(member(ds, 'log-min-pdelay-req-interval'))
+                };
+            })
+        };
+    });
+}
+
+/**
+ * Interface summary (port, ethernet, bridge port and counters)
+ */
+export function normalizeInterface(iface) {
+    const ethernet = member(iface, 'ethernet');
+    const statistics = normalizeStatistics(iface);
+    return {
+        name: String(member(iface, 'name')),
+        type: identity(member(iface, 'type')),
+        enabled: bool(member(iface, 'enabled')),
+        operStatus: identity(member(iface, 'oper-status')) || 'down',
+        ifIndex: optionalNumber(member(iface, 'if-index')),
+        macAddress: member(iface, 'phys-address') ?? null,
+        ethernet: ethernet ? {
+            speed: member(ethernet, 'speed') ?? null,
+            duplex: identity(member(ethernet, 'duplex')),
+            autoNegotiation: bool(member(member(ethernet, 'auto-negotiation'), 'enable')),
+            maxFrameLength: optionalNumber(member(ethernet, 'max-frame-length'))
+        } : null,
+        bridgePort: normalizeBridgePort(iface),
+        counters: statistics.counters,
+        trafficClass: statistics.trafficClass
+    };
+}
+
+/**
+ * Bridges with their components and VLAN registrations
+ */
+export function normalizeBridges(bridges) {
+    return (member(bridges, 'bridge') || []).map(bridge => ({
+        name: member(bridge, 'name'),
+        address: member(bridge, 'address') ?? null,
+        type: identity(member(bridge, 'bridge-type')),
+        components: (member(bridge, 'component') || []).map(component => ({
+            name: member(component, 'name'),
+            type: identity(member(component, 'type')),
+            ports: optionalNumber(member(component, 'ports')),
+            bridgePorts: (member(component, 'bridge-port') || []).map(String),
+            vlans: (member(member(component, 'filtering-database'), 'vlan-registration-entry') || []).map(entry => ({
+                databaseId: number(member(entry, 'database-id')),
+                vids: String(member(entry, 'vids')),
+                entryType: identity(member(entry, 'entry-type')),
+                ports: (member(entry, 'port-map') || []).map(port => ({
+                    port: member(port, 'port-ref'),
+                    transmitted: identity(member(member(port, 'static-vlan-registration-entries'), 'vlan-transmitted'))
+                }))
+            }))
+        }))
+    }));
+}
+
+/**
+ * Platform information (ietf-system)
+ */
+export function normalizePlatform(platform) {
+    if (!platform) {
+        return null;
+    }
+    return {
+        machine: member(platform, 'machine') ?? null,
+        osName: member(platform, 'os-name') ?? null,
+        osRelease: member(platform, 'os-release') ?? null,
+        osVersion: member(platform, 'os-version') ?? null
+    };
+}
+
+// ============================================
+// Board model
+// ============================================
+
+export class BoardModel {
+    constructor() {
+        this.datastore = new YangDatastore();
+        this.updated = new Map(); // top-level node → ISO time of the last read
+    }
+
+    /**
+     * Store a read result: every { path: value } replaces the node at its path
+     * @returns {boolean} - whether the result carried data
+     */
+    update(result) {
+        const entries = resultEntries(result);
+        if (!entries) {
+            return false;
+        }
+        const now = new Date().toISOString();
+        for (const entry of entries) {
+            for (const [path, value] of Object.entries(entry)) {
+                this.datastore.replace(path, value);
+                this.updated.set(path.split('/')[1].replace(/\[.*$/, ''), now);
+            }
+        }
+        return true;
+    }
+
+    get(path) {
+        return this.datastore.get(path);
+    }
+
+    /**
+     * Raw interface list (RFC 7951), e.g. for counter deltas
+     */
+    rawInterfaces() {
+        return this.get(`${INTERFACES_PATH}/interface`) || [];
+    }
+
+    rawInterface(name) {
+        return this.get(interfacePath(name)) || null;
+    }
+
+    interfaces() {
+        return this.rawInterfaces().map(normalizeInterface);
+    }
+
+    /**
+     * Normalized view of one interface (null when the interface is unknown)
+     */
+    interfaceView(name, normalize) {
+        const iface = this.rawInterface(name);
+        return iface ? normalize(iface) : null;
+    }
+
+    bridgePorts() {
+        return this.rawInterfaces().map(normalizeBridgePort).filter(Boolean);
+    }
+
+    /**
+     * Gate parameters of every port that has a gate-parameter-table
+     */
+    schedules() {
+        return this.rawInterfaces().map(normalizeSchedule).filter(Boolean);
+    }
+
+    bridges() {
+        return normalizeBridges(this.get(BRIDGES_PATH));
+    }
+
+    platform() {
+        return normalizePlatform(this.get(PLATFORM_PATH));
+    }
+
+    streamIdentities() {
+        return normalizeStreamIdentities(this.get(STREAM_IDENTITY_PATH));
+    }
+
+    ptp() {
+        return normalizePTP(this.get(PTP_PATH));
+    }
+
+    /**
+     * PSFP view of a bridge component (null when the component is unknown)
+     */
+    psfp(bridge, component) {
+        const data = this.get(componentPath(bridge, component));
+        return data ? normalizePSFP(data) : null;
+    }
+
+    /**
+     * Everything the overview tabs show (pushed with 'board' events)
+     */
+    summary() {
+        return {
+            platform: this.platform(),
+            interfaces: this.interfaces(),
+            bridges: this.bridges(),
+            updated: Object.fromEntries(this.updated)
+        };
+    }
+}
+
+export default BoardModel;
@@ -0,0 +1,219 @@
+/**
+ * CBS Bandwidth Planner (IEEE 802.1Qav)
+ * Derives credit-based shaper parameters for one port from the streams that use it and
+ * checks that the port can take them:
+ *
+ *   planShapers({ linkSpeed, streams: [{ trafficClass, frameSize, interval }], shapers })
+ *     → { valid, issues, reservation, classes: [{ trafficClass, idleSlope, sendSlope, hiCredit, loCredit, maxDelay }] }
+ *
+ * Stream bandwidth counts preamble and inter-frame gap. Slopes are kb/s like the
+ * mchp-velocitysp-port idle-slope leaf, credits are bits and delays ns. `shapers` are the
+ * port's current traffic-class-shapers (normalizeShapers()): CBS shapers on classes the plan
+ * does not touch keep their idle slope and still count against the reservation limit.
+ */
+
+import { ETHERNET_OVERHEAD, MIN_FRAME_SIZE, MAX_FRAME_SIZE, TRAFFIC_CLASSES } from './tas-planner.js';
+
+/**
+ * Share of the port rate that may be reserved for credit-based classes (802.1Q 34.3.1, %)
+ */
+export const DEFAULT_MAX_RESERVATION = 75;
+
+const DEFAULT_LINK_SPEED = 1000;
+
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        return Number(value.trim());
+    }
+    return value === undefined || value === null ? undefined : NaN;
+}
+
+/**
+ * Bits a frame occupies on the wire
+ */
+function wireBits(frameSize) {
+    return (frameSize + ETHERNET_OVERHEAD) * 8;
+}
+
+/**
+ * Compute shaper parameters for the streams of a port and check the reservation limit
+ * @param {Object} request - { linkSpeed (Mb/s), maxFrameSize, maxReservation (%), streams, idleSlopes, shapers }
+ *   streams: [{ name, trafficClass, frameSize, interval (ns), frames (per interval), maxLatency (ns) }]
+ *   idleSlopes: { [trafficClass]: kb/s } for classes set directly instead of from streams
+ * @returns {Object} - plan; `valid` is false when any issue has severity 'error'
+ */
+export function planShapers(request = {}) {
+    const issues = [];
+    const issue = (severity, code, message, details = {}) => {
+        issues.push({ severity, code, message, ...details });
+    };
+
+    const linkSpeed = toNumber(request.linkSpeed) ?? DEFAULT_LINK_SPEED;
+    const maxFrameSize = toNumber(request.maxFrameSize) ?? MAX_FRAME_SIZE;
+    const maxReservation = toNumber(request.maxReservation) ?? DEFAULT_MAX_RESERVATION;
+    const streams = request.streams ?? [];
+    const idleSlopes = request.idleSlopes ?? {};
+
+    if (!(linkSpeed > 0)) {
+        issue('error', 'invalid-link-speed', `Link speed must be a positive number of Mb/s, got ${request.linkSpeed}`);
+    }
+    if (!Number.isInteger(maxFrameSize) || maxFrameSize < MIN_FRAME_SIZE) {
+        issue('error', 'invalid-frame-size', `Maximum frame size must be an integer of at least ${MIN_FRAME_SIZE} bytes, got ${request.maxFrameSize}`);
+    }
+    if (!(maxReservation > 0 && maxReservation <= 100)) {
+        issue('error', 'invalid-reservation-limit', `Reservation limit must be a percentage in (0, 100], got ${request.maxReservation}`);
+    }
+    if (!Array.isArray(streams) || (streams.length === 0 && Object.keys(idleSlopes).length === 0)) {
+        issue('error', 'no-streams', 'Give at least one stream (or an idle slope per traffic class)');
+    }
+    if (issues.length > 0) {
+        return { valid: false, issues, classes: [] };
+    }
+
+    const rate = linkSpeed * 1e6;
+    const classes = new Map();
+    const classOf = (tc) => {
+        if (!classes.has(tc)) {
+            classes.set(tc, { trafficClass: tc, streams: [], bandwidth: 0, burst: 0, maxFrameSize: 0 });
+        }
+        return classes.get(tc);
+    };
+
+    streams.forEach((stream, index) => {
+        const name = stream.name || `stream ${index}`;
+        const tc = toNumber(stream.trafficClass);
+        const frameSize = toNumber(stream.frameSize);
+        const interval = toNumber(stream.interval);
+        const frames = toNumber(stream.frames) ?? 1;
+        const maxLatency = toNumber(stream.maxLatency);
+
+        const before = issues.length;
+        if (!Number.isInteger(tc) || tc < 0 || tc >= TRAFFIC_CLASSES) {
+            issue('error', 'invalid-traffic-class', `${name}: traffic class must be 0..${TRAFFIC_CLASSES - 1}, got ${stream.trafficClass}`, { stream: index });
+        }
+        if (!Number.isInteger(frameSize) || frameSize < MIN_FRAME_SIZE) {
+            issue('error', 'invalid-frame-size', `${name}: frame size must be an integer of at least ${MIN_FRAME_SIZE} bytes, got ${stream.frameSize}`, { stream: index });
+        }
+        if (!Number.isInteger(interval) || interval <= 0) {
+            issue('error', 'invalid-interval', `${name}: interval must be a positive integer of ns, got ${stream.interval}`, { stream: index });
+        }
+        if (!Number.isInteger(frames) || frames <= 0) {
+            issue('error', 'invalid-frames', `${name}: frames per interval must be a positive integer, got ${stream.frames}`, { stream: index });
+        }
+        if (maxLatency !== undefined && !(maxLatency > 0)) {
+            issue('error', 'invalid-max-latency', `${name}: max latency must be a positive number of ns, got ${stream.maxLatency}`, { stream: index });
+        }
+        if (issues.length > before) {
+            return;
+        }
+
+        const entry = classOf(tc);
+        entry.streams.push({ index, name, frameSize, interval, frames, maxLatency });
+        entry.bandwidth += frames * wireBits(frameSize) * 1e9 / interval;
+        entry.burst += frames * wireBits(frameSize);
+        entry.maxFrameSize = Math.max(entry.maxFrameSize, frameSize);
+    });
+
+    for (const [key, value] of Object.entries(idleSlopes)) {
+        const tc = toNumber(key);
+        const idleSlope = toNumber(value);
+        if (!Number.isInteger(tc) || tc < 0 || tc >= TRAFFIC_CLASSES) {
+            issue('error', 'invalid-traffic-class', `Idle slope given for unknown traffic class ${key}`);
+        } else if (!Number.isInteger(idleSlope) || idleSlope <= 0) {
+            issue('error', 'invalid-idle-slope', `TC${tc}: idle slope must be a positive integer of kb/s, got ${value}`, { trafficClass: tc });
+        } else if (classes.has(tc)) {
+            issue('error', 'duplicate-class', `TC${tc} has both streams and a fixed idle slope`, { trafficClass: tc });
+        } else {
+            Object.assign(classOf(tc), { idleSlope, maxFrameSize });
+        }
+    }
+    if (issues.some(item => item.severity === 'error')) {
+        return { valid: false, issues, classes: [] };
+    }
+
+    // Shapers already on the port for classes outside the plan
+    const current = request.shapers ?? [];
+    for (const shaper of current) {
+        if (classes.has(shaper.trafficClass)) {
+            if (shaper.mode === 'slb') {
+                issue('warning', 'replaces-slb', `TC${shaper.trafficClass} has a single-leaky-bucket shaper that the CBS shaper replaces`, { trafficClass: shaper.trafficClass });
+            }
+        } else if (shaper.mode === 'cbs' && shaper.idleSlope > 0) {
+            Object.assign(classOf(shaper.trafficClass), { idleSlope: shaper.idleSlope, maxFrameSize, existing: true });
+        }
+    }
+
+    for (const entry of classes.values()) {
+        if (entry.idleSlope === undefined) {
+            entry.idleSlope = Math.ceil(entry.bandwidth / 1000);
+        }
+        entry.sendSlope = entry.idleSlope - linkSpeed * 1000;
+    }
+
+    const total = [...classes.values()].reduce((sum, entry) => sum + entry.idleSlope, 0);
+    const limit = Math.floor(linkSpeed * 1000 * maxReservation / 100);
+    const reservation = { total, limit, share: 100 * total / (linkSpeed * 1000), maxReservation };
+    if (total > limit) {
+        const existing = [...classes.values()].filter(entry => entry.existing).map(entry => `TC${entry.trafficClass}`);
+        issue('error', 'reservation-exceeded', `Credit-based classes reserve ${total} kb/s (${reservation.share.toFixed(2)}% of ${linkSpeed} Mb/s), over the ${maxReservation}% limit of ${limit} kb/s${existing.length > 0 ? ` (including current shapers on ${existing.join(', ')})` : ''}`);
+    }
+
+    // Credits from the highest class down (802.1Q Annex L: class A, then B, ...)
+    const ordered = [...classes.values()].sort((a, b) => b.trafficClass - a.trafficClass);
+    let higherIdle = 0;
+    let higherFrames = 0;
+    const higher = [];
+    for (const entry of ordered) {
+        const idle = entry.idleSlope * 1000;
+        const interference = entry.trafficClass > 0 ? wireBits(maxFrameSize) : 0;
+        const frame = wireBits(entry.maxFrameSize);
+
+        entry.hiCredit = rate > higherIdle ? Math.ceil(idle * (interference / (rate - higherIdle) + higherFrames / rate)) : null;
+        entry.loCredit = Math.floor(frame * (idle - rate) / rate);
+
+        // Per-hop bound: one lower-priority frame, the longest credit-limited burst of every
+        // higher class, the class's own simultaneous frames released at the idle slope, then
+        // the last frame's transmission
+        if (!entry.existing && total <= limit) {
+            const bursts = higher.reduce((sum, h) => sum + (h.hiCredit - h.loCredit) / (rate - h.idleSlope * 1000), 0);
+            const queue = entry.burst > frame ? (entry.burst - frame) / idle : 0;
+            entry.maxDelay = Math.ceil(1e9 * (interference / rate + bursts + queue + frame / rate));
+
+            for (const stream of entry.streams) {
+                if (stream.maxLatency !== undefined && entry.maxDelay > stream.maxLatency) {
+                    issue('error', 'latency-exceeded', `${stream.name}: worst-case delay ${entry.maxDelay} ns at this hop exceeds its ${stream.maxLatency} ns budget`, { stream: stream.index, trafficClass: entry.trafficClass });
+                }
+            }
+        } else {
+            entry.maxDelay = null;
+        }
+
+        higherIdle += idle;
+        higherFrames += frame;
+        higher.push(entry);
+    }
+
+    return {
+        valid: !issues.some(item => item.severity === 'error'),
+        issues,
+        linkSpeed,
+        maxFrameSize,
+        reservation,
+        classes: ordered.reverse().map(entry => ({
+            trafficClass: entry.trafficClass,
+            existing: !!entry.existing,
+            streams: entry.streams,
+            bandwidth: Math.round(entry.bandwidth),
+            idleSlope: entry.idleSlope,
+            sendSlope: entry.sendSlope,
+            hiCredit: entry.hiCredit,
+            loCredit: entry.loCredit,
+            maxDelay: entry.maxDelay
+        }))
+    };
+}
+
+export default planShapers;
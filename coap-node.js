@@ -1,16 +1,310 @@
 /**
  * CoAP Client Implementation for Node.js
- * RFC 7252 (CoAP) and RFC 9254 (YANG to CBOR)
+ * RFC 7252 (CoAP), RFC 7959 (Block-wise transfers) and RFC 9254 (YANG to CBOR)
  */
 
-import { encode as cborEncode, decode as cborDecode } from 'cbor-x';
+import { randomBytes } from 'crypto';
+import { Encoder, Decoder } from 'cbor-x';
+
+/**
+ * Option numbers (RFC 7252, RFC 7641, RFC 7959)
+ */
+export const OPTIONS = {
+    IF_MATCH: 1,
+    URI_HOST: 3,
+    ETAG: 4,
+    IF_NONE_MATCH: 5,
+    OBSERVE: 6,
+    URI_PORT: 7,
+    LOCATION_PATH: 8,
+    URI_PATH: 11,
+    CONTENT_FORMAT: 12,
+    MAX_AGE: 14,
+    URI_QUERY: 15,
+    ACCEPT: 17,
+    LOCATION_QUERY: 20,
+    BLOCK2: 23,
+    BLOCK1: 27,
+    SIZE2: 28,
+    PROXY_URI: 35,
+    PROXY_SCHEME: 39,
+    SIZE1: 60
+};
+
+/**
+ * How each option value is decoded: [name, format, repeatable]
+ */
+const OPTION_DEFINITIONS = {
+    [OPTIONS.IF_MATCH]: ['ifMatch', 'opaque', true],
+    [OPTIONS.URI_HOST]: ['uriHost', 'string', false],
+    [OPTIONS.ETAG]: ['etag', 'opaque', true],
+    [OPTIONS.IF_NONE_MATCH]: ['ifNoneMatch', 'empty', false],
+    [OPTIONS.OBSERVE]: ['observe', 'uint', false],
+    [OPTIONS.URI_PORT]: ['uriPort', 'uint', false],
+    [OPTIONS.LOCATION_PATH]: ['locationPath', 'string', true],
+    [OPTIONS.URI_PATH]: ['uriPath', 'string', true],
+    [OPTIONS.CONTENT_FORMAT]: ['contentFormat', 'uint', false],
+    [OPTIONS.MAX_AGE]: ['maxAge', 'uint', false],
+    [OPTIONS.URI_QUERY]: ['uriQuery', 'string', true],
+    [OPTIONS.ACCEPT]: ['accept', 'uint', false],
+    [OPTIONS.LOCATION_QUERY]: ['locationQuery', 'string', true],
+    [OPTIONS.BLOCK2]: ['block2', 'block', false],
+    [OPTIONS.BLOCK1]: ['block1', 'block', false],
+    [OPTIONS.SIZE2]: ['size2', 'uint', false],
+    [OPTIONS.PROXY_URI]: ['proxyUri', 'string', false],
+    [OPTIONS.PROXY_SCHEME]: ['proxyScheme', 'string', false],
+    [OPTIONS.SIZE1]: ['size1', 'uint', false]
+};
+
+/**
+ * Content-Format identifiers seen on CORECONF devices
+ */
+export const CONTENT_FORMATS = {
+    TEXT_PLAIN: 0,
+    OCTET_STREAM: 42,
+    JSON: 50,
+    CBOR: 60,
+    YANG_DATA_CBOR_SID: 140,       // application/yang-data+cbor; id=sid
+    YANG_IDENTIFIERS_CBOR_SEQ: 141, // application/yang-identifiers+cbor-seq
+    YANG_INSTANCES_CBOR_SEQ: 142   // application/yang-instances+cbor-seq
+};
+
+/**
+ * Message types
+ */
+const TYPES = { CON: 0, NON: 1, ACK: 2, RST: 3 };
+
+/**
+ * CBOR codec: minimal map headers and no tag 259, since SID keyed maps (RFC 9254)
+ * must go out as plain CBOR maps; decoded maps stay Maps unless all keys are strings
+ */
+const cborEncoder = new Encoder({ useRecords: false, useTag259ForMaps: false, variableMapSize: true });
+const cborDecoder = new Decoder({ useRecords: false, mapsAsObjects: false });
+
+/**
+ * CBOR Content-Formats whose body is a CBOR sequence (RFC 8742)
+ */
+const SEQUENCE_FORMATS = new Set([CONTENT_FORMATS.YANG_IDENTIFIERS_CBOR_SEQ, CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ]);
+
+/**
+ * Decoded Maps with only string keys → plain objects
+ */
+function objectMaps(value) {
+    if (value instanceof Map) {
+        const entries = [...value].map(([k, v]) => [k, objectMaps(v)]);
+        return entries.every(([k]) => typeof k === 'string') ? Object.fromEntries(entries) : new Map(entries);
+    }
+    if (Array.isArray(value)) {
+        return value.map(objectMaps);
+    }
+    return value;
+}
+
+export function encodeCbor(value) {
+    return cborEncoder.encode(value);
+}
+
+export function decodeCbor(data) {
+    return objectMaps(cborDecoder.decode(data));
+}
+
+/**
+ * Encode items as a CBOR sequence (concatenated data items)
+ */
+export function encodeCborSequence(items) {
+    return Buffer.concat(items.map(item => cborEncoder.encode(item)));
+}
+
+export function decodeCborSequence(data) {
+    return objectMaps(cborDecoder.decodeMultiple(data));
+}
+
+/**
+ * Encode an unsigned integer option value (minimal length, 0 → empty)
+ */
+export function encodeUint(value) {
+    const bytes = [];
+    while (value > 0) {
+        bytes.unshift(value & 0xFF);
+        value = Math.floor(value / 256);
+    }
+    return Buffer.from(bytes);
+}
+
+export function decodeUint(buffer) {
+    let value = 0;
+    for (const byte of buffer) {
+        value = value * 256 + byte;
+    }
+    return value;
+}
+
+/**
+ * Encode a Block1/Block2 option value: NUM | M | SZX (block size = 2^(SZX+4))
+ */
+export function encodeBlock(num, more, size) {
+    const szx = Math.log2(size) - 4;
+    if (!Number.isInteger(szx) || szx < 0 || szx > 6) {
+        throw new Error(`Invalid block size: ${size}`);
+    }
+    return encodeUint(num * 16 + (more ? 8 : 0) + szx);
+}
+
+/**
+ * Decode a Block1/Block2 option value
+ * @returns {Object} - { num, more, size }
+ */
+export function decodeBlock(buffer) {
+    const value = decodeUint(buffer);
+    const szx = value & 0x07;
+    if (szx === 7) {
+        throw new Error('Unsupported block size (BERT)');
+    }
+    return {
+        num: Math.floor(value / 16),
+        more: (value & 0x08) !== 0,
+        size: 1 << (szx + 4)
+    };
+}
+
+/**
+ * Decode parsed options into named values (repeatable options become arrays)
+ * e.g. { contentFormat: 60, block2: { num, more, size }, uriPath: ['c'] }
+ */
+export function decodeOptions(options) {
+    const decoded = {};
+
+    for (const { number, value } of options) {
+        const [name, format, repeatable] = OPTION_DEFINITIONS[number] || [`option${number}`, 'opaque', true];
+        let parsed;
+        switch (format) {
+            case 'uint':
+                parsed = decodeUint(value);
+                break;
+            case 'string':
+                parsed = value.toString('utf8');
+                break;
+            case 'block':
+                parsed = decodeBlock(value);
+                break;
+            case 'empty':
+                parsed = true;
+                break;
+            default:
+                parsed = Buffer.from(value);
+        }
+
+        if (repeatable) {
+            (decoded[name] = decoded[name] || []).push(parsed);
+        } else {
+            decoded[name] = parsed;
+        }
+    }
+
+    return decoded;
+}
+
+/**
+ * Delta/length nibble and extended bytes of an option header
+ */
+function optionNibble(value) {
+    if (value < 13) {
+        return [value, []];
+    }
+    if (value < 269) {
+        return [13, [value - 13]];
+    }
+    const extended = value - 269;
+    return [14, [(extended >> 8) & 0xFF, extended & 0xFF]];
+}
+
+/**
+ * Encode options given as [number, Buffer] pairs (sorted by number, stable)
+ * @returns {Array} - Option bytes
+ */
+export function encodeOptionList(options) {
+    const sorted = options
+        .map((option, index) => ({ number: option[0], value: option[1], index }))
+        .sort((a, b) => a.number - b.number || a.index - b.index);
+
+    const bytes = [];
+    let previous = 0;
+
+    for (const { number, value } of sorted) {
+        const [delta, deltaExt] = optionNibble(number - previous);
+        const [length, lengthExt] = optionNibble(value.length);
+        bytes.push((delta << 4) | length, ...deltaExt, ...lengthExt, ...value);
+        previous = number;
+    }
+
+    return bytes;
+}
+
+/**
+ * Parse the options of a CoAP message
+ * @param {Buffer} data - Whole message
+ * @param {number} offset - First option byte (after the token)
+ * @returns {Object} - { options: [{ number, value }], payloadStart }
+ */
+export function parseOptionList(data, offset) {
+    const options = [];
+    let number = 0;
+
+    while (offset < data.length) {
+        if (data[offset] === 0xFF) {
+            return { options, payloadStart: offset + 1 };
+        }
+
+        let delta = data[offset] >> 4;
+        let length = data[offset] & 0x0F;
+        offset++;
+
+        if (delta === 15 || length === 15) {
+            throw new Error('Invalid CoAP option header');
+        }
+        if (delta === 13) {
+            delta = data[offset++] + 13;
+        } else if (delta === 14) {
+            delta = ((data[offset] << 8) | data[offset + 1]) + 269;
+            offset += 2;
+        }
+        if (length === 13) {
+            length = data[offset++] + 13;
+        } else if (length === 14) {
+            length = ((data[offset] << 8) | data[offset + 1]) + 269;
+            offset += 2;
+        }
+
+        if (offset + length > data.length) {
+            throw new Error('Truncated CoAP option');
+        }
+
+        number += delta;
+        options.push({ number, value: data.subarray(offset, offset + length) });
+        offset += length;
+    }
+
+    return { options, payloadStart: data.length };
+}
 
 export class CoAPClient {
-    constructor(protocol, serial) {
+    /**
+     * @param {MUP1Protocol} protocol - Frame encoder
+     * @param {Object} serial - Anything with write(buffer)
+     * @param {Object} options - { blockSize, tokenLength, log }
+     *   blockSize: preferred block size for Block1/Block2 (16..1024)
+     *   tokenLength: bytes of random token per request (0..8), responses are matched on it
+     *   (0: empty tokens, responses are matched on the message ID of the request)
+     *   log: logger for TX/RX lines (CLI tools send it to stderr)
+     */
+    constructor(protocol, serial, options = {}) {
         this.protocol = protocol;
         this.serial = serial;
         this.messageId = 1;
         this.pendingRequests = new Map();
+        this.blockSize = options.blockSize || 1024;
+        this.tokenLength = options.tokenLength ?? 4;
+        this.log = options.log || console.log;
 
         // CoAP methods
         this.METHODS = {
@@ -18,7 +312,8 @@ export class CoAPClient {
             POST: 2,
             PUT: 3,
             DELETE: 4,
-            FETCH: 5
+            FETCH: 5,
+            IPATCH: 7
         };
 
         this.RESPONSE_CODES = {
@@ -27,37 +322,118 @@ export class CoAPClient {
             67: 'Valid',       // 2.03
             68: 'Changed',     // 2.04
             69: 'Content',     // 2.05
+            95: 'Continue',    // 2.31
             128: 'Bad Request', // 4.00
             129: 'Unauthorized', // 4.01
+            130: 'Bad Option', // 4.02
             132: 'Not Found',  // 4.04
             133: 'Method Not Allowed', // 4.05
+            136: 'Request Entity Incomplete', // 4.08
+            141: 'Request Entity Too Large', // 4.13
             160: 'Internal Server Error' // 5.00
         };
 
+        this.CONTINUE = 95;
+        this.REQUEST_ENTITY_TOO_LARGE = 141;
+
         this.receiveBuffer = Buffer.alloc(0);
+
+        // Called with the announcement text ('A' frames and 'P' ping responses)
+        this.onAnnouncement = null;
     }
 
     /**
      * Send CoAP request
+     * Payloads larger than blockSize go out with Block1, and Block2 responses
+     * are fetched block by block and reassembled before CBOR decoding.
+     * @param {Object} formats - { contentFormat, accept } (default: Content-Format 260)
      */
-    async request(method, uri, payload = null, timeout = 10000) {
+    async request(method, uri, payload = null, timeout = 10000, formats = {}) {
+        const response = await this.requestResponse(method, uri, payload, timeout, formats);
+        return response.payload;
+    }
+
+    /**
+     * Send CoAP request and return the whole response
+     * A payload array is sent as a CBOR sequence when contentFormat is a -cbor-seq format.
+     * @returns {Promise<Object>} - { code, codeName, token, options, contentFormat, maxAge, payload }
+     *   options holds every decoded response option (see decodeOptions)
+     */
+    async requestResponse(method, uri, payload = null, timeout = 10000, formats = {}) {
+        let body = null;
+        if (payload !== null && payload !== undefined) {
+            body = SEQUENCE_FORMATS.has(formats.contentFormat) && Array.isArray(payload)
+                ? encodeCborSequence(payload)
+                : encodeCbor(payload);
+        }
+
+        const response = body && body.length > this.blockSize
+            ? await this.sendBlock1(method, uri, body, timeout, formats)
+            : await this.exchange(method, uri, body, this.formatOptions(formats, body !== null), timeout);
+
+        let data = response.payloadData;
+        if (response.block2 && response.block2.more) {
+            // Continuation requests repeat the body only if it fits in one message
+            const repeatBody = body && body.length <= this.blockSize ? body : null;
+            data = await this.receiveBlock2(method, uri, repeatBody, response, timeout, formats);
+        }
+
+        return {
+            code: response.code,
+            codeName: this.codeName(response.code),
+            token: response.token,
+            options: response.options,
+            contentFormat: response.contentFormat,
+            maxAge: response.maxAge,
+            payload: this.decodePayload(data, response.contentFormat)
+        };
+    }
+
+    /**
+     * Content-Format and Accept options of one request message
+     * Without explicit formats every message is labelled 260, as the CLI tools have always sent.
+     */
+    formatOptions(formats, hasBody) {
+        if (formats.contentFormat === undefined && formats.accept === undefined) {
+            return [[OPTIONS.CONTENT_FORMAT, encodeUint(260)]];
+        }
+
+        const options = [];
+        if (hasBody && formats.contentFormat !== undefined) {
+            options.push([OPTIONS.CONTENT_FORMAT, encodeUint(formats.contentFormat)]);
+        }
+        if (formats.accept !== undefined) {
+            options.push([OPTIONS.ACCEPT, encodeUint(formats.accept)]);
+        }
+        return options;
+    }
+
+    /**
+     * Send a single request message and wait for its response
+     * @param {Array} options - Extra [number, Buffer] options (Block1/Block2/Size1)
+     * @returns {Promise<Object>} - Parsed 2.xx response (other classes reject)
+     */
+    exchange(method, uri, body, options, timeout) {
         const mid = this.messageId++;
         if (this.messageId > 0xFFFF) this.messageId = 1;
 
-        const message = this.buildMessage(method, uri, payload, mid);
+        const token = this.nextToken();
+        const key = this.pendingKey(token, mid);
+        const message = this.buildMessage(method, uri, body, mid, options, token);
         const frame = this.protocol.createCoapFrame(message);
 
-        console.log(`[CoAP TX] ${this.methodName(method)} ${uri}`);
+        this.log(`[CoAP TX] ${this.methodName(method)} ${uri}${this.describeBlocks(options)}`);
 
-        // Store pending request
+        // Store pending request (matched by token, or by message ID when tokens are empty)
         const promise = new Promise((resolve, reject) => {
-            this.pendingRequests.set(mid, {
+            this.pendingRequests.set(key, {
                 resolve,
                 reject,
-                meta: { method, uri, payload },
+                messageId: mid,
+                meta: { method, uri },
                 timeout: setTimeout(() => {
-                    if (this.pendingRequests.has(mid)) {
-                        this.pendingRequests.delete(mid);
+                    if (this.pendingRequests.has(key)) {
+                        this.pendingRequests.delete(key);
                         reject(new Error(`Request timeout: ${uri}`));
                     }
                 }, timeout)
@@ -65,21 +441,177 @@ export class CoAPClient {
         });
 
         // Send frame
-        this.serial.write(frame);
+        this.sendFrame(frame, key);
+
+        return promise.then((response) => {
+            if (Math.floor(response.code / 32) !== 2) {
+                const error = new Error(this.codeName(response.code));
+                error.code = response.code;
+                error.options = response.options;
+                error.block1 = response.block1;
+                error.payload = this.decodePayload(response.payloadData, response.contentFormat);
+                throw error;
+            }
+            return response;
+        });
+    }
+
+    /**
+     * Key of a pending request: its token, or its message ID when the token is empty
+     * (all empty-token requests would otherwise share one key)
+     */
+    pendingKey(token, messageId) {
+        return token.length > 0 ? token.toString('hex') : `mid:${messageId}`;
+    }
 
-        return promise;
+    /**
+     * Random token not used by any pending request
+     */
+    nextToken() {
+        if (this.tokenLength === 0) {
+            return Buffer.alloc(0);
+        }
+        let token;
+        do {
+            token = randomBytes(this.tokenLength);
+        } while (this.pendingRequests.has(token.toString('hex')));
+        return token;
+    }
+
+    /**
+     * Block1: send a large request body in blocks (RFC 7959 §2.5)
+     * The server may ask for smaller blocks in its 2.31 (or 4.13) response.
+     */
+    async sendBlock1(method, uri, body, timeout, formats = {}) {
+        let size = this.blockSize;
+        let offset = 0;
+
+        while (true) {
+            const num = offset / size;
+            const chunk = body.subarray(offset, offset + size);
+            const more = offset + chunk.length < body.length;
+
+            const options = [...this.formatOptions(formats, true), [OPTIONS.BLOCK1, encodeBlock(num, more, size)]];
+            if (num === 0) {
+                options.push([OPTIONS.SIZE1, encodeUint(body.length)]);
+            }
+
+            let response;
+            try {
+                response = await this.exchange(method, uri, chunk, options, timeout);
+            } catch (error) {
+                // 4.13 on the first block: retry with the size the server suggests
+                if (error.code === this.REQUEST_ENTITY_TOO_LARGE && offset === 0 &&
+                    error.block1 && error.block1.size < size) {
+                    size = error.block1.size;
+                    continue;
+                }
+                throw error;
+            }
+
+            if (!more) {
+                return response;
+            }
+
+            const ack = response.block1;
+            if (response.code !== this.CONTINUE || !ack) {
+                throw new Error(`Block1 transfer aborted by server (${this.codeName(response.code)})`);
+            }
+            if (ack.num !== num) {
+                throw new Error(`Block1 out of order: sent block ${num}, server acknowledged ${ack.num}`);
+            }
+
+            offset += chunk.length;
+            if (ack.size < size) {
+                size = ack.size;
+            }
+        }
+    }
+
+    /**
+     * Block2: fetch the remaining blocks of a response (RFC 7959 §2.4)
+     * Each block must continue exactly where the previous one ended and carry the same ETag.
+     */
+    async receiveBlock2(method, uri, body, first, timeout, formats = {}) {
+        const chunks = [first.payloadData || Buffer.alloc(0)];
+        let received = chunks[0].length;
+        let block = first.block2;
+
+        if (block.num !== 0) {
+            throw new Error(`Block2 transfer started at block ${block.num}`);
+        }
+
+        while (block.more) {
+            if (received % block.size !== 0) {
+                throw new Error(`Block2 block ${block.num} is ${block.size - received % block.size} bytes short`);
+            }
+
+            const size = Math.min(block.size, this.blockSize);
+            const num = received / size;
+            const options = [...this.formatOptions(formats, body !== null), [OPTIONS.BLOCK2, encodeBlock(num, false, size)]];
+            const next = await this.exchange(method, uri, body, options, timeout);
+
+            if (!next.block2) {
+                throw new Error('Block2 option missing from continuation response');
+            }
+            if (next.block2.num * next.block2.size !== received) {
+                throw new Error(`Block2 out of order: expected offset ${received}, got ${next.block2.num * next.block2.size}`);
+            }
+            if (first.etag && (!next.etag || !next.etag.equals(first.etag))) {
+                throw new Error('Block2 representation changed during transfer (ETag mismatch)');
+            }
+
+            const data = next.payloadData || Buffer.alloc(0);
+            chunks.push(data);
+            received += data.length;
+            block = next.block2;
+        }
+
+        if (first.size2 !== null && first.size2 !== received) {
+            this.log(`[CoAP] Block2 size ${received} differs from announced Size2 ${first.size2}`);
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Decode a (reassembled) payload according to its Content-Format
+     * CBOR sequences come back as arrays; unknown formats are tried as CBOR.
+     */
+    decodePayload(data, contentFormat = null) {
+        if (!data || data.length === 0) {
+            return null;
+        }
+        try {
+            switch (contentFormat) {
+                case CONTENT_FORMATS.TEXT_PLAIN:
+                    return data.toString('utf8');
+                case CONTENT_FORMATS.JSON:
+                    return JSON.parse(data.toString('utf8'));
+                case CONTENT_FORMATS.OCTET_STREAM:
+                    return Buffer.from(data);
+                case CONTENT_FORMATS.YANG_IDENTIFIERS_CBOR_SEQ:
+                case CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ:
+                    return decodeCborSequence(data);
+                default:
+                    return decodeCbor(data);
+            }
+        } catch (e) {
+            console.warn('Failed to decode CoAP payload:', e.message);
+            return Buffer.from(data);
+        }
     }
 
     /**
      * Build CoAP message
      */
-    buildMessage(method, uri, payload, messageId) {
+    buildMessage(method, uri, body, messageId, extraOptions = [], token = Buffer.alloc(0)) {
         const header = [];
 
         // Version (2 bits) | Type (2 bits) | Token Length (4 bits)
         const ver = 1; // CoAP version 1
-        const type = 0; // Confirmable
-        const tkl = 0; // Token length = 0
+        const type = TYPES.CON; // Confirmable
+        const tkl = token.length;
         header.push((ver << 6) | (type << 4) | tkl);
 
         // Code (8 bits)
@@ -89,15 +621,17 @@ export class CoAPClient {
         header.push((messageId >> 8) & 0xFF);
         header.push(messageId & 0xFF);
 
+        // Token
+        header.push(...token);
+
         // Options
-        const options = this.encodeOptions(uri);
+        const options = this.encodeOptions(uri, extraOptions);
         header.push(...options);
 
         // Payload marker and payload
-        if (payload !== null && payload !== undefined) {
+        if (body !== null && body !== undefined) {
             header.push(0xFF); // Payload marker
-            const encoded = cborEncode(payload);
-            header.push(...encoded);
+            header.push(...body);
         }
 
         return Buffer.from(header);
@@ -106,70 +640,24 @@ export class CoAPClient {
     /**
      * Encode CoAP options
      */
-    encodeOptions(uri) {
-        const options = [];
+    encodeOptions(uri, extraOptions = []) {
         const [pathPart, queryPart] = uri.split('?');
         const segments = (pathPart || '').split('/').filter(s => s);
-
-        let prevOption = 0;
+        const options = [];
 
         // Uri-Path options (Option 11)
-        segments.forEach(segment => {
-            const delta = 11 - prevOption;
-            const length = segment.length;
-
-            // Simple case: both delta and length < 13
-            if (delta < 13 && length < 13) {
-                options.push((delta << 4) | length);
-            } else {
-                // Extended format
-                if (delta < 13) {
-                    options.push((delta << 4) | (length < 13 ? length : 13));
-                } else if (delta < 269) {
-                    options.push((13 << 4) | (length < 13 ? length : 13));
-                    options.push(delta - 13);
-                }
-
-                if (length >= 13 && length < 269) {
-                    options.push(length - 13);
-                }
-            }
-
-            // Add segment bytes
-            for (let i = 0; i < segment.length; i++) {
-                options.push(segment.charCodeAt(i));
-            }
-
-            prevOption = 11;
-        });
-
-        // Content-Format option (Option 12) for YANG+CBOR (260 = yang-data+cbor)
-        const delta = 12 - prevOption;
-        options.push((delta << 4) | 2); // length = 2
-        options.push(1); // 260 = 0x0104 high byte
-        options.push(4); // 260 = 0x0104 low byte
-        prevOption = 12;
+        for (const segment of segments) {
+            options.push([OPTIONS.URI_PATH, Buffer.from(segment)]);
+        }
 
         // Uri-Query options (Option 15)
         if (queryPart) {
-            const queries = queryPart.split('&').filter(Boolean);
-            for (const q of queries) {
-                const qBytes = [];
-                for (let i = 0; i < q.length; i++) qBytes.push(q.charCodeAt(i));
-
-                const qDelta = 15 - prevOption;
-                if (qDelta < 13 && qBytes.length < 13) {
-                    options.push((qDelta << 4) | qBytes.length);
-                } else {
-                    options.push((qDelta << 4) | 13);
-                    options.push(qBytes.length - 13);
-                }
-                options.push(...qBytes);
-                prevOption = 15;
+            for (const query of queryPart.split('&').filter(Boolean)) {
+                options.push([OPTIONS.URI_QUERY, Buffer.from(query)]);
             }
         }
 
-        return options;
+        return encodeOptionList([...options, ...extraOptions]);
     }
 
     /**
@@ -187,108 +675,131 @@ export class CoAPClient {
         const code = data[1];
         const messageId = (data[2] << 8) | data[3];
 
-        let offset = 4 + tokenLength; // Skip token
-
-        // Find payload marker
-        let payloadStart = data.length;
-        for (let i = offset; i < data.length; i++) {
-            if (data[i] === 0xFF) {
-                payloadStart = i + 1;
-                break;
-            }
+        if (tokenLength > 8 || 4 + tokenLength > data.length) {
+            throw new Error('Invalid CoAP token length');
         }
+        const token = Buffer.from(data.subarray(4, 4 + tokenLength));
 
-        // Extract payload
-        let payload = null;
-        if (payloadStart < data.length) {
-            const payloadData = data.slice(payloadStart);
-            try {
-                payload = cborDecode(payloadData);
-            } catch (e) {
-                console.warn('Failed to decode CBOR payload:', e.message);
-                payload = payloadData;
-            }
-        }
+        // Options are walked one by one, so 0xFF inside an option value is not mistaken for the payload marker
+        const { options, payloadStart } = parseOptionList(data, 4 + tokenLength);
+        const decoded = decodeOptions(options);
 
         return {
             version,
             type,
             code,
             messageId,
-            payload
+            token,
+            options: decoded,
+            contentFormat: decoded.contentFormat ?? null,
+            maxAge: decoded.maxAge ?? 60, // RFC 7252 §5.10.5 default
+            etag: decoded.etag ? decoded.etag[0] : null,
+            block1: decoded.block1 || null,
+            block2: decoded.block2 || null,
+            size2: decoded.size2 ?? null,
+            payloadData: payloadStart < data.length ? data.subarray(payloadStart) : null
         };
     }
 
     /**
-     * Handle incoming data
+     * Match a response to its pending request
+     * Piggybacked responses arrive in the ACK; separate responses arrive later as CON
+     * (after an empty ACK) and are acknowledged here.
      */
-    handleData(data) {
-        this.receiveBuffer = Buffer.concat([this.receiveBuffer, data]);
-
-        // Try to parse complete frames
-        while (this.receiveBuffer.length > 0) {
-            const sofIndex = this.receiveBuffer.indexOf(this.protocol.SOF);
-            if (sofIndex === -1) {
-                this.receiveBuffer = Buffer.alloc(0);
-                break;
+    handleResponse(response) {
+        if (response.code === 0) {
+            // Empty ACK (response follows separately) or RST (request rejected)
+            if (response.type === TYPES.RST) {
+                for (const [key, pending] of this.pendingRequests) {
+                    if (pending.messageId === response.messageId) {
+                        clearTimeout(pending.timeout);
+                        this.pendingRequests.delete(key);
+                        pending.reject(new Error(`Request reset by server: ${pending.meta.uri}`));
+                    }
+                }
             }
+            return;
+        }
 
-            if (sofIndex > 0) {
-                this.receiveBuffer = this.receiveBuffer.slice(sofIndex);
-            }
+        if (response.type === TYPES.CON) {
+            this.sendEmptyAck(response.messageId);
+        }
 
-            // Need at least 8 bytes for minimal frame
-            if (this.receiveBuffer.length < 8) {
-                break;
-            }
+        let key = this.pendingKey(response.token, response.messageId);
+        if (response.token.length === 0 && response.type !== TYPES.ACK) {
+            // A separate response carries a new message ID: only unambiguous with one request waiting
+            const waiting = [...this.pendingRequests.keys()].filter(pendingKey => pendingKey.startsWith('mid:'));
+            key = waiting.length === 1 ? waiting[0] : null;
+        }
+        const pending = key !== null ? this.pendingRequests.get(key) : undefined;
 
-            // Find EOF
-            const eofIndex = this.receiveBuffer.indexOf(this.protocol.EOF, 2);
-            if (eofIndex === -1) {
-                break;
-            }
+        if (!pending || (response.type === TYPES.ACK && response.messageId !== pending.messageId)) {
+            this.log(`[CoAP RX] Unmatched response (token ${response.token.toString('hex') || '-'}, MID ${response.messageId})`);
+            return;
+        }
 
-            // Check if we have complete frame (including checksum)
-            const checksumStart = this.receiveBuffer[eofIndex + 1] === this.protocol.EOF ? eofIndex + 2 : eofIndex + 1;
-            const frameEnd = checksumStart + 4;
+        clearTimeout(pending.timeout);
+        this.pendingRequests.delete(key);
 
-            if (this.receiveBuffer.length < frameEnd) {
-                break; // Wait for more data
-            }
+        this.log(`[CoAP RX] ${this.codeName(response.code)} (${response.code})`);
+        pending.resolve(response);
+    }
+
+    /**
+     * Acknowledge a confirmable (separate) response
+     */
+    sendEmptyAck(messageId) {
+        const ack = Buffer.from([(1 << 6) | (TYPES.ACK << 4), 0, (messageId >> 8) & 0xFF, messageId & 0xFF]);
+        this.sendFrame(this.protocol.createCoapFrame(ack));
+    }
+
+    /**
+     * Write a frame to the serial port
+     * Ports whose write() returns a promise (the mvdct.js port wrapper) fail the pending
+     * request under key when the write rejects; other write failures are only logged.
+     */
+    sendFrame(frame, key = null) {
+        const written = this.serial.write(frame);
+        if (written instanceof Promise) {
+            written.catch((error) => {
+                const pending = key !== null ? this.pendingRequests.get(key) : undefined;
+                if (!pending) {
+                    this.log(`[CoAP TX] Write failed: ${error.message}`);
+                    return;
+                }
+                clearTimeout(pending.timeout);
+                this.pendingRequests.delete(key);
+                pending.reject(new Error(`Write failed: ${pending.meta.uri} (${error.message})`));
+            });
+        }
+    }
+
+    /**
+     * Handle incoming data
+     */
+    handleData(data) {
+        this.receiveBuffer = Buffer.concat([this.receiveBuffer, data]);
 
-            // Extract and process frame
-            const frameData = this.receiveBuffer.slice(0, frameEnd);
-            this.receiveBuffer = this.receiveBuffer.slice(frameEnd);
+        // Split into complete frames (escape-aware)
+        const { frames, rest } = this.protocol.extractFrames(this.receiveBuffer);
+        this.receiveBuffer = rest;
 
+        for (const frameData of frames) {
             try {
                 const decoded = this.protocol.decodeFrame(frameData);
 
                 if (decoded.type === 'C') {
                     // CoAP response
-                    const response = this.parseResponse(decoded.data);
-                    const pending = this.pendingRequests.get(response.messageId);
-
-                    if (pending) {
-                        clearTimeout(pending.timeout);
-                        this.pendingRequests.delete(response.messageId);
-
-                        const responseClass = Math.floor(response.code / 32);
-                        const codeName = this.RESPONSE_CODES[response.code] || `Code ${response.code}`;
-
-                        console.log(`[CoAP RX] ${codeName} (${response.code})`);
-
-                        if (responseClass === 2) {
-                            pending.resolve(response.payload);
-                        } else {
-                            const error = new Error(codeName);
-                            error.code = response.code;
-                            error.payload = response.payload;
-                            pending.reject(error);
-                        }
+                    this.handleResponse(this.parseResponse(decoded.data));
+                } else if (decoded.type === 'A' || decoded.type === 'P') {
+                    // Announcement (unsolicited or as ping response)
+                    const text = decoded.data.toString();
+                    if (decoded.type === 'A') {
+                        this.log('[MUP1] Announcement:', text);
+                    }
+                    if (this.onAnnouncement) {
+                        this.onAnnouncement(text);
                     }
-                } else if (decoded.type === 'A') {
-                    // Announcement
-                    console.log('[MUP1] Announcement:', decoded.data.toString());
                 }
             } catch (error) {
                 console.error('[MUP1] Frame decode error:', error.message);
@@ -303,18 +814,38 @@ export class CoAPClient {
         return Object.keys(this.METHODS).find(k => this.METHODS[k] === code) || `Method ${code}`;
     }
 
+    /**
+     * Helper: Get response code name
+     */
+    codeName(code) {
+        return this.RESPONSE_CODES[code] || `Code ${code}`;
+    }
+
+    /**
+     * Helper: Block options of a request for logging, e.g. " [Block2 3/0/1024]"
+     */
+    describeBlocks(options) {
+        const parts = options
+            .filter(([number]) => number === OPTIONS.BLOCK1 || number === OPTIONS.BLOCK2)
+            .map(([number, value]) => {
+                const { num, more, size } = decodeBlock(value);
+                return `Block${number === OPTIONS.BLOCK1 ? 1 : 2} ${num}/${more ? 1 : 0}/${size}`;
+            });
+        return parts.length ? ` [${parts.join(', ')}]` : '';
+    }
+
     /**
      * GET request
      */
-    async get(uri) {
-        return this.request(this.METHODS.GET, uri);
+    async get(uri, formats = {}) {
+        return this.request(this.METHODS.GET, uri, null, 10000, formats);
     }
 
     /**
      * POST request
      */
-    async post(uri, data) {
-        return this.request(this.METHODS.POST, uri, data);
+    async post(uri, data, formats = {}) {
+        return this.request(this.METHODS.POST, uri, data, 10000, formats);
     }
 
     /**
@@ -330,6 +861,20 @@ export class CoAPClient {
     async delete(uri) {
         return this.request(this.METHODS.DELETE, uri);
     }
+
+    /**
+     * FETCH request (CORECONF: payload lists the instance-identifiers to read)
+     */
+    async fetch(uri, data, formats = {}) {
+        return this.request(this.METHODS.FETCH, uri, data, 10000, formats);
+    }
+
+    /**
+     * iPATCH request (CORECONF: payload maps instance-identifiers to new values)
+     */
+    async ipatch(uri, data, formats = {}) {
+        return this.request(this.METHODS.IPATCH, uri, data, 10000, formats);
+    }
 }
 
 export default CoAPClient;
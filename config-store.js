@@ -0,0 +1,342 @@
+/**
+ * Versioned Configuration Store
+ * Saves the running configuration of a board as named, timestamped revisions and
+ * compares any two of them node by node:
+ *
+ *   board-data/<board>/revisions/<id>.json   { id, name, note, device, timestamp, schema, config }
+ *
+ * `config` is the mvdct datastore layout (list of { '/module:top': value }) with state data
+ * removed (config false nodes, or well-known state members when no YANG schema is loaded),
+ * so counters and oper-status do not show up as changes. Diffs are addressed by
+ * instance-identifier with list keys in predicates, which makes every change directly
+ * usable as an iPATCH path for restores.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { DEFAULT_LIST_KEYS } from './yang-datastore.js';
+
+/**
+ * Local part of a 'module:name' member
+ */
+function localName(name) {
+    return name.substring(name.indexOf(':') + 1);
+}
+
+/**
+ * Member of a list entry by (possibly unprefixed) name
+ */
+function memberValue(entry, name) {
+    if (!isObject(entry)) {
+        return undefined;
+    }
+    if (name in entry) {
+        return entry[name];
+    }
+    const member = Object.keys(entry).find(key => localName(key) === name);
+    return member === undefined ? undefined : entry[member];
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+    if (isObject(a) || Array.isArray(a) || isObject(b) || Array.isArray(b)) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return String(a) === String(b);
+}
+
+/**
+ * State members recognised without a schema (counters, operational status, *-state trees)
+ */
+const STATE_MEMBERS = /^(statistics|oper-.*|if-index|phys-address|last-change|discontinuity-time|.*-state|current-time|config-pending|config-change-(time|error)|tick-granularity|supported-.*)$/;
+
+/**
+ * Last node name of a member or instance-identifier, without prefix and predicates
+ */
+function lastName(member) {
+    const bare = member.replace(/\[(?:[^\]'"]|'[^']*'|"[^"]*")*\]/g, '');
+    return localName(bare.substring(bare.lastIndexOf('/') + 1));
+}
+
+/**
+ * Whether a member holds state data: config false in the schema, or a well-known state name
+ */
+function isState(schemaNode, member) {
+    return schemaNode ? schemaNode.config === false : STATE_MEMBERS.test(lastName(member));
+}
+
+/**
+ * Schema child of a node (null when there is no schema or the member is unknown to it)
+ */
+function schemaChild(schema, node, member) {
+    if (!schema || !node) {
+        return null;
+    }
+    // Top-level members are written '/module:top', deeper nodes as whole instance-identifiers
+    return member.startsWith('/') ? schema.resolve(member) : schema.child(node, member);
+}
+
+/**
+ * Key leaves of a list: schema keys, then known list keys, then name/index/id
+ * @returns {Array|null} - null when the entries cannot be told apart (compared as a whole)
+ */
+function listKeys(node, member, entries) {
+    let keys = null;
+    if (node && node.kind === 'list' && node.keys && node.keys.length > 0) {
+        keys = node.keys;
+    } else if (DEFAULT_LIST_KEYS[localName(member)]) {
+        keys = DEFAULT_LIST_KEYS[localName(member)];
+    } else {
+        keys = ['name', 'index', 'id'].filter(key => entries.every(entry => memberValue(entry, key) !== undefined)).slice(0, 1);
+    }
+
+    const usable = keys.length > 0 && entries.every(entry =>
+        isObject(entry) && keys.every(key => memberValue(entry, key) !== undefined));
+    return usable ? keys : null;
+}
+
+/**
+ * Instance-identifier step of a list entry, e.g. interface[name='1']
+ */
+function entryStep(member, keys, entry) {
+    return member + keys.map(key => `[${key}='${memberValue(entry, key)}']`).join('');
+}
+
+/**
+ * Drop state data (config false) from a datastore value
+ * @param {YangSchema} schema - null removes only well-known state members
+ */
+function stripState(schema, node, value) {
+    if (Array.isArray(value)) {
+        return value.map(item => stripState(schema, node, item));
+    }
+    if (!isObject(value)) {
+        return value;
+    }
+
+    const config = {};
+    for (const [member, child] of Object.entries(value)) {
+        const childNode = schemaChild(schema, node, member);
+        if (isState(childNode, member)) {
+            continue;
+        }
+        const stripped = stripState(schema, childNode, child);
+        // Containers that only held state disappear with it
+        if (isObject(stripped) && Object.keys(stripped).length === 0 && isObject(child) && Object.keys(child).length > 0) {
+            continue;
+        }
+        config[member] = stripped;
+    }
+    return config;
+}
+
+/**
+ * Configuration part of a value read at an instance-identifier
+ * @param {YangSchema} schema - schema to remove state data with (null: well-known state members only)
+ * @returns {*} - undefined when the node only holds state data
+ */
+export function extractValue(path, value, schema = null) {
+    const node = schemaChild(schema, schema ? schema.root : null, path);
+    if (isState(node, path)) {
+        return undefined;
+    }
+    const stripped = stripState(schema, node, value);
+    if (isObject(stripped) && Object.keys(stripped).length === 0 && isObject(value) && Object.keys(value).length > 0) {
+        return undefined;
+    }
+    return stripped;
+}
+
+/**
+ * Running configuration from a datastore read
+ * @param {Array} entries - GET '/' data: list of { '/module:top': value }
+ * @param {YangSchema} schema - schema to remove state data with (null: well-known state members only)
+ */
+export function extractConfig(entries, schema = null) {
+    const config = [];
+    for (const entry of entries || []) {
+        for (const [path, value] of Object.entries(entry)) {
+            const stripped = extractValue(path, value, schema);
+            if (stripped !== undefined) {
+                config.push({ [path]: stripped });
+            }
+        }
+    }
+    return config;
+}
+
+/**
+ * Structural diff of two configurations
+ * @param {Array} from - list of { '/module:top': value }
+ * @param {Array} to - list of { '/module:top': value }
+ * @returns {Array} - [{ path, type: 'added' | 'removed' | 'modified', from, to }]
+ *   Keyed list entries are matched by key, so a changed leaf inside an entry is reported at
+ *   .../list[key='value']/leaf; whole entries and containers are reported where they appear/disappear.
+ */
+export function diffConfig(from, to, schema = null) {
+    const changes = [];
+    const merge = (entries) => Object.assign({}, ...(entries || []));
+
+    const compare = (path, node, a, b) => {
+        if (a === undefined && b === undefined) {
+            return;
+        }
+        if (a === undefined) {
+            changes.push({ path, type: 'added', to: b });
+            return;
+        }
+        if (b === undefined) {
+            changes.push({ path, type: 'removed', from: a });
+            return;
+        }
+
+        if (isObject(a) && isObject(b)) {
+            const members = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+            for (const member of members) {
+                const childPath = path ? `${path}/${member}` : member;
+                compare(childPath, schemaChild(schema, node, member), a[member], b[member]);
+            }
+            return;
+        }
+
+        if (Array.isArray(a) && Array.isArray(b)) {
+            const member = path.substring(path.lastIndexOf('/') + 1);
+            const keys = listKeys(node, member, [...a, ...b]);
+            if (keys) {
+                const parent = path.substring(0, path.lastIndexOf('/'));
+                const byKey = (entries) => new Map(entries.map(entry => [entryStep(member, keys, entry), entry]));
+                const before = byKey(a);
+                const after = byKey(b);
+                for (const step of new Set([...before.keys(), ...after.keys()])) {
+                    compare(`${parent}/${step}`, node, before.get(step), after.get(step));
+                }
+                return;
+            }
+        }
+
+        // Leaves, leaf-lists and lists without usable keys compare as a whole
+        if (!sameValue(a, b)) {
+            changes.push({ path, type: 'modified', from: a, to: b });
+        }
+    };
+
+    compare('', schema ? schema.root : null, merge(from), merge(to));
+    return changes;
+}
+
+/**
+ * Change counts by type
+ */
+export function summarizeDiff(changes) {
+    const summary = { added: 0, removed: 0, modified: 0, total: changes.length };
+    changes.forEach(change => { summary[change.type]++; });
+    return summary;
+}
+
+export class ConfigStore {
+    /**
+     * @param {string} dir - revision directory (created on first save)
+     * @param {Object} options - { device, schema } (schema: YangSchema used to drop state data)
+     */
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.device = options.device || null;
+        this.schema = options.schema || null;
+    }
+
+    /**
+     * Save a configuration as a new revision
+     * @param {Array} entries - GET '/' data (state data is removed here)
+     * @param {Object} options - { name, note }
+     */
+    save(entries, options = {}) {
+        const timestamp = new Date();
+        const id = `rev-${timestamp.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${randomUUID().slice(0, 4)}`;
+        const revision = {
+            id,
+            name: options.name || timestamp.toISOString(),
+            note: options.note || '',
+            device: this.device,
+            timestamp: timestamp.toISOString(),
+            schema: !!this.schema,
+            config: extractConfig(entries, this.schema)
+        };
+
+        if (!existsSync(this.dir)) {
+            mkdirSync(this.dir, { recursive: true });
+        }
+        writeFileSync(join(this.dir, `${id}.json`), JSON.stringify(revision, null, 2));
+        console.log(`[CONFIG] ${this.device || this.dir}: saved revision ${id} (${revision.name})`);
+        return revision;
+    }
+
+    /**
+     * Revision summaries, newest first
+     */
+    list() {
+        if (!existsSync(this.dir)) {
+            return [];
+        }
+        return readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map(file => this.read(file))
+            .filter(Boolean)
+            .map(({ config, ...summary }) => ({ ...summary, nodes: config.length }));
+    }
+
+    read(file) {
+        try {
+            return JSON.parse(readFileSync(join(this.dir, file), 'utf8'));
+        } catch (error) {
+            console.error(`[CONFIG] Unreadable revision ${file}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Revision by id, or by name (newest revision with that name)
+     */
+    get(selector) {
+        if (/^[\w-]+$/.test(selector) && existsSync(join(this.dir, `${selector}.json`))) {
+            return this.read(`${selector}.json`);
+        }
+        const match = this.list().find(revision => revision.name === selector);
+        return match ? this.read(`${match.id}.json`) : null;
+    }
+
+    remove(selector) {
+        const revision = this.get(selector);
+        if (!revision) {
+            return false;
+        }
+        unlinkSync(join(this.dir, `${revision.id}.json`));
+        return true;
+    }
+
+    /**
+     * Diff two configurations (revisions or extracted running configs)
+     */
+    diff(from, to) {
+        const changes = diffConfig(from, to, this.schema);
+        return { summary: summarizeDiff(changes), changes };
+    }
+
+    /**
+     * iPATCH steps that turn the running configuration into a revision
+     * @param {Array} running - extracted running configuration
+     * @returns {Array} - [{ label, operation: 'set' | 'delete', path, value }]
+     */
+    restorePlan(revision, running) {
+        return diffConfig(running, revision.config, this.schema).map(change => change.type === 'removed'
+            ? { label: `Remove ${change.path}`, operation: 'delete', path: change.path, value: null }
+            : { label: `${change.type === 'added' ? 'Add' : 'Set'} ${change.path}`, operation: 'set', path: change.path, value: change.to });
+    }
+}
+
+export default ConfigStore;
@@ -0,0 +1,373 @@
+/**
+ * Transactional Configuration Apply
+ * Groups the writes of one configuration request (CBS, TAS, PCP, VLAN) so a failure halfway
+ * never leaves the board half-configured:
+ *   1. snapshot - read the current configuration (state data stripped) of every path the transaction writes
+ *   2. apply    - send all changes as one iPATCH (steps marked `separate` are sent on their own)
+ *   3. verify   - read the written paths back and compare them with what was sent
+ *   4. rollback - on any failure, iPATCH the snapshot back: list entries and members the transaction
+ *                 added are deleted, old values restored, paths that did not exist deleted; then the
+ *                 paths are read again to confirm they match the snapshot (config-change is not
+ *                 restored, only set again where admin gate values are)
+ *
+ * Operations go through an executeDevice-style callback, so transactions share the board's
+ * request queue and command history with every other request.
+ */
+
+import { randomUUID } from 'crypto';
+import { parseValue } from './device-transport.js';
+import { extractValue, diffConfig } from './config-store.js';
+
+/**
+ * Errors that mean "this path does not exist" rather than "the board did not answer"
+ */
+const NOT_FOUND = /not.?found|4\.04|does not exist|no such/i;
+
+/**
+ * Whether a value read back from the board matches what was written
+ * Objects only need the written members (the board adds defaults and state),
+ * scalars compare as text without identity prefixes. Every written list entry must match
+ * some entry read back, in any position (a partial list write leaves the other entries in place).
+ */
+export function matchesValue(expected, actual) {
+    if (expected === null || typeof expected !== 'object') {
+        if (actual === null || typeof actual !== 'object') {
+            const text = (v) => String(v).replace(/^[\w-]+:/, '');
+            return text(expected) === text(actual);
+        }
+        return false;
+    }
+    if (actual === null || actual === undefined || typeof actual !== 'object') {
+        return false;
+    }
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && expected.every(item => actual.some(candidate => matchesValue(item, candidate)));
+    }
+    if (Array.isArray(actual)) {
+        return actual.some(item => matchesValue(expected, item));
+    }
+    return Object.entries(expected).every(([key, value]) => {
+        // Augmented members may come back module-qualified
+        const member = key in actual ? actual[key] : Object.entries(actual).find(([k]) => k.endsWith(`:${key}`))?.[1];
+        return matchesValue(value, member);
+    });
+}
+
+/**
+ * config-change of 802.1Qbv gate tables and PSFP stream gates: writing true starts the list config
+ * state machine and boards keep reading it back true, so it is a trigger, not configuration to
+ * snapshot or restore. Rollback sets it again only where admin values are restored.
+ */
+const CONFIG_CHANGE = /^([\w-]+:)?config-change$/;
+const ADMIN_MEMBER = /^(.*?)\/(?:[\w-]+:)?admin-[^/]*(\/|$)/;
+
+function withoutConfigChange(value) {
+    if (Array.isArray(value)) {
+        return value.map(withoutConfigChange);
+    }
+    if (value === null || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+        return value;
+    }
+    return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => !CONFIG_CHANGE.test(key))
+        .map(([key, member]) => [key, withoutConfigChange(member)]));
+}
+
+export class ConfigTransaction {
+    /**
+     * @param {Function} execute - (operation, ...params) => Promise<{ success, stderr, data }>
+     * @param {Object} options - { name, device, verify (default true), schema (YangSchema to strip state data with) }
+     */
+    constructor(execute, options = {}) {
+        this.id = `tx-${Date.now().toString(36)}-${randomUUID().slice(0, 8)}`;
+        this.execute = execute;
+        this.name = options.name || 'config';
+        this.device = options.device || null;
+        this.verify = options.verify ?? true;
+        this.schema = options.schema || null;
+
+        this.steps = [];
+        this.snapshot = new Map(); // path → { exists, value }
+    }
+
+    /**
+     * Add a write step
+     * @param {string} label - step name for the report
+     * @param {*} value - value or YAML/JSON text (mvdct `set` semantics)
+     * @param {Object} options - { separate: send on its own, verify: false skips the read-back }
+     */
+    set(label, path, value, options = {}) {
+        this.steps.push({ label, operation: 'set', path, value: parseValue(value), ...options });
+        return this;
+    }
+
+    /**
+     * Add a delete step
+     */
+    delete(label, path, options = {}) {
+        this.steps.push({ label, operation: 'delete', path, value: null, ...options });
+        return this;
+    }
+
+    /**
+     * Snapshot, apply, verify and roll back on failure
+     * @returns {Object} - report { id, name, device, success, status, steps, snapshot, rollback, error }
+     */
+    async commit() {
+        const startTime = Date.now();
+        const report = {
+            id: this.id,
+            name: this.name,
+            device: this.device,
+            success: false,
+            status: 'pending',
+            startedAt: new Date(startTime).toISOString(),
+            steps: this.steps.map(step => ({
+                step: step.label,
+                operation: step.operation,
+                path: step.path,
+                value: step.value,
+                status: 'pending'
+            })),
+            snapshot: null,
+            rollback: null,
+            error: null
+        };
+
+        try {
+            report.snapshot = await this.takeSnapshot();
+        } catch (error) {
+            // Nothing was written: safe to stop here
+            report.status = 'aborted';
+            report.error = `Snapshot failed: ${error.message}`;
+            report.steps.forEach(step => { step.status = 'not-applied'; });
+            return this.finish(report, startTime);
+        }
+
+        try {
+            await this.apply(report);
+            if (this.verify) {
+                await this.verifySteps(report);
+            }
+            report.success = true;
+            report.status = 'committed';
+        } catch (error) {
+            report.error = error.message;
+            report.steps.filter(step => step.status === 'pending').forEach(step => { step.status = 'not-applied'; });
+            report.rollback = await this.rollback();
+            report.status = report.rollback.success ? 'rolled-back' : 'rollback-failed';
+            if (report.rollback.success) {
+                report.steps.filter(step => ['applied', 'verified'].includes(step.status)).forEach(step => { step.status = 'rolled-back'; });
+            }
+        }
+
+        return this.finish(report, startTime);
+    }
+
+    finish(report, startTime) {
+        report.executionTime = Date.now() - startTime;
+        console.log(`[TX] ${this.id} ${this.name}${this.device ? ` on ${this.device}` : ''}: ${report.status} (${report.steps.length} steps, ${report.executionTime}ms)${report.error ? ` - ${report.error}` : ''}`);
+        return report;
+    }
+
+    /**
+     * Read every written path
+     */
+    async takeSnapshot() {
+        const paths = [...new Set(this.steps.map(step => step.path))];
+        const startTime = Date.now();
+
+        this.snapshot = await this.readPaths(paths);
+
+        const existing = [...this.snapshot.values()].filter(entry => entry.exists).length;
+        return { paths: paths.length, existing, executionTime: Date.now() - startTime };
+    }
+
+    /**
+     * Configuration at each path, without state data (a board rejects writes to config false nodes)
+     * One FETCH, then path by path to tell missing nodes from errors
+     * @returns {Map} - path → { exists, value }
+     */
+    async readPaths(paths) {
+        const values = new Map();
+        const read = (path, data) => {
+            const value = withoutConfigChange(extractValue(path, Object.values(data)[0], this.schema));
+            values.set(path, value === undefined ? { exists: false, value: null } : { exists: true, value });
+        };
+
+        const result = await this.execute('fetch', paths);
+        if (result.success && Array.isArray(result.data) && result.data.length === paths.length) {
+            paths.forEach((path, i) => read(path, result.data[i]));
+            return values;
+        }
+
+        for (const path of paths) {
+            const single = await this.execute('fetch', [path]);
+            if (single.success && Array.isArray(single.data) && single.data.length > 0) {
+                read(path, single.data[0]);
+            } else if (single.success || NOT_FOUND.test(single.stderr)) {
+                values.set(path, { exists: false, value: null });
+            } else {
+                throw new Error(`${path}: ${single.stderr || 'read failed'}`);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Differences between the snapshot and the configuration now at its paths
+     */
+    differences(current) {
+        const changes = [];
+        for (const [path, entry] of this.snapshot) {
+            const now = current.get(path);
+            const before = entry.exists ? [{ [path]: entry.value }] : [];
+            const after = now && now.exists ? [{ [path]: now.value }] : [];
+            changes.push(...diffConfig(after, before, this.schema));
+        }
+        return changes;
+    }
+
+    /**
+     * Send the batched steps as one iPATCH and the separate ones in order
+     */
+    async apply(report) {
+        const batch = this.steps.map((step, i) => ({ step, entry: report.steps[i] }));
+        const groups = [];
+        for (const item of batch) {
+            const last = groups[groups.length - 1];
+            if (!item.step.separate && last && !last.separate) {
+                last.items.push(item);
+            } else {
+                groups.push({ separate: !!item.step.separate, items: [item] });
+            }
+        }
+
+        for (const group of groups) {
+            const entries = group.items.map(({ step }) => ({ [step.path]: step.value }));
+            const result = await this.execute('patch', entries);
+            group.items.forEach(({ entry }) => {
+                entry.status = result.success ? 'applied' : 'failed';
+                entry.executionTime = result.executionTime;
+                if (!result.success) {
+                    entry.error = result.stderr;
+                }
+            });
+            if (!result.success) {
+                throw new Error(`iPATCH failed: ${result.stderr || 'unknown error'}`);
+            }
+        }
+    }
+
+    /**
+     * Read the written paths back: set steps must match, deleted paths must be gone
+     */
+    async verifySteps(report) {
+        const checks = this.steps
+            .map((step, i) => ({ step, entry: report.steps[i] }))
+            .filter(({ step }) => step.verify !== false);
+        const writes = checks.filter(({ step }) => step.operation === 'set');
+        const deletes = checks.filter(({ step }) => step.operation === 'delete');
+
+        if (writes.length > 0) {
+            const result = await this.execute('fetch', writes.map(({ step }) => step.path));
+            if (!result.success || !Array.isArray(result.data)) {
+                throw new Error(`Verification read failed: ${result.stderr || 'no data'}`);
+            }
+            writes.forEach(({ step, entry }, i) => {
+                const actual = result.data[i] ? Object.values(result.data[i])[0] : undefined;
+                if (matchesValue(step.value, actual)) {
+                    entry.status = 'verified';
+                } else {
+                    entry.status = 'failed';
+                    entry.error = `Read back ${JSON.stringify(actual)}`;
+                }
+            });
+        }
+
+        for (const { step, entry } of deletes) {
+            const result = await this.execute('fetch', [step.path]);
+            const gone = !result.success ? NOT_FOUND.test(result.stderr) : !Array.isArray(result.data) || result.data.length === 0;
+            entry.status = gone ? 'verified' : 'failed';
+            if (!gone) {
+                entry.error = 'Still present after delete';
+            }
+        }
+
+        const failed = report.steps.filter(step => step.status === 'failed');
+        if (failed.length > 0) {
+            throw new Error(`Verification failed: ${failed.map(step => step.step).join(', ')}`);
+        }
+    }
+
+    /**
+     * Restore the snapshot as one iPATCH: entries and members added since the snapshot deleted
+     * (iPATCH merges, so restoring a list alone would keep them), old values back, nodes that did
+     * not exist deleted (paths under a node that did not exist are removed with it)
+     */
+    async rollback() {
+        const missing = [...this.snapshot].filter(([, entry]) => !entry.exists).map(([path]) => path);
+        const underMissing = (path) => missing.some(parent => path !== parent && path.startsWith(`${parent}/`));
+
+        let readError = null;
+        let removals = [];
+        let triggers = [];
+        const existing = [...this.snapshot].filter(([, entry]) => entry.exists).map(([path]) => path);
+        if (existing.length > 0) {
+            try {
+                const changes = this.differences(await this.readPaths(existing));
+                removals = changes
+                    .filter(change => change.type === 'removed')
+                    .map(change => ({ [change.path]: null }));
+                // Restored admin values take effect through config-change, like the original write
+                const tables = changes.map(change => change.path.match(ADMIN_MEMBER)?.[1]).filter(Boolean);
+                triggers = [...new Set(tables)].map(table => ({ [`${table}/config-change`]: true }));
+            } catch (error) {
+                readError = `Could not read the current values, added entries may remain: ${error.message}`;
+            }
+        }
+
+        const restores = [];
+        const deletes = [];
+        for (const [path, entry] of this.snapshot) {
+            if (underMissing(path)) {
+                continue;
+            }
+            if (entry.exists) {
+                restores.push({ [path]: entry.value });
+            } else {
+                deletes.push({ [path]: null });
+            }
+        }
+
+        const report = {
+            success: false,
+            restored: restores.length,
+            deleted: removals.length + deletes.length,
+            error: readError
+        };
+        const result = await this.execute('patch', [...removals, ...restores, ...deletes, ...triggers]);
+        if (!result.success) {
+            report.error = result.stderr || 'iPATCH failed';
+            return report;
+        }
+        if (readError) {
+            return report;
+        }
+
+        try {
+            const remaining = this.differences(await this.readPaths([...this.snapshot.keys()]));
+            if (remaining.length > 0) {
+                report.error = `Not restored: ${[...new Set(remaining.map(change => change.path))].join(', ')}`;
+                return report;
+            }
+        } catch (error) {
+            report.error = `Restore check failed: ${error.message}`;
+            return report;
+        }
+        report.success = true;
+        return report;
+    }
+}
+
+export default ConfigTransaction;
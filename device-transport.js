@@ -0,0 +1,615 @@
+/**
+ * Device Transport Abstraction
+ * One interface for every way of talking to a LAN966x board:
+ *   - mvdct:  spawns the vendor mvdct CLI per request
+ *   - mup1:   direct serial MUP1 + CoAP (CORECONF, SID encoded when a catalog is loaded)
+ *   - mup1cc: Microchip mup1cc via the velocitydrivesp-support `dr` wrapper
+ *
+ * Every operation resolves to the same result shape:
+ *   { success, stdout, stderr, code, data, executionTime, timestamp }
+ * where stdout is mvdct-style YAML (a list of { '<yang path>': value } maps).
+ */
+
+import { spawn } from 'child_process';
+import { writeFileSync, unlinkSync, existsSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import yaml from 'js-yaml';
+import { Mup1Session } from './mup1-session.js';
+import { SID_FORMATS } from './sid-registry.js';
+
+/**
+ * CORECONF datastore resource (all data, config + state)
+ */
+const DATASTORE_URI = 'c?d=a';
+
+/**
+ * Checksum of the board's YANG library; its hex form names the YANG catalog folder
+ */
+const YANG_LIBRARY_CHECKSUM = '/ietf-constrained-yang-library:yang-library/checksum';
+
+/**
+ * YANG catalog id result from a yang-library checksum
+ * @param {Buffer|Uint8Array|string} checksum - Byte string, or text in the transport's encoding
+ * @param {string} encoding - Buffer encoding of text checksums ('base64' for the YANG binary type)
+ */
+export function yangIdResult(checksum, encoding) {
+    if (checksum === undefined || checksum === null) {
+        return { success: false, stderr: 'yang-library checksum not found' };
+    }
+    const id = checksum instanceof Uint8Array ? Buffer.from(checksum) : Buffer.from(String(checksum), encoding);
+    return { data: { 'yang-id': id.toString('hex') } };
+}
+
+/**
+ * Format data the way mvdct prints it
+ */
+export function formatYaml(data) {
+    if (data === null || data === undefined) {
+        return '';
+    }
+    return yaml.dump(data, { lineWidth: -1 }).trim();
+}
+
+/**
+ * Parse a value given as YAML/JSON text (mvdct `set` semantics); other types pass through
+ */
+export function parseValue(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        const parsed = yaml.load(value);
+        return parsed === undefined ? value : parsed;
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Parse mvdct-style arguments: ['device', dev, command, ...params, '--console']
+ * @param {Function} readInput - reads a patch/fetch/input file (mvdct.js also accepts '-' for stdin)
+ * @returns {Object} - { device, operation, params }
+ */
+export function parseMvdctArgs(args, readInput = (file) => readFileSync(file, 'utf8')) {
+    const rest = [...args];
+    let device = null;
+
+    const deviceIndex = rest.indexOf('device');
+    if (deviceIndex !== -1) {
+        device = rest[deviceIndex + 1];
+        rest.splice(deviceIndex, 2);
+    }
+
+    // Drop output options
+    const positional = [];
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--console') continue;
+        if (rest[i] === '-lf') { i++; continue; }
+        positional.push(rest[i]);
+    }
+
+    const [command, ...params] = positional;
+    const readList = (file) => yaml.load(readInput(file));
+    // Value argument, or '-' for stdin (set/call)
+    const readValue = (value) => value === '-' ? readInput(value) : value;
+
+    switch (command) {
+        case 'get':
+            return { device, operation: 'get', params: [params[0] || '/'] };
+        case 'set':
+        case 'put':
+            return { device, operation: 'set', params: [params[0], readValue(params[1])] };
+        case 'delete':
+            return { device, operation: 'delete', params: [params[0]] };
+        case 'call':
+        case 'post':
+            return { device, operation: 'call', params: [params[0], readValue(params[1])] };
+        case 'patch':
+            return { device, operation: 'patch', params: [readList(params[0])] };
+        case 'fetch':
+            return {
+                device,
+                operation: 'fetch',
+                params: [params[0] === '-' || existsSync(params[0]) ? readList(params[0]) : [params[0]]]
+            };
+        case 'firmware':
+            return { device, operation: 'firmwareVersion', params: [] };
+        case 'type':
+            return { device, operation: 'deviceType', params: [] };
+        case 'yang':
+            return { device, operation: 'yangId', params: [] };
+        default:
+            throw new Error(`Unknown command: ${command}`);
+    }
+}
+
+/**
+ * Base class: subclasses implement the operations and return partial results
+ * ({ data } or { success, stdout, stderr, code }); execute() normalizes them.
+ */
+export class DeviceTransport {
+    constructor(device, options = {}) {
+        this.device = device;
+        this.options = options;
+    }
+
+    /**
+     * Transport type name
+     */
+    get type() {
+        return 'base';
+    }
+
+    /**
+     * Operations supported by every transport
+     */
+    static get OPERATIONS() {
+        return ['get', 'set', 'patch', 'fetch', 'call', 'delete', 'firmwareVersion', 'deviceType', 'yangId'];
+    }
+
+    /**
+     * Execute an operation and normalize the result
+     */
+    async execute(operation, params = []) {
+        const startTime = Date.now();
+
+        if (!DeviceTransport.OPERATIONS.includes(operation)) {
+            throw new Error(`Unknown operation: ${operation}`);
+        }
+
+        try {
+            const output = await this[operation](...params);
+            return this.normalize(output, startTime);
+        } catch (error) {
+            return {
+                success: false,
+                stdout: '',
+                stderr: error.message,
+                error: error.message,
+                code: error.code ?? -1,
+                executionTime: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Execute raw mvdct-style arguments (compatibility for /api/execute)
+     */
+    async run(args) {
+        const { operation, params } = parseMvdctArgs(args);
+        return this.execute(operation, params);
+    }
+
+    normalize(output, startTime) {
+        const success = output.success ?? true;
+        return {
+            success,
+            stdout: output.stdout ?? formatYaml(output.data),
+            stderr: output.stderr ?? '',
+            code: output.code ?? (success ? 0 : -1),
+            data: output.data,
+            executionTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Whether the transport can run several requests at once
+     */
+    get pipelined() {
+        return false;
+    }
+
+    /**
+     * Describe an operation as mvdct arguments (for command history)
+     */
+    describe(operation, params = []) {
+        const printable = params.map(p => typeof p === 'string' ? p : JSON.stringify(p));
+        return ['device', this.device, operation, ...printable];
+    }
+
+    async close() {}
+}
+
+// ============================================
+// mvdct (vendor CLI, one process per request)
+// ============================================
+
+export class MvdctTransport extends DeviceTransport {
+    constructor(device, options = {}) {
+        super(device, options);
+        this.mvdctPath = options.mvdctPath;
+        this.cwd = options.cwd || dirname(this.mvdctPath);
+        this.timeout = options.timeout || 15000;
+    }
+
+    get type() {
+        return 'mvdct';
+    }
+
+    /**
+     * Spawn mvdct with raw arguments
+     */
+    spawnMvdct(args) {
+        return new Promise((resolve, reject) => {
+            const proc = spawn(this.mvdctPath, args, { cwd: this.cwd });
+
+            let stdout = '';
+            let stderr = '';
+
+            proc.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+
+            proc.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+
+            // 15초 타임아웃 (일부 명령어는 오래 걸릴 수 있음)
+            const timeoutId = setTimeout(() => {
+                proc.kill('SIGTERM');
+                // 3초 후에도 종료 안되면 SIGKILL
+                setTimeout(() => {
+                    if (!proc.killed) {
+                        proc.kill('SIGKILL');
+                    }
+                }, 3000);
+                reject(new Error(`Command timeout (${this.timeout / 1000}s)`));
+            }, this.timeout);
+
+            proc.on('close', (code) => {
+                clearTimeout(timeoutId);
+                let data;
+                try {
+                    data = code === 0 ? yaml.load(stdout) : undefined;
+                } catch (e) {
+                    data = undefined;
+                }
+                resolve({
+                    success: code === 0,
+                    stdout: stdout.trim(),
+                    stderr: stderr.trim(),
+                    code,
+                    data
+                });
+            });
+
+            proc.on('error', (error) => {
+                clearTimeout(timeoutId);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Run a device command: mvdct device <dev> <command...> --console [extra]
+     */
+    command(command, extra = []) {
+        return this.spawnMvdct(['device', this.device, ...command, '--console', ...extra]);
+    }
+
+    /**
+     * Run a command that takes a YAML input file
+     */
+    async withTempFile(content, command) {
+        const file = join(tmpdir(), `mvdct-${process.pid}-${Date.now()}.yaml`);
+        writeFileSync(file, formatYaml(content));
+        try {
+            return await this.command([command, file]);
+        } finally {
+            if (existsSync(file)) {
+                unlinkSync(file);
+            }
+        }
+    }
+
+    async run(args) {
+        const startTime = Date.now();
+        try {
+            return this.normalize(await this.spawnMvdct(args), startTime);
+        } catch (error) {
+            return this.normalize({ success: false, stdout: '', stderr: error.message, code: -1 }, startTime);
+        }
+    }
+
+    get(path, options = {}) {
+        return this.command(['get', path], options.logFile ? ['-lf', options.logFile] : []);
+    }
+
+    set(path, value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return this.command(['set', path, text]);
+    }
+
+    patch(entries) {
+        return this.withTempFile(entries, 'patch');
+    }
+
+    fetch(paths) {
+        return this.withTempFile(paths, 'fetch');
+    }
+
+    call(path, value) {
+        return this.command(value ? ['call', path, value] : ['call', path]);
+    }
+
+    delete(path) {
+        return this.command(['delete', path]);
+    }
+
+    firmwareVersion() {
+        return this.command(['firmware', 'version']);
+    }
+
+    deviceType() {
+        return this.command(['type']);
+    }
+
+    yangId() {
+        return this.command(['yang', 'id']);
+    }
+}
+
+// ============================================
+// Direct MUP1 (persistent session, pipelined)
+// ============================================
+
+export class Mup1Transport extends DeviceTransport {
+    /**
+     * @param {Object} options - { baudRate, timeout, window, blockSize, session, registry }
+     *   registry: SidRegistry of the board's YANG catalog; requests are then SID encoded
+     *   (RFC 9254) instead of carrying YANG paths as strings
+     */
+    constructor(device, options = {}) {
+        super(device, options);
+        this.session = options.session || new Mup1Session(device, {
+            baudRate: options.baudRate,
+            timeout: options.timeout,
+            window: options.window,
+            blockSize: options.blockSize
+        });
+        this.registry = options.registry || null;
+    }
+
+    get type() {
+        return 'mup1';
+    }
+
+    /**
+     * 'sid' when requests use the SID registry, 'names' otherwise
+     */
+    get encoding() {
+        return this.registry ? 'sid' : 'names';
+    }
+
+    /**
+     * Requests are pipelined by the session, no need for an outer queue
+     */
+    get pipelined() {
+        return true;
+    }
+
+    /**
+     * Send a CoAP request to the CORECONF datastore resource
+     * @param {string} method - CoAP method name (GET, FETCH, IPATCH, POST)
+     */
+    request(method, payload, formats = {}) {
+        return this.session.request(method, DATASTORE_URI, payload, formats);
+    }
+
+    /**
+     * FETCH paths → list of { path: value }
+     */
+    async fetchPaths(paths) {
+        if (!this.registry) {
+            return this.request('FETCH', paths);
+        }
+        const instances = await this.request('FETCH', this.registry.encodeFetch(paths), SID_FORMATS.FETCH);
+        return this.registry.decodeInstances(instances ?? []);
+    }
+
+    /**
+     * iPATCH { path: value } maps (null deletes)
+     */
+    async patchEntries(entries) {
+        if (!this.registry) {
+            return this.request('IPATCH', entries);
+        }
+        return this.request('IPATCH', this.registry.encodeInstances(entries), SID_FORMATS.IPATCH);
+    }
+
+    async get(path) {
+        // Whole datastore: plain GET returns every top-level node
+        if (!path || path === '/') {
+            if (!this.registry) {
+                return { data: await this.request('GET', null) };
+            }
+            return { data: this.registry.decodeDatastore(await this.request('GET', null, SID_FORMATS.GET)) };
+        }
+        return { data: await this.fetchPaths([path]) };
+    }
+
+    async fetch(paths) {
+        return { data: await this.fetchPaths(paths) };
+    }
+
+    async set(path, value) {
+        return { data: await this.patchEntries({ [path]: parseValue(value) }) };
+    }
+
+    async patch(entries) {
+        return { data: await this.patchEntries(entries) };
+    }
+
+    async call(path, value) {
+        const input = { [path]: parseValue(value) ?? {} };
+        if (!this.registry) {
+            return { data: await this.request('POST', input) };
+        }
+        const output = await this.request('POST', this.registry.encodeInstances(input), SID_FORMATS.POST);
+        return { data: output ? this.registry.decodeInstances(output) : null };
+    }
+
+    async delete(path) {
+        return { data: await this.patchEntries({ [path]: null }) };
+    }
+
+    async firmwareVersion() {
+        const [platform] = await this.fetchPaths(['/ietf-system:system-state/platform']);
+        return { data: { 'firmware-version': Object.values(platform)[0]['os-version'] } };
+    }
+
+    async deviceType() {
+        const [platform] = await this.fetchPaths(['/ietf-system:system-state/platform']);
+        return { data: { 'device-type': Object.values(platform)[0]['machine'] } };
+    }
+
+    /**
+     * YANG catalog id: the yang-library checksum in hex (name of the catalog folder)
+     * SID responses carry it as a CBOR byte string, string path responses as base64 text.
+     */
+    async yangId() {
+        const [entry] = await this.fetchPaths([YANG_LIBRARY_CHECKSUM]);
+        return yangIdResult(Object.values(entry)[0], 'base64');
+    }
+
+    async close() {
+        await this.session.close();
+    }
+}
+
+// ============================================
+// mup1cc (velocitydrivesp-support, via Docker)
+// ============================================
+
+export class Mup1ccTransport extends DeviceTransport {
+    constructor(device, options = {}) {
+        super(device, options);
+        this.supportDir = options.supportDir || join(process.env.HOME || '', 'velocitydrivesp-support');
+        this.timeout = options.timeout || 30000;
+    }
+
+    get type() {
+        return 'mup1cc';
+    }
+
+    /**
+     * Run `dr mup1cc -d <dev> -m <method> -q d=a` with an optional JSON body on stdin
+     */
+    mup1cc(method, body = null) {
+        return new Promise((resolve, reject) => {
+            const args = ['mup1cc', '-d', this.device, '-m', method, '-q', 'd=a'];
+            const proc = spawn(join(this.supportDir, 'dr'), args, {
+                cwd: this.supportDir,
+                env: { ...process.env }
+            });
+
+            let stdout = '';
+            let stderr = '';
+
+            if (body !== null) {
+                proc.stdin.write(JSON.stringify(body));
+            }
+            proc.stdin.end();
+
+            proc.stdout.on('data', (chunk) => {
+                stdout += chunk.toString();
+            });
+
+            proc.stderr.on('data', (chunk) => {
+                stderr += chunk.toString();
+            });
+
+            // 30 second timeout
+            const timeoutId = setTimeout(() => {
+                proc.kill();
+                reject(new Error(`Request timeout (${this.timeout / 1000}s)`));
+            }, this.timeout);
+
+            proc.on('close', (code) => {
+                clearTimeout(timeoutId);
+                if (code !== 0) {
+                    resolve({ success: false, stdout: stdout.trim(), stderr: (stderr || stdout || `Exit code: ${code}`).trim(), code });
+                    return;
+                }
+                try {
+                    resolve({ data: yaml.load(stdout) ?? null });
+                } catch (e) {
+                    // If not YAML, return raw stdout
+                    resolve({ stdout: stdout.trim() });
+                }
+            });
+
+            proc.on('error', (error) => {
+                clearTimeout(timeoutId);
+                reject(error);
+            });
+        });
+    }
+
+    get(path) {
+        return this.mup1cc('fetch', [path]);
+    }
+
+    fetch(paths) {
+        return this.mup1cc('fetch', paths);
+    }
+
+    set(path, value) {
+        return this.mup1cc('ipatch', { [path]: parseValue(value) });
+    }
+
+    patch(entries) {
+        return this.mup1cc('ipatch', entries);
+    }
+
+    call(path, value) {
+        return this.mup1cc('post', { [path]: parseValue(value) ?? {} });
+    }
+
+    delete(path) {
+        return this.mup1cc('ipatch', { [path]: null });
+    }
+
+    async firmwareVersion() {
+        const result = await this.get('/ietf-system:system-state/platform/os-version');
+        return result.data ? { data: { 'firmware-version': Object.values(result.data[0])[0] } } : result;
+    }
+
+    async deviceType() {
+        const result = await this.get('/ietf-system:system-state/platform/machine');
+        return result.data ? { data: { 'device-type': Object.values(result.data[0])[0] } } : result;
+    }
+
+    /**
+     * YANG catalog id: mup1cc prints the binary checksum as base64 text
+     */
+    async yangId() {
+        const result = await this.get(YANG_LIBRARY_CHECKSUM);
+        return result.data ? yangIdResult(Object.values(result.data[0])[0], 'base64') : result;
+    }
+}
+
+/**
+ * Registered transport types
+ */
+export const TRANSPORTS = {
+    mvdct: MvdctTransport,
+    mup1: Mup1Transport,
+    mup1cc: Mup1ccTransport
+};
+
+/**
+ * Create a transport by type name
+ */
+export function createTransport(type, device, options = {}) {
+    const Transport = TRANSPORTS[type];
+    if (!Transport) {
+        throw new Error(`Unknown transport: ${type} (available: ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    return new Transport(device, options);
+}
+
+export default DeviceTransport;
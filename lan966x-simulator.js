@@ -0,0 +1,905 @@
+#!/usr/bin/env node
+
+/**
+ * LAN966x Device Simulator
+ * Answers MUP1 frames (announcement, ping, CoAP) like a LAN9662/LAN9692 board,
+ * backed by an in-memory YANG datastore. Exposed on a pseudo-terminal via socat.
+ * Requests may carry YANG paths as strings or SIDs (RFC 9254, translated with the
+ * bundled YANG catalog).
+ *
+ * Usage: ./lan966x-simulator.js [--model LAN9662|LAN9692] [--link /tmp/ttyLAN966x]
+ * Then:  ./mvdct.js /tmp/ttyLAN966x get /ietf-system:system-state/platform
+ */
+
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { basename } from 'path';
+import { SerialPort } from 'serialport';
+import { MUP1Protocol } from './mup1-node.js';
+import {
+    OPTIONS, CONTENT_FORMATS, encodeOptionList, parseOptionList, encodeUint, decodeUint, encodeBlock, decodeBlock,
+    encodeCbor, decodeCbor, encodeCborSequence, decodeCborSequence
+} from './coap-node.js';
+import { SidRegistry } from './sid-registry.js';
+import { YangDatastore } from './yang-datastore.js';
+
+/**
+ * Simulated board models
+ */
+export const BOARD_MODELS = {
+    LAN9662: {
+        machine: 'lan9662',
+        firmware: 'VelocitySP-v2025.06-LAN9662-ung8291',
+        ports: [
+            { name: '1', speed: '1.000', up: true },
+            { name: '2', speed: '1.000', up: true },
+            { name: '3', speed: '1.000', up: false },
+            { name: '4', speed: '1.000', up: false }
+        ],
+        psfp: { streamFilters: 64, streamGates: 64, flowMeters: 64, supportedListMax: 4 }
+    },
+    LAN9692: {
+        machine: 'lan9692',
+        firmware: 'VelocitySP-v2025.06-LAN9692-ung8291',
+        ports: Array.from({ length: 12 }, (_, i) => ({
+            name: String(i + 1),
+            speed: i < 8 ? '1.000' : '10.000',
+            up: i < 4
+        })),
+        psfp: { streamFilters: 256, streamGates: 256, flowMeters: 256, supportedListMax: 8 }
+    }
+};
+
+/**
+ * CoAP constants used by the simulator
+ */
+const COAP = {
+    TYPE_ACK: 2,
+    CONTENT_FORMAT_CBOR: 60,
+    METHODS: { GET: 1, POST: 2, PUT: 3, DELETE: 4, FETCH: 5, IPATCH: 7 },
+    CODES: {
+        CREATED: 65,            // 2.01
+        DELETED: 66,            // 2.02
+        CHANGED: 68,            // 2.04
+        CONTENT: 69,            // 2.05
+        CONTINUE: 95,           // 2.31
+        BAD_REQUEST: 128,       // 4.00
+        NOT_FOUND: 132,         // 4.04
+        METHOD_NOT_ALLOWED: 133, // 4.05
+        REQUEST_ENTITY_INCOMPLETE: 136 // 4.08
+    }
+};
+
+/**
+ * YANG library checksum reported by simulated boards: the id of the bundled catalog
+ */
+const CATALOG_ID = basename(SidRegistry.findCatalog() || 'simulator');
+
+/**
+ * MAC address for a port (Microchip OUI)
+ */
+function portMac(index) {
+    return `00-04-a3-00-00-${(index + 1).toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Build the initial datastore content of a board
+ */
+export function createBoardData(model = 'LAN9662') {
+    const board = BOARD_MODELS[model];
+    if (!board) {
+        throw new Error(`Unknown board model: ${model}`);
+    }
+
+    const interfaces = board.ports.map((port, index) => ({
+        'name': port.name,
+        'type': 'iana-if-type:ethernetCsmacd',
+        'enabled': true,
+        'oper-status': port.up ? 'up' : 'down',
+        'if-index': index + 1,
+        'phys-address': portMac(index),
+        'statistics': {
+            'in-octets': 0,
+            'in-unicast-pkts': 0,
+            'in-broadcast-pkts': 0,
+            'in-multicast-pkts': 0,
+            'in-discards': 0,
+            'in-errors': 0,
+            'out-octets': 0,
+            'out-unicast-pkts': 0,
+            'out-broadcast-pkts': 0,
+            'out-multicast-pkts': 0,
+            'out-discards': 0,
+            'out-errors': 0
+        },
+        'ieee802-ethernet-interface:ethernet': {
+            'auto-negotiation': { 'enable': true },
+            'speed': port.speed,
+            'duplex': 'full',
+            'max-frame-length': 10240
+        },
+        'ieee802-dot1q-bridge:bridge-port': {
+            'bridge-name': 'b0',
+            'component-name': 'c0',
+            'port-type': 'ieee802-dot1q-bridge:c-vlan-bridge-port',
+            'pvid': 1,
+            'default-priority': 0,
+            'acceptable-frame': 'admit-all-frames',
+            'enable-ingress-filtering': false,
+            'ieee802-dot1q-sched-bridge:gate-parameter-table': {
+                'gate-enabled': false,
+                'admin-gate-states': 255,
+                'admin-control-list': { 'gate-control-entry': [] },
+                'admin-cycle-time': { 'numerator': 0, 'denominator': 1000000000 },
+                'admin-cycle-time-extension': 0,
+                'admin-base-time': { 'seconds': '0', 'nanoseconds': 0 },
+                'config-change': false,
+                'oper-gate-states': 255,
+                'oper-control-list': { 'gate-control-entry': [] },
+                'oper-cycle-time': { 'numerator': 0, 'denominator': 1000000000 },
+                'oper-cycle-time-extension': 0,
+                'oper-base-time': { 'seconds': '0', 'nanoseconds': 0 },
+                'config-pending': false,
+                'config-change-time': { 'seconds': '0', 'nanoseconds': 0 },
+                'current-time': { 'seconds': '0', 'nanoseconds': 0 },
+                'tick-granularity': 10,
+                'config-change-error': 0,
+                'supported-list-max': 256
+            }
+        },
+        'mchp-velocitysp-port:eth-qos': {
+            'config': { 'traffic-class-shapers': [] }
+        },
+        'mchp-velocitysp-port:eth-port': {
+            'statistics': {
+                'traffic-class': Array.from({ length: 8 }, (_, tc) => ({
+                    'traffic-class': tc,
+                    'rx-packets': 0,
+                    'tx-packets': 0
+                }))
+            }
+        }
+    }));
+
+    return {
+        'ietf-system:system-state': {
+            'platform': {
+                'os-name': 'VelocitySP',
+                'os-release': board.firmware.split('-')[1],
+                'os-version': board.firmware,
+                'machine': board.machine
+            }
+        },
+        'ietf-interfaces:interfaces': {
+            'interface': interfaces
+        },
+        'ieee802-dot1q-bridge:bridges': {
+            'bridge': [{
+                'name': 'b0',
+                'address': '00-04-a3-00-00-00',
+                'bridge-type': 'ieee802-dot1q-bridge:customer-vlan-bridge',
+                'component': [{
+                    'name': 'c0',
+                    'type': 'ieee802-dot1q-bridge:c-vlan-component',
+                    'ports': board.ports.length,
+                    'bridge-port': board.ports.map(p => p.name),
+                    'filtering-database': {
+                        'vlan-registration-entry': [{
+                            'database-id': 0,
+                            'vids': '1',
+                            'entry-type': 'static',
+                            'port-map': board.ports.map(p => ({
+                                'port-ref': Number(p.name),
+                                'static-vlan-registration-entries': {
+                                    'vlan-transmitted': 'untagged'
+                                }
+                            }))
+                        }]
+                    },
+                    'ieee802-dot1q-psfp-bridge:stream-filters': {
+                        'stream-filter-instance-table': [],
+                        'max-stream-filter-instances': board.psfp.streamFilters
+                    },
+                    'ieee802-dot1q-psfp-bridge:stream-gates': {
+                        'stream-gate-instance-table': [],
+                        'max-stream-gate-instances': board.psfp.streamGates,
+                        'supported-list-max': board.psfp.supportedListMax
+                    },
+                    'ieee802-dot1q-psfp-bridge:flow-meters': {
+                        'flow-meter-instance-table': [],
+                        'max-flow-meter-instances': board.psfp.flowMeters
+                    }
+                }]
+            }]
+        },
+        'ieee802-dot1cb-stream-identification:stream-identity': [],
+        'ieee1588-ptp:ptp': {
+            'instances': {
+                'instance': [{
+                    'instance-index': 0,
+                    'default-ds': {
+                        'clock-identity': '00-04-A3-FF-FE-00-00-00',
+                        'priority1': 246,
+                        'priority2': 248,
+                        'domain-number': 0,
+                        'instance-enable': true,
+                        'external-port-config-enable': false,
+                        'max-steps-removed': 255,
+                        'instance-type': 'bc'
+                    },
+                    'parent-ds': {
+                        'parent-port-identity': { 'clock-identity': '00-04-A3-FF-FE-00-01-00', 'port-number': 1 },
+                        'grandmaster-identity': '00-04-A3-FF-FE-00-01-00',
+                        'grandmaster-clock-quality': { 'clock-class': 'ieee1588-ptp:cc-default' },
+                        'grandmaster-priority1': 128,
+                        'grandmaster-priority2': 128
+                    },
+                    'ports': {
+                        'port': board.ports.map((port, index) => ({
+                            'port-index': index + 1,
+                            'port-ds': {
+                                'port-state': !port.up ? 'disabled' : index === 0 ? 'slave' : 'master',
+                                'mean-link-delay': port.up ? String(400 * 65536) : '0',
+                                'log-sync-interval': -3,
+                                'log-min-pdelay-req-interval': 0,
+                                'port-enable': true,
+                                'ieee802-dot1as-ptp:as-capable': port.up
+                            },
+                            'external-port-config-port-ds': { 'desired-state': 'disabled' }
+                        }))
+                    },
+                    'mchp-velocitysp-ptp:servos': {
+                        'servo': [{ 'servo-index': 0, 'servo-type': 'pi', 'ltc-index': 0, 'offset': '0', 'state': 2 }]
+                    },
+                    'mchp-velocitysp-ptp:automotive': { 'profile': 'none' }
+                }]
+            }
+        },
+        'ietf-constrained-yang-library:yang-library': {
+            'checksum': Buffer.from(CATALOG_ID, /^[0-9a-f]+$/.test(CATALOG_ID) ? 'hex' : 'utf8').toString('base64')
+        }
+    };
+}
+
+export class LAN966xSimulator {
+    constructor(options = {}) {
+        this.model = options.model || 'LAN9662';
+        this.board = BOARD_MODELS[this.model];
+        this.protocol = new MUP1Protocol();
+        this.datastore = options.datastore || new YangDatastore(createBoardData(this.model));
+        this.write = options.write || (() => {});
+        this.receiveBuffer = Buffer.alloc(0);
+        this.verbose = options.verbose || false;
+
+        // Block-wise transfers (RFC 7959): largest block the board sends or accepts
+        this.blockSize = options.blockSize || 1024;
+        this.uploads = new Map();   // Block1 bodies being received
+        this.downloads = new Map(); // Block2 representations being sent
+        this.etagCounter = 0;
+
+        // Interfaces whose gate parameters were written with config-change true (tickSchedules)
+        this.scheduleChanges = new Set();
+
+        // SID registry for SID encoded requests (loaded on first use)
+        this.registry = options.registry || null;
+    }
+
+    sidRegistry() {
+        if (!this.registry) {
+            this.registry = SidRegistry.load(SidRegistry.findCatalog());
+            this.log(`[SIM] Loaded ${this.registry.size} SIDs from ${this.registry.dir}`);
+        }
+        return this.registry;
+    }
+
+    /**
+     * Announcement text sent on startup and as ping reply
+     */
+    announcement() {
+        return `${this.board.firmware} 326 300 2`;
+    }
+
+    log(...args) {
+        if (this.verbose) {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * Send a MUP1 frame to the host
+     */
+    send(type, data = Buffer.alloc(0)) {
+        this.write(this.protocol.encodeFrame(type, data));
+    }
+
+    announce() {
+        this.send(this.protocol.COMMANDS.ANNOUNCEMENT, Buffer.from(this.announcement()));
+    }
+
+    /**
+     * Handle bytes received from the host
+     */
+    handleData(data) {
+        this.receiveBuffer = Buffer.concat([this.receiveBuffer, data]);
+
+        const { frames, rest } = this.protocol.extractFrames(this.receiveBuffer);
+        this.receiveBuffer = rest;
+
+        for (const frame of frames) {
+            try {
+                this.handleFrame(this.protocol.decodeFrame(frame));
+            } catch (error) {
+                console.error('[SIM] Frame decode error:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Dispatch a decoded MUP1 frame
+     */
+    handleFrame(frame) {
+        switch (frame.type) {
+            case 'p':
+            case 'P':
+                this.log('[SIM] Ping');
+                this.send(this.protocol.COMMANDS.PING, Buffer.from(this.announcement()));
+                break;
+            case 'C': {
+                const response = this.handleCoap(frame.data);
+                if (response) {
+                    this.send(this.protocol.COMMANDS.COAP, response);
+                }
+                break;
+            }
+            default:
+                this.log(`[SIM] Ignoring frame type '${frame.type}'`);
+        }
+    }
+
+    /**
+     * Parse a CoAP request message
+     */
+    parseRequest(data) {
+        if (data.length < 4) {
+            throw new Error('Invalid CoAP message');
+        }
+
+        const tokenLength = data[0] & 0x0F;
+        const request = {
+            type: (data[0] >> 4) & 0x03,
+            code: data[1],
+            messageId: (data[2] << 8) | data[3],
+            token: data.slice(4, 4 + tokenLength),
+            uriPath: [],
+            uriQuery: [],
+            contentFormat: null,
+            accept: null,
+            block1: null,
+            block2: null,
+            body: null,
+            payload: null
+        };
+
+        const { options, payloadStart } = parseOptionList(data, 4 + tokenLength);
+        for (const { number, value } of options) {
+            if (number === OPTIONS.URI_PATH) {
+                request.uriPath.push(value.toString());
+            } else if (number === OPTIONS.URI_QUERY) {
+                request.uriQuery.push(value.toString());
+            } else if (number === OPTIONS.CONTENT_FORMAT) {
+                request.contentFormat = decodeUint(value);
+            } else if (number === OPTIONS.ACCEPT) {
+                request.accept = decodeUint(value);
+            } else if (number === OPTIONS.BLOCK1) {
+                request.block1 = decodeBlock(value);
+            } else if (number === OPTIONS.BLOCK2) {
+                request.block2 = decodeBlock(value);
+            }
+        }
+
+        // Raw body; decoded once all Block1 blocks are in
+        if (payloadStart < data.length) {
+            request.body = data.slice(payloadStart);
+        }
+
+        return request;
+    }
+
+    /**
+     * Build a piggybacked ACK response
+     * @param {Buffer} body - CBOR encoded payload (or one block of it)
+     * @param {Array} options - Extra [number, Buffer] options
+     * @param {number} contentFormat - Content-Format of the body
+     */
+    buildResponse(request, code, body = null, options = [], contentFormat = COAP.CONTENT_FORMAT_CBOR) {
+        const bytes = [
+            (1 << 6) | (COAP.TYPE_ACK << 4) | request.token.length,
+            code,
+            (request.messageId >> 8) & 0xFF,
+            request.messageId & 0xFF,
+            ...request.token
+        ];
+
+        if (body) {
+            options = [[OPTIONS.CONTENT_FORMAT, encodeUint(contentFormat)], ...options];
+        }
+        bytes.push(...encodeOptionList(options));
+
+        if (body) {
+            bytes.push(0xFF, ...body);
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Collect a Block1 request body
+     * @returns {Object} - { body } once the last block is in, otherwise { response } to send
+     */
+    receiveBlock1(key, request) {
+        const { num, more, size } = request.block1;
+        const upload = num === 0 ? { chunks: [], received: 0 } : this.uploads.get(key);
+
+        if (!upload || upload.received !== num * size) {
+            this.uploads.delete(key);
+            return { response: this.buildResponse(request, COAP.CODES.REQUEST_ENTITY_INCOMPLETE) };
+        }
+
+        const chunk = request.body || Buffer.alloc(0);
+        upload.chunks.push(chunk);
+        upload.received += chunk.length;
+
+        if (more) {
+            this.uploads.set(key, upload);
+            const ack = encodeBlock(num, true, Math.min(size, this.blockSize));
+            return { response: this.buildResponse(request, COAP.CODES.CONTINUE, null, [[OPTIONS.BLOCK1, ack]]) };
+        }
+
+        this.uploads.delete(key);
+        return { body: Buffer.concat(upload.chunks) };
+    }
+
+    /**
+     * Send one block of a stored representation
+     */
+    buildBlock2(request, key) {
+        const download = this.downloads.get(key);
+        const size = Math.min(request.block2 ? request.block2.size : this.blockSize, this.blockSize);
+        const num = request.block2 ? request.block2.num : 0;
+        const offset = num * size;
+        const chunk = download.body.subarray(offset, offset + size);
+        const more = offset + chunk.length < download.body.length;
+
+        const options = [
+            ...download.options,
+            [OPTIONS.ETAG, download.etag],
+            [OPTIONS.BLOCK2, encodeBlock(num, more, size)]
+        ];
+        if (num === 0) {
+            options.push([OPTIONS.SIZE2, encodeUint(download.body.length)]);
+        }
+        if (!more) {
+            this.downloads.delete(key);
+        }
+
+        return this.buildResponse(request, download.code, chunk, options, download.contentFormat);
+    }
+
+    /**
+     * Handle a CoAP request and return the encoded response
+     */
+    handleCoap(data) {
+        let request;
+        try {
+            request = this.parseRequest(data);
+        } catch (error) {
+            console.error('[SIM] Bad CoAP request:', error.message);
+            return null;
+        }
+
+        const method = Object.keys(COAP.METHODS).find(k => COAP.METHODS[k] === request.code) || request.code;
+        const resource = `/${request.uriPath.join('/')}${request.uriQuery.length ? '?' + request.uriQuery.join('&') : ''}`;
+        const key = `${request.code} ${resource}`;
+        this.log(`[SIM] ${method} ${resource}${request.block1 ? ` Block1 ${request.block1.num}` : ''}${request.block2 ? ` Block2 ${request.block2.num}` : ''}`);
+
+        // Block1: collect the whole request body first
+        if (request.block1) {
+            const upload = this.receiveBlock1(key, request);
+            if (upload.response) {
+                return upload.response;
+            }
+            request.body = upload.body;
+        }
+
+        // Block2 continuation: serve the representation stored for block 0
+        // (requests without a body match the latest transfer on the same resource)
+        const downloadKey = `${key} ${request.body ? request.body.toString('hex') : ''}`;
+        if (request.block2 && request.block2.num > 0) {
+            const stored = this.downloads.has(downloadKey)
+                ? downloadKey
+                : !request.body && [...this.downloads.keys()].reverse().find(k => k.startsWith(`${key} `));
+            if (stored) {
+                return this.buildBlock2(request, stored);
+            }
+        }
+
+        try {
+            request.payload = this.decodeBody(request);
+            const datastore = request.uriPath[0] === 'c' && request.uriPath.length === 1;
+            const { code, payload, contentFormat = COAP.CONTENT_FORMAT_CBOR } = !datastore
+                ? this.handleResource(request)
+                : this.isSidRequest(request) ? this.handleSidDatastore(request) : this.handleDatastore(request);
+
+            let body = null;
+            if (payload !== undefined) {
+                body = contentFormat === CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ ? encodeCborSequence(payload) : encodeCbor(payload);
+            }
+            const options = request.block1
+                ? [[OPTIONS.BLOCK1, encodeBlock(request.block1.num, false, request.block1.size)]]
+                : [];
+
+            if (body && (body.length > this.blockSize || request.block2)) {
+                this.downloads.set(downloadKey, { code, body, options, contentFormat, etag: encodeUint(++this.etagCounter) });
+                if (this.downloads.size > 16) {
+                    this.downloads.delete(this.downloads.keys().next().value);
+                }
+                return this.buildBlock2(request, downloadKey);
+            }
+
+            return this.buildResponse(request, code, body, options, contentFormat);
+        } catch (error) {
+            return this.buildResponse(request, COAP.CODES.BAD_REQUEST, encodeCbor(error.message));
+        }
+    }
+
+    /**
+     * Decode the (reassembled) request body; -cbor-seq formats give an array
+     */
+    decodeBody(request) {
+        if (!request.body) {
+            return null;
+        }
+        const sequence = request.contentFormat === CONTENT_FORMATS.YANG_IDENTIFIERS_CBOR_SEQ ||
+            request.contentFormat === CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ;
+        return sequence ? decodeCborSequence(request.body) : decodeCbor(request.body);
+    }
+
+    /**
+     * SID encoded CORECONF request (RFC 9254 Content-Formats)
+     */
+    isSidRequest(request) {
+        return [CONTENT_FORMATS.YANG_IDENTIFIERS_CBOR_SEQ, CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ].includes(request.contentFormat) ||
+            [CONTENT_FORMATS.YANG_DATA_CBOR_SID, CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ].includes(request.accept);
+    }
+
+    /**
+     * Datastore request with SIDs: translate to paths, run it, translate the result back
+     */
+    handleSidDatastore(request) {
+        const registry = this.sidRegistry();
+        const { METHODS } = COAP;
+
+        if (request.code === METHODS.FETCH) {
+            request.payload = (request.payload || []).map(identifier => registry.decodeIdentifier(identifier));
+        } else if (request.payload) {
+            request.payload = registry.decodeInstances(request.payload);
+        }
+
+        const result = this.handleDatastore(request);
+        if (!result.payload || typeof result.payload !== 'object') {
+            return result;
+        }
+
+        return request.code === METHODS.GET
+            ? { ...result, payload: registry.encodeDatastore(result.payload), contentFormat: CONTENT_FORMATS.YANG_DATA_CBOR_SID }
+            : { ...result, payload: registry.encodeInstances(result.payload), contentFormat: CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ };
+    }
+
+    /**
+     * Requests on the CORECONF datastore resource /c
+     */
+    handleDatastore(request) {
+        const { METHODS, CODES } = COAP;
+
+        switch (request.code) {
+            case METHODS.GET:
+                this.tickSchedules();
+                return { code: CODES.CONTENT, payload: this.datastore.toEntries() };
+
+            case METHODS.FETCH: {
+                this.tickSchedules();
+                const paths = Array.isArray(request.payload) ? request.payload : [request.payload];
+                const entries = [];
+                for (const path of paths) {
+                    const value = this.datastore.get(path);
+                    if (value === undefined) {
+                        return { code: CODES.NOT_FOUND, payload: `Not found: ${path}` };
+                    }
+                    entries.push({ [path]: value });
+                }
+                return { code: CODES.CONTENT, payload: entries };
+            }
+
+            case METHODS.IPATCH:
+            case METHODS.PUT:
+                for (const [path, value] of this.entriesOf(request.payload)) {
+                    if (value === null) {
+                        this.datastore.delete(path);
+                    } else if (request.code === METHODS.PUT) {
+                        this.datastore.replace(path, value);
+                    } else {
+                        this.datastore.merge(path, value);
+                    }
+                    // Writing config-change true starts the list config state machine
+                    const name = /gate-parameter-table/.test(path) && JSON.stringify(value).includes('"config-change":true')
+                        ? path.match(/interface\[name='([^']+)'\]/)?.[1] : null;
+                    if (name) {
+                        this.scheduleChanges.add(name);
+                    }
+                }
+                this.tickSchedules();
+                return { code: CODES.CHANGED };
+
+            case METHODS.POST:
+                // RPC/action: acknowledge with empty output
+                return { code: CODES.CHANGED, payload: this.entriesOf(request.payload).map(([path]) => ({ [path]: {} })) };
+
+            default:
+                return { code: CODES.METHOD_NOT_ALLOWED };
+        }
+    }
+
+    /**
+     * Requests where the YANG path is carried in Uri-Path segments
+     */
+    handleResource(request) {
+        const { METHODS, CODES } = COAP;
+        const path = '/' + request.uriPath.join('/');
+
+        switch (request.code) {
+            case METHODS.GET: {
+                const value = this.datastore.get(path);
+                return value === undefined
+                    ? { code: CODES.NOT_FOUND }
+                    : { code: CODES.CONTENT, payload: [{ [path]: value }] };
+            }
+            case METHODS.PUT: {
+                const created = this.datastore.replace(path, request.payload);
+                return { code: created ? CODES.CREATED : CODES.CHANGED };
+            }
+            case METHODS.IPATCH: {
+                const created = this.datastore.merge(path, request.payload);
+                return { code: created ? CODES.CREATED : CODES.CHANGED };
+            }
+            case METHODS.DELETE:
+                return { code: this.datastore.delete(path) ? CODES.DELETED : CODES.NOT_FOUND };
+            default:
+                return { code: CODES.METHOD_NOT_ALLOWED };
+        }
+    }
+
+    /**
+     * Normalize a { path: value } map or a list of such maps into [path, value] pairs
+     */
+    entriesOf(payload) {
+        const maps = Array.isArray(payload) ? payload : [payload];
+        return maps
+            .filter(m => m && typeof m === 'object')
+            .flatMap(m => Object.entries(m));
+    }
+
+    /**
+     * Advance port counters as if traffic was flowing on the links that are up
+     */
+    tick() {
+        const interfaces = this.datastore.resolve('/ietf-interfaces:interfaces/interface');
+        if (!interfaces) return;
+
+        for (const iface of interfaces.value) {
+            if (iface['oper-status'] !== 'up') continue;
+
+            const stats = iface.statistics;
+            const frames = 800 + Math.floor(Math.random() * 400);
+            stats['in-unicast-pkts'] += frames;
+            stats['out-unicast-pkts'] += frames;
+            stats['in-octets'] += frames * 512;
+            stats['out-octets'] += frames * 512;
+            stats['in-multicast-pkts'] += 2;
+            stats['out-multicast-pkts'] += 2;
+
+            const tcStats = iface['mchp-velocitysp-port:eth-port'].statistics['traffic-class'];
+            tcStats.forEach((tc, index) => {
+                const share = index === 0 ? frames : Math.floor(frames / (index + 4));
+                tc['rx-packets'] += share;
+                tc['tx-packets'] += share;
+            });
+        }
+
+        this.tickPtp(interfaces.value);
+        this.tickSchedules();
+    }
+
+    /**
+     * Run the 802.1Qbv list config state machine on every gate-parameter-table: the clock
+     * (current-time) follows the host clock, a config-change write latches the admin schedule
+     * with its config-change-time and the admin values become oper once that time is reached.
+     * A base time in the past starts at the next whole cycle after it. Like the board,
+     * config-change keeps reading back true after the attempt.
+     */
+    tickSchedules() {
+        const interfaces = this.datastore.resolve('/ietf-interfaces:interfaces/interface');
+        if (!interfaces) return;
+
+        const now = BigInt(Date.now()) * 1000000n;
+        const ptpTime = ns => ({ 'seconds': String(ns / 1000000000n), 'nanoseconds': Number(ns % 1000000000n) });
+        const nsOf = time => BigInt(time?.seconds || 0) * 1000000000n + BigInt(time?.nanoseconds || 0);
+
+        for (const iface of interfaces.value) {
+            const table = iface['ieee802-dot1q-bridge:bridge-port']?.['ieee802-dot1q-sched-bridge:gate-parameter-table'];
+            if (!table) continue;
+
+            table['current-time'] = ptpTime(now);
+
+            if (this.scheduleChanges.delete(iface.name)) {
+                const cycle = table['admin-cycle-time'] || {};
+                const cycleTime = cycle.denominator ? BigInt(Math.round(1e9 * cycle.numerator / cycle.denominator)) : 0n;
+                let changeTime = nsOf(table['admin-base-time']);
+                if (changeTime < now) {
+                    if (cycleTime > 0n) {
+                        changeTime += ((now - changeTime) / cycleTime + 1n) * cycleTime;
+                    } else {
+                        table['config-change-error'] = (table['config-change-error'] || 0) + 1;
+                        changeTime = now;
+                    }
+                }
+                table['config-change-time'] = ptpTime(changeTime);
+                table['config-pending'] = true;
+            }
+
+            if (table['config-pending'] && nsOf(table['config-change-time']) <= now) {
+                for (const leaf of ['gate-states', 'control-list', 'cycle-time', 'cycle-time-extension', 'base-time']) {
+                    if (table[`admin-${leaf}`] !== undefined) {
+                        table[`oper-${leaf}`] = structuredClone(table[`admin-${leaf}`]);
+                    }
+                }
+                table['config-pending'] = false;
+            }
+        }
+    }
+
+    /**
+     * Follow the PTP settings: port states from link, enable and role, a servo offset that
+     * wanders around zero while a port is slave, and link delay jitter on ports that are up
+     */
+    tickPtp(interfaces) {
+        const ptp = this.datastore.resolve('/ieee1588-ptp:ptp/instances/instance');
+        if (!ptp) return;
+
+        for (const instance of ptp.value) {
+            const defaults = instance['default-ds'] || {};
+            const ports = instance.ports?.port || [];
+            const active = ports.filter(port => defaults['instance-enable'] && port['port-ds']?.['port-enable'] !== false
+                && interfaces[port['port-index'] - 1]?.['oper-status'] === 'up');
+            for (const port of ports) {
+                const ds = port['port-ds'] || (port['port-ds'] = {});
+                const up = interfaces[port['port-index'] - 1]?.['oper-status'] === 'up';
+                if (!active.includes(port)) {
+                    ds['port-state'] = 'disabled';
+                } else if (defaults['external-port-config-enable']) {
+                    ds['port-state'] = port['external-port-config-port-ds']?.['desired-state'] || 'listening';
+                } else {
+                    // Only the parent port (parent-ds) leads to the grandmaster
+                    ds['port-state'] = port['port-index'] === instance['parent-ds']?.['parent-port-identity']?.['port-number'] ? 'slave' : 'master';
+                }
+                ds['mean-link-delay'] = up ? String(Math.round((400 + (Math.random() - 0.5) * 20) * 65536)) : '0';
+                ds['ieee802-dot1as-ptp:as-capable'] = up && ds['port-state'] !== 'disabled';
+            }
+
+            const locked = ports.some(port => port['port-ds']?.['port-state'] === 'slave');
+            for (const servo of instance['mchp-velocitysp-ptp:servos']?.servo || []) {
+                const offset = Number(servo.offset) || 0;
+                servo.offset = String(locked ? Math.round(offset * 0.5 + (Math.random() - 0.5) * 40) : offset + 5000);
+                servo.state = locked ? 2 : 0;
+            }
+        }
+    }
+}
+
+/**
+ * Create a linked pseudo-terminal pair with socat
+ * @returns {Promise<Object>} - { devicePath, clientPath, process }
+ */
+export function openPtyPair(clientPath) {
+    const devicePath = `${clientPath}.sim`;
+
+    return new Promise((resolve, reject) => {
+        const proc = spawn('socat', [
+            `pty,raw,echo=0,link=${devicePath}`,
+            `pty,raw,echo=0,link=${clientPath}`
+        ], { stdio: ['ignore', 'ignore', 'inherit'] });
+
+        proc.on('error', (error) => {
+            reject(new Error(`Failed to start socat (is it installed?): ${error.message}`));
+        });
+
+        const startTime = Date.now();
+        const waitForLinks = () => {
+            if (existsSync(devicePath) && existsSync(clientPath)) {
+                resolve({ devicePath, clientPath, process: proc });
+            } else if (proc.exitCode !== null) {
+                reject(new Error(`socat exited with code ${proc.exitCode}`));
+            } else if (Date.now() - startTime > 5000) {
+                proc.kill();
+                reject(new Error('Timed out waiting for pseudo-terminals'));
+            } else {
+                setTimeout(waitForLinks, 100);
+            }
+        };
+        waitForLinks();
+    });
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+    };
+
+    const model = option('--model', 'LAN9662').toUpperCase();
+    const link = option('--link', '/tmp/ttyLAN966x');
+    const tickInterval = parseInt(option('--tick', '1000'));
+
+    if (!BOARD_MODELS[model]) {
+        console.error(`Unknown model: ${model} (supported: ${Object.keys(BOARD_MODELS).join(', ')})`);
+        process.exit(1);
+    }
+
+    const pty = await openPtyPair(link);
+    const port = new SerialPort({ path: pty.devicePath, baudRate: 115200, autoOpen: false });
+    await new Promise((resolve, reject) => port.open(err => err ? reject(err) : resolve()));
+
+    const simulator = new LAN966xSimulator({
+        model,
+        verbose: args.includes('--verbose'),
+        write: (frame) => port.write(frame)
+    });
+    port.on('data', (data) => simulator.handleData(data));
+    simulator.announce();
+
+    if (tickInterval > 0) {
+        setInterval(() => simulator.tick(), tickInterval);
+    }
+
+    console.log('╔══════════════════════════════════════════════════════╗');
+    console.log('║  LAN966x Device Simulator (MUP1 + CoAP)              ║');
+    console.log('╚══════════════════════════════════════════════════════╝');
+    console.log('');
+    console.log(`🧪 Model: ${model} (${simulator.board.ports.length} ports)`);
+    console.log(`📡 Device: ${pty.clientPath}`);
+    console.log('');
+    console.log(`   ./mvdct.js ${pty.clientPath} get /ietf-system:system-state/platform`);
+    console.log(`   MVDCT_DEVICE=${pty.clientPath} node web-server.js`);
+    console.log('');
+    console.log('Press Ctrl+C to stop the simulator');
+
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Shutting down simulator...');
+        port.close();
+        pty.process.kill();
+        process.exit(0);
+    });
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch((error) => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
+}
+
+export default LAN966xSimulator;
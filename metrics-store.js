@@ -0,0 +1,417 @@
+/**
+ * Time-Series Metrics Store
+ * Keeps counter samples of one board on disk in fixed-size rings, one file per series:
+ *
+ *   board-data/<board>/metrics/<series>.ring
+ *
+ * A series is a counter that only goes up ('port/1/in-octets', 'tc/1/3/tx-packets'). Each
+ * file holds one ring per tier: raw samples at the collection interval, then coarser tiers
+ * that keep the last sample of every minute and every hour. Counters are stored as read, so
+ * every tier gives exact deltas and average rates between its points; a counter that goes
+ * backwards is taken as reset to zero. The retention of a tier fixes the size of its ring,
+ * so files never grow (they are created sparse and fill up as samples arrive).
+ *
+ *   store.record(timestamp, { [series]: value })
+ *   store.query(['port/1/*-octets'], { from, to, points, step })
+ *     → { tier, step, series: [{ name, points: [{ t, value, delta, rate }] }] }
+ */
+
+import { closeSync, existsSync, ftruncateSync, mkdirSync, openSync, readdirSync, readSync, renameSync, statSync, unlinkSync, writeSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Sample interval and retention of the raw, 1 minute and 1 hour tiers
+ */
+export const DEFAULT_INTERVAL = 10000;
+export const DEFAULT_RETENTION = ['6h', '7d', '90d'];
+
+const DOWNSAMPLE_STEPS = [60000, 3600000];
+const DEFAULT_POINTS = 360;
+
+// File layout (little endian): file header, one header per tier, then the tier rings
+// file header: magic 'TSR1', tier count, 8 reserved bytes
+// tier header: step (ms), capacity, head (next slot), count
+// record:      timestamp (ms, float64), counter value (float64)
+const MAGIC = 0x31525354;
+const FILE_HEADER = 16;
+const TIER_HEADER = 16;
+const RECORD = 16;
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * '90s', '15m', '6h', '7d' (or a number of ms) → ms; NaN when unreadable
+ */
+export function parseDuration(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/.exec(String(value ?? '').trim());
+    return match ? Math.round(Number(match[1]) * UNITS[match[2] || 'ms']) : NaN;
+}
+
+function stepName(step) {
+    return step % UNITS.h === 0 ? `${step / UNITS.h}h` : step % UNITS.m === 0 ? `${step / UNITS.m}m` : `${step / 1000}s`;
+}
+
+/**
+ * Series name pattern → RegExp; '*' matches within one path segment
+ */
+function seriesPattern(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+    return new RegExp(`^${source}$`);
+}
+
+function encodeRecord(timestamp, value) {
+    const buffer = Buffer.alloc(RECORD);
+    buffer.writeDoubleLE(timestamp, 0);
+    buffer.writeDoubleLE(value, 8);
+    return buffer;
+}
+
+function encodeTierHeader(tier, state) {
+    const buffer = Buffer.alloc(TIER_HEADER);
+    buffer.writeUInt32LE(tier.step, 0);
+    buffer.writeUInt32LE(tier.capacity, 4);
+    buffer.writeUInt32LE(state.head, 8);
+    buffer.writeUInt32LE(state.count, 12);
+    return buffer;
+}
+
+function readAt(fd, length, position) {
+    const buffer = Buffer.alloc(length);
+    const read = readSync(fd, buffer, 0, length, position);
+    return read === length ? buffer : null;
+}
+
+/**
+ * Records of a ring, oldest first
+ */
+function ringRecords(buffer, capacity, head, count) {
+    const records = [];
+    const first = count < capacity ? 0 : head;
+    for (let i = 0; i < count; i++) {
+        const offset = ((first + i) % capacity) * RECORD;
+        records.push([buffer.readDoubleLE(offset), buffer.readDoubleLE(offset + 8)]);
+    }
+    return records;
+}
+
+export class MetricsStore {
+    /**
+     * @param {string} dir - metrics directory (created on first record)
+     * @param {Object} options - { device, interval (ms), retention: [raw, 1m, 1h] as ms or '6h'-style durations }
+     */
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.device = options.device || null;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+
+        const retention = (options.retention || DEFAULT_RETENTION).map(parseDuration);
+        const steps = [this.interval, ...DOWNSAMPLE_STEPS];
+        this.tiers = steps
+            .map((step, index) => ({
+                name: index === 0 ? 'raw' : stepName(step),
+                step,
+                retention: retention[index] ?? parseDuration(DEFAULT_RETENTION[index])
+            }))
+            // A tier no coarser than the samples would only repeat the raw ring
+            .filter((tier, index) => index === 0 || tier.step > this.interval)
+            .map(tier => ({ ...tier, capacity: Math.max(1, Math.ceil(tier.retention / tier.step)) }));
+
+        // series → { tiers: [{ head, count, last: [t, value] | null }] }
+        this.rings = new Map();
+    }
+
+    fileOf(name) {
+        return join(this.dir, `${encodeURIComponent(name)}.ring`);
+    }
+
+    tierOffset(index) {
+        let offset = FILE_HEADER + TIER_HEADER * this.tiers.length;
+        for (let i = 0; i < index; i++) {
+            offset += this.tiers[i].capacity * RECORD;
+        }
+        return offset;
+    }
+
+    /**
+     * Read the rings of a series file: null when missing or unreadable,
+     * otherwise [{ step, capacity, head, count, records }] in file order
+     */
+    readFile(file) {
+        if (!existsSync(file)) {
+            return null;
+        }
+        const fd = openSync(file, 'r');
+        try {
+            const header = readAt(fd, FILE_HEADER, 0);
+            if (!header || header.readUInt32LE(0) !== MAGIC) {
+                return null;
+            }
+            const count = header.readUInt32LE(4);
+            const headers = readAt(fd, TIER_HEADER * count, FILE_HEADER);
+            if (!headers) {
+                return null;
+            }
+
+            const tiers = [];
+            let offset = FILE_HEADER + TIER_HEADER * count;
+            for (let i = 0; i < count; i++) {
+                const tier = {
+                    step: headers.readUInt32LE(i * TIER_HEADER),
+                    capacity: headers.readUInt32LE(i * TIER_HEADER + 4),
+                    head: headers.readUInt32LE(i * TIER_HEADER + 8),
+                    count: headers.readUInt32LE(i * TIER_HEADER + 12)
+                };
+                if (tier.capacity === 0 || tier.head >= tier.capacity || tier.count > tier.capacity) {
+                    return null;
+                }
+                // Sparse files read back zeros past the last write
+                const ring = Buffer.alloc(tier.capacity * RECORD);
+                readSync(fd, ring, 0, ring.length, offset);
+                tier.records = ringRecords(ring, tier.capacity, tier.head, tier.count);
+                tiers.push(tier);
+                offset += tier.capacity * RECORD;
+            }
+            return tiers;
+        } finally {
+            closeSync(fd);
+        }
+    }
+
+    /**
+     * Write a series file with the current tier layout, keeping the newest records per tier
+     */
+    writeFile(file, records) {
+        const states = this.tiers.map((tier, index) => {
+            const kept = (records[index] || []).slice(-tier.capacity);
+            return { kept, head: kept.length % tier.capacity, count: kept.length, last: kept[kept.length - 1] ?? null };
+        });
+
+        const temp = `${file}.tmp`;
+        const fd = openSync(temp, 'w');
+        try {
+            ftruncateSync(fd, this.tierOffset(this.tiers.length));
+            const header = Buffer.alloc(FILE_HEADER);
+            header.writeUInt32LE(MAGIC, 0);
+            header.writeUInt32LE(this.tiers.length, 4);
+            writeSync(fd, header, 0, FILE_HEADER, 0);
+            this.tiers.forEach((tier, index) => {
+                writeSync(fd, encodeTierHeader(tier, states[index]), 0, TIER_HEADER, FILE_HEADER + index * TIER_HEADER);
+                if (states[index].kept.length > 0) {
+                    const ring = Buffer.concat(states[index].kept.map(([t, value]) => encodeRecord(t, value)));
+                    writeSync(fd, ring, 0, ring.length, this.tierOffset(index));
+                }
+            });
+        } finally {
+            closeSync(fd);
+        }
+        renameSync(temp, file);
+        return { tiers: states.map(({ head, count, last }) => ({ head, count, last })) };
+    }
+
+    /**
+     * Ring state of a series, creating the file, or rebuilding it when the tier layout changed
+     * (records of tiers whose step is unchanged are kept)
+     */
+    load(name) {
+        if (this.rings.has(name)) {
+            return this.rings.get(name);
+        }
+
+        const file = this.fileOf(name);
+        const existing = this.readFile(file);
+        let ring;
+        if (existing && existing.length === this.tiers.length
+            && existing.every((tier, index) => tier.step === this.tiers[index].step && tier.capacity === this.tiers[index].capacity)) {
+            ring = { tiers: existing.map(({ head, count, records }) => ({ head, count, last: records[records.length - 1] ?? null })) };
+        } else {
+            if (existsSync(file)) {
+                console.warn(`[METRICS] ${this.device || this.dir}: ${existing ? 'tier layout changed' : 'unreadable file'}, rebuilding ${name}`);
+            }
+            ring = this.writeFile(file, this.tiers.map(tier => existing?.find(old => old.step === tier.step)?.records || []));
+        }
+        this.rings.set(name, ring);
+        return ring;
+    }
+
+    /**
+     * Append one sample per series
+     * @param {number} timestamp - ms since the epoch
+     * @param {Object} values - { [series]: counter value }
+     * @returns {number} - samples written (older or repeated timestamps are skipped)
+     */
+    record(timestamp, values) {
+        if (!existsSync(this.dir)) {
+            mkdirSync(this.dir, { recursive: true });
+        }
+
+        let written = 0;
+        for (const [name, value] of Object.entries(values)) {
+            if (!Number.isFinite(value)) {
+                continue;
+            }
+            try {
+                if (this.append(name, timestamp, value)) {
+                    written++;
+                }
+            } catch (error) {
+                console.error(`[METRICS] ${this.device || this.dir}: could not write ${name}:`, error.message);
+                this.rings.delete(name);
+            }
+        }
+        return written;
+    }
+
+    append(name, timestamp, value) {
+        const ring = this.load(name);
+        const raw = ring.tiers[0];
+        if (raw.last && timestamp <= raw.last[0]) {
+            return false;
+        }
+
+        const fd = openSync(this.fileOf(name), 'r+');
+        try {
+            this.tiers.forEach((tier, index) => {
+                const state = ring.tiers[index];
+                // Coarser tiers keep the last sample of each step: overwrite the newest slot within a step
+                const replace = index > 0 && state.last !== null
+                    && Math.floor(state.last[0] / tier.step) === Math.floor(timestamp / tier.step);
+                const slot = replace ? (state.head + tier.capacity - 1) % tier.capacity : state.head;
+
+                writeSync(fd, encodeRecord(timestamp, value), 0, RECORD, this.tierOffset(index) + slot * RECORD);
+                if (!replace) {
+                    state.head = (state.head + 1) % tier.capacity;
+                    state.count = Math.min(state.count + 1, tier.capacity);
+                    writeSync(fd, encodeTierHeader(tier, state), 0, TIER_HEADER, FILE_HEADER + index * TIER_HEADER);
+                }
+                state.last = [timestamp, value];
+            });
+        } finally {
+            closeSync(fd);
+        }
+        return true;
+    }
+
+    /**
+     * Names of the stored series, all or those matching any of the patterns
+     */
+    list(patterns = null) {
+        if (!existsSync(this.dir)) {
+            return [];
+        }
+        const matchers = patterns ? patterns.map(seriesPattern) : null;
+        return readdirSync(this.dir)
+            .filter(file => file.endsWith('.ring'))
+            .map(file => decodeURIComponent(file.slice(0, -'.ring'.length)))
+            .filter(name => !matchers || matchers.some(matcher => matcher.test(name)))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    /**
+     * Records of one tier of a series, oldest first
+     */
+    readTier(name, index) {
+        const tier = this.tiers[index];
+        const ring = this.load(name);
+        const state = ring.tiers[index];
+        const fd = openSync(this.fileOf(name), 'r');
+        try {
+            const buffer = Buffer.alloc(tier.capacity * RECORD);
+            readSync(fd, buffer, 0, buffer.length, this.tierOffset(index));
+            return ringRecords(buffer, tier.capacity, state.head, state.count);
+        } finally {
+            closeSync(fd);
+        }
+    }
+
+    /**
+     * Points of the series matching the patterns in [from, to]
+     * The finest tier that still holds `from` (and is not finer than `step`) is read, then
+     * thinned to about `points` points by keeping the last sample of each bucket. Each point
+     * has the counter value, the delta since the previous point and the rate per second.
+     * @param {Array} patterns - series names or patterns ('*' within a segment)
+     * @param {Object} options - { from, to (ms, default now), points (default 360), step (ms) }
+     */
+    query(patterns, options = {}) {
+        const now = Date.now();
+        const to = options.to ?? now;
+        const from = options.from ?? to - UNITS.h;
+        const points = options.points || DEFAULT_POINTS;
+        const step = options.step || 0;
+
+        let index = this.tiers.findIndex(tier => now - tier.retention <= from && tier.step >= step);
+        if (index === -1) {
+            index = this.tiers.length - 1;
+        }
+        const tier = this.tiers[index];
+        const bucket = Math.max(step, tier.step, Math.ceil((to - from) / points / tier.step) * tier.step);
+
+        const series = this.list(patterns).map(name => {
+            const records = this.readTier(name, index).filter(([t]) => t <= to);
+            const start = records.findIndex(([t]) => t >= from);
+            if (start === -1) {
+                return { name, points: [] };
+            }
+
+            let inRange = records.slice(start);
+            if (bucket > tier.step) {
+                inRange = inRange.filter(([t], i) => i === inRange.length - 1 || Math.floor(inRange[i + 1][0] / bucket) !== Math.floor(t / bucket));
+            }
+            // The record before the range gives the first point its delta
+            const kept = start > 0 ? [records[start - 1], ...inRange] : inRange;
+
+            const result = [];
+            kept.forEach(([t, value], i) => {
+                const previous = kept[i - 1];
+                if (t < from) {
+                    return;
+                }
+                const delta = previous ? (value >= previous[1] ? value - previous[1] : value) : null;
+                result.push({
+                    t,
+                    value,
+                    delta,
+                    rate: previous && t > previous[0] ? delta * 1000 / (t - previous[0]) : null
+                });
+            });
+            return { name, points: result };
+        });
+
+        return { from, to, tier: tier.name, step: bucket, series };
+    }
+
+    /**
+     * Delete series files not written within the longest retention (ports that went away)
+     * @returns {number} - files removed
+     */
+    prune() {
+        if (!existsSync(this.dir)) {
+            return 0;
+        }
+        const limit = Date.now() - Math.max(...this.tiers.map(tier => tier.retention));
+        let removed = 0;
+        for (const file of readdirSync(this.dir)) {
+            const path = join(this.dir, file);
+            if ((file.endsWith('.ring') || file.endsWith('.tmp')) && statSync(path).mtimeMs < limit) {
+                unlinkSync(path);
+                this.rings.delete(decodeURIComponent(file.replace(/\.ring$|\.tmp$/, '')));
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Tier layout for API responses
+     */
+    describe() {
+        return {
+            interval: this.interval,
+            tiers: this.tiers.map(({ name, step, retention, capacity }) => ({ name, step, retention, capacity }))
+        };
+    }
+}
+
+export default MetricsStore;
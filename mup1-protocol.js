@@ -13,7 +13,8 @@ export class MUP1Protocol {
         this.COMMANDS = {
             ANNOUNCEMENT: 0x41, // 'A'
             COAP: 0x43,        // 'C'
-            PING: 0x50,        // 'P'
+            PING_REQUEST: 0x70, // 'p'
+            PING: 0x50,        // 'P' (ping response, carries the announcement)
             TRACE: 0x54,       // 'T'
             SYSTEM: 0x53       // 'S'
         };
@@ -69,10 +70,11 @@ export class MUP1Protocol {
             }
         }
 
-        // End of frame (single or double based on message size)
+        // End of frame, doubled when needed to make SOF..EOF an even length
+        // (captured ping from a board: ">p<<8553")
         frame.push(this.EOF);
-        if (frame.length % 2 === 0) {
-            frame.push(this.EOF); // Add padding for even-sized messages
+        if (frame.length % 2 !== 0) {
+            frame.push(this.EOF); // Add padding for odd-sized messages
         }
 
         // Calculate and add checksum
@@ -104,19 +106,17 @@ export class MUP1Protocol {
         let i = 2;
         let escaping = false;
 
-        // Decode data until EOF
+        // Decode data until EOF (an escaped '<' is data, not EOF)
         while (i < buffer.length - 4) {
             const byte = buffer[i];
 
-            if (byte === this.EOF) {
-                break;
-            }
-
             if (escaping) {
                 data.push(this.UNESCAPE_MAP[byte] ?? byte);
                 escaping = false;
             } else if (byte === this.ESCAPE) {
                 escaping = true;
+            } else if (byte === this.EOF) {
+                break;
             } else {
                 data.push(byte);
             }
@@ -124,12 +124,12 @@ export class MUP1Protocol {
             i++;
         }
 
-        // Verify checksum
-        const frameEnd = buffer.indexOf(this.EOF, 2);
+        // Verify checksum (covers SOF through EOF, including the padding EOF)
+        const frameEnd = i;
         const checksumStart = buffer[frameEnd + 1] === this.EOF ? frameEnd + 2 : frameEnd + 1;
         const providedChecksum = buffer.toString('ascii', checksumStart, checksumStart + 4).toUpperCase();
 
-        const frameForChecksum = buffer.slice(0, frameEnd + 1);
+        const frameForChecksum = buffer.slice(0, checksumStart);
         const calculatedChecksum = this.calculateChecksum(frameForChecksum).toString(16).toUpperCase().padStart(4, '0');
 
         if (providedChecksum !== calculatedChecksum) {
@@ -143,6 +143,59 @@ export class MUP1Protocol {
         };
     }
 
+    /**
+     * Length of the complete frame at the start of buffer
+     * @param {Buffer} buffer - Received bytes starting with SOF
+     * @returns {number} - Frame length including checksum, or 0 if incomplete
+     */
+    frameLength(buffer) {
+        let i = 2;
+        while (i < buffer.length && buffer[i] !== this.EOF) {
+            i += buffer[i] === this.ESCAPE ? 2 : 1;
+        }
+
+        // Need the byte after EOF to tell padding from checksum
+        if (i + 1 >= buffer.length) {
+            return 0;
+        }
+
+        const checksumStart = buffer[i + 1] === this.EOF ? i + 2 : i + 1;
+        const length = checksumStart + 4;
+        return buffer.length >= length ? length : 0;
+    }
+
+    /**
+     * Split received bytes into complete frames
+     * @param {Buffer} buffer - Receive buffer
+     * @returns {Object} - { frames: Buffer[], rest: Buffer } where rest is kept for the next chunk
+     */
+    extractFrames(buffer) {
+        const frames = [];
+        let rest = buffer;
+
+        while (rest.length > 0) {
+            const sofIndex = rest.indexOf(this.SOF);
+            if (sofIndex === -1) {
+                rest = Buffer.alloc(0);
+                break;
+            }
+
+            if (sofIndex > 0) {
+                rest = rest.slice(sofIndex);
+            }
+
+            const length = this.frameLength(rest);
+            if (length === 0) {
+                break; // Wait for more data
+            }
+
+            frames.push(rest.slice(0, length));
+            rest = rest.slice(length);
+        }
+
+        return { frames, rest };
+    }
+
     /**
      * Calculate 16-bit one's complement checksum
      */
@@ -174,10 +227,10 @@ export class MUP1Protocol {
     }
 
     /**
-     * Create a ping frame
+     * Create a ping frame (the board answers with 'P' + announcement)
      */
     createPing() {
-        return this.encodeFrame(this.COMMANDS.PING);
+        return this.encodeFrame(this.COMMANDS.PING_REQUEST);
     }
 }
 
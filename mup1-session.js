@@ -0,0 +1,430 @@
+/**
+ * Persistent MUP1 Session
+ * Keeps one serial port open per device and pipelines CoAP requests over it,
+ * instead of opening the port (or spawning mvdct) for every request.
+ *
+ * Connection state machine:
+ *   disconnected → opening → announcing → ready ⇄ degraded
+ * A lost port fails in-flight requests at once and is reopened with exponential backoff;
+ * a ping watchdog marks a silent board degraded and reopens the port after repeated misses.
+ */
+
+import { EventEmitter } from 'events';
+import { SerialPort } from 'serialport';
+import { MUP1Protocol } from './mup1-node.js';
+import { CoAPClient } from './coap-node.js';
+
+export const SESSION_STATES = ['disconnected', 'opening', 'announcing', 'ready', 'degraded'];
+
+export class Mup1Session extends EventEmitter {
+    /**
+     * @param {string} device - Serial device path
+     * @param {Object} options - { baudRate, timeout, window, blockSize, announceTimeout, port, createPort, log,
+     *                             reconnectDelay, maxReconnectDelay, watchdogInterval, watchdogMisses }
+     *   window: max CoAP requests in flight at once (message IDs keep them apart)
+     *   blockSize: preferred CoAP block size for large reads/writes
+     *   port: pre-opened duplex with write()/on('data') (tests, simulator, mvdct.js); never reopened
+     *   createPort: factory for the ports the session opens itself (default: serialport, autoOpen off)
+     *   log: logger for session and CoAP TX/RX lines (default console.log)
+     *   reconnectDelay / maxReconnectDelay: backoff after a lost port, doubled per failed attempt
+     *   watchdogInterval: ping period while open (0 disables); watchdogMisses: misses before reopening
+     */
+    constructor(device, options = {}) {
+        super();
+        this.device = device;
+        this.baudRate = options.baudRate || 115200;
+        this.timeout = options.timeout || 10000;
+        this.window = options.window || 4;
+        this.blockSize = options.blockSize;
+        this.announceTimeout = options.announceTimeout ?? 2000;
+        this.log = options.log || console.log;
+
+        this.reconnectDelay = options.reconnectDelay ?? 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay ?? 30000;
+        this.watchdogInterval = options.watchdogInterval ?? 10000;
+        this.watchdogMisses = options.watchdogMisses ?? 3;
+
+        this.protocol = new MUP1Protocol();
+        this.port = options.port || null;
+        this.ownsPort = !options.port;
+        this.createPort = options.createPort || ((portOptions) => new SerialPort(portOptions));
+        this.coap = null;
+        this.opening = null;
+        this.announcement = null;
+
+        // Connection state
+        this.state = 'disconnected';
+        this.stateSince = new Date().toISOString();
+        this.lastError = null;
+        this.closing = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.nextRetryAt = null;
+        this.watchdogTimer = null;
+        this.missedPings = 0;
+
+        // Pipelining window
+        this.inFlight = 0;
+        this.waiting = [];
+
+        this.stats = {
+            requests: 0,
+            errors: 0,
+            totalTime: 0,
+            openedAt: null,
+            reconnects: 0
+        };
+    }
+
+    get isOpen() {
+        return this.coap !== null;
+    }
+
+    /**
+     * Move to a new connection state and emit 'state'
+     */
+    setState(state, error = null) {
+        if (error) {
+            this.lastError = error.message;
+        } else if (state === 'ready') {
+            this.lastError = null;
+        }
+        if (state === this.state) {
+            return;
+        }
+
+        const previous = this.state;
+        this.state = state;
+        this.stateSince = new Date().toISOString();
+        this.log(`[MUP1] ${this.device}: ${previous} → ${state}${error ? ` (${error.message})` : ''}`);
+        this.emit('state', { ...this.describeState(), previous });
+    }
+
+    /**
+     * Open the serial port once and wait for the board announcement
+     */
+    open() {
+        if (this.coap) {
+            return Promise.resolve();
+        }
+        if (!this.opening) {
+            this.closing = false;
+            this.cancelReconnect();
+            this.opening = this.connect().finally(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
+
+    async connect() {
+        this.setState('opening');
+
+        try {
+            if (!this.port) {
+                if (!this.ownsPort) {
+                    throw new Error(`Port closed: ${this.device}`);
+                }
+                const port = this.createPort({
+                    path: this.device,
+                    baudRate: this.baudRate,
+                    dataBits: 8,
+                    parity: 'none',
+                    stopBits: 1,
+                    autoOpen: false
+                });
+
+                await new Promise((resolve, reject) => {
+                    port.open((err) => err ? reject(err) : resolve());
+                });
+
+                port.on('close', () => this.handleClose());
+                port.on('error', (err) => console.error(`[MUP1] ${this.device} serial error:`, err.message));
+                this.port = port;
+            }
+        } catch (error) {
+            this.setState('disconnected', error);
+            this.scheduleReconnect();
+            throw error;
+        }
+
+        const coap = new CoAPClient(this.protocol, this.port, { blockSize: this.blockSize, log: this.log });
+        coap.onAnnouncement = (text) => {
+            this.announcement = text;
+            this.emit('announcement', text);
+        };
+        this.port.on('data', (data) => coap.handleData(data));
+
+        this.setState('announcing');
+        await this.announce(coap);
+
+        this.coap = coap;
+        this.stats.openedAt = new Date().toISOString();
+        if (this.reconnectAttempt > 0) {
+            this.stats.reconnects++;
+        }
+        this.reconnectAttempt = 0;
+        this.missedPings = 0;
+        this.log(`[MUP1] Session open: ${this.device}${this.announcement ? ` (${this.announcement})` : ''}`);
+        this.setState('ready');
+        this.startWatchdog();
+        this.emit('open');
+    }
+
+    /**
+     * Ping the board and wait for its announcement
+     * @returns {Promise<boolean>} - whether it answered (boards that stay silent are still used)
+     */
+    announce(coap) {
+        if (!this.announceTimeout) {
+            return Promise.resolve(true);
+        }
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.off('announcement', done);
+                console.warn(`[MUP1] No announcement from ${this.device} within ${this.announceTimeout}ms`);
+                resolve(false);
+            }, this.announceTimeout);
+
+            const done = () => {
+                clearTimeout(timer);
+                resolve(true);
+            };
+
+            this.once('announcement', done);
+            coap.sendFrame(this.protocol.createPing());
+        });
+    }
+
+    // ============================================
+    // Disconnect / Reconnect
+    // ============================================
+
+    /**
+     * Serial port closed: fail every request still waiting for a response, then reconnect
+     */
+    handleClose() {
+        const coap = this.coap;
+        this.coap = null;
+        this.port = null;
+        this.stopWatchdog();
+
+        if (coap) {
+            for (const [key, pending] of coap.pendingRequests) {
+                clearTimeout(pending.timeout);
+                pending.reject(new Error(`Serial port closed: ${this.device}`));
+                coap.pendingRequests.delete(key);
+            }
+        }
+
+        this.log(`[MUP1] Session closed: ${this.device}`);
+        this.setState('disconnected', this.closing ? null : new Error('Serial port closed'));
+        this.emit('close');
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Reopen the port after a backoff delay (doubled per attempt, capped at maxReconnectDelay)
+     */
+    scheduleReconnect() {
+        if (this.closing || !this.ownsPort || !this.reconnectDelay || this.reconnectTimer) {
+            return;
+        }
+
+        const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempt, this.maxReconnectDelay);
+        this.reconnectAttempt++;
+        this.nextRetryAt = Date.now() + delay;
+        this.log(`[MUP1] Reconnecting ${this.device} in ${delay}ms (attempt ${this.reconnectAttempt})`);
+        this.emit('state', this.describeState());
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.nextRetryAt = null;
+            // A failed attempt schedules the next one in connect()
+            this.open().catch(() => {});
+        }, delay);
+        this.reconnectTimer.unref?.();
+    }
+
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+            this.nextRetryAt = null;
+        }
+    }
+
+    // ============================================
+    // Watchdog
+    // ============================================
+
+    startWatchdog() {
+        this.stopWatchdog();
+        if (!this.watchdogInterval || !this.announceTimeout) {
+            return;
+        }
+        this.watchdogTimer = setInterval(() => this.checkAlive(), this.watchdogInterval);
+        this.watchdogTimer.unref?.();
+    }
+
+    stopWatchdog() {
+        if (this.watchdogTimer) {
+            clearInterval(this.watchdogTimer);
+            this.watchdogTimer = null;
+        }
+    }
+
+    /**
+     * Ping the board: a missed reply degrades the session, watchdogMisses in a row reopen the port
+     */
+    async checkAlive() {
+        const coap = this.coap;
+        // Boards that never announced themselves cannot be judged by pings
+        if (!coap || !this.announcement) {
+            return;
+        }
+
+        const alive = await this.announce(coap);
+        if (this.coap !== coap) {
+            return;
+        }
+
+        if (alive) {
+            this.missedPings = 0;
+            this.setState('ready');
+            return;
+        }
+
+        this.missedPings++;
+        this.setState('degraded', new Error(`No ping reply (${this.missedPings}/${this.watchdogMisses})`));
+
+        if (this.missedPings >= this.watchdogMisses && this.ownsPort) {
+            this.log(`[MUP1] ${this.device} unresponsive, reopening port`);
+            const port = this.port;
+            if (port && port.isOpen) {
+                port.close(() => {});
+            } else {
+                this.handleClose();
+            }
+        }
+    }
+
+    // ============================================
+    // Requests
+    // ============================================
+
+    /**
+     * Fail fast while waiting for a reconnect instead of blocking on the port
+     */
+    checkReachable() {
+        if (this.reconnectTimer) {
+            const retryIn = Math.max(0, Math.ceil((this.nextRetryAt - Date.now()) / 1000));
+            throw new Error(`Device ${this.device} disconnected (${this.lastError}), retry in ${retryIn}s`);
+        }
+    }
+
+    /**
+     * Wait for a free slot in the pipelining window
+     */
+    acquire() {
+        if (this.inFlight < this.window) {
+            this.inFlight++;
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.inFlight--;
+        }
+    }
+
+    /**
+     * Send a CoAP request over the session
+     * @param {string} method - CoAP method name (GET, FETCH, IPATCH, PUT, POST, DELETE)
+     * @param {string} uri - e.g. 'c?d=a'
+     * @param {*} payload - CBOR-encodable payload or null
+     * @param {Object} formats - { contentFormat, accept } (see CoAPClient.request)
+     */
+    async request(method, uri, payload = null, formats = {}) {
+        await this.acquire();
+        const startTime = Date.now();
+
+        try {
+            this.checkReachable();
+            await this.open();
+            const result = await this.coap.request(this.coap.METHODS[method], uri, payload, this.timeout, formats);
+            if (this.state === 'degraded' && this.missedPings === 0) {
+                this.setState('ready');
+            }
+            return result;
+        } catch (error) {
+            this.stats.errors++;
+            if (this.coap && /timeout/i.test(error.message)) {
+                this.setState('degraded', error);
+            }
+            throw error;
+        } finally {
+            this.stats.requests++;
+            this.stats.totalTime += Date.now() - startTime;
+            this.release();
+        }
+    }
+
+    /**
+     * Connection state (status endpoints, 'state' events)
+     */
+    describeState() {
+        return {
+            device: this.device,
+            state: this.state,
+            since: this.stateSince,
+            lastError: this.lastError,
+            reconnectAttempt: this.reconnectAttempt,
+            nextRetry: this.nextRetryAt ? new Date(this.nextRetryAt).toISOString() : null,
+            missedPings: this.missedPings
+        };
+    }
+
+    /**
+     * Session summary for status endpoints
+     */
+    describe() {
+        return {
+            ...this.describeState(),
+            open: this.isOpen,
+            announcement: this.announcement,
+            inFlight: this.inFlight,
+            queued: this.waiting.length,
+            window: this.window,
+            requests: this.stats.requests,
+            errors: this.stats.errors,
+            reconnects: this.stats.reconnects,
+            avgTime: this.stats.requests ? Math.round(this.stats.totalTime / this.stats.requests) : 0,
+            openedAt: this.stats.openedAt
+        };
+    }
+
+    /**
+     * Close the session for good (no reconnect)
+     */
+    async close() {
+        this.closing = true;
+        this.cancelReconnect();
+        this.stopWatchdog();
+
+        const port = this.port;
+        if (port && typeof port.close === 'function' && port.isOpen) {
+            await new Promise((resolve) => port.close(() => resolve()));
+        } else if (this.coap) {
+            this.handleClose();
+        }
+    }
+}
+
+export default Mup1Session;
@@ -2,24 +2,45 @@
 
 /**
  * mvdct-node - Node.js implementation of mvdct CLI tool
- * Usage: ./mvdct.js <device> get <path> [--console]
+ * Usage: ./mvdct.js device <device> <command> [args] [--console] [-lf <log file>]
+ *        ./mvdct.js <device> <command> [args]
+ *
+ * Command line compatible with the vendor mvdct, so it can replace it as MVDCT_PATH.
+ * Requests are SID encoded (RFC 9254) with the YANG catalog under
+ * tools/mvdct/cli/downloads/coreconf, like the vendor mvdct; --names sends YANG paths as strings.
  */
 
 import { SerialPort } from 'serialport';
-import { MUP1Protocol } from './mup1-protocol.js';
-import { CoAPClient } from './coap-client.js';
-import { decode as cborDecode } from 'cbor-x';
+import { Mup1Session } from './mup1-session.js';
+import { Mup1Transport, parseMvdctArgs } from './device-transport.js';
+import { SidRegistry } from './sid-registry.js';
 import * as fs from 'fs';
-import * as yaml from 'yaml';
+
+/**
+ * Commands understood by the vendor mvdct (post/put are kept as aliases of call/set)
+ */
+const COMMANDS = ['get', 'set', 'delete', 'patch', 'fetch', 'call', 'firmware', 'type', 'yang', 'post', 'put'];
 
 class MVDCTClient {
-    constructor(devicePath, baudRate = 115200) {
+    /**
+     * @param {SidRegistry} registry - SID registry for SID encoded requests (null: YANG paths as strings)
+     */
+    constructor(devicePath, baudRate = 115200, registry = null) {
         this.devicePath = devicePath;
         this.baudRate = baudRate;
-        this.protocol = new MUP1Protocol();
-        this.coap = new CoAPClient();
+        this.registry = registry;
         this.port = null;
-        this.receiveBuffer = Buffer.alloc(0);
+        this.frames = []; // TX/RX log for -lf
+
+        // The session runs over the port opened by connect(); logs go to stderr, stdout is YAML only
+        this.session = new Mup1Session(devicePath, {
+            log: (...args) => console.error(...args),
+            port: {
+                write: (frame) => this.send(frame),
+                on: (event, listener) => this.port.on(event, listener)
+            }
+        });
+        this.transport = new Mup1Transport(devicePath, { session: this.session, registry });
     }
 
     /**
@@ -51,63 +72,11 @@ class MVDCTClient {
     }
 
     /**
-     * Handle incoming serial data
+     * Handle incoming serial data (decoded by the session, logged here)
      */
     handleData(data) {
         console.error('RX:', data.toString('hex'));
-        this.receiveBuffer = Buffer.concat([this.receiveBuffer, data]);
-
-        // Try to decode complete frames
-        while (this.receiveBuffer.length > 0) {
-            try {
-                // Look for start of frame
-                const sofIndex = this.receiveBuffer.indexOf(this.protocol.SOF);
-                if (sofIndex === -1) {
-                    this.receiveBuffer = Buffer.alloc(0);
-                    break;
-                }
-
-                // Skip bytes before SOF
-                if (sofIndex > 0) {
-                    this.receiveBuffer = this.receiveBuffer.slice(sofIndex);
-                }
-
-                // Need at least 8 bytes for minimum frame
-                if (this.receiveBuffer.length < 8) {
-                    break;
-                }
-
-                // Find EOF
-                const eofIndex = this.receiveBuffer.indexOf(this.protocol.EOF, 2);
-                if (eofIndex === -1) {
-                    break;
-                }
-
-                // Calculate expected frame length (EOF + optional padding + 4-char checksum)
-                const checksumStart = this.receiveBuffer[eofIndex + 1] === this.protocol.EOF ? eofIndex + 2 : eofIndex + 1;
-                const frameLength = checksumStart + 4;
-
-                if (this.receiveBuffer.length < frameLength) {
-                    break;
-                }
-
-                // Extract and decode frame
-                const frameData = this.receiveBuffer.slice(0, frameLength);
-                const decoded = this.protocol.decodeFrame(frameData);
-
-                // Handle CoAP response
-                if (decoded.type === 'C') {
-                    this.coap.handleResponse(decoded.data);
-                }
-
-                // Remove processed frame
-                this.receiveBuffer = this.receiveBuffer.slice(frameLength);
-            } catch (error) {
-                console.error('Frame decode error:', error.message);
-                // Skip one byte and try again
-                this.receiveBuffer = this.receiveBuffer.slice(1);
-            }
-        }
+        this.frames.push({ time: new Date().toISOString(), direction: 'rx', data: data.toString('hex') });
     }
 
     /**
@@ -115,6 +84,7 @@ class MVDCTClient {
      */
     async send(data) {
         console.error('TX:', data.toString('hex'));
+        this.frames.push({ time: new Date().toISOString(), direction: 'tx', data: data.toString('hex') });
         return new Promise((resolve, reject) => {
             this.port.write(data, (err) => {
                 if (err) {
@@ -127,58 +97,88 @@ class MVDCTClient {
     }
 
     /**
-     * Execute GET command
+     * Run a transport operation with mvdct-style output
+     * @returns {Object} - { success, stdout, stderr, code, data }
+     */
+    execute(operation, params = []) {
+        return this.transport.execute(operation, params);
+    }
+
+    /**
+     * Execute GET command (CORECONF FETCH of a single path, GET for '/')
      */
     async get(path) {
-        // Build CoAP GET request
-        const { buffer, promise } = this.coap.get(path);
+        return (await this.transport.get(path)).data;
+    }
 
-        // Wrap in MUP1 frame
-        const frame = this.protocol.createCoapFrame(buffer);
+    /**
+     * Execute SET command (iPATCH of one value)
+     */
+    async set(path, value) {
+        return (await this.transport.set(path, value)).data;
+    }
 
-        // Send to device
-        await this.send(frame);
+    /**
+     * Execute PATCH command (list of { path: value } maps)
+     */
+    async patch(entries) {
+        return (await this.transport.patch(entries)).data;
+    }
 
-        // Wait for response
-        const response = await promise;
+    /**
+     * Execute FETCH command (list of paths)
+     */
+    async fetch(paths) {
+        return (await this.transport.fetch(paths)).data;
+    }
 
-        return response;
+    /**
+     * Execute CALL command (RPC/action)
+     */
+    async call(path, input) {
+        return (await this.transport.call(path, input)).data;
     }
 
     /**
-     * Execute POST command
+     * Execute POST command (alias of call)
      */
     async post(path, data) {
-        const { buffer, promise } = this.coap.post(path, data);
-        const frame = this.protocol.createCoapFrame(buffer);
-        await this.send(frame);
-        return await promise;
+        return this.call(path, data);
     }
 
     /**
-     * Execute PUT command
+     * Execute PUT command (alias of set)
      */
     async put(path, data) {
-        const { buffer, promise } = this.coap.put(path, data);
-        const frame = this.protocol.createCoapFrame(buffer);
-        await this.send(frame);
-        return await promise;
+        return this.set(path, data);
     }
 
     /**
      * Execute DELETE command
      */
     async delete(path) {
-        const { buffer, promise } = this.coap.delete(path);
-        const frame = this.protocol.createCoapFrame(buffer);
-        await this.send(frame);
-        return await promise;
+        return (await this.transport.delete(path)).data;
+    }
+
+    /**
+     * Write the frame log as JSON (mvdct -lf)
+     */
+    writeLog(file, command, result) {
+        fs.writeFileSync(file, JSON.stringify({
+            device: this.devicePath,
+            command,
+            encoding: this.transport.encoding,
+            success: result.success,
+            timestamp: new Date().toISOString(),
+            frames: this.frames
+        }, null, 2));
     }
 
     /**
      * Close connection
      */
     async close() {
+        await this.session.close();
         return new Promise((resolve) => {
             if (this.port && this.port.isOpen) {
                 this.port.close(() => {
@@ -192,19 +192,45 @@ class MVDCTClient {
 }
 
 /**
- * Convert CBOR to YAML format
+ * Read a patch/fetch/input file ('-' reads stdin)
  */
-function cborToYaml(data) {
-    // Convert CBOR data to JavaScript object
-    let obj;
-    if (typeof data === 'object' && data !== null) {
-        obj = data;
-    } else {
-        obj = { value: data };
-    }
+function readInput(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+/**
+ * Remove an option and its value from args
+ */
+function takeOption(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args.splice(index, 2)[1] : undefined;
+}
 
-    // Convert to YAML
-    return yaml.stringify(obj);
+function usage() {
+    console.error('Usage: mvdct device <device> <command> [args] [options]');
+    console.error('       mvdct <device> <command> [args] [options]');
+    console.error('');
+    console.error('Commands:');
+    console.error('  get [path]            Get resource at path (default: whole datastore)');
+    console.error('  set <path> <value>    Set a YAML/JSON value ("-" reads stdin)');
+    console.error('  delete <path>         Delete resource');
+    console.error('  patch <file>          iPATCH a YAML/JSON list of { path: value } ("-" reads stdin)');
+    console.error('  fetch <file|path>     FETCH a YAML/JSON list of paths, or a single path');
+    console.error('  call <path> [input]   Invoke an RPC/action with YAML/JSON input ("-" reads stdin)');
+    console.error('  firmware version      Firmware version');
+    console.error('  type                  Device type');
+    console.error('  yang id               YANG catalog id (yang-library checksum)');
+    console.error('');
+    console.error('Options:');
+    console.error('  --console       Output to console (default: stdout)');
+    console.error('  -lf <file>      Write the TX/RX frame log as JSON');
+    console.error('  --catalog <dir> YANG catalog with .sid files (default: downloaded catalog)');
+    console.error('  --names         Send YANG paths as strings instead of SIDs');
+    console.error('');
+    console.error('Example:');
+    console.error('  ./mvdct.js device /dev/ttyACM0 get "/ieee802-dot1q-bridge:bridges/bridge[bridge-name=\'b0\']" --console');
+    console.error('  ./mvdct.js device /dev/ttyACM0 patch tools/mvdct/port1-speed-100m.ipatch');
+    process.exit(1);
 }
 
 /**
@@ -213,72 +239,58 @@ function cborToYaml(data) {
 async function main() {
     const args = process.argv.slice(2);
 
-    if (args.length < 3) {
-        console.error('Usage: mvdct <device> <command> <path> [options]');
-        console.error('');
-        console.error('Commands:');
-        console.error('  get <path>      Get resource at path');
-        console.error('  post <path>     Post to resource');
-        console.error('  put <path>      Put resource');
-        console.error('  delete <path>   Delete resource');
-        console.error('');
-        console.error('Options:');
-        console.error('  --console       Output to console (default: stdout)');
-        console.error('');
-        console.error('Example:');
-        console.error('  ./mvdct.js /dev/ttyACM0 get "/ieee802-dot1q-bridge:bridges/bridge[bridge-name=\'b0\']" --console');
+    const catalog = takeOption(args, '--catalog') || process.env.YANG_CATALOG_PATH || SidRegistry.findCatalog();
+    const logFile = takeOption(args, '-lf');
+    const names = args.includes('--names') || process.env.CORECONF_ENCODING === 'names';
+    const positional = args.filter(arg => arg !== '--names' && arg !== '--console');
+
+    // Short form: <device> <command> ... → device <device> <command> ...
+    if (positional[0] !== 'device' && COMMANDS.includes(positional[1])) {
+        positional.unshift('device');
+    }
+    if (positional[0] !== 'device' || positional.length < 3) {
+        usage();
+    }
+
+    let command;
+    try {
+        command = parseMvdctArgs(positional, readInput);
+    } catch (error) {
+        console.error('Error:', error.message);
         process.exit(1);
     }
 
-    const device = args[0];
-    const command = args[1];
-    const path = args[2];
-    const useConsole = args.includes('--console');
+    let registry = null;
+    if (!names && catalog && fs.existsSync(catalog)) {
+        registry = SidRegistry.load(catalog);
+        console.error(`SID registry: ${registry.size} SIDs from ${catalog}`);
+    }
 
-    const client = new MVDCTClient(device);
+    const client = new MVDCTClient(command.device, 115200, registry);
+    let result;
 
     try {
         await client.connect();
-
-        // Wait a bit for device to be ready
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        let result;
-
-        switch (command) {
-            case 'get':
-                result = await client.get(path);
-                break;
-            case 'post':
-                // TODO: Read data from stdin or file
-                result = await client.post(path, {});
-                break;
-            case 'put':
-                // TODO: Read data from stdin or file
-                result = await client.put(path, {});
-                break;
-            case 'delete':
-                result = await client.delete(path);
-                break;
-            default:
-                throw new Error(`Unknown command: ${command}`);
-        }
-
-        // Output result
-        const yamlOutput = cborToYaml(result);
-        if (useConsole) {
-            console.log(yamlOutput);
-        } else {
-            process.stdout.write(yamlOutput);
-        }
-
-        await client.close();
-        process.exit(0);
+        result = await client.execute(command.operation, command.params);
     } catch (error) {
-        console.error('Error:', error.message);
-        await client.close();
+        result = { success: false, stdout: '', stderr: error.message };
+    }
+
+    if (logFile) {
+        client.writeLog(logFile, positional.slice(2), result);
+    }
+    await client.close();
+
+    if (!result.success) {
+        console.error('Error:', result.stderr);
         process.exit(1);
     }
+
+    // Output result (mvdct-style YAML)
+    if (result.stdout) {
+        process.stdout.write(`${result.stdout}\n`);
+    }
+    process.exit(0);
 }
 
 // Run if executed directly
@@ -286,4 +298,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     main();
 }
 
-export { MVDCTClient };
\ No newline at end of file
+export { MVDCTClient };
@@ -0,0 +1,119 @@
+/**
+ * Prometheus text exposition format (version 0.0.4)
+ * Collects metric families and renders them for a `/metrics` scrape:
+ *
+ *   # HELP tsn_port_in_octets_total Octets received on the port
+ *   # TYPE tsn_port_in_octets_total counter
+ *   tsn_port_in_octets_total{device="/dev/ttyACM0",port="1"} 123456
+ *
+ * Families are rendered in the order they were first used, each with its HELP and TYPE
+ * line once. Label values are escaped; families without samples are left out.
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Sample value: booleans as 0/1, non-finite numbers as NaN / +Inf / -Inf
+ */
+function formatValue(value) {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        return 'NaN';
+    }
+    if (!Number.isFinite(number)) {
+        return number > 0 ? '+Inf' : '-Inf';
+    }
+    return String(number);
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) {
+        return '';
+    }
+    for (const [name] of entries) {
+        if (!LABEL_PATTERN.test(name)) {
+            throw new Error(`Invalid label name: ${name}`);
+        }
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class MetricFamily {
+    constructor(name, type, help) {
+        this.name = name;
+        this.type = type;
+        this.help = help;
+        this.samples = [];
+    }
+
+    /**
+     * Add one sample (null / undefined values are skipped)
+     */
+    add(labels, value) {
+        if (value !== undefined && value !== null) {
+            this.samples.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return this;
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${escapeHelp(this.help)}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.samples
+        ].join('\n');
+    }
+}
+
+export class PrometheusText {
+    constructor() {
+        this.families = new Map();
+    }
+
+    family(name, type, help) {
+        let family = this.families.get(name);
+        if (!family) {
+            if (!NAME_PATTERN.test(name)) {
+                throw new Error(`Invalid metric name: ${name}`);
+            }
+            family = new MetricFamily(name, type, help);
+            this.families.set(name, family);
+        } else if (family.type !== type) {
+            throw new Error(`Metric ${name} is already a ${family.type}`);
+        }
+        return family;
+    }
+
+    /**
+     * Counter family (value only goes up; the name should end in _total)
+     */
+    counter(name, help) {
+        return this.family(name, 'counter', help);
+    }
+
+    gauge(name, help) {
+        return this.family(name, 'gauge', help);
+    }
+
+    /**
+     * Exposition text, ending in a newline
+     */
+    render() {
+        const families = [...this.families.values()].filter(family => family.samples.length > 0);
+        return families.map(family => family.render()).join('\n') + '\n';
+    }
+}
+
+export default PrometheusText;
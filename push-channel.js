@@ -0,0 +1,128 @@
+/**
+ * Server-Sent Events push channel
+ * Streams typed events (board data, link changes, counter deltas, history, connection state)
+ * to browsers instead of having every tab poll the REST API.
+ *
+ *   event: <type>
+ *   data: <JSON>
+ *
+ * Retained events (latest board data, connection state per device) are replayed to new
+ * subscribers so a freshly opened page does not wait for the next poll.
+ * Subscribers may follow a single board: events carrying another `device` are skipped.
+ */
+
+export class PushChannel {
+    /**
+     * @param {Object} options - { heartbeat } (ms between keep-alive comments, 0 disables)
+     */
+    constructor(options = {}) {
+        this.clients = new Set();     // { res, types, device }
+        this.retained = new Map();    // retain key → { type, data }
+        this.heartbeat = options.heartbeat ?? 25000;
+        this.timer = null;
+        this.sent = 0;
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    /**
+     * Whether anyone listens for one of the given event types
+     */
+    hasSubscribers(...types) {
+        for (const client of this.clients) {
+            if (!client.types || types.some(type => client.types.has(type))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Attach an HTTP response as an event stream
+     * @param {Object} filter - { types: event types to receive, device: board to follow } (null: all)
+     */
+    subscribe(req, res, { types = null, device = null } = {}) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        const client = { res, types: types ? new Set(types) : null, device };
+        for (const { type, data } of this.retained.values()) {
+            this.send(client, type, data);
+        }
+
+        this.clients.add(client);
+        this.startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+    }
+
+    /**
+     * Send an event to every subscriber of its type
+     * @param {Object} options - { retain: keep for new subscribers, key: retain slot (default: type) }
+     */
+    publish(type, data, options = {}) {
+        if (options.retain) {
+            this.retained.set(options.key ? `${type}:${options.key}` : type, { type, data });
+        }
+        for (const client of this.clients) {
+            this.send(client, type, data);
+        }
+    }
+
+    send(client, type, data) {
+        if (client.types && !client.types.has(type)) {
+            return;
+        }
+        if (client.device && data && data.device && data.device !== client.device) {
+            return;
+        }
+        client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        this.sent++;
+    }
+
+    startHeartbeat() {
+        if (this.timer || !this.heartbeat) {
+            return;
+        }
+        // Comment lines keep proxies from closing idle streams
+        this.timer = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': ping\n\n');
+            }
+        }, this.heartbeat);
+        this.timer.unref?.();
+    }
+
+    stopHeartbeat() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Channel summary for status endpoints
+     */
+    describe() {
+        return {
+            clients: this.clients.size,
+            retained: [...this.retained.keys()],
+            sent: this.sent
+        };
+    }
+}
+
+export default PushChannel;
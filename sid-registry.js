@@ -0,0 +1,686 @@
+/**
+ * SID Registry and CORECONF Codec
+ * Loads the .sid files (RFC 9595) of a YANG catalog and translates between the
+ * RFC 7951 style paths/JSON used everywhere else and SID based CBOR (RFC 9254):
+ *   /ietf-interfaces:interfaces/interface[name='1']   ↔  [2033, '1']
+ *   { 'enabled': true, 'oper-status': 'up' }           ↔  { 5: true, 12: 1 }  (delta SIDs)
+ *
+ * Leaf values follow their YANG type: enumerations as integers, identities as SIDs,
+ * decimal64 as tag 4, bits as byte strings, and tags 43-46 inside unions.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { Tag } from 'cbor-x';
+import { CONTENT_FORMATS } from './coap-node.js';
+import { YangSchema } from './yang-schema.js';
+import { parseInstanceIdentifier, formatInstanceIdentifier } from './yang-datastore.js';
+
+/**
+ * Where mvdct keeps downloaded YANG catalogs (one folder per yang-library content-id)
+ */
+export const DEFAULT_CATALOG_ROOT = join(dirname(fileURLToPath(import.meta.url)), 'tools', 'mvdct', 'cli', 'downloads', 'coreconf');
+
+/**
+ * Content-Format/Accept of SID encoded requests on the datastore resource (RFC 9254 §4)
+ */
+export const SID_FORMATS = {
+    GET: { accept: CONTENT_FORMATS.YANG_DATA_CBOR_SID },
+    FETCH: { contentFormat: CONTENT_FORMATS.YANG_IDENTIFIERS_CBOR_SEQ, accept: CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ },
+    IPATCH: { contentFormat: CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ },
+    POST: { contentFormat: CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ, accept: CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ }
+};
+
+/**
+ * CBOR tags for union members (RFC 9254 §9.3)
+ */
+const UNION_TAGS = {
+    BITS: 43,
+    ENUMERATION: 44,
+    IDENTITYREF: 45,
+    INSTANCE_IDENTIFIER: 46
+};
+
+const INTEGER_TYPES = new Set(['int8', 'int16', 'int32', 'int64', 'uint8', 'uint16', 'uint32', 'uint64']);
+
+/**
+ * Integer as CBOR-friendly JS value (large ones as BigInt so they stay integers)
+ */
+function toInteger(value) {
+    if (typeof value === 'bigint') {
+        return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return Math.abs(value) < 2 ** 32 ? value : BigInt(value);
+    }
+    if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) {
+        return toInteger(BigInt(value.trim()));
+    }
+    throw new Error(`Not an integer: ${value}`);
+}
+
+/**
+ * Decimal text → [exponent, mantissa] with the type's fraction digits (tag 4 content)
+ */
+function toDecimalFraction(value, fractionDigits) {
+    const text = String(value).trim();
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Not a decimal number: ${value}`);
+    }
+    const [, sign, whole, fraction = ''] = match;
+    const digits = (whole || '0') + fraction.padEnd(fractionDigits, '0').substring(0, fractionDigits);
+    return [-fractionDigits, toInteger(BigInt(sign + digits))];
+}
+
+/**
+ * Decoded maps with string keys → plain objects (recursively)
+ */
+function plain(value) {
+    if (value instanceof Map) {
+        return Object.fromEntries([...value].map(([k, v]) => [String(k), plain(v)]));
+    }
+    if (Array.isArray(value)) {
+        return value.map(plain);
+    }
+    if (value instanceof Tag) {
+        return plain(value.value);
+    }
+    return value;
+}
+
+/**
+ * Members of a JSON object or a decoded CBOR map
+ */
+function membersOf(value) {
+    return value instanceof Map ? [...value] : Object.entries(value);
+}
+
+export class SidRegistry {
+    /**
+     * @param {YangSchema} schema - Schema tree of the same catalog (for types and list keys)
+     */
+    constructor(schema = new YangSchema()) {
+        this.schema = schema;
+        this.dir = null;
+        this.modules = [];           // [{ name, revision, ranges }]
+        this.items = new Map();      // SID → { sid, namespace, identifier, module }
+        this.dataSids = new Map();   // schema node path → SID
+        this.identitySids = new Map(); // 'module:identity' → SID
+    }
+
+    /**
+     * Load a catalog directory (*.sid, and *.yang/*.yangson for the schema)
+     * @param {Object} options - YangSchema options ({ features })
+     */
+    static load(dir, options = {}) {
+        const registry = new SidRegistry(YangSchema.load(dir, options));
+        registry.dir = dir;
+
+        for (const file of readdirSync(dir).filter(f => f.endsWith('.sid')).sort()) {
+            registry.addSidFile(JSON.parse(readFileSync(join(dir, file), 'utf8')));
+        }
+
+        return registry;
+    }
+
+    /**
+     * Catalog directory for a yang-library content-id under the mvdct download folder
+     * (falls back to the only/first catalog when the id is unknown)
+     */
+    static findCatalog(root = DEFAULT_CATALOG_ROOT, contentId = null) {
+        if (!existsSync(root)) {
+            return null;
+        }
+        if (contentId && existsSync(join(root, contentId))) {
+            return join(root, contentId);
+        }
+        const catalogs = readdirSync(root, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+        return catalogs.length > 0 ? join(root, catalogs[0]) : null;
+    }
+
+    addSidFile(sidFile) {
+        const module = sidFile['module-name'];
+        this.modules.push({
+            name: module,
+            revision: sidFile['module-revision'],
+            ranges: sidFile['assignment-ranges'] || []
+        });
+
+        for (const item of sidFile.items || []) {
+            this.items.set(item.sid, { ...item, module });
+            if (item.namespace === 'data') {
+                this.dataSids.set(item.identifier, item.sid);
+            } else if (item.namespace === 'identity') {
+                this.identitySids.set(`${module}:${item.identifier}`, item.sid);
+            }
+        }
+    }
+
+    get size() {
+        return this.items.size;
+    }
+
+    /**
+     * SID of a schema node
+     */
+    sidOf(node) {
+        const sid = this.dataSids.get(node.path);
+        if (sid === undefined) {
+            throw new Error(`No SID assigned to ${node.path}`);
+        }
+        return sid;
+    }
+
+    /**
+     * Schema node of a data SID (null when the schema does not know it)
+     */
+    nodeOf(sid) {
+        const item = this.items.get(sid);
+        return item && item.namespace === 'data' ? this.schema.find(item.identifier) : null;
+    }
+
+    /**
+     * JSON member name of a node inside parent (module prefix only when it changes)
+     */
+    memberName(node, parentModule) {
+        return node.module === parentModule ? node.name : `${node.module}:${node.name}`;
+    }
+
+    // ============================================
+    // Instance-identifiers
+    // ============================================
+
+    /**
+     * Path → schema nodes, with the key values given in predicates
+     */
+    resolvePath(path) {
+        let node = this.schema.root;
+        let module = null;
+
+        return parseInstanceIdentifier(path).map((step) => {
+            const name = step.name.includes(':') ? step.name : `${module}:${step.name}`;
+            node = this.schema.child(node, name);
+            if (!node) {
+                throw new Error(`Unknown YANG node '${step.name}' in ${path}`);
+            }
+            module = node.module;
+            return { node, keys: step.keys };
+        });
+    }
+
+    /**
+     * Instance-identifier → SID or [SID, key values...] (RFC 9254 §6.13.1)
+     */
+    encodeIdentifier(path) {
+        const steps = this.resolvePath(path);
+        if (steps.length === 0) {
+            throw new Error(`Empty instance-identifier: ${path}`);
+        }
+
+        const keys = [];
+        for (const { node, keys: given } of steps) {
+            if (!given) {
+                continue;
+            }
+            // Predicates must name the list keys in order (a leading subset is allowed)
+            const names = node.kind === 'leaf-list' ? ['.'] : node.keys || [];
+            Object.keys(given).forEach((name, i) => {
+                if (names[i] !== name) {
+                    throw new Error(`Key '${name}' out of order in ${path} (expected ${names.join(', ')})`);
+                }
+                const keyNode = name === '.' ? node : this.schema.child(node, name);
+                keys.push(this.encodeLeaf(keyNode, given[name]));
+            });
+        }
+
+        const sid = this.sidOf(steps[steps.length - 1].node);
+        return keys.length > 0 ? [sid, ...keys] : sid;
+    }
+
+    /**
+     * SID or [SID, key values...] → instance-identifier
+     */
+    decodeIdentifier(identifier) {
+        const [sid, ...keys] = Array.isArray(identifier) ? identifier : [identifier];
+        const node = this.nodeOf(sid);
+        if (!node) {
+            const item = this.items.get(sid);
+            if (!item) {
+                throw new Error(`Unknown SID: ${sid}`);
+            }
+            return item.identifier;
+        }
+
+        // Data ancestors from the top down
+        const chain = [];
+        for (let n = node; n && n.kind !== 'root'; n = this.schema.dataParent(n)) {
+            chain.unshift(n);
+        }
+
+        let parentModule = null;
+        const steps = chain.map((n) => {
+            const step = { name: this.memberName(n, parentModule), keys: null };
+            parentModule = n.module;
+
+            const names = n.kind === 'list' ? n.keys : n.kind === 'leaf-list' && n === node ? ['.'] : [];
+            for (const name of names) {
+                if (keys.length === 0) {
+                    break;
+                }
+                const keyNode = name === '.' ? n : this.schema.child(n, name);
+                step.keys = step.keys || {};
+                step.keys[name] = String(this.decodeLeaf(keyNode, keys.shift()));
+            }
+            return step;
+        });
+
+        return formatInstanceIdentifier(steps);
+    }
+
+    // ============================================
+    // Data trees
+    // ============================================
+
+    /**
+     * JSON value of a node → CBOR value with child members keyed by delta SID
+     * @param {number} sid - SID of node (deltas are taken from it)
+     */
+    encodeData(node, value, sid = this.sidOf(node)) {
+        if (value === null) {
+            return null;
+        }
+
+        // A single list entry / leaf-list value (path with keys) is encoded on its own
+        switch (node.kind) {
+            case 'list':
+                return Array.isArray(value)
+                    ? value.map(entry => this.encodeMembers(node, entry, sid))
+                    : this.encodeMembers(node, value, sid);
+            case 'leaf-list':
+                return Array.isArray(value)
+                    ? value.map(item => this.encodeLeaf(node, item))
+                    : this.encodeLeaf(node, value);
+            case 'leaf':
+                return this.encodeLeaf(node, value);
+            case 'anydata':
+            case 'anyxml':
+                return value;
+            default:
+                return this.encodeMembers(node, value, sid);
+        }
+    }
+
+    encodeMembers(node, value, sid) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Expected an object for ${node.path}`);
+        }
+
+        const map = new Map();
+        for (const [name, member] of membersOf(value)) {
+            const child = this.schema.child(node, name);
+            if (!child) {
+                throw new Error(`Unknown YANG node '${name}' in ${node.path}`);
+            }
+            const childSid = this.sidOf(child);
+            map.set(childSid - sid, this.encodeData(child, member, childSid));
+        }
+        return map;
+    }
+
+    /**
+     * CBOR value with delta SID keys → JSON value of a node
+     */
+    decodeData(node, value, sid = this.sidOf(node)) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+
+        switch (node.kind) {
+            case 'list':
+                return Array.isArray(value)
+                    ? value.map(entry => this.decodeMembers(sid, entry, node.module))
+                    : this.decodeMembers(sid, value, node.module);
+            case 'leaf-list':
+                return Array.isArray(value)
+                    ? value.map(item => this.decodeLeaf(node, item))
+                    : this.decodeLeaf(node, value);
+            case 'leaf':
+                return this.decodeLeaf(node, value);
+            case 'anydata':
+            case 'anyxml':
+                return plain(value);
+            default:
+                return this.decodeMembers(sid, value, node.module);
+        }
+    }
+
+    /**
+     * Decode a delta-keyed map; SIDs without a schema node are named from the .sid file
+     */
+    decodeMembers(sid, value, module) {
+        if (!(value instanceof Map)) {
+            return plain(value);
+        }
+
+        const result = {};
+        for (const [delta, member] of value) {
+            const childSid = sid + Number(delta);
+            const child = this.nodeOf(childSid);
+            if (child) {
+                result[this.memberName(child, module)] = this.decodeData(child, member, childSid);
+                continue;
+            }
+
+            const item = this.items.get(childSid);
+            if (!item) {
+                result[String(childSid)] = plain(member);
+                continue;
+            }
+            // Known SID without schema node (e.g. yang-data structures): name it from the .sid path
+            const last = item.identifier.split('/').pop();
+            const childModule = last.includes(':') ? last.split(':')[0] : module;
+            const local = last.replace(/^.*:/, '');
+            result[childModule === module ? local : `${childModule}:${local}`] = Array.isArray(member)
+                ? member.map(m => this.decodeMembers(childSid, m, childModule))
+                : this.decodeMembers(childSid, member, childModule);
+        }
+        return result;
+    }
+
+    // ============================================
+    // Leaf values
+    // ============================================
+
+    encodeLeaf(node, value) {
+        return this.encodeValue(this.schema.leafType(node), value, node);
+    }
+
+    encodeValue(type, value, node, inUnion = false) {
+        const base = type ? type.base : 'string';
+
+        if (INTEGER_TYPES.has(base)) {
+            return toInteger(value);
+        }
+
+        switch (base) {
+            case 'boolean':
+                if (value === true || value === 'true') return true;
+                if (value === false || value === 'false') return false;
+                throw new Error(`Not a boolean: ${value}`);
+
+            case 'empty':
+                return null;
+
+            case 'decimal64':
+                return new Tag(toDecimalFraction(value, type.fractionDigits), 4);
+
+            case 'enumeration': {
+                if (typeof value === 'number' && Object.values(type.enums).includes(value)) {
+                    return value;
+                }
+                if (!(value in type.enums)) {
+                    throw new Error(`Invalid enum '${value}' for ${node.path} (${Object.keys(type.enums).join(', ')})`);
+                }
+                return inUnion ? new Tag(String(value), UNION_TAGS.ENUMERATION) : type.enums[value];
+            }
+
+            case 'bits': {
+                const bytes = this.encodeBits(type, value);
+                return inUnion ? new Tag(bytes, UNION_TAGS.BITS) : bytes;
+            }
+
+            case 'identityref': {
+                const sid = this.identitySid(value, node.module);
+                return inUnion ? new Tag(sid, UNION_TAGS.IDENTITYREF) : sid;
+            }
+
+            case 'instance-identifier': {
+                const identifier = this.encodeIdentifier(value);
+                return inUnion ? new Tag(identifier, UNION_TAGS.INSTANCE_IDENTIFIER) : identifier;
+            }
+
+            case 'binary':
+                return Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'base64');
+
+            case 'union':
+                for (const member of type.types) {
+                    try {
+                        return this.encodeValue(member, value, node, true);
+                    } catch (e) {
+                        // try the next member type
+                    }
+                }
+                throw new Error(`Value '${value}' matches no member of ${type.name} (${node.path})`);
+
+            case 'string':
+                if (inUnion && typeof value !== 'string') {
+                    throw new Error(`Not a string: ${value}`);
+                }
+                return String(value);
+
+            default:
+                // Unresolved leafref and friends: keep the JSON value
+                return value;
+        }
+    }
+
+    decodeLeaf(node, value) {
+        return this.decodeValue(this.schema.leafType(node), value, node);
+    }
+
+    decodeValue(type, value, node) {
+        const base = type ? type.base : 'string';
+
+        if (value instanceof Tag) {
+            return this.decodeTagged(type, value, node);
+        }
+
+        switch (base) {
+            case 'int64':
+            case 'uint64':
+                // Numbers like mvdct prints them; strings (RFC 7951) only beyond 2^53
+                return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+            case 'decimal64':
+                return typeof value === 'number' ? value.toFixed(type.fractionDigits) : String(value);
+            case 'enumeration': {
+                const name = Object.keys(type.enums).find(k => type.enums[k] === value);
+                return name ?? value;
+            }
+            case 'bits':
+                return Buffer.isBuffer(value) || Array.isArray(value) ? this.decodeBits(type, value) : value;
+            case 'identityref':
+                return typeof value === 'number' ? this.identityName(value) : value;
+            case 'instance-identifier':
+                return typeof value === 'string' ? value : this.decodeIdentifier(value);
+            case 'binary':
+                return Buffer.isBuffer(value) ? value.toString('base64') : value;
+            case 'empty':
+                return [null];
+            case 'union':
+                return this.decodeUnion(type, value, node);
+            default:
+                return plain(value);
+        }
+    }
+
+    /**
+     * Tagged union members (tag 4 decimal64 arrives already as a number)
+     */
+    decodeTagged(type, tagged, node) {
+        const members = type && type.base === 'union' ? type.types : [type];
+        switch (tagged.tag) {
+            case UNION_TAGS.ENUMERATION:
+                return String(tagged.value);
+            case UNION_TAGS.IDENTITYREF:
+                return this.identityName(tagged.value);
+            case UNION_TAGS.INSTANCE_IDENTIFIER:
+                return this.decodeIdentifier(tagged.value);
+            case UNION_TAGS.BITS: {
+                const bits = members.find(t => t && t.base === 'bits');
+                return bits ? this.decodeBits(bits, tagged.value) : plain(tagged.value);
+            }
+            default:
+                return plain(tagged.value);
+        }
+    }
+
+    decodeUnion(type, value, node) {
+        const members = type.types.map(t => t.base === 'leafref' ? { base: 'string' } : t);
+
+        if (typeof value === 'number' || typeof value === 'bigint') {
+            const integer = members.find(t => INTEGER_TYPES.has(t.base) || t.base === 'decimal64');
+            return integer ? this.decodeValue(integer, value, node) : value;
+        }
+        if (Buffer.isBuffer(value)) {
+            const binary = members.find(t => t.base === 'binary' || t.base === 'bits');
+            return binary ? this.decodeValue(binary, value, node) : value.toString('base64');
+        }
+        if (value === null && members.some(t => t.base === 'empty')) {
+            return [null];
+        }
+        return plain(value);
+    }
+
+    /**
+     * 'module:identity' (or 'identity' in the leaf's module) → SID
+     */
+    identitySid(value, module) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        const name = String(value).includes(':') ? String(value) : `${module}:${value}`;
+        const sid = this.identitySids.get(name);
+        if (sid === undefined) {
+            throw new Error(`Unknown identity: ${value}`);
+        }
+        return sid;
+    }
+
+    identityName(sid) {
+        const item = this.items.get(sid);
+        if (!item || item.namespace !== 'identity') {
+            return sid;
+        }
+        return `${item.module}:${item.identifier}`;
+    }
+
+    /**
+     * 'bit-a bit-b' → byte string, bit position 0 = least significant bit of the first byte
+     */
+    encodeBits(type, value) {
+        const names = Array.isArray(value) ? value : String(value).split(/\s+/).filter(Boolean);
+        const bytes = [];
+        for (const name of names) {
+            const position = type.bits[name];
+            if (position === undefined) {
+                throw new Error(`Invalid bit '${name}' (${Object.keys(type.bits).join(', ')})`);
+            }
+            const index = Math.floor(position / 8);
+            while (bytes.length <= index) bytes.push(0);
+            bytes[index] |= 1 << (position % 8);
+        }
+        return Buffer.from(bytes);
+    }
+
+    decodeBits(type, value) {
+        if (Array.isArray(value)) {
+            // Array form: byte strings at offsets and bit names
+            return value.filter(v => typeof v === 'string').join(' ');
+        }
+        return Object.keys(type.bits)
+            .filter(name => {
+                const position = type.bits[name];
+                const byte = value[Math.floor(position / 8)] || 0;
+                return (byte >> (position % 8)) & 1;
+            })
+            .join(' ');
+    }
+
+    // ============================================
+    // CORECONF payloads
+    // ============================================
+
+    /**
+     * FETCH body (yang-identifiers+cbor-seq): one instance-identifier per path
+     */
+    encodeFetch(paths) {
+        return paths.map(path => this.encodeIdentifier(path));
+    }
+
+    /**
+     * iPATCH/POST body (yang-instances+cbor-seq) from { path: value } maps or a list of them
+     * (null deletes the instance)
+     */
+    encodeInstances(entries) {
+        const maps = Array.isArray(entries) ? entries : [entries];
+        return maps.flatMap(entry => membersOf(entry).map(([path, value]) => {
+            const steps = this.resolvePath(path);
+            const node = steps[steps.length - 1].node;
+            return new Map([[this.encodeIdentifier(path), this.encodeData(node, value)]]);
+        }));
+    }
+
+    /**
+     * FETCH/POST response (yang-instances+cbor-seq) → list of { path: value } (mvdct layout)
+     */
+    decodeInstances(instances) {
+        const items = Array.isArray(instances) ? instances : [instances];
+        return items.flatMap((instance) => {
+            if (!(instance instanceof Map)) {
+                return [plain(instance)];
+            }
+            return [...instance].map(([identifier, value]) => {
+                const sid = Array.isArray(identifier) ? identifier[0] : identifier;
+                const node = this.nodeOf(sid);
+                const decoded = node
+                    ? this.decodeData(node, value, sid)
+                    : this.decodeMembers(sid, value, this.items.get(sid)?.module);
+                return { [this.decodeIdentifier(identifier)]: decoded };
+            });
+        });
+    }
+
+    /**
+     * GET response (yang-data+cbor; id=sid) → list of { '/module:top': value }
+     * (top-level SIDs are deltas from 0)
+     */
+    decodeDatastore(data) {
+        if (!(data instanceof Map)) {
+            return plain(data);
+        }
+        return this.decodeInstances([...data].map(([sid, value]) => new Map([[sid, value]])));
+    }
+
+    /**
+     * { '/module:top': value } maps → GET response body
+     */
+    encodeDatastore(entries) {
+        const map = new Map();
+        for (const instance of this.encodeInstances(entries)) {
+            for (const [identifier, value] of instance) {
+                map.set(identifier, value);
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Summary for status endpoints
+     */
+    describe() {
+        return {
+            catalog: this.dir,
+            modules: this.modules.length,
+            sids: this.items.size,
+            dataNodes: this.dataSids.size,
+            schemaNodes: this.schema.size
+        };
+    }
+}
+
+export default SidRegistry;
@@ -0,0 +1,603 @@
+/**
+ * Network Stream Planner
+ * Turns a topology and a list of TSN streams into configuration for every bridge on the
+ * way, as mvdct patch entries that /api/config/apply-yaml applies:
+ *
+ *   planNetwork({
+ *       bridges: [{ name: 'sw1', device: '/dev/ttyACM0' }],
+ *       links: [{ from: 'plc', to: 'sw1:1' }, { from: 'sw1:2', to: 'io', speed: 100 }],
+ *       streams: [{ name: 'ctl', talker: 'plc', listeners: ['io'], period: 1000000, size: 128, maxLatency: 100000 }]
+ *   })
+ *     → { valid, issues, streams, ports, patches: { sw1: [{ '<instance path>': value }, ...] } }
+ *
+ * Link ends are 'node:port' for bridge ports and plain names for end stations; link speeds
+ * are Mb/s (default 1000). Periods, latencies and delays are ns, sizes are frame bytes from
+ * destination MAC to FCS (VLAN tag included).
+ *
+ * Each stream takes one of three classes:
+ *   scheduled (TAS)  PCP 6 → TC7, an exclusive gate window per frame at every egress port
+ *   SR class A (CBS) PCP 3 → TC6, latency budget up to 2 ms
+ *   SR class B (CBS) PCP 2 → TC5, larger or no budget
+ * `shaping: 'auto'` (default) starts a stream on CBS and moves it to TAS when the CBS
+ * bound misses its budget. Scheduled streams share one network cycle (the least common
+ * multiple of their periods) with windows placed hop by hop: store-and-forward of the
+ * frame on the incoming link plus `bridgeDelay` after the previous one.
+ */
+
+import { interfacePath } from './board-model.js';
+import { planSchedule, transmissionTime, MIN_FRAME_SIZE, MAX_FRAME_SIZE } from './tas-planner.js';
+import { planShapers } from './cbs-planner.js';
+
+export const STREAM_CLASSES = {
+    scheduled: { pcp: 6, trafficClass: 7 },
+    A: { pcp: 3, trafficClass: 6 },
+    B: { pcp: 2, trafficClass: 5 }
+};
+
+/**
+ * Priority → traffic class on every egress port: stream classes as above, the remaining
+ * priorities keep their order on TC0..TC4
+ */
+export const PRIORITY_TRAFFIC_CLASS = [0, 1, 5, 6, 2, 3, 7, 4];
+
+/**
+ * Largest latency budget that still goes to SR class A (802.1BA class A target)
+ */
+const CLASS_A_MAX_LATENCY = 2000000;
+
+const DEFAULT_LINK_SPEED = 1000;
+const DEFAULT_BRIDGE_DELAY = 5000;
+const MAX_CYCLE_TIME = 1000000000;
+const MAX_PASSES = 4;
+
+const SCHEDULED_GATES = 1 << STREAM_CLASSES.scheduled.trafficClass;
+const OTHER_GATES = 0xFF & ~SCHEDULED_GATES;
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * 'sw1:2' → { node: 'sw1', port: '2' }; 'plc' → { node: 'plc', port: null }
+ */
+function parseEnd(end) {
+    const text = String(end);
+    const colon = text.lastIndexOf(':');
+    return colon === -1 ? { node: text, port: null } : { node: text.substring(0, colon), port: text.substring(colon + 1) };
+}
+
+/**
+ * Plan PCP, traffic class, CBS and TAS settings for every hop of every stream
+ * @param {Object} request - { bridges, links, streams, bridgeDelay (ns), cycleTime (ns) }
+ * @returns {Object} - plan; `valid` is false when any issue has severity 'error'
+ */
+export function planNetwork(request = {}) {
+    const issues = [];
+    const issue = (severity, code, message, details = {}) => {
+        issues.push({ severity, code, message, ...details });
+    };
+    const invalid = () => ({ valid: false, issues, streams: [], ports: [], patches: {} });
+
+    const bridges = new Map();
+    for (const bridge of request.bridges ?? []) {
+        if (!bridge || !bridge.name) {
+            issue('error', 'invalid-bridge', 'Every bridge needs a name');
+        } else if (bridges.has(bridge.name)) {
+            issue('error', 'duplicate-bridge', `Bridge ${bridge.name} is listed twice`);
+        } else {
+            bridges.set(bridge.name, { ...bridge, ports: bridge.ports ? bridge.ports.map(String) : null });
+        }
+    }
+    if (bridges.size === 0) {
+        issue('error', 'no-bridges', 'Topology has no bridges');
+    }
+
+    const bridgeDelay = request.bridgeDelay ?? DEFAULT_BRIDGE_DELAY;
+    if (!Number.isInteger(bridgeDelay) || bridgeDelay < 0) {
+        issue('error', 'invalid-bridge-delay', `Bridge delay must be a non-negative integer of ns, got ${request.bridgeDelay}`);
+    }
+
+    // Adjacency: node → [{ port, peer, peerPort, speed }]
+    const adjacency = new Map();
+    const usedPorts = new Set();
+    const connect = (from, to, speed) => {
+        if (!adjacency.has(from.node)) {
+            adjacency.set(from.node, []);
+        }
+        adjacency.get(from.node).push({ port: from.port, peer: to.node, peerPort: to.port, speed });
+    };
+
+    (request.links ?? []).forEach((link, index) => {
+        const ends = [parseEnd(link.from), parseEnd(link.to)];
+        const speed = link.speed ?? DEFAULT_LINK_SPEED;
+        const before = issues.length;
+
+        if (link.from === undefined || link.to === undefined) {
+            issue('error', 'invalid-link', `Link ${index} needs 'from' and 'to'`, { link: index });
+            return;
+        }
+        if (!(speed > 0)) {
+            issue('error', 'invalid-link', `Link ${index}: speed must be a positive number of Mb/s, got ${link.speed}`, { link: index });
+        }
+        for (const end of ends) {
+            const bridge = bridges.get(end.node);
+            if (bridge && end.port === null) {
+                issue('error', 'invalid-link', `Link ${index}: bridge ${end.node} needs a port ('${end.node}:<port>')`, { link: index });
+            } else if (bridge && bridge.ports && !bridge.ports.includes(end.port)) {
+                issue('error', 'unknown-port', `Link ${index}: bridge ${end.node} has no port ${end.port}`, { link: index });
+            } else if (!bridge && end.port !== null) {
+                issue('error', 'unknown-bridge', `Link ${index}: ${end.node} is not a bridge, end stations are given without a port`, { link: index });
+            } else if (bridge && usedPorts.has(`${end.node}:${end.port}`)) {
+                issue('error', 'port-in-use', `Link ${index}: port ${end.node}:${end.port} is already linked`, { link: index });
+            }
+            if (bridge) {
+                usedPorts.add(`${end.node}:${end.port}`);
+            }
+        }
+        if (issues.length === before) {
+            connect(ends[0], ends[1], speed);
+            connect(ends[1], ends[0], speed);
+        }
+    });
+    if (issues.length > 0) {
+        return invalid();
+    }
+
+    /**
+     * Hops from talker to listeners along the breadth-first tree: one entry per bridge
+     * egress port, shared by all listeners behind it
+     */
+    const route = (talker, listeners) => {
+        const parent = new Map([[talker, null]]);
+        const queue = [talker];
+        while (queue.length > 0) {
+            const node = queue.shift();
+            if (node !== talker && !bridges.has(node)) {
+                continue;  // end stations do not forward
+            }
+            for (const edge of adjacency.get(node) ?? []) {
+                if (!parent.has(edge.peer)) {
+                    parent.set(edge.peer, { node, edge });
+                    queue.push(edge.peer);
+                }
+            }
+        }
+
+        const hops = new Map();
+        const unreachable = [];
+        for (const listener of listeners) {
+            if (!parent.has(listener) || listener === talker) {
+                unreachable.push(listener);
+                continue;
+            }
+            const chain = [];
+            for (let node = listener; parent.get(node); node = parent.get(node).node) {
+                chain.unshift(parent.get(node));
+            }
+            // chain[i].edge leaves chain[i].node; the first one is the talker's own link
+            chain.forEach((step, depth) => {
+                const key = `${step.node}:${step.edge.port}`;
+                if (depth > 0 && !hops.has(key)) {
+                    const previous = chain[depth - 1];
+                    hops.set(key, {
+                        bridge: step.node,
+                        ingress: previous.edge.peerPort,
+                        egress: step.edge.port,
+                        depth: depth - 1,
+                        speed: step.edge.speed,
+                        inSpeed: previous.edge.speed,
+                        upstream: depth > 1 ? `${previous.node}:${previous.edge.port}` : null
+                    });
+                }
+            });
+        }
+        return { hops: [...hops.values()].sort((a, b) => a.depth - b.depth), unreachable };
+    };
+
+    const streams = [];
+    (request.streams ?? []).forEach((stream, index) => {
+        const name = stream.name || `stream ${index}`;
+        const listeners = (stream.listeners ?? (stream.listener !== undefined ? [stream.listener] : [])).map(String);
+        const before = issues.length;
+
+        if (!adjacency.has(String(stream.talker))) {
+            issue('error', 'unknown-talker', `${name}: talker ${stream.talker} is not in the topology`, { stream: index });
+        }
+        if (listeners.length === 0) {
+            issue('error', 'no-listeners', `${name}: give a listener or listeners`, { stream: index });
+        }
+        if (!Number.isInteger(stream.period) || stream.period <= 0) {
+            issue('error', 'invalid-period', `${name}: period must be a positive integer of ns, got ${stream.period}`, { stream: index });
+        }
+        if (!Number.isInteger(stream.size) || stream.size < MIN_FRAME_SIZE || stream.size > MAX_FRAME_SIZE) {
+            issue('error', 'invalid-size', `${name}: size must be ${MIN_FRAME_SIZE}..${MAX_FRAME_SIZE} bytes, got ${stream.size}`, { stream: index });
+        }
+        if (stream.maxLatency !== undefined && !(stream.maxLatency > 0)) {
+            issue('error', 'invalid-max-latency', `${name}: max latency must be a positive number of ns, got ${stream.maxLatency}`, { stream: index });
+        }
+        if (stream.shaping !== undefined && !['auto', 'cbs', 'tas'].includes(stream.shaping)) {
+            issue('error', 'invalid-shaping', `${name}: shaping must be auto, cbs or tas, got ${stream.shaping}`, { stream: index });
+        }
+        if (issues.length > before) {
+            return;
+        }
+
+        const { hops, unreachable } = route(String(stream.talker), listeners);
+        if (unreachable.length > 0) {
+            issue('error', 'no-path', `${name}: no path from ${stream.talker} to ${unreachable.join(', ')}`, { stream: index });
+            return;
+        }
+        if (hops.length === 0) {
+            issue('error', 'no-path', `${name}: ${stream.talker} and its listeners are not connected through a bridge`, { stream: index });
+            return;
+        }
+
+        const shaping = stream.shaping ?? 'auto';
+        streams.push({
+            index,
+            name,
+            talker: String(stream.talker),
+            listeners,
+            period: stream.period,
+            size: stream.size,
+            maxLatency: stream.maxLatency,
+            shaping,
+            scheduled: shaping === 'tas',
+            hops
+        });
+    });
+    if (issues.length > 0 || streams.length === 0) {
+        if (streams.length === 0 && issues.length === 0) {
+            issue('error', 'no-streams', 'No streams to plan');
+        }
+        return invalid();
+    }
+
+    // Plan, then move auto streams that miss their budget on CBS to TAS and plan again
+    let result;
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        result = planPass(streams, bridges, bridgeDelay, request.cycleTime);
+        const promote = result.streams.filter(stream =>
+            stream.shaping === 'auto' && !stream.scheduled && stream.maxLatency !== undefined && stream.latency > stream.maxLatency);
+        if (result.fatal || promote.length === 0) {
+            break;
+        }
+        for (const stream of promote) {
+            stream.scheduled = true;
+        }
+    }
+
+    issues.push(...result.issues);
+    for (const stream of result.streams) {
+        if (stream.maxLatency !== undefined && stream.latency !== null && stream.latency > stream.maxLatency) {
+            issue('error', 'latency-exceeded', `${stream.name}: end-to-end latency ${stream.latency} ns exceeds its ${stream.maxLatency} ns budget${stream.scheduled ? '' : ' (try shaping: tas)'}`, { stream: stream.index });
+        }
+    }
+
+    const valid = !issues.some(item => item.severity === 'error');
+    return {
+        valid,
+        issues,
+        cycleTime: result.cycleTime,
+        streams: result.streams.map(stream => ({
+            name: stream.name,
+            talker: stream.talker,
+            listeners: stream.listeners,
+            shaping: stream.scheduled ? 'tas' : 'cbs',
+            class: stream.class,
+            pcp: STREAM_CLASSES[stream.class].pcp,
+            trafficClass: STREAM_CLASSES[stream.class].trafficClass,
+            phase: stream.phase,
+            latency: stream.latency,
+            maxLatency: stream.maxLatency,
+            hops: stream.hops.map(hop => ({ bridge: hop.bridge, ingress: hop.ingress, egress: hop.egress, delay: hop.delay, window: hop.window }))
+        })),
+        ports: result.ports,
+        patches: valid ? buildPatches(result.ports, result.decoding) : {}
+    };
+}
+
+/**
+ * One planning pass with the current TAS/CBS split
+ */
+function planPass(streams, bridges, bridgeDelay, requestedCycle) {
+    const issues = [];
+    const issue = (severity, code, message, details = {}) => {
+        issues.push({ severity, code, message, ...details });
+    };
+
+    for (const stream of streams) {
+        stream.class = stream.scheduled ? 'scheduled' : stream.maxLatency !== undefined && stream.maxLatency <= CLASS_A_MAX_LATENCY ? 'A' : 'B';
+        stream.phase = null;
+        stream.latency = null;
+        for (const hop of stream.hops) {
+            hop.delay = null;
+            hop.window = null;
+        }
+    }
+
+    // Egress ports with the streams leaving through them
+    const ports = new Map();
+    const ingress = new Map();
+    for (const stream of streams) {
+        for (const hop of stream.hops) {
+            const key = `${hop.bridge}:${hop.egress}`;
+            if (!ports.has(key)) {
+                ports.set(key, { bridge: hop.bridge, port: hop.egress, linkSpeed: hop.speed, streams: [], windows: [] });
+            }
+            ports.get(key).streams.push(stream);
+            if (!ingress.has(hop.bridge)) {
+                ingress.set(hop.bridge, new Map());
+            }
+            const pcps = ingress.get(hop.bridge);
+            pcps.set(hop.ingress, (pcps.get(hop.ingress) ?? new Set()).add(STREAM_CLASSES[stream.class].pcp));
+        }
+    }
+
+    // TAS: one network cycle, windows placed greedily, shortest period first
+    const scheduled = streams.filter(stream => stream.scheduled).sort((a, b) => a.period - b.period || b.size - a.size);
+    let cycleTime = null;
+    if (scheduled.length > 0) {
+        cycleTime = requestedCycle ?? scheduled.reduce((lcm, stream) => lcm / gcd(lcm, stream.period) * stream.period, 1);
+        const misfit = scheduled.find(stream => cycleTime % stream.period !== 0);
+        if (!Number.isInteger(cycleTime) || cycleTime <= 0 || cycleTime > MAX_CYCLE_TIME) {
+            issue('error', 'invalid-cycle', `Network cycle of ${cycleTime} ns is not a positive integer up to ${MAX_CYCLE_TIME} ns; choose stream periods with a smaller common multiple`);
+            return { fatal: true, issues, streams, ports: [], decoding: [], cycleTime };
+        }
+        if (misfit) {
+            issue('error', 'invalid-cycle', `${misfit.name}: period ${misfit.period} ns does not divide the ${cycleTime} ns cycle`, { stream: misfit.index });
+            return { fatal: true, issues, streams, ports: [], decoding: [], cycleTime };
+        }
+
+        for (const stream of scheduled) {
+            if (!scheduleStream(stream, ports, cycleTime, bridgeDelay)) {
+                issue('error', 'tas-unschedulable', `${stream.name}: no free window for its frames on every hop within the ${cycleTime} ns cycle`, { stream: stream.index });
+            }
+        }
+    }
+
+    // Per-port GCL (scheduled gate open in the windows, the others in between) and CBS
+    const summaries = [];
+    for (const port of ports.values()) {
+        const label = `${port.bridge}:${port.port}`;
+        const summary = {
+            bridge: port.bridge,
+            port: port.port,
+            linkSpeed: port.linkSpeed,
+            streams: port.streams.map(stream => stream.name),
+            shapers: [],
+            reservation: null,
+            schedule: null
+        };
+
+        let schedulePlan = null;
+        if (port.windows.length > 0) {
+            const gcl = controlList(port.windows, cycleTime, transmissionTime(MIN_FRAME_SIZE, port.linkSpeed));
+            schedulePlan = planSchedule({ cycleTime, gcl, linkSpeed: port.linkSpeed, supportedListMax: bridges.get(port.bridge).supportedListMax });
+            for (const item of schedulePlan.issues.filter(item => item.severity === 'error')) {
+                issue('error', item.code, `${label}: ${item.message}`, { bridge: port.bridge, port: port.port });
+            }
+            summary.schedule = { cycleTime, gcl };
+        }
+
+        const reserved = port.streams.filter(stream => !stream.scheduled);
+        let shaperPlan = null;
+        if (reserved.length > 0) {
+            shaperPlan = planShapers({
+                linkSpeed: port.linkSpeed,
+                streams: reserved.map(stream => ({
+                    name: stream.name,
+                    trafficClass: STREAM_CLASSES[stream.class].trafficClass,
+                    frameSize: stream.size,
+                    interval: stream.period
+                }))
+            });
+            for (const item of shaperPlan.issues.filter(item => item.severity === 'error')) {
+                issue('error', item.code, `${label}: ${item.message}`, { bridge: port.bridge, port: port.port });
+            }
+            summary.shapers = shaperPlan.classes.map(entry => ({ trafficClass: entry.trafficClass, idleSlope: entry.idleSlope, maxDelay: entry.maxDelay }));
+            summary.reservation = shaperPlan.reservation;
+        }
+
+        // Per-hop delay of each stream at this port
+        for (const stream of port.streams) {
+            const hop = stream.hops.find(item => `${item.bridge}:${item.egress}` === label);
+            const tc = STREAM_CLASSES[stream.class].trafficClass;
+            if (stream.scheduled) {
+                hop.delay = hop.window ? transmissionTime(stream.size, port.linkSpeed) : null;
+            } else {
+                const shaper = shaperPlan && shaperPlan.classes.find(entry => entry.trafficClass === tc);
+                const gated = schedulePlan && schedulePlan.trafficClasses.find(entry => entry.trafficClass === tc);
+                const gap = gated ? gated.longestGap : 0;
+                hop.delay = shaper && shaper.maxDelay !== null ? shaper.maxDelay + gap : null;
+            }
+        }
+        summaries.push(summary);
+    }
+
+    const decoding = [];
+    for (const [bridge, inPorts] of ingress) {
+        for (const [port, pcps] of inPorts) {
+            decoding.push({ bridge, port, pcps: [...pcps].sort((a, b) => a - b) });
+        }
+    }
+
+    // End to end: the talker's own transmission, then per hop store-and-forward delay
+    for (const stream of streams) {
+        if (stream.scheduled) {
+            const last = stream.hops.reduce((max, hop) => hop.window ? Math.max(max, hop.window.end) : max, -1);
+            stream.latency = stream.phase !== null && stream.hops.every(hop => hop.window) ? last - stream.phase : null;
+        } else if (stream.hops.every(hop => hop.delay !== null)) {
+            // Multicast: the slowest branch decides
+            const arrival = (hop) => {
+                const upstream = upstreamOf(stream, hop);
+                return (upstream ? arrival(upstream) : transmissionTime(stream.size, hop.inSpeed)) + bridgeDelay + hop.delay;
+            };
+            stream.latency = Math.max(...stream.hops.map(arrival));
+        }
+    }
+
+    return { issues, streams, ports: summaries, decoding, cycleTime };
+}
+
+/**
+ * Hop that forwards the frame to `hop`'s bridge, or null for the first bridge
+ */
+function upstreamOf(stream, hop) {
+    return hop.upstream === null ? null : stream.hops.find(item => `${item.bridge}:${item.egress}` === hop.upstream);
+}
+
+/**
+ * Start of the frame's window at a hop, relative to the talker's send time: the frame is
+ * received in full on the ingress link, then forwarded after `bridgeDelay`
+ */
+function hopOffset(stream, hop, bridgeDelay) {
+    const upstream = upstreamOf(stream, hop);
+    const ready = transmissionTime(stream.size, hop.inSpeed) + bridgeDelay;
+    return upstream ? hopOffset(stream, upstream, bridgeDelay) + ready : ready;
+}
+
+/**
+ * Place one scheduled stream: try phases right after windows already on its ports
+ */
+function scheduleStream(stream, ports, cycleTime, bridgeDelay) {
+    const hops = stream.hops.map(hop => ({
+        hop,
+        port: ports.get(`${hop.bridge}:${hop.egress}`),
+        offset: hopOffset(stream, hop, bridgeDelay),
+        length: transmissionTime(stream.size, hop.speed)
+    }));
+
+    const candidates = new Set([0]);
+    for (const { port, offset } of hops) {
+        for (const window of port.windows) {
+            candidates.add((((window.end - offset) % stream.period) + stream.period) % stream.period);
+        }
+    }
+
+    const instances = cycleTime / stream.period;
+    for (const phase of [...candidates].sort((a, b) => a - b)) {
+        const placed = [];
+        const fits = hops.every(({ port, offset, length }) => {
+            for (let k = 0; k < instances; k++) {
+                const start = (phase + offset + k * stream.period) % cycleTime;
+                const end = start + length;
+                if (end > cycleTime || port.windows.some(window => start < window.end && window.start < end)) {
+                    return false;
+                }
+                placed.push({ port, start, end });
+            }
+            return true;
+        });
+
+        if (fits) {
+            for (const { port, start, end } of placed) {
+                port.windows.push({ start, end, stream: stream.name });
+            }
+            stream.phase = phase;
+            for (const { hop, offset, length } of hops) {
+                hop.window = { start: phase + offset, end: phase + offset + length };
+            }
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Gate control list for a port: TC7 alone in the windows, every other class in between.
+ * Gaps too short to carry a frame go to the scheduled class as well.
+ */
+function controlList(windows, cycleTime, minInterval) {
+    const sorted = [...windows].sort((a, b) => a.start - b.start);
+    const gcl = [];
+    let time = 0;
+    const push = (gate, duration) => {
+        const last = gcl[gcl.length - 1];
+        if (last && last.gate === gate) {
+            last.duration += duration;
+        } else {
+            gcl.push({ gate, duration });
+        }
+    };
+
+    for (const window of sorted) {
+        const gap = window.start - time;
+        if (gap >= minInterval) {
+            push(OTHER_GATES, gap);
+        } else if (gap > 0) {
+            push(SCHEDULED_GATES, gap);
+        }
+        push(SCHEDULED_GATES, window.end - Math.max(time, window.start));
+        time = Math.max(time, window.end);
+    }
+    if (cycleTime > time) {
+        if (cycleTime - time >= minInterval) {
+            push(OTHER_GATES, cycleTime - time);
+        } else {
+            push(SCHEDULED_GATES, cycleTime - time);
+        }
+    }
+    return gcl;
+}
+
+/**
+ * mvdct patch entries per bridge: PCP decoding on ingress ports, PCP encoding, priority to
+ * traffic class, CBS shapers and the gate control list on egress ports
+ */
+function buildPatches(ports, decoding) {
+    const patches = {};
+    const add = (bridge, path, value) => {
+        (patches[bridge] ??= []).push({ [path]: value });
+    };
+
+    for (const { bridge, port, pcps } of decoding) {
+        add(bridge, `${interfacePath(port)}/ieee802-dot1q-bridge:bridge-port/pcp-decoding-table/pcp-decoding-map[pcp='8P0D']`, {
+            pcp: '8P0D',
+            'priority-map': pcps.map(pcp => ({ 'priority-code-point': pcp, priority: pcp, 'drop-eligible': false }))
+        });
+    }
+
+    for (const port of ports) {
+        const base = `${interfacePath(port.port)}/ieee802-dot1q-bridge:bridge-port`;
+
+        add(port.bridge, `${base}/pcp-encoding-table/pcp-encoding-map[pcp='8P0D']`, {
+            pcp: '8P0D',
+            'priority-map': Object.values(STREAM_CLASSES).map(({ pcp }) => ({ priority: pcp, dei: false, 'priority-code-point': pcp }))
+        });
+
+        const table = { 'number-of-traffic-classes': 8 };
+        PRIORITY_TRAFFIC_CLASS.forEach((tc, priority) => {
+            table[`priority${priority}`] = tc;
+        });
+        add(port.bridge, `${base}/traffic-class/traffic-class-table`, table);
+
+        for (const shaper of port.shapers) {
+            add(port.bridge, `${interfacePath(port.port)}/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers[traffic-class='${shaper.trafficClass}']`, {
+                'traffic-class': shaper.trafficClass,
+                'credit-based': { 'idle-slope': shaper.idleSlope }
+            });
+        }
+
+        if (port.schedule) {
+            add(port.bridge, `${base}/ieee802-dot1q-sched-bridge:gate-parameter-table`, {
+                'gate-enabled': true,
+                'admin-gate-states': 255,
+                'admin-control-list': {
+                    'gate-control-entry': port.schedule.gcl.map((entry, index) => ({
+                        index,
+                        'operation-name': 'ieee802-dot1q-sched:set-gate-states',
+                        'time-interval-value': entry.duration,
+                        'gate-states-value': entry.gate
+                    }))
+                },
+                'admin-cycle-time': { numerator: port.schedule.cycleTime, denominator: 1000000000 },
+                'admin-base-time': { seconds: 0, nanoseconds: 0 },
+                'config-change': true
+            });
+        }
+    }
+    return patches;
+}
+
+export default planNetwork;
@@ -0,0 +1,562 @@
+/**
+ * TAS Schedule Planner (IEEE 802.1Qbv)
+ * Checks a gate control list against its cycle before it is written to a board and works
+ * out what the schedule means for each traffic class:
+ *
+ *   planSchedule({ cycleTime, cycleTimeExtension, gcl: [{ gate, duration }], linkSpeed, maxFrameSize })
+ *     → { valid, issues, entries, trafficClasses: [{ windows, guardBand, worstCaseLatency, ... }] }
+ *   simulateLatency(plan, { trafficClass, frameSize, arrival: 'worst' | 'periodic' | 'burst' })
+ *   alignBaseTime(currentTime, { cycleTime, cycles, phase }) → { seconds, nanoseconds }
+ *   compareSchedules(schedule) → { inSync, pending, differences: [{ severity, code, message }] }
+ *
+ * All times are nanoseconds relative to the start of a cycle, link speeds are Mb/s and
+ * frame sizes are bytes from destination MAC to FCS. Gates follow the 802.1Qbv rules for a
+ * single schedule: a list shorter than the cycle holds its last gate states until the cycle
+ * restarts, a longer one is cut off at the cycle end, and a frame only starts when it can
+ * finish before its gate closes (guard band).
+ */
+
+/**
+ * Preamble + SFD (8) and inter-frame gap (12) added to every frame on the wire
+ */
+export const ETHERNET_OVERHEAD = 20;
+
+/**
+ * Smallest and default largest Ethernet frame (with one VLAN tag)
+ */
+export const MIN_FRAME_SIZE = 64;
+export const MAX_FRAME_SIZE = 1522;
+
+export const TRAFFIC_CLASSES = 8;
+
+const DEFAULT_LINK_SPEED = 1000;
+
+/**
+ * Frames simulated at most for periodic / burst arrivals, and samples returned
+ */
+const MAX_SIMULATED_FRAMES = 10000;
+const MAX_SAMPLES = 32;
+
+/**
+ * Wire time of one frame in ns (rounded up)
+ */
+export function transmissionTime(frameSize, linkSpeed = DEFAULT_LINK_SPEED) {
+    return Math.ceil((frameSize + ETHERNET_OVERHEAD) * 8 * 1000 / linkSpeed);
+}
+
+/**
+ * Traffic classes whose gate is open in a gate-states value
+ */
+export function openClasses(gateStates) {
+    const open = [];
+    for (let tc = 0; tc < TRAFFIC_CLASSES; tc++) {
+        if (gateStates & (1 << tc)) {
+            open.push(tc);
+        }
+    }
+    return open;
+}
+
+/**
+ * GCL entry in either the /api/tas/configure form ({ gate, duration }) or the
+ * normalized schedule form ({ gateStates, timeInterval }) → { gate, duration } numbers
+ */
+export function entryValues(entry) {
+    if (entry === null || typeof entry !== 'object') {
+        return { gate: undefined, duration: undefined };
+    }
+    return {
+        gate: toNumber(entry.gate ?? entry.gateStates),
+        duration: toNumber(entry.duration ?? entry.timeInterval)
+    };
+}
+
+/**
+ * Number from a JSON number or numeric string ('0xFF' included), otherwise NaN
+ */
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        return Number(value.trim());
+    }
+    return value === undefined || value === null ? undefined : NaN;
+}
+
+function hex(gateStates) {
+    return `0x${gateStates.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+/**
+ * Validate a schedule and compute entry timing, per-class windows and guard bands
+ * @param {Object} request - { cycleTime, cycleTimeExtension, gcl, linkSpeed, maxFrameSize, supportedListMax }
+ * @returns {Object} - plan; `valid` is false when any issue has severity 'error'
+ */
+export function planSchedule(request = {}) {
+    const issues = [];
+    const issue = (severity, code, message, details = {}) => {
+        issues.push({ severity, code, message, ...details });
+    };
+
+    const linkSpeed = toNumber(request.linkSpeed) ?? DEFAULT_LINK_SPEED;
+    const maxFrameSize = toNumber(request.maxFrameSize) ?? MAX_FRAME_SIZE;
+    const gcl = request.gcl;
+
+    if (!(linkSpeed > 0)) {
+        issue('error', 'invalid-link-speed', `Link speed must be a positive number of Mb/s, got ${request.linkSpeed}`);
+    }
+    if (!Number.isInteger(maxFrameSize) || maxFrameSize < MIN_FRAME_SIZE) {
+        issue('error', 'invalid-frame-size', `Maximum frame size must be an integer of at least ${MIN_FRAME_SIZE} bytes, got ${request.maxFrameSize}`);
+    }
+    if (!Array.isArray(gcl) || gcl.length === 0) {
+        issue('error', 'empty-gcl', 'Gate control list must contain at least one entry');
+    }
+    if (issues.length > 0) {
+        return { valid: false, issues, entries: [], trafficClasses: [] };
+    }
+
+    const minInterval = transmissionTime(MIN_FRAME_SIZE, linkSpeed);
+    const guardBand = transmissionTime(maxFrameSize, linkSpeed);
+
+    if (request.supportedListMax && gcl.length > request.supportedListMax) {
+        issue('error', 'gcl-too-long', `Gate control list has ${gcl.length} entries, the port supports ${request.supportedListMax}`);
+    }
+
+    const values = gcl.map(entryValues);
+    values.forEach(({ gate, duration }, index) => {
+        if (!Number.isInteger(gate) || gate < 0 || gate > 255) {
+            issue('error', 'invalid-gate-states', `Entry ${index}: gate states must be an integer 0..255 (0x00..0xFF), got ${gcl[index].gate ?? gcl[index].gateStates}`, { entry: index });
+        }
+        if (!Number.isInteger(duration) || duration <= 0) {
+            issue('error', 'invalid-interval', `Entry ${index}: time interval must be a positive integer of ns, got ${gcl[index].duration ?? gcl[index].timeInterval}`, { entry: index });
+        } else if (duration < minInterval) {
+            issue('error', 'interval-too-short', `Entry ${index}: ${duration} ns is shorter than one minimum-size frame (${minInterval} ns at ${linkSpeed} Mb/s)`, { entry: index });
+        }
+    });
+    if (issues.some(item => item.severity === 'error' && item.entry !== undefined)) {
+        return { valid: false, issues, linkSpeed, maxFrameSize, minInterval, guardBand, entries: [], trafficClasses: [] };
+    }
+
+    const total = values.reduce((sum, { duration }) => sum + duration, 0);
+
+    let cycleTime = toNumber(request.cycleTime);
+    if (cycleTime === undefined || cycleTime === 0) {
+        issue('warning', 'cycle-time-derived', `No cycle time given, using the sum of the intervals (${total} ns)`);
+        cycleTime = total;
+    } else if (!Number.isInteger(cycleTime) || cycleTime < 0) {
+        issue('error', 'invalid-cycle-time', `Cycle time must be a positive integer of ns, got ${request.cycleTime}`);
+        cycleTime = total;
+    }
+
+    if (total > cycleTime) {
+        const cut = values.findIndex((value, index) =>
+            values.slice(0, index + 1).reduce((sum, { duration }) => sum + duration, 0) > cycleTime);
+        issue('error', 'gcl-exceeds-cycle', `Intervals sum to ${total} ns, ${total - cycleTime} ns more than the ${cycleTime} ns cycle; entry ${cut} is cut short${cut < values.length - 1 ? ' and later entries never run' : ''}`, { entry: cut });
+    } else if (total < cycleTime) {
+        issue('warning', 'gcl-shorter-than-cycle', `Intervals sum to ${total} ns, the last entry's gates (${hex(values[values.length - 1].gate)}) are held for the remaining ${cycleTime - total} ns of the cycle`, { entry: values.length - 1 });
+    }
+
+    const cycleTimeExtension = toNumber(request.cycleTimeExtension) ?? 0;
+    if (!Number.isInteger(cycleTimeExtension) || cycleTimeExtension < 0) {
+        issue('error', 'invalid-cycle-extension', `Cycle time extension must be a non-negative integer of ns, got ${request.cycleTimeExtension}`);
+    } else if (cycleTimeExtension >= cycleTime) {
+        issue('warning', 'cycle-extension-too-long', `Cycle time extension (${cycleTimeExtension} ns) is not shorter than the cycle (${cycleTime} ns); a schedule change may stretch the last old cycle by a whole cycle or more`);
+    }
+
+    // What actually runs within one cycle: the overrun cut off, the last entry held to the end
+    const entries = [];
+    let start = 0;
+    values.forEach(({ gate, duration }, index) => {
+        const end = index === values.length - 1 ? Math.max(start + duration, cycleTime) : start + duration;
+        if (start < cycleTime) {
+            entries.push({
+                index,
+                start,
+                end: Math.min(end, cycleTime),
+                duration: Math.min(end, cycleTime) - start,
+                gateStates: gate,
+                open: openClasses(gate)
+            });
+        }
+        start += duration;
+    });
+
+    const trafficClasses = [];
+    for (let tc = 0; tc < TRAFFIC_CLASSES; tc++) {
+        const windows = classWindows(entries, tc, cycleTime);
+        const openTime = windows.reduce((sum, window) => sum + window.duration, 0);
+        // A gate that never closes needs no guard band
+        const classGuardBand = openTime === cycleTime ? 0 : guardBand;
+        for (const window of windows) {
+            window.guardBandStart = Math.max(window.start, window.end - classGuardBand);
+            window.usable = Math.max(0, window.duration - classGuardBand);
+            window.maxFrameSize = Math.max(0, Math.floor(window.duration * linkSpeed / 8000) - ETHERNET_OVERHEAD);
+        }
+
+        trafficClasses.push({
+            trafficClass: tc,
+            openTime,
+            share: cycleTime > 0 ? openTime / cycleTime : 0,
+            windows,
+            guardBand: classGuardBand,
+            longestGap: longestGap(windows, cycleTime)
+        });
+
+        if (windows.length === 0) {
+            issue('warning', 'class-never-open', `TC${tc} gate is never open; its frames are never transmitted`, { trafficClass: tc });
+        } else {
+            windows.filter(window => window.duration < classGuardBand).forEach(window => {
+                issue('warning', 'window-below-max-frame', `TC${tc} window at ${window.start} ns is ${window.duration} ns, frames over ${window.maxFrameSize} bytes never fit (a ${maxFrameSize}-byte frame needs ${guardBand} ns)`, { trafficClass: tc });
+            });
+        }
+    }
+
+    const plan = {
+        valid: !issues.some(item => item.severity === 'error'),
+        issues,
+        cycleTime,
+        cycleTimeExtension,
+        linkSpeed,
+        maxFrameSize,
+        minInterval,
+        guardBand,
+        entries,
+        trafficClasses
+    };
+
+    for (const summary of trafficClasses) {
+        summary.worstCaseLatency = summary.windows.length > 0
+            ? worstCase(plan, summary.trafficClass, maxFrameSize, true).latency
+            : null;
+    }
+    return plan;
+}
+
+/**
+ * Open windows of one traffic class in [0, cycleTime); a window open at the cycle end and
+ * at the start of the next cycle is merged into one that ends after cycleTime
+ */
+function classWindows(entries, tc, cycleTime) {
+    const windows = [];
+    for (const entry of entries) {
+        if (!entry.open.includes(tc)) {
+            continue;
+        }
+        const last = windows[windows.length - 1];
+        if (last && last.end === entry.start) {
+            last.end = entry.end;
+        } else {
+            windows.push({ start: entry.start, end: entry.end });
+        }
+    }
+
+    if (windows.length > 1 && windows[0].start === 0 && windows[windows.length - 1].end === cycleTime) {
+        const first = windows.shift();
+        windows[windows.length - 1].end = cycleTime + first.end;
+    }
+    return windows.map(window => ({ ...window, duration: window.end - window.start }));
+}
+
+/**
+ * Longest time a class waits with its gate closed, cycle boundary included
+ */
+function longestGap(windows, cycleTime) {
+    if (windows.length === 0) {
+        return cycleTime;
+    }
+    return windows.reduce((gap, window, index) => {
+        const next = windows[index + 1] ? windows[index + 1].start : windows[0].start + cycleTime;
+        return Math.max(gap, next - window.end);
+    }, 0);
+}
+
+/**
+ * Earliest time >= t at which a frame of `tx` ns can start and finish inside an open window
+ * of `tc`; null when no window is long enough
+ */
+function earliestStart(plan, tc, t, tx) {
+    const { windows } = plan.trafficClasses[tc];
+    const { cycleTime } = plan;
+    const base = Math.floor(t / cycleTime) - 1;
+
+    for (let cycle = base; cycle <= base + 2; cycle++) {
+        for (const window of windows) {
+            const start = cycle * cycleTime + window.start;
+            const latest = cycle * cycleTime + window.end - tx;
+            if (latest >= start && latest >= t) {
+                return Math.max(start, t);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Longest a frame of another class that started just before `t` can keep the port busy
+ * (non-preemptive; the guard band ends it no later than its own gate closes)
+ */
+function blockingAt(plan, tc, t) {
+    const { cycleTime, guardBand } = plan;
+    let blocking = 0;
+
+    for (const other of plan.trafficClasses) {
+        if (other.trafficClass === tc) {
+            continue;
+        }
+        for (const window of other.windows) {
+            for (const offset of [-cycleTime, 0, cycleTime]) {
+                const start = window.start + offset;
+                const end = window.end + offset;
+                if (start < t && t < end) {
+                    blocking = Math.max(blocking, Math.min(guardBand, end - t));
+                }
+            }
+        }
+    }
+    return blocking;
+}
+
+/**
+ * Serve one frame that becomes eligible at `t`: wait for a window it fits in, then (with
+ * blocking) for one interfering frame of another class
+ */
+function serveFrame(plan, tc, t, tx, blocking) {
+    let start = earliestStart(plan, tc, t, tx);
+    if (start !== null && blocking) {
+        const delay = blockingAt(plan, tc, start);
+        if (delay > 0) {
+            start = earliestStart(plan, tc, start + delay, tx);
+        }
+    }
+    return start;
+}
+
+/**
+ * Worst case over every arrival phase in the cycle. Latency only jumps where an arrival
+ * just misses a window, so it is enough to evaluate just after each window boundary moved
+ * back by the frame and the blocking time.
+ */
+function worstCase(plan, tc, frameSize, blocking) {
+    const { cycleTime, guardBand } = plan;
+    const tx = transmissionTime(frameSize, plan.linkSpeed);
+
+    const boundaries = new Set([0]);
+    for (const entry of plan.entries) {
+        boundaries.add(entry.start);
+        boundaries.add(entry.end);
+    }
+
+    let worst = null;
+    for (const boundary of boundaries) {
+        for (const back of [0, tx, tx + guardBand]) {
+            for (const nudge of [0, 1]) {
+                const arrival = ((boundary - back + nudge) % cycleTime + cycleTime) % cycleTime;
+                const start = serveFrame(plan, tc, arrival, tx, blocking);
+                if (start === null) {
+                    return { latency: null, arrival: null, transmissionTime: tx };
+                }
+                const latency = start + tx - arrival;
+                if (!worst || latency > worst.latency) {
+                    worst = { latency, arrival, start, wait: start - arrival, transmissionTime: tx };
+                }
+            }
+        }
+    }
+    return worst;
+}
+
+/**
+ * Simulate frame latency for one traffic class
+ * @param {Object} plan - result of planSchedule()
+ * @param {Object} options - { trafficClass, frameSize, arrival: 'worst' | 'periodic' | 'burst',
+ *                             period, offset, count, blocking }
+ * @returns {Object} - { latency: { min, max, average }, jitter, samples, ... } or { error }
+ */
+export function simulateLatency(plan, options = {}) {
+    const tc = toNumber(options.trafficClass) ?? 7;
+    const frameSize = toNumber(options.frameSize) ?? plan.maxFrameSize;
+    const arrival = options.arrival || 'worst';
+    const blocking = options.blocking !== false;
+
+    if (!plan.valid) {
+        return { error: 'Schedule has errors, fix them before simulating' };
+    }
+    if (!Number.isInteger(tc) || tc < 0 || tc >= TRAFFIC_CLASSES) {
+        return { error: `Traffic class must be 0..${TRAFFIC_CLASSES - 1}, got ${options.trafficClass}` };
+    }
+    if (!Number.isInteger(frameSize) || frameSize < MIN_FRAME_SIZE) {
+        return { error: `Frame size must be an integer of at least ${MIN_FRAME_SIZE} bytes, got ${options.frameSize}` };
+    }
+    if (!['worst', 'periodic', 'burst'].includes(arrival)) {
+        return { error: `Unknown arrival pattern: ${arrival} (worst, periodic, burst)` };
+    }
+
+    const tx = transmissionTime(frameSize, plan.linkSpeed);
+    const result = { trafficClass: tc, frameSize, transmissionTime: tx, arrival, blocking };
+
+    if (earliestStart(plan, tc, 0, tx) === null) {
+        return { ...result, schedulable: false, error: `A ${frameSize}-byte frame (${tx} ns) does not fit in any TC${tc} window` };
+    }
+
+    if (arrival === 'worst') {
+        const worst = worstCase(plan, tc, frameSize, blocking);
+        return {
+            ...result,
+            schedulable: true,
+            latency: { min: tx, max: worst.latency, average: null },
+            jitter: worst.latency - tx,
+            worstArrival: worst.arrival,
+            samples: [{ arrival: worst.arrival, start: worst.start, end: worst.start + tx, latency: worst.latency }]
+        };
+    }
+
+    const offset = toNumber(options.offset) ?? 0;
+    const period = arrival === 'burst' ? 0 : (toNumber(options.period) ?? plan.cycleTime);
+    const count = Math.min(toNumber(options.count) ?? (arrival === 'burst' ? 8 : 100), MAX_SIMULATED_FRAMES);
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: `Offset must be a non-negative integer of ns, got ${options.offset}` };
+    }
+    if (arrival === 'periodic' && (!Number.isInteger(period) || period <= 0)) {
+        return { error: `Period must be a positive integer of ns, got ${options.period}` };
+    }
+    if (!Number.isInteger(count) || count <= 0) {
+        return { error: `Count must be a positive integer, got ${options.count}` };
+    }
+
+    // Frames of one class leave in order, each after the previous one has finished
+    const samples = [];
+    let busyUntil = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = 0;
+    for (let i = 0; i < count; i++) {
+        const arrivedAt = offset + i * period;
+        const queued = busyUntil > arrivedAt;
+        const start = serveFrame(plan, tc, queued ? busyUntil : arrivedAt, tx, blocking && !queued);
+        const latency = start + tx - arrivedAt;
+
+        busyUntil = start + tx;
+        sum += latency;
+        min = Math.min(min, latency);
+        max = Math.max(max, latency);
+        if (samples.length < MAX_SAMPLES) {
+            samples.push({ arrival: arrivedAt, start, end: start + tx, latency });
+        }
+    }
+
+    const openTime = plan.trafficClasses[tc].openTime;
+    const overloaded = arrival === 'periodic' && tx / period > openTime / plan.cycleTime;
+
+    return {
+        ...result,
+        schedulable: !overloaded,
+        period,
+        offset,
+        frames: count,
+        latency: { min, max, average: Math.round(sum / count) },
+        jitter: max - min,
+        ...(overloaded && { error: `TC${tc} is open ${(100 * openTime / plan.cycleTime).toFixed(1)}% of the cycle but the stream needs ${(100 * tx / period).toFixed(1)}%; the queue grows without bound` }),
+        samples
+    };
+}
+
+/**
+ * IEEE 1588 ptp-time ({ seconds, nanoseconds }, seconds as a string) ↔ ns since the PTP epoch
+ */
+export function ptpTimeToNs(time) {
+    return BigInt(time?.seconds ?? 0) * 1000000000n + BigInt(time?.nanoseconds ?? 0);
+}
+
+export function nsToPtpTime(ns) {
+    const value = BigInt(ns);
+    return { seconds: String(value / 1000000000n), nanoseconds: Number(value % 1000000000n) };
+}
+
+/**
+ * Admin base time for a schedule that starts `cycles` whole cycles after the current board
+ * time. Cycles are counted from the PTP epoch, so bridges with the same cycle time and phase
+ * open their gates together wherever they start.
+ * @param {Object} currentTime - board ptp-time (gate-parameter-table current-time)
+ * @param {Object} options - { cycleTime (ns), cycles (>= 1), phase (ns into the cycle, < cycleTime) }
+ * @returns {Object} - ptp-time { seconds, nanoseconds }
+ */
+export function alignBaseTime(currentTime, { cycleTime, cycles = 1, phase = 0 }) {
+    const cycle = BigInt(cycleTime);
+    const now = ptpTimeToNs(currentTime);
+    return nsToPtpTime((now / cycle + BigInt(cycles)) * cycle + BigInt(phase));
+}
+
+function formatPtpTime(time) {
+    return time ? `${time.seconds}.${String(time.nanoseconds).padStart(9, '0')} s` : 'unknown';
+}
+
+/**
+ * Compare the admin schedule of a port with the one it is running (a normalizeSchedule()
+ * view). While config-pending is set the admin values are expected to differ until
+ * config-change-time, so mismatches are 'info'; once nothing is pending they are warnings.
+ * @returns {Object} - { inSync, pending, differences }; inSync ignores config-change-error,
+ *   which counts earlier rejected changes
+ */
+export function compareSchedules(schedule) {
+    const differences = [];
+    const difference = (severity, code, message, details = {}) => {
+        differences.push({ severity, code, message, ...details });
+    };
+
+    const { admin, oper } = schedule;
+    const pending = !!schedule.configPending;
+    const mismatch = pending ? 'info' : 'warning';
+    const gates = value => value === null || value === undefined ? 'none' : hex(value);
+
+    if (!schedule.gateEnabled) {
+        difference('warning', 'gate-disabled', 'gate-enabled is false, the port runs no schedule');
+    }
+    if (pending) {
+        const overdue = schedule.currentTime && schedule.configChangeTime
+            && ptpTimeToNs(schedule.currentTime) > ptpTimeToNs(schedule.configChangeTime);
+        difference(overdue ? 'warning' : 'info', overdue ? 'pending-overdue' : 'config-pending',
+            overdue
+                ? `Admin schedule still pending, config-change-time ${formatPtpTime(schedule.configChangeTime)} has passed (board time ${formatPtpTime(schedule.currentTime)})`
+                : `Admin schedule pending until ${formatPtpTime(schedule.configChangeTime)}`);
+    }
+
+    if (admin.cycleTime !== oper.cycleTime) {
+        difference(mismatch, 'cycle-mismatch', `Admin cycle time is ${admin.cycleTime} ns, the running cycle is ${oper.cycleTime} ns`, { admin: admin.cycleTime, oper: oper.cycleTime });
+    }
+    if ((admin.cycleTimeExtension ?? 0) !== (oper.cycleTimeExtension ?? 0)) {
+        difference(mismatch, 'cycle-extension-mismatch', `Admin cycle time extension is ${admin.cycleTimeExtension} ns, running ${oper.cycleTimeExtension} ns`, { admin: admin.cycleTimeExtension, oper: oper.cycleTimeExtension });
+    }
+    if (admin.baseTime && oper.baseTime && ptpTimeToNs(admin.baseTime) !== ptpTimeToNs(oper.baseTime)) {
+        difference(mismatch, 'base-time-mismatch', `Admin base time is ${formatPtpTime(admin.baseTime)}, running ${formatPtpTime(oper.baseTime)}`, { admin: admin.baseTime, oper: oper.baseTime });
+    }
+    if (admin.gateStates !== oper.gateStates) {
+        difference(mismatch, 'gate-states-mismatch', `Admin initial gate states are ${gates(admin.gateStates)}, running ${gates(oper.gateStates)}`, { admin: admin.gateStates, oper: oper.gateStates });
+    }
+
+    const adminList = admin.controlList || [];
+    const operList = oper.controlList || [];
+    if (adminList.length !== operList.length) {
+        difference(mismatch, 'entry-count-drift', `Admin control list has ${adminList.length} entries, the running list ${operList.length}`, { admin: adminList.length, oper: operList.length });
+    }
+    for (let index = 0; index < Math.min(adminList.length, operList.length); index++) {
+        const a = adminList[index];
+        const o = operList[index];
+        if (a.gateStates !== o.gateStates || a.timeInterval !== o.timeInterval || a.operation !== o.operation) {
+            difference(mismatch, 'entry-mismatch', `Entry ${index}: admin ${gates(a.gateStates)} for ${a.timeInterval} ns, running ${gates(o.gateStates)} for ${o.timeInterval} ns`, { entry: index });
+        }
+    }
+
+    if (schedule.configChangeError > 0) {
+        difference('info', 'config-change-error', `The board has rejected ${schedule.configChangeError} schedule change(s) since it started (config-change-error)`);
+    }
+
+    return {
+        inSync: differences.every(item => item.code === 'config-change-error'),
+        pending,
+        differences
+    };
+}
+
+export default planSchedule;
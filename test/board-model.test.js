@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import yaml from 'js-yaml';
+import { YangDatastore } from '../yang-datastore.js';
+import { createBoardData } from '../lan966x-simulator.js';
+import {
+    BoardModel, resultEntries, normalizePSFP, normalizeShapers, normalizeStreamIdentities,
+    INTERFACES_PATH, PTP_PATH, componentPath, interfacePath
+} from '../board-model.js';
+
+/**
+ * Model holding a whole simulated board, read as transport data
+ */
+function boardModel(edit = () => {}) {
+    const datastore = new YangDatastore(createBoardData('LAN9662'));
+    edit(datastore);
+    const model = new BoardModel();
+    model.update({ success: true, data: datastore.toEntries() });
+    return model;
+}
+
+test('results come as transport data or mvdct YAML after log lines', () => {
+    const entries = [{ '/ietf-system:system-state/platform': { machine: 'lan9662' } }];
+    assert.equal(resultEntries({ success: true, data: entries }), entries);
+    assert.deepEqual(resultEntries({ success: true, stdout: `TX: 7e...\nRX: 7e...\nYAML:\n${yaml.dump(entries)}` }), entries);
+    assert.deepEqual(resultEntries({ success: true, stdout: yaml.dump(entries) }), entries);
+    assert.equal(resultEntries({ success: false, data: entries }), null);
+    assert.equal(resultEntries({ success: true, stdout: 'machine: lan9662' }), null);
+    assert.equal(resultEntries({ success: true, stdout: ': [' }), null);
+});
+
+test('interfaces, bridge ports and schedules', () => {
+    const model = boardModel();
+    assert.equal(model.update({ success: false }), false);
+    assert.ok(model.updated.has('ietf-interfaces:interfaces'));
+
+    const [first, , third] = model.interfaces();
+    assert.deepEqual(
+        { name: first.name, type: first.type, enabled: first.enabled, operStatus: first.operStatus, ifIndex: first.ifIndex, macAddress: first.macAddress },
+        { name: '1', type: 'ethernetCsmacd', enabled: true, operStatus: 'up', ifIndex: 1, macAddress: '00-04-a3-00-00-01' }
+    );
+    assert.deepEqual(first.ethernet, { speed: '1.000', duplex: 'full', autoNegotiation: true, maxFrameLength: 10240 });
+    assert.equal(first.counters.inOctets, 0);
+    assert.equal(first.trafficClass.length, 8);
+    assert.equal(third.operStatus, 'down');
+
+    const [port] = model.bridgePorts();
+    assert.deepEqual([port.interface, port.bridge, port.component, port.portType, port.pvid, port.acceptableFrame, port.scheduled],
+        ['1', 'b0', 'c0', 'c-vlan-bridge-port', 1, 'admit-all-frames', true]);
+
+    const schedules = model.schedules();
+    assert.deepEqual(schedules.map(schedule => schedule.interface), ['1', '2', '3', '4']);
+    assert.deepEqual(schedules[0].admin, {
+        gateStates: 255, cycleTime: 0, cycleTimeExtension: 0, baseTime: { seconds: '0', nanoseconds: 0 }, controlList: []
+    });
+    assert.equal(schedules[0].supportedListMax, 256);
+    assert.equal(model.interfaceView('9', () => 'never'), null);
+});
+
+test('a read replaces the node at its path only', () => {
+    const model = boardModel();
+    const table = `${interfacePath('2')}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table`;
+    model.update({
+        success: true,
+        data: [{
+            [table]: {
+                'gate-enabled': true,
+                'admin-cycle-time': { numerator: 1, denominator: 1000 },
+                'admin-control-list': { 'gate-control-entry': [
+                    { 'index': 0, 'operation-name': 'ieee802-dot1q-sched:set-gate-states', 'gate-states-value': 128, 'time-interval-value': 300000 },
+                    { 'index': 1, 'operation-name': 'ieee802-dot1q-sched:set-gate-states', 'gate-states-value': 127, 'time-interval-value': 700000 }
+                ] }
+            }
+        }]
+    });
+
+    const schedule = model.schedules().find(item => item.interface === '2');
+    assert.equal(schedule.gateEnabled, true);
+    assert.equal(schedule.admin.cycleTime, 1000000);
+    assert.deepEqual(schedule.admin.controlList[1], { index: 1, operation: 'set-gate-states', gateStates: 127, timeInterval: 700000 });
+    // Members not in the read are gone, other interfaces untouched
+    assert.equal(schedule.admin.gateStates, null);
+    assert.equal(model.schedules()[0].admin.gateStates, 255);
+    assert.equal(model.rawInterfaces().length, 4);
+});
+
+test('platform, bridges and PTP', () => {
+    const model = boardModel();
+    assert.deepEqual(model.platform(), {
+        machine: 'lan9662', osName: 'VelocitySP', osRelease: 'v2025.06', osVersion: 'VelocitySP-v2025.06-LAN9662-ung8291'
+    });
+
+    const [bridge] = model.bridges();
+    assert.deepEqual([bridge.name, bridge.type, bridge.components[0].bridgePorts], ['b0', 'customer-vlan-bridge', ['1', '2', '3', '4']]);
+    assert.deepEqual(bridge.components[0].vlans[0].ports[0], { port: 1, transmitted: 'untagged' });
+
+    const [instance] = model.ptp();
+    assert.deepEqual([instance.enabled, instance.instanceType, instance.priority1, instance.grandmaster.clockClass, instance.parentPort.portNumber],
+        [true, 'bc', 246, 'cc-default', 1]);
+    assert.deepEqual(instance.servos, [{ index: 0, type: 'pi', ltc: 0, offset: 0, state: 2 }]);
+    assert.deepEqual(instance.ports.map(port => [port.index, port.state, port.meanLinkDelay, port.asCapable]),
+        [[1, 'slave', 400, true], [2, 'master', 400, true], [3, 'disabled', 0, false], [4, 'disabled', 0, false]]);
+
+    assert.deepEqual(new BoardModel().ptp(), []);
+    assert.ok(model.get(PTP_PATH));
+    assert.equal(model.get(`${INTERFACES_PATH}/interface[name='9']`), undefined);
+});
+
+test('PSFP filters, gates and meters with their limits', () => {
+    const model = boardModel((datastore) => {
+        const component = componentPath('b0', 'c0');
+        datastore.merge(`${component}/ieee802-dot1q-psfp-bridge:stream-filters`, { 'stream-filter-instance-table': [{
+            'stream-filter-instance-id': 1, 'stream-handle': 7, 'priority-spec': 'wildcard', 'max-sdu-size': 1522,
+            'stream-gate-ref': 2, 'flow-meter-ref': 3, 'matching-frames-count': '10', 'not-passing-frames-count': '2'
+        }] });
+        datastore.merge(`${component}/ieee802-dot1q-psfp-bridge:stream-gates`, { 'stream-gate-instance-table': [{
+            'stream-gate-instance-id': 2, 'gate-enable': true, 'admin-gate-states': 'closed', 'admin-ipv': 'five',
+            'admin-cycle-time': { numerator: 1, denominator: 1000 },
+            'admin-control-list': { 'gate-control-entry': [{ 'index': 0, 'gate-state-value': 'open', 'ipv-spec': 'wildcard', 'time-interval-value': 1000000 }] }
+        }] });
+        datastore.merge(`${component}/ieee802-dot1q-psfp-bridge:flow-meters`, { 'flow-meter-instance-table': [{
+            'flow-meter-instance-id': 3, 'committed-information-rate': '1000000', 'committed-burst-size': 1522, 'coupling-flag': 'one'
+        }] });
+    });
+
+    const psfp = model.psfp('b0', 'c0');
+    assert.deepEqual(psfp.limits, { maxStreamFilters: 64, maxStreamGates: 64, maxFlowMeters: 64, supportedListMax: 4 });
+    const [filter] = psfp.streamFilters;
+    assert.deepEqual([filter.id, filter.streamHandle, filter.priority, filter.streamGate, filter.flowMeter], [1, 7, 'wildcard', 2, 3]);
+    assert.deepEqual([filter.counters.matchingFrames, filter.counters.notPassingFrames], [10, 2]);
+    const [gate] = psfp.streamGates;
+    assert.deepEqual([gate.gateState, gate.ipv, gate.cycleTime], ['closed', 5, 1000000]);
+    assert.deepEqual(gate.controlList, [{ index: 0, gateState: 'open', ipv: 'wildcard', timeInterval: 1000000, intervalOctetMax: null }]);
+    assert.deepEqual([psfp.flowMeters[0].cir, psfp.flowMeters[0].couplingFlag, psfp.flowMeters[0].colorMode], [1000000, 1, 'color-blind']);
+
+    assert.equal(model.psfp('b0', 'c9'), null);
+    assert.deepEqual(normalizePSFP({}).streamFilters, []);
+});
+
+test('shapers and stream identities', () => {
+    assert.deepEqual(normalizeShapers({
+        'mchp-velocitysp-port:eth-qos': { config: { 'traffic-class-shapers': [
+            { 'traffic-class': 6, 'credit-based': { 'idle-slope': 98688 } },
+            { 'traffic-class': 5, 'single-leaky-bucket': { 'committed-information-rate': 5000, 'committed-burst-size': 3000 } }
+        ] } }
+    }), [
+        { trafficClass: 6, mode: 'cbs', idleSlope: 98688, cir: null, cbs: null },
+        { trafficClass: 5, mode: 'slb', idleSlope: null, cir: 5000, cbs: 3000 }
+    ]);
+
+    assert.deepEqual(normalizeStreamIdentities([{
+        'index': 1,
+        'handle': 7,
+        'null-stream-identification': { 'destination-mac': '01-00-5e-00-00-01', 'vlan': 10, 'tagged': 'tagged' },
+        'out-facing': { 'input-port': ['1'] }
+    }]), [{ index: 1, handle: 7, type: 'null-stream', ports: ['1'], match: { destinationMac: '01-00-5e-00-00-01', vlan: 10, tagged: 'tagged' } }]);
+});
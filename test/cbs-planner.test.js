@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planShapers } from '../cbs-planner.js';
+
+// One 1522-byte frame every 125 µs: (1522 + 20) * 8 bits * 8000/s = 98.688 Mb/s
+const CLASS_A = { name: 'talker', trafficClass: 6, frameSize: 1522, interval: 125000 };
+
+function codes(plan) {
+    return plan.issues.map(issue => issue.code);
+}
+
+test('shaper parameters from one stream', () => {
+    const plan = planShapers({ streams: [CLASS_A] });
+    assert.equal(plan.valid, true);
+    assert.deepEqual(plan.reservation, { total: 98688, limit: 750000, share: 9.8688, maxReservation: 75 });
+
+    const [tc6] = plan.classes;
+    assert.equal(tc6.trafficClass, 6);
+    assert.equal(tc6.bandwidth, 98688000);
+    assert.equal(tc6.idleSlope, 98688);
+    assert.equal(tc6.sendSlope, 98688 - 1000000);
+    // hiCredit: idle slope over one interfering max frame; loCredit: send slope over its own frame
+    assert.equal(tc6.hiCredit, Math.ceil(98688000 * 12336 / 1e9));
+    assert.equal(tc6.loCredit, Math.floor(12336 * (98688000 - 1e9) / 1e9));
+    // One lower-class frame ahead of it, then its own
+    assert.equal(tc6.maxDelay, 2 * 12336);
+});
+
+test('a lower class waits for the bursts of higher ones', () => {
+    const plan = planShapers({ streams: [CLASS_A, { ...CLASS_A, name: 'class B', trafficClass: 5, interval: 250000 }] });
+    const [tc5, tc6] = plan.classes;
+    assert.deepEqual(plan.classes.map(entry => entry.trafficClass), [5, 6]);
+    assert.equal(tc5.idleSlope, 49344);
+    assert.ok(tc5.hiCredit > tc6.hiCredit);
+    assert.ok(tc5.maxDelay > tc6.maxDelay);
+});
+
+test('reservation limit counts current shapers of other classes', () => {
+    const shapers = [{ trafficClass: 5, mode: 'cbs', idleSlope: 700000 }];
+    const plan = planShapers({ streams: [CLASS_A], shapers });
+    assert.equal(plan.valid, false);
+    assert.deepEqual(codes(plan), ['reservation-exceeded']);
+    assert.match(plan.issues[0].message, /including current shapers on TC5/);
+    assert.equal(plan.classes.find(entry => entry.trafficClass === 5).existing, true);
+
+    assert.equal(planShapers({ streams: [CLASS_A], shapers, maxReservation: 90 }).valid, true);
+});
+
+test('fixed idle slopes and request errors', () => {
+    const fixed = planShapers({ idleSlopes: { 7: 100000 } });
+    assert.equal(fixed.valid, true);
+    assert.equal(fixed.classes[0].idleSlope, 100000);
+
+    assert.deepEqual(codes(planShapers({ streams: [CLASS_A], idleSlopes: { 6: 1000 } })), ['duplicate-class']);
+    assert.deepEqual(codes(planShapers({})), ['no-streams']);
+    assert.deepEqual(codes(planShapers({ streams: [{ ...CLASS_A, trafficClass: 8, interval: 0 }] })), ['invalid-traffic-class', 'invalid-interval']);
+    assert.deepEqual(codes(planShapers({ streams: [{ ...CLASS_A, maxLatency: 20000 }] })), ['latency-exceeded']);
+    assert.deepEqual(codes(planShapers({ streams: [CLASS_A], shapers: [{ trafficClass: 6, mode: 'slb' }] })), ['replaces-slb']);
+});
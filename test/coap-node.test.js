@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MUP1Protocol } from '../mup1-protocol.js';
+import {
+    CoAPClient, OPTIONS, encodeBlock, decodeBlock, encodeUint, encodeOptionList, parseOptionList,
+    decodeOptions, encodeCbor
+} from '../coap-node.js';
+
+const CONTENT = 69;   // 2.05
+const CHANGED = 68;   // 2.04
+const CONTINUE = 95;  // 2.31
+
+/**
+ * CoAP message bytes (ACK by default, piggybacked on the request's message ID)
+ */
+function message({ type = 2, code, messageId, token = Buffer.alloc(0), options = [], payload = null }) {
+    return Buffer.from([
+        0x40 | (type << 4) | token.length, code, messageId >> 8, messageId & 0xFF,
+        ...token, ...encodeOptionList(options), ...(payload ? [0xFF, ...payload] : [])
+    ]);
+}
+
+/**
+ * Client wired to an in-memory board: handler(request, client) returns the response message
+ * (or null to stay silent); requests are parsed with the client's own parser
+ */
+function fakeBoard(handler, options = {}) {
+    const protocol = new MUP1Protocol();
+    const requests = [];
+    const serial = {
+        write(frame) {
+            const request = client.parseResponse(protocol.decodeFrame(frame).data);
+            requests.push(request);
+            setImmediate(() => {
+                const reply = handler(request, requests);
+                if (reply) {
+                    client.handleData(protocol.createCoapFrame(reply));
+                }
+            });
+        }
+    };
+    const client = new CoAPClient(protocol, serial, { log: () => {}, ...options });
+    return { client, protocol, requests };
+}
+
+test('block option values round trip', () => {
+    for (const [num, more, size] of [[0, false, 16], [1, true, 1024], [4095, true, 64], [70000, false, 512]]) {
+        assert.deepEqual(decodeBlock(encodeBlock(num, more, size)), { num, more, size });
+    }
+    assert.throws(() => encodeBlock(0, false, 100), /Invalid block size/);
+    assert.throws(() => encodeBlock(0, false, 2048), /Invalid block size/);
+    assert.throws(() => decodeBlock(Buffer.from([0x07])), /BERT/);
+});
+
+test('option list round trips extended deltas, lengths and 0xFF inside values', () => {
+    const long = Buffer.alloc(300, 0xFF);
+    const options = [
+        [OPTIONS.SIZE1, encodeUint(70000)],
+        [OPTIONS.URI_PATH, Buffer.from('c')],
+        [OPTIONS.URI_PATH, Buffer.from('x'.repeat(20))],
+        [OPTIONS.ETAG, Buffer.from([0xFF, 0x01])],
+        [2000, long]
+    ];
+    const bytes = Buffer.from([...encodeOptionList(options), 0xFF, 0x2A]);
+    const { options: parsed, payloadStart } = parseOptionList(bytes, 0);
+
+    assert.deepEqual(parsed.map(option => option.number), [OPTIONS.ETAG, OPTIONS.URI_PATH, OPTIONS.URI_PATH, OPTIONS.SIZE1, 2000]);
+    assert.deepEqual(parsed[4].value, long);
+    assert.equal(bytes[payloadStart], 0x2A);
+
+    const decoded = decodeOptions(parsed);
+    assert.deepEqual(decoded.uriPath, ['c', 'x'.repeat(20)]);
+    assert.deepEqual(decoded.etag, [Buffer.from([0xFF, 0x01])]);
+    assert.equal(decoded.size1, 70000);
+    assert.deepEqual(decoded.option2000, [long]);
+});
+
+test('truncated and reserved option headers are rejected', () => {
+    assert.throws(() => parseOptionList(Buffer.from([0xB5, 0x61]), 0), /Truncated/);
+    assert.throws(() => parseOptionList(Buffer.from([0xF1, 0x00]), 0), /Invalid CoAP option header/);
+});
+
+test('Block2 responses are fetched block by block and reassembled', async () => {
+    const resource = encodeCbor({ text: 'block-wise '.repeat(8) });
+    const size = 16;
+    const { client, requests } = fakeBoard((request) => {
+        const num = request.block2 ? request.block2.num : 0;
+        const end = Math.min((num + 1) * size, resource.length);
+        return message({
+            code: CONTENT,
+            messageId: request.messageId,
+            token: request.token,
+            options: [[OPTIONS.CONTENT_FORMAT, encodeUint(60)], [OPTIONS.BLOCK2, encodeBlock(num, end < resource.length, size)]],
+            payload: resource.subarray(num * size, end)
+        });
+    }, { blockSize: 64 });
+
+    const payload = await client.request(client.METHODS.GET, 'c');
+    assert.deepEqual(payload, { text: 'block-wise '.repeat(8) });
+    assert.equal(requests.length, Math.ceil(resource.length / size));
+    assert.deepEqual(requests.slice(1).map(request => request.block2.num), requests.slice(1).map((_, i) => i + 1));
+});
+
+test('Block2 transfer fails when the ETag changes between blocks', async () => {
+    const { client } = fakeBoard((request) => {
+        const num = request.block2 ? request.block2.num : 0;
+        return message({
+            code: CONTENT,
+            messageId: request.messageId,
+            token: request.token,
+            options: [[OPTIONS.ETAG, Buffer.from([num])], [OPTIONS.BLOCK2, encodeBlock(num, true, 16)]],
+            payload: Buffer.alloc(16)
+        });
+    });
+
+    await assert.rejects(client.request(client.METHODS.GET, 'c'), /ETag mismatch/);
+});
+
+test('large request bodies go out with Block1 and shrink to the size the server asks for', async () => {
+    const payload = { data: 'x'.repeat(100) };
+    const body = encodeCbor(payload);
+    const received = [];
+    const { client, requests } = fakeBoard((request) => {
+        const { num, more, size } = request.block1;
+        // Ask for 16-byte blocks after the first one
+        const ackSize = Math.min(size, 16);
+        received.push(request.payloadData);
+        return message({
+            code: more ? CONTINUE : CHANGED,
+            messageId: request.messageId,
+            token: request.token,
+            options: [[OPTIONS.BLOCK1, encodeBlock(num, more, ackSize)]]
+        });
+    }, { blockSize: 32 });
+
+    const response = await client.requestResponse(client.METHODS.IPATCH, 'c', payload);
+    assert.equal(response.code, CHANGED);
+    assert.deepEqual(Buffer.concat(received), body);
+    assert.equal(requests[0].block1.size, 32);
+    assert.equal(requests[0].options.size1, body.length);
+    assert.ok(requests.slice(1).every(request => request.block1.size === 16));
+    // Block numbers follow the byte offset in the new size
+    assert.equal(requests[1].block1.num, 2);
+});
+
+/**
+ * Board that holds requests until the second one arrives, then answers newest first
+ * (the response payload is the request's Uri-Path)
+ */
+function reversedBoard(options) {
+    const waiting = [];
+    const board = fakeBoard((request) => {
+        waiting.push(request);
+        if (waiting.length === 2) {
+            for (const pending of waiting.splice(0).reverse()) {
+                board.client.handleData(board.protocol.createCoapFrame(message({
+                    code: CONTENT,
+                    messageId: pending.messageId,
+                    token: pending.token,
+                    options: [[OPTIONS.CONTENT_FORMAT, encodeUint(0)]],
+                    payload: Buffer.from(pending.options.uriPath.join('/'))
+                })));
+            }
+        }
+        return null;
+    }, options);
+    return board;
+}
+
+test('pipelined responses are matched by token', async () => {
+    const { client, requests } = reversedBoard({ tokenLength: 4 });
+    const results = await Promise.all([client.request(client.METHODS.GET, 'a'), client.request(client.METHODS.GET, 'b')]);
+    assert.deepEqual(results, ['a', 'b']);
+    assert.notDeepEqual(requests[0].token, requests[1].token);
+});
+
+test('with empty tokens pipelined responses are matched by message ID', async () => {
+    const { client } = reversedBoard({ tokenLength: 0 });
+    const results = await Promise.all([client.request(client.METHODS.GET, 'a'), client.request(client.METHODS.GET, 'b')]);
+    assert.deepEqual(results, ['a', 'b']);
+    assert.equal(client.pendingRequests.size, 0);
+});
+
+test('a separate empty-token response is matched when it is the only request waiting', async () => {
+    const { client, protocol } = fakeBoard((request) => {
+        // Empty ACK first, then the response as a new CON message
+        setImmediate(() => client.handleData(protocol.createCoapFrame(message({
+            type: 0, code: CONTENT, messageId: 0x1234, options: [[OPTIONS.CONTENT_FORMAT, encodeUint(0)]], payload: Buffer.from('late')
+        }))));
+        return message({ code: 0, messageId: request.messageId });
+    }, { tokenLength: 0 });
+    client.sendEmptyAck = () => {};
+
+    assert.equal(await client.request(client.METHODS.GET, 'c'), 'late');
+});
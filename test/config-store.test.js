@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SidRegistry } from '../sid-registry.js';
+import { YangDatastore } from '../yang-datastore.js';
+import { createBoardData } from '../lan966x-simulator.js';
+import { ConfigStore, extractValue, extractConfig, diffConfig, summarizeDiff } from '../config-store.js';
+
+const schema = SidRegistry.load(SidRegistry.findCatalog()).schema;
+
+const INTERFACES = '/ietf-interfaces:interfaces';
+const PORT = `${INTERFACES}/interface[name='2']`;
+
+/**
+ * GET '/' data of a simulated board, changed by edit(datastore)
+ */
+function boardEntries(edit = () => {}) {
+    const datastore = new YangDatastore(createBoardData('LAN9662'));
+    edit(datastore);
+    return datastore.toEntries();
+}
+
+/**
+ * Store in a fresh temporary directory, removed after the test
+ */
+function tempStore(t) {
+    t.mock.method(console, 'log', () => {});
+    const dir = mkdtempSync(join(tmpdir(), 'revisions-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    return new ConfigStore(join(dir, 'revisions'), { device: '/dev/ttyACM0', schema });
+}
+
+test('extracted values keep configuration only', () => {
+    const iface = createBoardData()['ietf-interfaces:interfaces'].interface[0];
+    const config = extractValue(`${INTERFACES}/interface[name='1']`, iface, schema);
+    assert.equal(config.name, '1');
+    assert.equal(config.enabled, true);
+    for (const member of ['statistics', 'oper-status', 'if-index', 'phys-address']) {
+        assert.equal(member in config, false, member);
+    }
+    const table = config['ieee802-dot1q-bridge:bridge-port']['ieee802-dot1q-sched-bridge:gate-parameter-table'];
+    assert.deepEqual(Object.keys(table).filter(member => /^(oper-|current-time|config-pending)/.test(member)), []);
+    assert.equal(table['admin-gate-states'], 255);
+
+    // State-only nodes have no configuration at all
+    assert.equal(extractValue('/ietf-system:system-state', { platform: { machine: 'lan9662' } }, schema), undefined);
+
+    // Without a schema, well-known state members go
+    assert.deepEqual(extractValue('/x:top', { statistics: { 'in-octets': 1 }, 'oper-status': 'up', mtu: 1500 }), { mtu: 1500 });
+});
+
+test('diffs match list entries by key, not position', () => {
+    const from = extractConfig(boardEntries(), schema);
+    const reordered = extractConfig(boardEntries((datastore) => {
+        datastore.get(`${INTERFACES}/interface`).reverse();
+    }), schema);
+    assert.deepEqual(diffConfig(from, reordered, schema), []);
+
+    const to = extractConfig(boardEntries((datastore) => {
+        datastore.merge(PORT, { enabled: false });
+        datastore.delete(`${INTERFACES}/interface[name='4']`);
+        datastore.merge(`${PORT}/ieee802-dot1q-bridge:bridge-port/pvid`, 20);
+        // Counters are no change
+        datastore.merge(`${PORT}/statistics`, { 'in-octets': 999 });
+    }), schema);
+
+    const changes = diffConfig(from, to, schema);
+    assert.deepEqual(changes.map(({ path, type }) => [type, path]), [
+        ['modified', `${PORT}/enabled`],
+        ['modified', `${PORT}/ieee802-dot1q-bridge:bridge-port/pvid`],
+        ['removed', `${INTERFACES}/interface[name='4']`]
+    ]);
+    assert.deepEqual([changes[0].from, changes[0].to], [true, false]);
+    assert.deepEqual(summarizeDiff(changes), { added: 0, removed: 1, modified: 2, total: 3 });
+});
+
+test('revisions are saved, listed, found by name and removed', (t) => {
+    const store = tempStore(t);
+    assert.deepEqual(store.list(), []);
+
+    // Revision ids sort by their timestamp (whole seconds)
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+    const first = store.save(boardEntries(), { name: 'baseline', note: 'factory' });
+    t.mock.timers.tick(60000);
+    const second = store.save(boardEntries(datastore => datastore.merge(PORT, { enabled: false })), { name: 'port 2 off' });
+
+    assert.match(first.id, /^rev-20261019T120000Z-[0-9a-f]{4}$/);
+    assert.equal(readdirSync(store.dir).length, 2);
+    assert.deepEqual(store.list().map(({ id, name, note, schema: stripped }) => ({ id, name, note, stripped })), [
+        { id: second.id, name: 'port 2 off', note: '', stripped: true },
+        { id: first.id, name: 'baseline', note: 'factory', stripped: true }
+    ]);
+    assert.equal(store.list()[0].nodes, first.config.length);
+    assert.deepEqual(store.get('baseline'), first);
+    assert.deepEqual(store.get(second.id), second);
+    assert.equal(store.get('nope'), null);
+
+    const { summary, changes } = store.diff(first.config, second.config);
+    assert.equal(summary.total, 1);
+    assert.equal(changes[0].path, `${PORT}/enabled`);
+
+    assert.equal(store.remove('baseline'), true);
+    assert.equal(store.remove('baseline'), false);
+    assert.deepEqual(store.list().map(revision => revision.id), [second.id]);
+});
+
+test('restore plans turn the running configuration into the revision', (t) => {
+    const store = tempStore(t);
+    const revision = store.save(boardEntries(), { name: 'baseline' });
+    const running = extractConfig(boardEntries((datastore) => {
+        datastore.merge(PORT, { enabled: false });
+        datastore.delete(`${INTERFACES}/interface[name='3']/ieee802-dot1q-bridge:bridge-port/pvid`);
+        datastore.merge(`${PORT}/description`, 'uplink');
+    }), schema);
+
+    assert.deepEqual(store.restorePlan(revision, running), [
+        { label: `Set ${PORT}/enabled`, operation: 'set', path: `${PORT}/enabled`, value: true },
+        { label: `Remove ${PORT}/description`, operation: 'delete', path: `${PORT}/description`, value: null },
+        {
+            label: `Add ${INTERFACES}/interface[name='3']/ieee802-dot1q-bridge:bridge-port/pvid`,
+            operation: 'set',
+            path: `${INTERFACES}/interface[name='3']/ieee802-dot1q-bridge:bridge-port/pvid`,
+            value: 1
+        }
+    ]);
+});
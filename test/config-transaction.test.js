@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SidRegistry } from '../sid-registry.js';
+import { YangDatastore } from '../yang-datastore.js';
+import { validateEntries } from '../yang-validator.js';
+import { ConfigTransaction, matchesValue } from '../config-transaction.js';
+
+const schema = SidRegistry.load(SidRegistry.findCatalog()).schema;
+
+const PORT = "/ietf-interfaces:interfaces/interface[name='1']";
+const GATE_TABLE = `${PORT}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table`;
+const PVID = `${PORT}/ieee802-dot1q-bridge:bridge-port/pvid`;
+const DEFAULT_PRIORITY = `${PORT}/ieee802-dot1q-bridge:bridge-port/default-priority`;
+
+/**
+ * iPATCH filter failing writes (not deletes) of default-priority
+ */
+const failPriorityWrite = (entries) => entries.some(entry => entry[DEFAULT_PRIORITY] != null) && '5.00 Internal Server Error';
+
+function gateEntries(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        index,
+        'operation-name': 'ieee802-dot1q-sched:set-gate-states',
+        'time-interval-value': 250000,
+        'gate-states-value': 255
+    }));
+}
+
+/**
+ * Board with one gate table: admin (config) and oper (state) lists of one entry
+ */
+function boardTree() {
+    return {
+        'ietf-interfaces:interfaces': {
+            interface: [{
+                name: '1',
+                'ieee802-dot1q-bridge:bridge-port': {
+                    'ieee802-dot1q-sched-bridge:gate-parameter-table': {
+                        'gate-enabled': true,
+                        'admin-gate-states': 255,
+                        'admin-control-list': { 'gate-control-entry': gateEntries(1) },
+                        'oper-gate-states': 255,
+                        'oper-control-list': { 'gate-control-entry': gateEntries(1) },
+                        'config-pending': false,
+                        'current-time': { seconds: '100', nanoseconds: 5 }
+                    }
+                }
+            }]
+        }
+    };
+}
+
+/**
+ * executeDevice stand-in backed by a datastore, answering like the simulator:
+ * FETCH fails with 4.04 for a missing path, iPATCH merges (null deletes) and is rejected
+ * as a whole when it writes a config false node
+ * @param {Object} options - { failPatch(entries): stderr to fail that iPATCH with,
+ *                            afterPatch(datastore, entries): board-side changes after a write }
+ */
+function fakeBoard(tree, options = {}) {
+    const datastore = new YangDatastore(tree);
+    const patches = [];
+
+    const execute = async (operation, params) => {
+        if (operation === 'fetch') {
+            const missing = params.find(path => !datastore.has(path));
+            if (missing) {
+                return { success: false, stderr: `4.04 Not Found: ${missing}` };
+            }
+            return { success: true, data: params.map(path => ({ [path]: datastore.get(path) })) };
+        }
+
+        patches.push(params);
+        const rejected = options.failPatch?.(params);
+        if (rejected) {
+            return { success: false, stderr: rejected };
+        }
+        const errors = validateEntries(schema, params).filter(error => error.code === 'read-only');
+        if (errors.length > 0) {
+            return { success: false, stderr: `4.00 Bad Request: ${errors[0].message}` };
+        }
+        for (const entry of params) {
+            for (const [path, value] of Object.entries(entry)) {
+                if (value === null) {
+                    datastore.delete(path);
+                } else {
+                    datastore.merge(path, value);
+                }
+            }
+        }
+        options.afterPatch?.(datastore, params);
+        return { success: true };
+    };
+
+    return { datastore, execute, patches };
+}
+
+test('written list entries match in any position', () => {
+    const actual = { ports: { port: [{ 'port-index': 1, enabled: false }, { 'port-index': 2, enabled: true }] } };
+    assert.ok(matchesValue({ ports: { port: [{ 'port-index': 2, enabled: true }] } }, actual));
+    assert.ok(!matchesValue({ ports: { port: [{ 'port-index': 2, enabled: false }] } }, actual));
+    assert.ok(!matchesValue({ ports: { port: [{ 'port-index': 3 }] } }, actual));
+
+    const priorityMap = { 'priority-code-point': [{ 'priority-code-point': 0, priority: 0 }, { 'priority-code-point': 5, priority: 5 }] };
+    assert.ok(matchesValue({ 'priority-code-point': [{ 'priority-code-point': 5, priority: 5 }] }, priorityMap));
+});
+
+test('snapshot holds configuration only', async () => {
+    const board = fakeBoard(boardTree());
+    const tx = new ConfigTransaction(board.execute, { schema });
+    tx.set('Gate parameters', GATE_TABLE, { 'gate-enabled': false });
+
+    const report = await tx.commit();
+    assert.equal(report.status, 'committed');
+
+    const { value } = tx.snapshot.get(GATE_TABLE);
+    assert.deepEqual(Object.keys(value).sort(), ['admin-control-list', 'admin-gate-states', 'gate-enabled']);
+});
+
+test('rollback deletes list entries the transaction added and leaves state alone', async () => {
+    const board = fakeBoard(boardTree(), { failPatch: failPriorityWrite });
+    const tx = new ConfigTransaction(board.execute, { schema });
+    tx.set('Gate parameters', GATE_TABLE, { 'gate-enabled': false, 'admin-control-list': { 'gate-control-entry': gateEntries(4) } });
+    tx.set('Default priority', DEFAULT_PRIORITY, '3', { separate: true });
+
+    const report = await tx.commit();
+    assert.equal(report.status, 'rolled-back', report.rollback?.error);
+    // Three added GCL entries and default-priority, which did not exist before
+    assert.equal(report.rollback.deleted, 4);
+
+    const table = board.datastore.get(GATE_TABLE);
+    assert.equal(table['gate-enabled'], true);
+    assert.deepEqual(table['admin-control-list']['gate-control-entry'], gateEntries(1));
+    assert.deepEqual(table['current-time'], { seconds: '100', nanoseconds: 5 });
+
+    // The restore iPATCH never names a config false node
+    const restore = board.patches[board.patches.length - 1];
+    assert.deepEqual(restore.slice(0, 3), [1, 2, 3].map(index => ({
+        [`${GATE_TABLE}/admin-control-list/gate-control-entry[index='${index}']`]: null
+    })));
+    assert.deepEqual(validateEntries(schema, restore).filter(error => error.code === 'read-only'), []);
+});
+
+test('failed verification rolls back, deleting paths that did not exist', async () => {
+    // The board answers any pvid write with pvid 1
+    const board = fakeBoard(boardTree(), {
+        afterPatch: (datastore, entries) => entries.some(entry => entry[PVID] === 10) && datastore.merge(PVID, 1)
+    });
+    const tx = new ConfigTransaction(board.execute, { schema });
+    tx.set('PVID', PVID, '10');
+
+    const report = await tx.commit();
+    assert.equal(report.status, 'rolled-back');
+    assert.match(report.error, /Verification failed: PVID/);
+    assert.equal(board.datastore.has(PVID), false);
+});
+
+test('rollback reports paths still differing from the snapshot', async () => {
+    // The board fails the second write and quietly ignores deletes of pvid
+    const board = fakeBoard(boardTree(), {
+        failPatch: failPriorityWrite,
+        afterPatch: (datastore, entries) => entries.some(entry => entry[PVID] === null) && datastore.merge(PVID, 10)
+    });
+    const tx = new ConfigTransaction(board.execute, { schema });
+    tx.set('PVID', PVID, '10').set('Default priority', DEFAULT_PRIORITY, '3', { separate: true });
+
+    const report = await tx.commit();
+    assert.equal(report.status, 'rollback-failed');
+    assert.match(report.rollback.error, /^Not restored: .*pvid$/);
+});
+
+test('rollback sets config-change only where it restores admin values', async () => {
+    // Like the board, config-change keeps reading back true
+    const tree = boardTree();
+    tree['ietf-interfaces:interfaces'].interface[0]['ieee802-dot1q-bridge:bridge-port']['ieee802-dot1q-sched-bridge:gate-parameter-table']['config-change'] = true;
+
+    const board = fakeBoard(structuredClone(tree), { failPatch: failPriorityWrite });
+    const tx = new ConfigTransaction(board.execute, { schema });
+    tx.set('Gate parameters', GATE_TABLE, { 'admin-control-list': { 'gate-control-entry': gateEntries(2) }, 'config-change': true });
+    tx.set('Default priority', DEFAULT_PRIORITY, '3', { separate: true });
+
+    const report = await tx.commit();
+    assert.equal(report.status, 'rolled-back', report.rollback?.error);
+    assert.equal('config-change' in tx.snapshot.get(GATE_TABLE).value, false);
+    const restore = board.patches[board.patches.length - 1];
+    assert.equal(restore.filter(entry => JSON.stringify(entry).includes('config-change')).length, 1);
+    assert.deepEqual(restore[restore.length - 1], { [`${GATE_TABLE}/config-change`]: true });
+
+    // Nothing admin to restore: no config-change, which would restart the running schedule
+    const enabled = fakeBoard(structuredClone(tree), { failPatch: failPriorityWrite });
+    const gateOnly = new ConfigTransaction(enabled.execute, { schema });
+    gateOnly.set('Gate enabled', GATE_TABLE, { 'gate-enabled': false });
+    gateOnly.set('Default priority', DEFAULT_PRIORITY, '3', { separate: true });
+
+    assert.equal((await gateOnly.commit()).status, 'rolled-back');
+    assert.equal(JSON.stringify(enabled.patches[enabled.patches.length - 1]).includes('config-change'), false);
+});
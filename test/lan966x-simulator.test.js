@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MUP1Protocol } from '../mup1-protocol.js';
+import { CoAPClient, CONTENT_FORMATS } from '../coap-node.js';
+import { SidRegistry } from '../sid-registry.js';
+import { LAN966xSimulator, BOARD_MODELS, createBoardData } from '../lan966x-simulator.js';
+
+const registry = SidRegistry.load(SidRegistry.findCatalog());
+
+const INTERFACE = "/ietf-interfaces:interfaces/interface[name='1']";
+const GATE_TABLE = `${INTERFACE}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table`;
+
+/**
+ * Client and simulator wired back to back in memory (replies arrive on the next turn)
+ */
+function connect(options = {}) {
+    const protocol = new MUP1Protocol();
+    const frames = [];
+    const simulator = new LAN966xSimulator({
+        registry,
+        ...options.simulator,
+        write(frame) {
+            frames.push(protocol.decodeFrame(protocol.extractFrames(frame).frames[0]));
+            setImmediate(() => client.handleData(frame));
+        }
+    });
+    const client = new CoAPClient(protocol, { write: frame => setImmediate(() => simulator.handleData(frame)) }, {
+        log: () => {},
+        ...options.client
+    });
+    return { client, simulator, protocol, frames };
+}
+
+test('boards announce their firmware and answer pings', async () => {
+    const { client, simulator, protocol, frames } = connect();
+    const announcements = [];
+    client.onAnnouncement = text => announcements.push(text);
+
+    simulator.announce();
+    simulator.handleData(protocol.createPing());
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(frames.map(frame => frame.type), ['A', 'P']);
+    assert.deepEqual(announcements, [`${BOARD_MODELS.LAN9662.firmware} 326 300 2`, `${BOARD_MODELS.LAN9662.firmware} 326 300 2`]);
+    assert.equal(createBoardData('LAN9692')['ietf-interfaces:interfaces'].interface.length, 12);
+    assert.throws(() => createBoardData('LAN1234'), /Unknown board model/);
+});
+
+test('datastore FETCH and iPATCH with string paths', async () => {
+    const { client } = connect();
+
+    const [entry] = await client.fetch('/c', `${INTERFACE}/oper-status`);
+    assert.deepEqual(entry, { [`${INTERFACE}/oper-status`]: 'up' });
+
+    await client.ipatch('/c', [{ [`${INTERFACE}/enabled`]: false }]);
+    assert.deepEqual(await client.fetch('/c', [`${INTERFACE}/enabled`]), [{ [`${INTERFACE}/enabled`]: false }]);
+
+    await assert.rejects(client.fetch('/c', `${INTERFACE}/nope`), error => error.code === 132 && /Not found/.test(error.payload));
+});
+
+test('large bodies travel block by block both ways', async () => {
+    const { client, simulator } = connect({ client: { blockSize: 64 }, simulator: { blockSize: 128 } });
+
+    // Block2: the whole datastore in 128-byte blocks
+    const entries = await client.get('/c');
+    assert.deepEqual(entries, simulator.datastore.toEntries());
+
+    // Block1: a control list larger than one 64-byte block
+    const list = Array.from({ length: 8 }, (_, index) => ({
+        'index': index, 'operation-name': 'ieee802-dot1q-sched:set-gate-states', 'time-interval-value': 125000, 'gate-states-value': 1 << index
+    }));
+    await client.ipatch('/c', [{ [`${GATE_TABLE}/admin-control-list`]: { 'gate-control-entry': list } }]);
+    assert.deepEqual(simulator.datastore.get(`${GATE_TABLE}/admin-control-list`)['gate-control-entry'], list);
+});
+
+test('SID encoded requests are answered with SIDs', async () => {
+    const { client } = connect();
+    const path = `${INTERFACE}/ieee802-dot1q-bridge:bridge-port/pvid`;
+
+    const response = await client.fetch('/c', registry.encodeFetch([path]), {
+        contentFormat: CONTENT_FORMATS.YANG_IDENTIFIERS_CBOR_SEQ,
+        accept: CONTENT_FORMATS.YANG_INSTANCES_CBOR_SEQ
+    });
+    assert.deepEqual(registry.decodeInstances(response), [{ [path]: 1 }]);
+});
+
+test('a config-change write activates the admin schedule at the next cycle', async () => {
+    const { client, simulator } = connect();
+    const list = [{ 'index': 0, 'operation-name': 'ieee802-dot1q-sched:set-gate-states', 'time-interval-value': 1000000, 'gate-states-value': 0x80 }];
+
+    await client.ipatch('/c', [{
+        [GATE_TABLE]: {
+            'gate-enabled': true,
+            'admin-control-list': { 'gate-control-entry': list },
+            'admin-cycle-time': { 'numerator': 1, 'denominator': 1000 },
+            'admin-base-time': { 'seconds': '0', 'nanoseconds': 0 },
+            'config-change': true
+        }
+    }]);
+    const pending = simulator.datastore.get(GATE_TABLE);
+    assert.equal(pending['config-pending'], true);
+    assert.ok(BigInt(pending['config-change-time'].seconds) > 0n);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    simulator.tickSchedules();
+    const active = simulator.datastore.get(GATE_TABLE);
+    assert.equal(active['config-pending'], false);
+    assert.deepEqual(active['oper-control-list']['gate-control-entry'], list);
+    assert.deepEqual(active['oper-cycle-time'], { 'numerator': 1, 'denominator': 1000 });
+});
+
+test('counters advance on ports that are up', () => {
+    const { simulator } = connect();
+    simulator.tick();
+    const [up, , down] = simulator.datastore.get('/ietf-interfaces:interfaces/interface');
+    assert.ok(up.statistics['in-octets'] > 0);
+    assert.equal(down.statistics['in-octets'], 0);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, utimesSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MetricsStore, parseDuration } from '../metrics-store.js';
+
+// 1 s samples: raw ring of 5, 1 minute tier of 60, 1 hour tier of 24
+const OPTIONS = { interval: 1000, retention: ['5s', '1h', '1d'] };
+
+// Ten minutes ago, on a minute boundary
+const START = Math.floor(Date.now() / 60000) * 60000 - 600000;
+
+/**
+ * Store in a fresh temporary directory, removed after the test
+ */
+function tempStore(t, options = OPTIONS) {
+    const dir = mkdtempSync(join(tmpdir(), 'metrics-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    return new MetricsStore(dir, options);
+}
+
+function values(records) {
+    return records.map(([, value]) => value);
+}
+
+test('durations', () => {
+    assert.equal(parseDuration('90s'), 90000);
+    assert.equal(parseDuration('15m'), 900000);
+    assert.equal(parseDuration('6h'), 21600000);
+    assert.equal(parseDuration('1.5s'), 1500);
+    assert.equal(parseDuration(250), 250);
+    assert.ok(Number.isNaN(parseDuration('soon')));
+});
+
+test('tier layout from interval and retention', (t) => {
+    const store = tempStore(t);
+    assert.deepEqual(store.describe().tiers.map(({ name, capacity }) => [name, capacity]), [['raw', 5], ['1m', 60], ['1h', 24]]);
+
+    // A 1 minute interval makes the 1 minute tier redundant
+    const coarse = tempStore(t, { interval: 60000 });
+    assert.deepEqual(coarse.describe().tiers.map(tier => tier.name), ['raw', '1h']);
+});
+
+test('query gives deltas and rates, a counter going back counts from zero', (t) => {
+    const store = tempStore(t, { interval: 1000, retention: ['1h', '1d', '7d'] });
+    [100, 300, 600, 50, 150].forEach((value, i) => store.record(START + i * 1000, { 'port/1/in-octets': value }));
+
+    const { tier, series } = store.query(['port/1/in-octets'], { from: START + 1000, to: START + 4000 });
+    assert.equal(tier, 'raw');
+    assert.deepEqual(series[0].points, [
+        { t: START + 1000, value: 300, delta: 200, rate: 200 },
+        { t: START + 2000, value: 600, delta: 300, rate: 300 },
+        { t: START + 3000, value: 50, delta: 50, rate: 50 },
+        { t: START + 4000, value: 150, delta: 100, rate: 100 }
+    ]);
+});
+
+test('old, repeated and non-finite samples are skipped', (t) => {
+    const store = tempStore(t);
+    assert.equal(store.record(START + 1000, { a: 1, b: NaN }), 1);
+    assert.equal(store.record(START + 1000, { a: 2 }), 0);
+    assert.equal(store.record(START, { a: 3 }), 0);
+    assert.deepEqual(store.list(), ['a']);
+    assert.deepEqual(values(store.readTier('a', 0)), [1]);
+});
+
+test('rings wrap, coarse tiers keep the last sample of each step, files persist', (t) => {
+    const store = tempStore(t);
+    // Two samples per minute for four minutes
+    for (let i = 0; i < 8; i++) {
+        store.record(START + i * 30000, { counter: i });
+    }
+    assert.deepEqual(values(store.readTier('counter', 0)), [3, 4, 5, 6, 7]);
+    assert.deepEqual(values(store.readTier('counter', 1)), [1, 3, 5, 7]);
+    assert.deepEqual(values(store.readTier('counter', 2)), [7]);
+
+    const reopened = new MetricsStore(store.dir, OPTIONS);
+    assert.deepEqual(values(reopened.readTier('counter', 0)), [3, 4, 5, 6, 7]);
+    reopened.record(START + 240000, { counter: 8 });
+    assert.deepEqual(values(reopened.readTier('counter', 0)), [4, 5, 6, 7, 8]);
+});
+
+test('ranges older than the raw retention come from a coarser tier', (t) => {
+    const store = tempStore(t);
+    for (let i = 0; i < 8; i++) {
+        store.record(START + i * 30000, { counter: i * 10 });
+    }
+    const result = store.query(['counter'], { from: START, to: START + 240000 });
+    assert.equal(result.tier, '1m');
+    assert.deepEqual(result.series[0].points.map(point => [point.value, point.delta]), [[10, null], [30, 20], [50, 20], [70, 20]]);
+});
+
+test('a changed tier layout rebuilds the file and keeps unchanged tiers', (t) => {
+    const store = tempStore(t);
+    for (let i = 0; i < 4; i++) {
+        store.record(START + i * 60000, { counter: i });
+    }
+
+    const longer = new MetricsStore(store.dir, { interval: 1000, retention: ['10s', '1h', '2d'] });
+    assert.deepEqual(values(longer.readTier('counter', 0)), [0, 1, 2, 3]);
+    assert.deepEqual(values(longer.readTier('counter', 1)), [0, 1, 2, 3]);
+    assert.equal(longer.describe().tiers[2].capacity, 48);
+    longer.record(START + 240000, { counter: 4 });
+    assert.deepEqual(values(longer.readTier('counter', 0)), [0, 1, 2, 3, 4]);
+});
+
+test('series patterns match within one path segment', (t) => {
+    const store = tempStore(t);
+    store.record(START, { 'port/1/in-octets': 1, 'port/1/out-octets': 1, 'port/10/in-octets': 1, 'tc/1/3/tx-packets': 1 });
+    assert.deepEqual(store.list(['port/1/*']), ['port/1/in-octets', 'port/1/out-octets']);
+    assert.deepEqual(store.list(['port/*/in-octets']), ['port/1/in-octets', 'port/10/in-octets']);
+    assert.deepEqual(store.list(['tc/1/*/*']), ['tc/1/3/tx-packets']);
+});
+
+test('prune removes series not written within the longest retention', (t) => {
+    const store = tempStore(t);
+    store.record(START, { stale: 1, fresh: 1 });
+    const old = (Date.now() - 2 * 86400000) / 1000;
+    utimesSync(store.fileOf('stale'), old, old);
+
+    assert.equal(store.prune(), 1);
+    assert.equal(existsSync(store.fileOf('stale')), false);
+    assert.deepEqual(store.list(), ['fresh']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MUP1Protocol } from '../mup1-protocol.js';
+
+const protocol = new MUP1Protocol();
+
+test('ping frame matches the one captured from a board', () => {
+    assert.equal(protocol.createPing().toString('ascii'), '>p<<8553');
+});
+
+test('SOF..EOF is padded to an even length', () => {
+    for (let size = 0; size < 6; size++) {
+        const frame = protocol.encodeFrame(protocol.COMMANDS.COAP, Buffer.alloc(size, 0x41));
+        assert.equal((frame.length - 4) % 2, 0, `payload of ${size} bytes`);
+    }
+});
+
+test('escaped bytes survive a round trip and the checksum matches', () => {
+    const data = Buffer.from([0x00, 0xFF, 0x3E, 0x3C, 0x5C, 0x41, 0x3C]);
+    const frame = protocol.createCoapFrame(data);
+
+    assert.equal(frame.toString('latin1', 2, 15), '\\0\\F\\>\\<\\\\A\\<');
+
+    const decoded = protocol.decodeFrame(frame);
+    assert.equal(decoded.type, 'C');
+    assert.deepEqual(decoded.data, data);
+    assert.equal(decoded.checksum, frame.toString('ascii', frame.length - 4));
+});
+
+test('checksum is the one\'s complement of the 16-bit word sum', () => {
+    assert.equal(protocol.calculateChecksum(Buffer.from([0x00, 0x01, 0xF2, 0x03])), (~0xF204) & 0xFFFF);
+    // Odd length: last byte is the high half of a word, carries fold back in
+    assert.equal(protocol.calculateChecksum(Buffer.from([0xFF, 0xFF, 0x00, 0x02, 0x01])), (~0x0102) & 0xFFFF);
+});
+
+test('extractFrames splits a stream, skips noise and keeps partial frames', () => {
+    const first = protocol.createCoapFrame(Buffer.from([0x3C, 0x01]));
+    const second = protocol.createPing();
+    const stream = Buffer.concat([Buffer.from('noise'), first, second]);
+
+    const head = protocol.extractFrames(stream.subarray(0, stream.length - 3));
+    assert.equal(head.frames.length, 1);
+    assert.deepEqual(head.frames[0], first);
+    assert.equal(head.rest.length, second.length - 3);
+
+    const tail = protocol.extractFrames(Buffer.concat([head.rest, stream.subarray(stream.length - 3)]));
+    assert.deepEqual(tail.frames, [second]);
+    assert.equal(tail.rest.length, 0);
+});
+
+test('frameLength waits for the byte after EOF to tell padding from checksum', () => {
+    const frame = protocol.createPing();
+    assert.equal(protocol.frameLength(frame.subarray(0, 3)), 0);
+    assert.equal(protocol.frameLength(frame.subarray(0, frame.length - 1)), 0);
+    assert.equal(protocol.frameLength(frame), frame.length);
+});
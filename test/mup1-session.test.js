@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { Mup1Session } from '../mup1-session.js';
+import { SidRegistry } from '../sid-registry.js';
+import { LAN966xSimulator } from '../lan966x-simulator.js';
+
+const registry = SidRegistry.load(SidRegistry.findCatalog());
+
+const PLATFORM = '/ietf-system:system-state/platform';
+
+/**
+ * Serial port stand-in answered by a simulator; board.silent drops every frame,
+ * board.failOpen makes open() fail
+ */
+class FakePort extends EventEmitter {
+    constructor(board) {
+        super();
+        this.board = board;
+        this.isOpen = false;
+        this.simulator = new LAN966xSimulator({ registry, write: frame => setImmediate(() => this.emit('data', frame)) });
+    }
+
+    open(callback) {
+        this.board.opened++;
+        setImmediate(() => {
+            if (this.board.failOpen) {
+                return callback(new Error('No such file or directory'));
+            }
+            this.isOpen = true;
+            callback(null);
+        });
+    }
+
+    write(data) {
+        if (!this.board.silent) {
+            setImmediate(() => this.simulator.handleData(data));
+        }
+        return true;
+    }
+
+    close(callback) {
+        this.isOpen = false;
+        setImmediate(() => {
+            callback?.();
+            this.emit('close');
+        });
+    }
+}
+
+/**
+ * Session opening fake ports; state changes and log lines are recorded
+ */
+function createSession(t, board = {}, options = {}) {
+    t.mock.method(console, 'warn', () => {});
+    board = { opened: 0, silent: false, failOpen: false, ...board };
+    const lines = [];
+    const states = [];
+    const session = new Mup1Session('/dev/ttyFake', {
+        announceTimeout: 50,
+        watchdogInterval: 0,
+        reconnectDelay: 0,
+        log: (...args) => lines.push(args.join(' ')),
+        createPort: () => (board.port = new FakePort(board)),
+        ...options
+    });
+    // Transitions only ('state' also announces reconnect schedules)
+    session.on('state', state => state.previous && states.push(state.state));
+    t.after(() => session.close());
+    return { session, board, lines, states };
+}
+
+/**
+ * Next session event (the session's own timers are unref'd, this one keeps the test running)
+ */
+function waitFor(session, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No '${event}' within ${timeout}ms`)), timeout);
+        session.once(event, (value) => {
+            clearTimeout(timer);
+            resolve(value);
+        });
+    });
+}
+
+test('opening, announcing, ready', async (t) => {
+    const { session, states } = createSession(t);
+    await session.open();
+
+    assert.deepEqual(states, ['opening', 'announcing', 'ready']);
+    assert.match(session.announcement, /^VelocitySP-v2025\.06-LAN9662/);
+    assert.deepEqual(await session.request('FETCH', 'c', [`${PLATFORM}/machine`]), [{ [`${PLATFORM}/machine`]: 'lan9662' }]);
+
+    const status = session.describe();
+    assert.equal(status.open, true);
+    assert.equal(status.requests, 1);
+    assert.deepEqual([status.inFlight, status.queued], [0, 0]);
+});
+
+test('a port that does not open is retried with exponential backoff', async (t) => {
+    const { session, board, lines } = createSession(t, { failOpen: true }, { reconnectDelay: 10, maxReconnectDelay: 40 });
+    await assert.rejects(session.open(), /No such file/);
+    assert.equal(session.state, 'disconnected');
+
+    while (board.opened < 5) {
+        await waitFor(session, 'state');
+    }
+    const delays = lines.map(line => line.match(/Reconnecting .* in (\d+)ms/)?.[1]).filter(Boolean).map(Number);
+    assert.deepEqual(delays.slice(0, 4), [10, 20, 40, 40]);
+
+    board.failOpen = false;
+    await waitFor(session, 'open');
+    assert.equal(session.state, 'ready');
+    assert.equal(session.reconnectAttempt, 0);
+    assert.equal(session.describe().reconnects, 1);
+});
+
+test('missed pings degrade the session, then the watchdog reopens the port', async (t) => {
+    const { session, board, states } = createSession(t, {}, { announceTimeout: 20, watchdogInterval: 30, watchdogMisses: 2, reconnectDelay: 10 });
+    await session.open();
+    const first = board.port;
+
+    board.silent = true;
+    await waitFor(session, 'close');
+    assert.equal(first.isOpen, false);
+    assert.deepEqual(states.slice(3), ['degraded', 'disconnected']);
+    assert.match(session.lastError, /Serial port closed/);
+
+    board.silent = false;
+    await waitFor(session, 'open');
+    assert.notEqual(board.port, first);
+    assert.equal(session.state, 'ready');
+});
+
+test('requests in flight fail when the port closes', async (t) => {
+    const { session, board } = createSession(t);
+    await session.open();
+
+    board.silent = true;
+    const requests = [
+        session.request('FETCH', 'c', [PLATFORM]),
+        session.request('GET', 'c')
+    ];
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(session.coap.pendingRequests.size, 2);
+
+    board.port.close();
+    for (const request of requests) {
+        await assert.rejects(request, /Serial port closed: \/dev\/ttyFake/);
+    }
+    assert.equal(session.describe().errors, 2);
+});
+
+test('requests fail fast while a reconnect is pending', async (t) => {
+    const { session, board } = createSession(t, {}, { reconnectDelay: 60000, maxReconnectDelay: 60000 });
+    await session.open();
+
+    board.port.close();
+    await waitFor(session, 'close');
+    const opened = board.opened;
+
+    await assert.rejects(session.request('GET', 'c'), /Device \/dev\/ttyFake disconnected \(Serial port closed\), retry in 60s/);
+    assert.equal(board.opened, opened);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { MVDCTClient } from '../mvdct.js';
+import { parseMvdctArgs } from '../device-transport.js';
+import { SidRegistry } from '../sid-registry.js';
+import { LAN966xSimulator } from '../lan966x-simulator.js';
+
+const registry = SidRegistry.load(SidRegistry.findCatalog());
+
+const MVDCT = fileURLToPath(new URL('../mvdct.js', import.meta.url));
+const PLATFORM = '/ietf-system:system-state/platform';
+
+/**
+ * Client on an in-memory serial port answered by the simulator (failWrites: write callbacks fail)
+ */
+function connect(t, { failWrites = false, names = false } = {}) {
+    t.mock.method(console, 'error', () => {});
+    const port = new EventEmitter();
+    const simulator = new LAN966xSimulator({ registry, write: frame => setImmediate(() => port.emit('data', frame)) });
+    port.isOpen = true;
+    port.write = (data, callback) => setImmediate(() => {
+        if (failWrites) {
+            return callback(new Error('EIO'));
+        }
+        simulator.handleData(data);
+        callback();
+    });
+    port.close = (callback) => {
+        port.isOpen = false;
+        callback();
+    };
+
+    const client = new MVDCTClient('/dev/ttySim', 115200, names ? null : registry);
+    client.session.announceTimeout = 100;
+    client.port = port;
+    port.on('data', data => client.handleData(data));
+    t.after(() => client.close());
+    return { client, simulator };
+}
+
+test('vendor mvdct command lines', () => {
+    assert.deepEqual(parseMvdctArgs(['device', '/dev/ttyACM0', 'get', PLATFORM, '--console', '-lf', 'log.json']),
+        { device: '/dev/ttyACM0', operation: 'get', params: [PLATFORM] });
+    assert.deepEqual(parseMvdctArgs(['device', '/dev/ttyACM0', 'set', '/a/b', '-'], () => '42').params, ['/a/b', '42']);
+    assert.deepEqual(parseMvdctArgs(['device', '/dev/ttyACM0', 'patch', 'p.yaml'], () => '- /a/b: 1\n').params, [[{ '/a/b': 1 }]]);
+    assert.deepEqual(parseMvdctArgs(['device', '/dev/ttyACM0', 'post', '/x:reset']).operation, 'call');
+});
+
+test('commands run SID encoded over the session and print YAML', async (t) => {
+    const { client, simulator } = connect(t);
+
+    const platform = await client.execute('get', [PLATFORM]);
+    assert.equal(platform.success, true);
+    assert.match(platform.stdout, /machine: lan9662/);
+
+    const path = "/ietf-interfaces:interfaces/interface[name='2']/enabled";
+    assert.equal((await client.execute('set', [path, 'false'])).success, true);
+    assert.equal(simulator.datastore.get(path), false);
+
+    assert.deepEqual((await client.execute('firmwareVersion')).data, { 'firmware-version': simulator.board.firmware });
+    assert.match((await client.execute('yangId')).data['yang-id'], /^[0-9a-f]{32}$/);
+});
+
+test('--names sends YANG paths as strings', async (t) => {
+    const { client } = connect(t, { names: true });
+    assert.deepEqual(await client.get(`${PLATFORM}/machine`), [{ [`${PLATFORM}/machine`]: 'lan9662' }]);
+});
+
+test('a failed port write fails the pending request', async (t) => {
+    const { client } = connect(t, { failWrites: true });
+    client.session.announceTimeout = 0;
+    client.session.timeout = 5000;
+
+    const started = Date.now();
+    const result = await client.execute('get', [PLATFORM]);
+    assert.equal(result.success, false);
+    assert.match(result.stderr, /Write failed: .*\(EIO\)/);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(client.session.coap.pendingRequests.size, 0);
+});
+
+test('the frame log records both directions', async (t) => {
+    const { client } = connect(t);
+    const dir = mkdtempSync(join(tmpdir(), 'mvdct-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+    const result = await client.execute('deviceType');
+    client.writeLog(join(dir, 'log.json'), ['type'], result);
+    const log = JSON.parse(readFileSync(join(dir, 'log.json'), 'utf8'));
+    assert.equal(log.success, true);
+    assert.equal(log.encoding, 'sid');
+    assert.deepEqual([...new Set(log.frames.map(frame => frame.direction))], ['tx', 'rx']);
+});
+
+test('the CLI prints usage and fails on bad command lines', () => {
+    const usage = spawnSync(process.execPath, [MVDCT], { encoding: 'utf8', timeout: 10000 });
+    assert.equal(usage.status, 1);
+    assert.match(usage.stderr, /Usage: mvdct device <device> <command>/);
+
+    const missing = spawnSync(process.execPath, [MVDCT, 'device', '/dev/ttyNope', 'get', PLATFORM, '--names'], { encoding: 'utf8', timeout: 10000 });
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Error: .*ttyNope/);
+});
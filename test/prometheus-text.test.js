@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PrometheusText } from '../prometheus-text.js';
+
+test('families render once with HELP and TYPE, empty ones are left out', () => {
+    const text = new PrometheusText();
+    text.counter('tsn_port_in_octets_total', 'Octets received on the port')
+        .add({ device: '/dev/ttyACM0', port: '1' }, 123456)
+        .add({ device: '/dev/ttyACM0', port: '2' }, null);
+    text.gauge('tsn_tas_gate_enabled', 'Gate enabled').add({ device: '/dev/ttyACM0', port: '1' }, true);
+    text.gauge('tsn_unused', 'Never sampled');
+    text.counter('tsn_port_in_octets_total', 'Octets received on the port').add({ device: '/dev/ttyACM0', port: '3', tc: undefined }, 7);
+
+    assert.equal(text.render(), [
+        '# HELP tsn_port_in_octets_total Octets received on the port',
+        '# TYPE tsn_port_in_octets_total counter',
+        'tsn_port_in_octets_total{device="/dev/ttyACM0",port="1"} 123456',
+        'tsn_port_in_octets_total{device="/dev/ttyACM0",port="3"} 7',
+        '# HELP tsn_tas_gate_enabled Gate enabled',
+        '# TYPE tsn_tas_gate_enabled gauge',
+        'tsn_tas_gate_enabled{device="/dev/ttyACM0",port="1"} 1',
+        ''
+    ].join('\n'));
+});
+
+test('label values and help text are escaped, special values spelled out', () => {
+    const text = new PrometheusText();
+    text.gauge('tsn_value', 'Line one\nback\\slash')
+        .add({ name: 'say "hi"\n\\' }, NaN)
+        .add({}, Infinity)
+        .add({}, -Infinity);
+
+    assert.deepEqual(text.render().split('\n'), [
+        '# HELP tsn_value Line one\\nback\\\\slash',
+        '# TYPE tsn_value gauge',
+        'tsn_value{name="say \\"hi\\"\\n\\\\"} NaN',
+        'tsn_value +Inf',
+        'tsn_value -Inf',
+        ''
+    ]);
+});
+
+test('invalid names and type changes are rejected', () => {
+    const text = new PrometheusText();
+    assert.throws(() => text.gauge('tsn-value', 'x'), /Invalid metric name/);
+    assert.throws(() => text.gauge('tsn_value', 'x').add({ 'bad-label': 1 }, 1), /Invalid label name/);
+    assert.throws(() => text.counter('tsn_value', 'x'), /already a gauge/);
+});
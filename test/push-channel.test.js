@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { PushChannel } from '../push-channel.js';
+
+/**
+ * Request / response pair recording what the channel writes
+ */
+function subscriber(channel, filter) {
+    const req = new EventEmitter();
+    const res = {
+        headers: null,
+        chunks: [],
+        set(headers) {
+            this.headers = headers;
+        },
+        flushHeaders() {},
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        // Events as [type, data] pairs
+        events() {
+            return this.chunks.filter(chunk => chunk.startsWith('event: ')).map((chunk) => {
+                const [, type, data] = chunk.match(/^event: (.*)\ndata: (.*)\n\n$/);
+                return [type, JSON.parse(data)];
+            });
+        }
+    };
+    channel.subscribe(req, res, filter);
+    return { req, res };
+}
+
+test('streams start with event-stream headers and a retry hint', () => {
+    const channel = new PushChannel({ heartbeat: 0 });
+    const { res } = subscriber(channel);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(res.headers['Cache-Control'], 'no-cache');
+    assert.deepEqual(res.chunks, ['retry: 3000\n\n']);
+
+    channel.publish('link', { device: '/dev/ttyACM0', interface: '1', up: false });
+    assert.equal(res.chunks[1], 'event: link\ndata: {"device":"/dev/ttyACM0","interface":"1","up":false}\n\n');
+});
+
+test('subscribers get only their types and their board', () => {
+    const channel = new PushChannel({ heartbeat: 0 });
+    const all = subscriber(channel);
+    const links = subscriber(channel, { types: ['link'] });
+    const board = subscriber(channel, { device: '/dev/ttyACM1' });
+
+    channel.publish('link', { device: '/dev/ttyACM0', up: true });
+    channel.publish('counters', { device: '/dev/ttyACM1', interfaces: [] });
+    channel.publish('history', { samples: 3 });
+
+    assert.deepEqual(all.res.events().map(([type]) => type), ['link', 'counters', 'history']);
+    assert.deepEqual(links.res.events().map(([type]) => type), ['link']);
+    // Events without a device go to everyone
+    assert.deepEqual(board.res.events().map(([type]) => type), ['counters', 'history']);
+
+    assert.equal(channel.hasSubscribers('ptp'), true);
+    assert.equal(channel.sent, 6);
+});
+
+test('retained events are replayed to new subscribers, one per key', () => {
+    const channel = new PushChannel({ heartbeat: 0 });
+    channel.publish('board', { device: 'a', n: 1 }, { retain: true, key: 'a' });
+    channel.publish('board', { device: 'a', n: 2 }, { retain: true, key: 'a' });
+    channel.publish('board', { device: 'b', n: 1 }, { retain: true, key: 'b' });
+    channel.publish('link', { device: 'a' });
+
+    const { res } = subscriber(channel, { device: 'a' });
+    assert.deepEqual(res.events(), [['board', { device: 'a', n: 2 }]]);
+    assert.deepEqual(channel.describe(), { clients: 1, retained: ['board:a', 'board:b'], sent: 1 });
+});
+
+test('closed streams are dropped and the heartbeat stops with the last one', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const channel = new PushChannel({ heartbeat: 1000 });
+    const first = subscriber(channel, { types: ['ptp'] });
+    const second = subscriber(channel);
+    assert.equal(channel.hasSubscribers('link'), true);
+
+    t.mock.timers.tick(1000);
+    assert.equal(first.res.chunks.at(-1), ': ping\n\n');
+
+    second.req.emit('close');
+    assert.equal(channel.size, 1);
+    assert.equal(channel.hasSubscribers('link'), false);
+
+    first.req.emit('close');
+    assert.equal(channel.timer, null);
+    t.mock.timers.tick(1000);
+    assert.equal(first.res.chunks.filter(chunk => chunk === ': ping\n\n').length, 1);
+});
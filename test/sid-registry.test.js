@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tag } from 'cbor-x';
+import { SidRegistry } from '../sid-registry.js';
+import { encodeCborSequence, decodeCborSequence } from '../coap-node.js';
+
+// The board catalog shipped with mvdct (tools/mvdct/cli/downloads/coreconf/<yang-id>)
+const registry = SidRegistry.load(SidRegistry.findCatalog());
+
+const INTERFACE = "/ietf-interfaces:interfaces/interface[name='2']";
+const GATE_TABLE = "/ietf-interfaces:interfaces/interface[name='1']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table";
+
+/**
+ * Encode, send through CBOR and decode again
+ */
+function roundTrip(entries) {
+    return registry.decodeInstances(decodeCborSequence(encodeCborSequence(registry.encodeInstances(entries))));
+}
+
+test('catalog loads without parse errors', () => {
+    assert.ok(registry.size > 1000);
+    assert.deepEqual(registry.schema.errors, []);
+});
+
+test('instance-identifiers encode as SID plus key values and decode back', () => {
+    assert.deepEqual(registry.encodeIdentifier(INTERFACE), [2033, '2']);
+    for (const path of [INTERFACE, GATE_TABLE, "/ieee802-dot1q-bridge:bridges/bridge[name='b0']/component[name='c0']"]) {
+        assert.equal(registry.decodeIdentifier(registry.encodeIdentifier(path)), path);
+    }
+    assert.throws(() => registry.encodeIdentifier('/ietf-interfaces:interfaces/nope'), /Unknown YANG node 'nope'/);
+});
+
+test('leaf values follow their YANG type', () => {
+    const [instance] = registry.encodeInstances([{
+        [INTERFACE]: { name: '2', type: 'iana-if-type:ethernetCsmacd', enabled: false, 'ieee802-ethernet-interface:ethernet': { speed: '1.000', duplex: 'full' } }
+    }]);
+    const [value] = instance.values();
+    const typeSid = registry.identitySid('iana-if-type:ethernetCsmacd');
+
+    // identityref as SID, members keyed by delta SID, decimal64 as tag 4 [exponent, mantissa]
+    assert.ok([...value.values()].includes(typeSid));
+    const ethernet = [...value.values()].find(member => member instanceof Map);
+    const speed = [...ethernet.values()].find(member => member instanceof Tag);
+    assert.equal(speed.tag, 4);
+    assert.deepEqual(speed.value, [-3, 1000]);
+    // duplex is an enumeration: integer on the wire
+    assert.ok([...ethernet.values()].some(member => Number.isInteger(member)));
+});
+
+test('data trees survive an encode / decode round trip', () => {
+    const entries = [
+        {
+            [INTERFACE]: { name: '2', type: 'iana-if-type:ethernetCsmacd', enabled: false, 'ieee802-ethernet-interface:ethernet': { speed: '1.000', duplex: 'full' } }
+        },
+        {
+            [GATE_TABLE]: {
+                'gate-enabled': true,
+                'admin-gate-states': 255,
+                'admin-control-list': {
+                    'gate-control-entry': [
+                        { index: 0, 'operation-name': 'ieee802-dot1q-sched:set-gate-states', 'gate-states-value': 1, 'time-interval-value': 500000 },
+                        { index: 1, 'operation-name': 'ieee802-dot1q-sched:set-gate-states', 'gate-states-value': 254, 'time-interval-value': 500000 }
+                    ]
+                },
+                'admin-cycle-time': { numerator: 1000000, denominator: 1000000000 }
+            }
+        }
+    ];
+    assert.deepEqual(roundTrip(entries), entries);
+});
+
+test('null values delete the instance', () => {
+    const [instance] = registry.encodeInstances({ [`${GATE_TABLE}/admin-control-list/gate-control-entry[index='3']`]: null });
+    assert.deepEqual([...instance.values()], [null]);
+});
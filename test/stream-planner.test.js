@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SidRegistry } from '../sid-registry.js';
+import { validateEntries } from '../yang-validator.js';
+import { planNetwork } from '../stream-planner.js';
+
+// plc → sw1 → sw2 → io, the last link at 100 Mb/s
+const TOPOLOGY = {
+    bridges: [{ name: 'sw1' }, { name: 'sw2' }],
+    links: [{ from: 'plc', to: 'sw1:1' }, { from: 'sw1:2', to: 'sw2:1' }, { from: 'sw2:2', to: 'io', speed: 100 }]
+};
+
+const CONTROL = { name: 'ctl', talker: 'plc', listeners: ['io'], period: 1000000, size: 128, maxLatency: 30000 };
+
+function plan(streams, options = {}) {
+    return planNetwork({ ...TOPOLOGY, ...options, streams });
+}
+
+test('scheduled windows follow the stream hop by hop', () => {
+    const result = plan([CONTROL]);
+    assert.equal(result.valid, true);
+    assert.equal(result.cycleTime, 1000000);
+
+    const [stream] = result.streams;
+    assert.deepEqual([stream.shaping, stream.class, stream.pcp, stream.trafficClass], ['tas', 'scheduled', 6, 7]);
+    // 128-byte frame: 1184 ns at 1 Gb/s, 11840 ns at 100 Mb/s; 5 µs bridge delay per hop
+    assert.deepEqual(stream.hops.map(hop => [hop.bridge, hop.egress, hop.window]), [
+        ['sw1', '2', { start: 1184 + 5000, end: 1184 + 5000 + 1184 }],
+        ['sw2', '2', { start: 7368 + 5000, end: 7368 + 5000 + 11840 }]
+    ]);
+    assert.equal(stream.latency, 24208);
+
+    const sw1 = result.ports.find(port => port.bridge === 'sw1');
+    assert.deepEqual(sw1.schedule.gcl, [
+        { gate: 0x7F, duration: 6184 },
+        { gate: 0x80, duration: 1184 },
+        { gate: 0x7F, duration: 1000000 - 7368 }
+    ]);
+});
+
+test('SR classes by latency budget, shaped by CBS', () => {
+    const result = plan([
+        { name: 'a', talker: 'plc', listeners: ['io'], period: 125000, size: 256, maxLatency: 1000000 },
+        { name: 'b', talker: 'plc', listeners: ['io'], period: 1000000, size: 512 },
+        CONTROL
+    ]);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.streams.map(stream => [stream.name, stream.shaping, stream.class]),
+        [['a', 'cbs', 'A'], ['b', 'cbs', 'B'], ['ctl', 'tas', 'scheduled']]);
+
+    // (256 + 20) * 8 bits every 125 µs = 17.664 Mb/s on TC6
+    const sw2 = result.ports.find(port => port.bridge === 'sw2');
+    assert.equal(sw2.shapers.find(shaper => shaper.trafficClass === 6).idleSlope, 17664);
+    assert.equal(sw2.reservation.limit, 75000);
+});
+
+test('bridge patches are valid writes for the board schema', () => {
+    const schema = SidRegistry.load(SidRegistry.findCatalog()).schema;
+    const result = plan([CONTROL, { name: 'a', talker: 'plc', listeners: ['io'], period: 125000, size: 256, maxLatency: 1000000 }]);
+    assert.deepEqual(Object.keys(result.patches), ['sw1', 'sw2']);
+    for (const entries of Object.values(result.patches)) {
+        assert.deepEqual(validateEntries(schema, entries, { exists: () => true }), []);
+    }
+});
+
+test('unreachable listeners and missed budgets', () => {
+    const unreachable = plan([{ ...CONTROL, listeners: ['nowhere'] }]);
+    assert.equal(unreachable.valid, false);
+    assert.deepEqual(unreachable.issues.map(issue => issue.code), ['no-path']);
+
+    const tight = plan([{ ...CONTROL, size: 1500, maxLatency: 1000 }]);
+    assert.equal(tight.valid, false);
+    assert.match(tight.issues[0].message, /exceeds its 1000 ns budget/);
+
+    assert.deepEqual(planNetwork({ streams: [CONTROL] }).issues.map(issue => issue.code).slice(0, 1), ['no-bridges']);
+});
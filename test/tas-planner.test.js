@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    transmissionTime, openClasses, planSchedule, simulateLatency,
+    ptpTimeToNs, nsToPtpTime, alignBaseTime, compareSchedules
+} from '../tas-planner.js';
+
+// 1 ms cycle: TC7 alone for 300 µs, TC0-6 for the rest
+const SCHEDULE = { cycleTime: 1000000, gcl: [{ gate: 0x80, duration: 300000 }, { gate: 0x7F, duration: 700000 }] };
+
+// Wire time of a 1522-byte frame at 1 Gb/s: (1522 + 20) * 8 ns
+const MAX_FRAME_TIME = 12336;
+
+function codes(plan) {
+    return plan.issues.map(issue => issue.code);
+}
+
+test('frame wire time and open classes', () => {
+    assert.equal(transmissionTime(64), 672);
+    assert.equal(transmissionTime(1522), MAX_FRAME_TIME);
+    assert.equal(transmissionTime(64, 100), 6720);
+    assert.deepEqual(openClasses(0x81), [0, 7]);
+});
+
+test('class windows and guard bands', () => {
+    const plan = planSchedule(SCHEDULE);
+    assert.equal(plan.valid, true);
+    assert.deepEqual(plan.issues, []);
+
+    const tc7 = plan.trafficClasses[7];
+    assert.equal(tc7.openTime, 300000);
+    assert.equal(tc7.guardBand, MAX_FRAME_TIME);
+    assert.equal(tc7.longestGap, 700000);
+    assert.deepEqual(tc7.windows[0], {
+        start: 0, end: 300000, duration: 300000, guardBandStart: 300000 - MAX_FRAME_TIME, usable: 300000 - MAX_FRAME_TIME, maxFrameSize: 37480
+    });
+
+    // Arriving just too late for the guard band: wait for the next cycle, then send
+    assert.equal(tc7.worstCaseLatency, 1000000 - (300000 - MAX_FRAME_TIME + 1) + MAX_FRAME_TIME);
+});
+
+test('a window open across the cycle end is one window', () => {
+    const plan = planSchedule({ cycleTime: 1000000, gcl: [{ gate: 0x01, duration: 200000 }, { gate: 0x80, duration: 300000 }, { gate: 0x01, duration: 500000 }] });
+    assert.deepEqual(plan.trafficClasses[0].windows.map(({ start, end }) => ({ start, end })), [{ start: 500000, end: 1200000 }]);
+    assert.equal(plan.trafficClasses[0].longestGap, 300000);
+    assert.equal(codes(plan).filter(code => code === 'class-never-open').length, 6);
+});
+
+test('schedule problems', () => {
+    const long = planSchedule({ cycleTime: 500000, gcl: SCHEDULE.gcl });
+    assert.equal(long.valid, false);
+    assert.deepEqual(codes(long), ['gcl-exceeds-cycle']);
+    assert.equal(long.issues[0].entry, 1);
+
+    const short = planSchedule({ cycleTime: 2000000, gcl: SCHEDULE.gcl });
+    assert.equal(short.valid, true);
+    assert.deepEqual(codes(short), ['gcl-shorter-than-cycle']);
+    assert.equal(short.entries[1].end, 2000000);
+
+    assert.deepEqual(codes(planSchedule({ gcl: [{ gate: 0xFF, duration: 500 }] })), ['interval-too-short']);
+    assert.deepEqual(codes(planSchedule({ gcl: [{ gate: 256, duration: 1000 }] })), ['invalid-gate-states']);
+    assert.deepEqual(codes(planSchedule({ gcl: [] })), ['empty-gcl']);
+    assert.deepEqual(codes(planSchedule({ gcl: SCHEDULE.gcl, supportedListMax: 1 })), ['gcl-too-long', 'cycle-time-derived']);
+});
+
+test('latency simulation', () => {
+    const plan = planSchedule(SCHEDULE);
+
+    const worst = simulateLatency(plan, { trafficClass: 7 });
+    assert.equal(worst.latency.max, plan.trafficClasses[7].worstCaseLatency);
+    assert.equal(worst.samples[0].start, 1000000);
+
+    const burst = simulateLatency(plan, { trafficClass: 7, arrival: 'burst', count: 3, frameSize: 64 });
+    assert.deepEqual(burst.samples.map(sample => sample.latency), [672, 1344, 2016]);
+
+    // 1522-byte frames every 20 µs need 62% of the cycle, TC7 is open 30%
+    const overload = simulateLatency(plan, { trafficClass: 7, arrival: 'periodic', period: 20000, count: 10 });
+    assert.equal(overload.schedulable, false);
+
+    assert.match(simulateLatency(planSchedule({ gcl: [] })).error, /Schedule has errors/);
+    assert.equal(simulateLatency(plan, { trafficClass: 7, frameSize: 40000 }).schedulable, false);
+});
+
+test('PTP times keep nanosecond precision', () => {
+    const time = { seconds: '1760000000', nanoseconds: 999999999 };
+    assert.equal(ptpTimeToNs(time), 1760000000999999999n);
+    assert.deepEqual(nsToPtpTime(ptpTimeToNs(time)), time);
+    assert.deepEqual(nsToPtpTime('1760000001000000001'), { seconds: '1760000001', nanoseconds: 1 });
+});
+
+test('base times align to whole cycles from the PTP epoch', () => {
+    assert.deepEqual(alignBaseTime({ seconds: '100', nanoseconds: 123 }, { cycleTime: 1000000, cycles: 2, phase: 500 }),
+        { seconds: '100', nanoseconds: 2000500 });
+    assert.deepEqual(alignBaseTime({ seconds: '1760000000', nanoseconds: 999999999 }, { cycleTime: 1000000 }),
+        { seconds: '1760000001', nanoseconds: 0 });
+});
+
+test('admin and running schedules compared', () => {
+    const list = [{ gateStates: 0x80, timeInterval: 300000, operation: 'set-gate-states' }];
+    const side = { cycleTime: 1000000, cycleTimeExtension: 0, baseTime: { seconds: '10', nanoseconds: 0 }, gateStates: 0xFF, controlList: list };
+    assert.deepEqual(compareSchedules({ gateEnabled: true, admin: side, oper: side }), { inSync: true, pending: false, differences: [] });
+
+    const changed = { ...side, cycleTime: 500000, controlList: [...list, list[0]] };
+    const drift = compareSchedules({ gateEnabled: true, admin: changed, oper: side });
+    assert.equal(drift.inSync, false);
+    assert.deepEqual(drift.differences.map(item => [item.severity, item.code]), [['warning', 'cycle-mismatch'], ['warning', 'entry-count-drift']]);
+
+    const pending = compareSchedules({
+        gateEnabled: true,
+        configPending: true,
+        currentTime: { seconds: '20', nanoseconds: 0 },
+        configChangeTime: { seconds: '15', nanoseconds: 0 },
+        admin: changed,
+        oper: side
+    });
+    assert.deepEqual(pending.differences.map(item => [item.severity, item.code]),
+        [['warning', 'pending-overdue'], ['info', 'cycle-mismatch'], ['info', 'entry-count-drift']]);
+});
@@ -0,0 +1,319 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SidRegistry } from '../sid-registry.js';
+import { LAN966xSimulator } from '../lan966x-simulator.js';
+import { Mup1Session } from '../mup1-session.js';
+import { Mup1Transport } from '../device-transport.js';
+
+const DEVICE = '/dev/ttySim';
+const registry = SidRegistry.load(SidRegistry.findCatalog());
+
+// The server logs every request; board data goes to a temporary directory
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+const dataDir = mkdtempSync(join(tmpdir(), 'board-data-'));
+process.env.BOARD_DATA_DIR = dataDir;
+process.env.MVDCT_DEVICE = DEVICE;
+const { app, deviceTransports, getBoard } = await import('../web-server.js');
+
+/**
+ * Serial port stand-in answered by the simulated board
+ */
+class SimulatorPort extends EventEmitter {
+    constructor(simulator) {
+        super();
+        this.simulator = simulator;
+        this.isOpen = false;
+        simulator.write = frame => setImmediate(() => this.emit('data', frame));
+    }
+
+    open(callback) {
+        this.isOpen = true;
+        setImmediate(() => callback(null));
+    }
+
+    write(data) {
+        setImmediate(() => this.simulator.handleData(data));
+        return true;
+    }
+
+    close(callback) {
+        this.isOpen = false;
+        setImmediate(() => {
+            callback?.();
+            this.emit('close');
+        });
+    }
+}
+
+const simulator = new LAN966xSimulator({ registry, write: () => {} });
+const session = new Mup1Session(DEVICE, { announceTimeout: 50, watchdogInterval: 0, window: 2, createPort: () => new SimulatorPort(simulator) });
+deviceTransports.set(DEVICE, new Mup1Transport(DEVICE, { session, registry }));
+
+let server;
+let base;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.close();
+    await session.close();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * JSON request to the server → { status, body }
+ */
+async function request(method, path, body) {
+    const response = await fetch(`${base}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const PORT_2 = "/ietf-interfaces:interfaces/interface[name='2']";
+
+test('apply-yaml writes the patch to the board', async () => {
+    const { status, body } = await request('POST', '/api/config/apply-yaml', {
+        yamlConfig: `- "${PORT_2}/description": uplink\n`
+    });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(simulator.datastore.get(`${PORT_2}/description`), 'uplink');
+});
+
+test('apply-yaml rejects YAML that does not parse with its line and column', async () => {
+    const { status, body } = await request('POST', '/api/config/apply-yaml', {
+        yamlConfig: `- "${PORT_2}/description": uplink\n- "${PORT_2}/enabled": [true\n`
+    });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.deepEqual([body.line, body.column], [3, 1]);
+    assert.match(body.error, /^Invalid YAML: .* \(line 3, column 1\)$/);
+
+    const list = await request('POST', '/api/config/apply-yaml', { yamlConfig: 'a: 1\n' });
+    assert.equal(list.status, 400);
+    assert.match(list.body.error, /must be a list/);
+});
+
+test('unknown devices get 404', async () => {
+    const { status, body } = await request('GET', '/api/scheduler?device=/dev/ttyNope');
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+});
+
+const GATES_2 = `${PORT_2}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table`;
+
+for (const [shape, gcl] of [
+    ['gate, duration', [{ gate: '0x81', duration: 300000 }, { gate: 126, duration: '700000' }]],
+    ['gateStates, timeInterval', [{ gateStates: 129, timeInterval: 300000 }, { gateStates: 126, timeInterval: 700000 }]]
+]) {
+    test(`TAS configure takes { ${shape} } entries`, async () => {
+        const { status, body } = await request('POST', '/api/tas/configure', {
+            interface: '2',
+            gcl,
+            baseTime: { seconds: '0', nanoseconds: 0 }
+        });
+        assert.equal(status, 200, body.error);
+        assert.equal(body.success, true);
+        assert.equal(body.config.cycleTime, 1000000);
+
+        assert.deepEqual(simulator.datastore.get(`${GATES_2}/admin-cycle-time`), { numerator: 1000000, denominator: 1000000000 });
+        const entries = simulator.datastore.get(`${GATES_2}/admin-control-list/gate-control-entry`);
+        assert.deepEqual(entries.map(entry => [entry['gate-states-value'], entry['time-interval-value']]), [[129, 300000], [126, 700000]]);
+    });
+}
+
+const PSFP = "/ieee802-dot1q-bridge:bridges/bridge[name='b0']/component[name='c0']/ieee802-dot1q-psfp-bridge:";
+
+test('PSFP filters reference existing gates and meters only', async () => {
+    const meter = await request('POST', '/api/psfp/flow-meters', { id: 3, cir: 1000000, cbs: 1522, couplingFlag: 1 });
+    assert.equal(meter.status, 200, meter.body.error);
+    const gate = await request('POST', '/api/psfp/stream-gates', {
+        id: 2,
+        gateState: 'closed',
+        ipv: 5,
+        gcl: [{ gateState: 'open', ipv: 2, duration: 600000 }, { gateState: 'closed', duration: 400000 }]
+    });
+    assert.equal(gate.status, 200, gate.body.error);
+
+    const missing = await request('POST', '/api/psfp/stream-filters', { id: 1, streamHandle: 7, streamGate: 9 });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'Stream gate 9 does not exist');
+
+    const filter = await request('POST', '/api/psfp/stream-filters', { id: 1, streamHandle: 7, priority: 3, streamGate: 2, flowMeter: 3 });
+    assert.equal(filter.status, 200, filter.body.error);
+    assert.deepEqual(simulator.datastore.get(`${PSFP}stream-filters/stream-filter-instance-table[stream-filter-instance-id='1']/priority-spec`), 'three');
+
+    const { body } = await request('GET', '/api/psfp');
+    assert.deepEqual(body.streamFilters.map(entry => [entry.id, entry.streamHandle, entry.streamGate, entry.flowMeter]), [[1, 7, 2, 3]]);
+    assert.deepEqual([body.streamGates[0].gateState, body.streamGates[0].ipv, body.streamGates[0].cycleTime], ['closed', 5, 1000000]);
+    assert.deepEqual(body.streamGates[0].controlList.map(entry => [entry.gateState, entry.timeInterval]), [['open', 600000], ['closed', 400000]]);
+    assert.deepEqual([body.flowMeters[0].cir, body.flowMeters[0].couplingFlag], [1000000, 1]);
+});
+
+test('PSFP entries in use are not deleted', async () => {
+    const used = await request('DELETE', '/api/psfp/stream-gates/2');
+    assert.equal(used.status, 400);
+    assert.equal(used.body.error, 'Stream gate 2 is used by stream filter(s) 1');
+
+    // Without a flow meter the filter drops its reference
+    const unmetered = await request('POST', '/api/psfp/stream-filters', { id: 1, streamHandle: 7, streamGate: 2 });
+    assert.equal(unmetered.status, 200, unmetered.body.error);
+    assert.equal(simulator.datastore.get(`${PSFP}stream-filters/stream-filter-instance-table[stream-filter-instance-id='1']/flow-meter-ref`), undefined);
+    assert.equal((await request('DELETE', '/api/psfp/flow-meters/3')).status, 200);
+
+    assert.equal((await request('DELETE', '/api/psfp/stream-filters/1')).status, 200);
+    assert.equal((await request('DELETE', '/api/psfp/stream-gates/2')).status, 200);
+    assert.equal((await request('DELETE', '/api/psfp/stream-gates/2')).status, 404);
+    assert.equal((await request('DELETE', '/api/psfp/meters/1')).status, 404);
+
+    const { body } = await request('GET', '/api/psfp');
+    assert.deepEqual([body.streamFilters, body.streamGates, body.flowMeters], [[], [], []]);
+});
+
+const STREAM_IDENTITY = '/ieee802-dot1cb-stream-identification:stream-identity';
+
+test('FRER reports what the board catalog supports', async () => {
+    const { body } = await request('GET', '/api/frer');
+    assert.equal(body.streamIdentification, true);
+    assert.deepEqual(body.functions, ['null-stream', 'smac-vlan', 'ip']);
+    assert.equal(body.sequenceFunctions, false);
+    assert.match(body.reason, /no ieee802-dot1cb-frer module/);
+
+    const unsupported = await request('POST', '/api/stream-identification', { index: 1, handle: 7, type: 'dmac-vlan', destinationMac: '01-00-5e-00-00-01' });
+    assert.equal(unsupported.status, 400);
+    assert.equal(unsupported.body.error, 'This board does not support dmac-vlan stream identification');
+});
+
+test('stream identities are created, switched to another function and deleted', async () => {
+    const empty = await request('GET', '/api/stream-identification');
+    assert.deepEqual(empty.body.identities, []);
+
+    const created = await request('POST', '/api/stream-identification', {
+        index: 1, handle: 7, type: 'null-stream', ports: [1], destinationMac: '01-00-5e-00-00-01', vlan: 10, tagged: 'tagged'
+    });
+    assert.equal(created.status, 200, created.body.error);
+
+    let { body } = await request('GET', '/api/stream-identification');
+    assert.deepEqual(body.identities, [{
+        index: 1, handle: 7, type: 'null-stream', ports: ['1'], match: { destinationMac: '01-00-5e-00-00-01', vlan: 10, tagged: 'tagged' }
+    }]);
+
+    // The parameters choice holds one case: the null-stream one goes
+    const switched = await request('POST', '/api/stream-identification', { index: 1, handle: 7, type: 'smac-vlan', sourceMac: '00-04-a3-00-00-02', vlan: 10 });
+    assert.equal(switched.status, 200, switched.body.error);
+    assert.equal(simulator.datastore.get(`${STREAM_IDENTITY}[index='1']/null-stream-identification`), undefined);
+    ({ body } = await request('GET', '/api/stream-identification'));
+    assert.deepEqual([body.identities[0].type, body.identities[0].match], ['smac-vlan', { sourceMac: '00-04-a3-00-00-02', vlan: 10 }]);
+
+    assert.equal((await request('DELETE', '/api/stream-identification/1')).status, 200);
+    assert.equal((await request('DELETE', '/api/stream-identification/1')).status, 404);
+});
+
+const PTP_INSTANCE = "/ieee1588-ptp:ptp/instances/instance[instance-index='0']";
+
+test('PTP instances are read with the fields the board can set', async () => {
+    const { status, body } = await request('GET', '/api/ptp');
+    assert.equal(status, 200);
+    const [instance] = body.instances;
+    assert.deepEqual([instance.index, instance.priority1, instance.ports.length], [0, 246, 4]);
+    // Removed by deviations in the board catalog
+    assert.equal(body.capabilities.port.includes('delayMechanism'), false);
+    assert.equal(body.capabilities.port.includes('logAnnounceInterval'), false);
+    assert.deepEqual(body.capabilities.instance, ['enabled', 'instanceType', 'domain', 'priority1', 'priority2', 'externalPortConfig', 'profile']);
+});
+
+test('PTP instance configuration writes clock and port settings', async () => {
+    const { status, body } = await request('POST', '/api/ptp/instance', {
+        priority1: '128', profile: 'bridge', externalPortConfig: true,
+        ports: [{ index: 2, desiredState: 'slave', logSyncInterval: -3 }]
+    });
+    assert.equal(status, 200, body.error);
+    assert.equal(simulator.datastore.get(`${PTP_INSTANCE}/default-ds/priority1`), 128);
+    assert.equal(simulator.datastore.get(`${PTP_INSTANCE}/mchp-velocitysp-ptp:automotive/profile`), 'bridge');
+    const port = `${PTP_INSTANCE}/ports/port[port-index='2']`;
+    assert.equal(simulator.datastore.get(`${port}/external-port-config-port-ds/desired-state`), 'slave');
+    assert.equal(simulator.datastore.get(`${port}/port-ds/log-sync-interval`), -3);
+
+    const unsupported = await request('POST', '/api/ptp/instance', { ports: [{ index: 1, delayMechanism: 'p2p', logAnnounceInterval: 0 }] });
+    assert.equal(unsupported.status, 400);
+    assert.equal(unsupported.body.error, 'This board does not support setting delayMechanism, logAnnounceInterval');
+
+    const unknown = await request('POST', '/api/ptp/instance', { ports: [{ index: 9, enabled: true }] });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'PTP instance 0 has no port 9');
+
+    assert.equal((await request('POST', '/api/ptp/instance', { instance: -1 })).status, 400);
+    assert.equal((await request('POST', '/api/ptp/instance', { ports: [{ enabled: true }] })).status, 400);
+});
+
+test('PTP history returns the samples after a time', async () => {
+    // Samples as the poller records them
+    getBoard(DEVICE).ptpHistory.push(
+        { timestamp: '2026-10-19T12:00:00.000Z', instances: [{ index: 0, offset: 12, slavePort: 1, ports: [] }] },
+        { timestamp: '2026-10-19T12:00:05.000Z', instances: [{ index: 0, offset: -3, slavePort: 1, ports: [] }] }
+    );
+    assert.equal((await request('GET', '/api/ptp/history')).body.samples.length, 2);
+    const { body } = await request('GET', `/api/ptp/history?since=${Date.parse('2026-10-19T12:00:00.000Z')}`);
+    assert.deepEqual(body.samples.map(sample => sample.instances[0].offset), [-3]);
+    assert.equal((await request('GET', '/api/ptp/history?since=2026-10-19T12:00:05Z')).body.samples.length, 0);
+
+    const invalid = await request('GET', '/api/ptp/history?since=yesterday');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Invalid since: yesterday');
+});
+
+/**
+ * Value of a metric line in the /metrics text
+ */
+async function metric(name) {
+    const text = await (await fetch(`${base}/metrics?device=${DEVICE}`)).text();
+    const line = text.split('\n').find(entry => entry.startsWith(`${name}{`));
+    return line ? Number(line.split(' ').pop()) : undefined;
+}
+
+test('cache hits count every cacheable GET', async () => {
+    await request('DELETE', `/api/cache?device=${DEVICE}`);
+    const before = (await request('GET', '/api/stats/performance')).body.stats;
+
+    await request('GET', '/api/scheduler');
+    await request('GET', '/api/scheduler');
+
+    const after = (await request('GET', '/api/stats/performance')).body.stats;
+    assert.equal(after.cacheHits - before.cacheHits, 1);
+    assert.equal(after.cacheLookups - before.cacheLookups, 2);
+    assert.equal(await metric('tsn_server_cache_hit_ratio'), after.cacheHits / after.cacheLookups);
+});
+
+test('queue length and in-flight requests come from the MUP1 session window', async () => {
+    // Hold the frames the board would answer
+    const port = session.port;
+    const write = port.write;
+    const held = [];
+    port.write = (data) => {
+        held.push(data);
+        return true;
+    };
+
+    const pending = [1, 2, 3].map(() => session.request('FETCH', 'c', ['/ietf-system:system-state/platform/machine']));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(await metric('tsn_server_in_flight'), 2);
+    assert.equal(await metric('tsn_server_queue_length'), 1);
+    assert.equal(await metric('tsn_server_processing'), 1);
+
+    port.write = write;
+    held.forEach(data => port.write(data));
+    await Promise.all(pending);
+    assert.deepEqual([await metric('tsn_server_in_flight'), await metric('tsn_server_queue_length')], [0, 0]);
+});
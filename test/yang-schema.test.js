@@ -0,0 +1,207 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { YangSchema } from '../yang-schema.js';
+import { SidRegistry } from '../sid-registry.js';
+
+const BASE = `
+module ex-base {
+    yang-version 1.1;
+    namespace "urn:ex:base";
+    prefix base;
+
+    feature fast;
+    feature turbo {
+        if-feature fast;
+    }
+
+    identity speed;
+    identity gigabit { base speed; }
+    identity ten-gigabit { base gigabit; }
+
+    typedef percent {
+        type uint8 { range "0..100"; }
+        units "percent";
+        default "50";
+    }
+
+    grouping limits {
+        leaf max { type percent; }
+        leaf min {
+            type percent { range "0..10"; }
+            units "ratio";
+        }
+    }
+
+    container ports {
+        list port {
+            key "name";
+            leaf name { type string; }
+            leaf enabled { type boolean; default "true"; }
+            leaf speed { type identityref { base speed; } }
+            uses limits {
+                refine max { description "Upper limit"; }
+            }
+            choice mode {
+                leaf auto { type empty; }
+                case manual {
+                    leaf rate { type decimal64 { fraction-digits 2; } }
+                }
+            }
+            leaf turbo-boost {
+                if-feature "fast and turbo";
+                type boolean;
+            }
+            container state {
+                config false;
+                leaf status { type enumeration { enum up; enum down { value 5; } enum unknown; } }
+            }
+        }
+    }
+}`;
+
+const EXT = `
+module ex-ext {
+    yang-version 1.1;
+    namespace "urn:ex:ext";
+    prefix ext;
+    import ex-base { prefix b; }
+
+    augment "/b:ports/b:port" {
+        container qos {
+            leaf peer { type leafref { path "../../b:name"; } }
+        }
+    }
+    augment "/b:ports/b:port/ext:qos" {
+        leaf shaper { type uint32; }
+    }
+    augment "/b:missing" {
+        leaf never { type string; }
+    }
+
+    deviation "/b:ports/b:port/b:enabled" {
+        deviate replace { default "false"; }
+    }
+    deviation "/b:ports/b:port/b:min" {
+        deviate delete { units "ratio"; }
+    }
+    deviation "/b:ports/b:port/b:turbo-boost" {
+        deviate not-supported;
+    }
+}`;
+
+/**
+ * Schema built from the given module texts (written to a temporary catalog directory)
+ */
+function loadModules(t, modules, options) {
+    const dir = mkdtempSync(join(tmpdir(), 'yang-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    for (const [name, text] of Object.entries(modules)) {
+        writeFileSync(join(dir, name), text);
+    }
+    return YangSchema.load(dir, options);
+}
+
+test('imports, groupings, typedefs and augments resolve into one tree', (t) => {
+    const schema = loadModules(t, { 'ex-base.yang': BASE, 'ex-ext.yang': EXT });
+    assert.deepEqual(schema.errors, []);
+    assert.deepEqual(schema.unresolved, ['ex-ext: augment /b:missing']);
+    assert.deepEqual([...schema.modules.keys()], ['ex-base', 'ex-ext']);
+
+    const port = schema.find('/ex-base:ports/port');
+    assert.deepEqual(port.keys, ['name']);
+    assert.deepEqual(port.children.map(child => child.name), ['name', 'enabled', 'speed', 'max', 'min', 'mode', 'turbo-boost', 'state', 'qos']);
+
+    // Augments land in their own namespace, augments of augments too
+    assert.equal(schema.find('/ex-base:ports/port/ex-ext:qos/shaper').module, 'ex-ext');
+
+    // Grouping nodes take the namespace of the module using them
+    const max = schema.describe(schema.resolve("/ex-base:ports/port[name='1']/max"));
+    assert.equal(max.module, 'ex-base');
+    assert.equal(max.description, 'Upper limit');
+    assert.deepEqual(max.type, { name: 'ex-base:percent', base: 'uint8', range: '0..100', units: 'percent' });
+    assert.equal(max.default, '50');
+
+    // A derived type narrows the typedef
+    assert.equal(schema.describe(schema.resolve('/ex-base:ports/port/min')).type.range, '0..10');
+});
+
+test('descriptions show types, defaults, config and leafref targets', (t) => {
+    const schema = loadModules(t, { 'ex-base.yang': BASE, 'ex-ext.yang': EXT });
+
+    const status = schema.describe(schema.resolve('/ex-base:ports/port/state/status'));
+    assert.equal(status.config, false);
+    assert.deepEqual(status.type.enums, ['up', 'down', 'unknown']);
+    assert.deepEqual(schema.find('/ex-base:ports/port/state/status').type.enums, { up: 0, down: 5, unknown: 6 });
+
+    const speed = schema.describe(schema.resolve('/ex-base:ports/port/speed'));
+    assert.deepEqual(speed.type.identities, ['ex-base:gigabit', 'ex-base:ten-gigabit']);
+
+    const peer = schema.describe(schema.resolve('/ex-base:ports/port/ex-ext:qos/peer'));
+    assert.deepEqual([peer.type.base, peer.type.target.base], ['leafref', 'string']);
+
+    // Data paths leave out choice and case
+    const rate = schema.describe(schema.find('/ex-base:ports/port/mode/manual/rate'));
+    assert.equal(rate.dataPath, '/ex-base:ports/port/rate');
+    assert.equal(rate.type.fractionDigits, 2);
+    assert.equal(schema.resolve('/ex-base:ports/port/rate'), schema.find('/ex-base:ports/port/mode/manual/rate'));
+    assert.equal(schema.find('/ex-base:ports/port/mode/auto/auto').parent.kind, 'case');
+
+    const root = schema.describe(schema.resolve('/'));
+    assert.deepEqual(root.children.map(child => child.path), ['/ex-base:ports']);
+    assert.deepEqual(root.modules[1].imports, ['ex-base']);
+    assert.equal(schema.resolve('/ex-base:ports/nope'), null);
+});
+
+test('deviations change, remove or flag their target', (t) => {
+    const schema = loadModules(t, { 'ex-base.yang': BASE, 'ex-ext.yang': EXT });
+
+    assert.equal(schema.find('/ex-base:ports/port/enabled').default, 'false');
+    // The node's own units are gone, the typedef's apply again
+    assert.equal(schema.find('/ex-base:ports/port/min').units, undefined);
+    assert.equal(schema.describe(schema.find('/ex-base:ports/port/min')).units, 'percent');
+    assert.equal(schema.describe(schema.find('/ex-base:ports/port/turbo-boost')).supported, false);
+    assert.equal(schema.summarize(schema.find('/ex-base:ports/port/turbo-boost')).enabled, false);
+});
+
+test('if-feature follows the enabled features', (t) => {
+    const all = loadModules(t, { 'ex-base.yang': BASE });
+    const boost = all.find('/ex-base:ports/port/turbo-boost');
+    assert.deepEqual(boost.ifFeatures, ['ex-base:fast and ex-base:turbo']);
+    assert.equal(all.nodeEnabled(boost), true);
+
+    const fastOnly = loadModules(t, { 'ex-base.yang': BASE }, { features: ['ex-base:fast'] });
+    assert.equal(fastOnly.nodeEnabled(fastOnly.find('/ex-base:ports/port/turbo-boost')), false);
+    assert.deepEqual(fastOnly.describeModules()[0].features, [{ name: 'fast', enabled: true }, { name: 'turbo', enabled: false }]);
+
+    // turbo needs fast
+    const turboOnly = loadModules(t, { 'ex-base.yang': BASE }, { features: ['ex-base:turbo'] });
+    assert.equal(turboOnly.featureEnabled('ex-base:turbo'), false);
+    assert.equal(turboOnly.evaluateFeatures('not ex-base:fast or (ex-base:turbo and ex-base:fast)'), true);
+});
+
+test('modules that do not parse are reported, the rest still load', (t) => {
+    const schema = loadModules(t, { 'ex-base.yang': BASE, 'ex-broken.yang': 'module ex-broken { container' });
+    assert.equal(schema.errors.length, 1);
+    assert.match(schema.errors[0], /ex-broken\.yang/);
+    assert.ok(schema.find('/ex-base:ports'));
+    assert.equal(YangSchema.load('/nonexistent/catalog').size, 0);
+});
+
+test('the board catalog: vendor augments onto ietf-interfaces', () => {
+    const schema = SidRegistry.load(SidRegistry.findCatalog()).schema;
+    assert.deepEqual([schema.errors, schema.unresolved], [[], []]);
+
+    const qos = schema.resolve("/ietf-interfaces:interfaces/interface[name='1']/mchp-velocitysp-port:eth-qos");
+    assert.equal(qos.path, '/ietf-interfaces:interfaces/interface/mchp-velocitysp-port:eth-qos');
+
+    const pvid = schema.describe(schema.resolve('/ietf-interfaces:interfaces/interface/ieee802-dot1q-bridge:bridge-port/pvid'));
+    assert.deepEqual([pvid.config, pvid.default, pvid.type.name, pvid.type.base, pvid.type.range],
+        [true, '1', 'ieee802-dot1q-types:vlan-index-type', 'uint32', '1..4094 | 4096..4294967295']);
+
+    const operStatus = schema.describe(schema.resolve('/ietf-interfaces:interfaces/interface/oper-status'));
+    assert.equal(operStatus.config, false);
+    assert.ok(operStatus.type.enums.includes('lower-layer-down'));
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SidRegistry } from '../sid-registry.js';
+import { validateEntries } from '../yang-validator.js';
+
+const schema = SidRegistry.load(SidRegistry.findCatalog()).schema;
+
+const PORT = "/ietf-interfaces:interfaces/interface[name='1']";
+const BRIDGE_PORT = `${PORT}/ieee802-dot1q-bridge:bridge-port`;
+
+/**
+ * Error codes of a write, in order
+ */
+function codes(entries, options) {
+    return validateEntries(schema, entries, options).map(error => error.code);
+}
+
+test('valid writes and deletes pass', () => {
+    assert.deepEqual(validateEntries(schema, [
+        { [`${BRIDGE_PORT}/pvid`]: 10 },
+        { [`${PORT}/enabled`]: 'false' },
+        { [`${PORT}/type`]: 'iana-if-type:ethernetCsmacd' },
+        { [`${BRIDGE_PORT}/default-priority`]: null }
+    ]), []);
+});
+
+test('leaf values are checked against their type', () => {
+    const [error] = validateEntries(schema, [{ [`${BRIDGE_PORT}/pvid`]: 4095 }]);
+    assert.equal(error.code, 'invalid-value');
+    assert.equal(error.schemaPath, '/ietf-interfaces:interfaces/interface/ieee802-dot1q-bridge:bridge-port/pvid');
+    assert.match(error.message, /4095 is out of range 1\.\.4094/);
+
+    assert.deepEqual(codes([{ [`${PORT}/enabled`]: 'maybe' }]), ['invalid-value']);
+    assert.deepEqual(codes([{ [`${PORT}/type`]: 'iana-if-type:nope' }]), ['invalid-value']);
+});
+
+test('state data cannot be written, at the path or inside the value', () => {
+    assert.deepEqual(codes([{ [`${PORT}/oper-status`]: 'up' }]), ['read-only']);
+
+    const [error] = validateEntries(schema, [{
+        [`${BRIDGE_PORT}/ieee802-dot1q-sched-bridge:gate-parameter-table`]: { 'gate-enabled': true, 'oper-gate-states': 1 }
+    }]);
+    assert.equal(error.code, 'read-only');
+    assert.match(error.path, /gate-parameter-table\/oper-gate-states$/);
+});
+
+test('paths must name known nodes and list keys', () => {
+    assert.deepEqual(codes([{ [`${PORT}/nope`]: 1 }]), ['unknown-node']);
+    assert.deepEqual(codes([{ '/ietf-interfaces:interfaces/interface/enabled': true }]), ['missing-key']);
+    assert.deepEqual(codes([{ "/ietf-interfaces:interfaces/interface[name='9']": { name: '8', type: 'iana-if-type:ethernetCsmacd' } }]), ['invalid-value']);
+    assert.deepEqual(codes(['x']), ['invalid-structure']);
+});
+
+test('new list entries need their mandatory leaves', () => {
+    const entry = [{ "/ietf-interfaces:interfaces/interface[name='9']": { enabled: true } }];
+    const [error] = validateEntries(schema, entry);
+    assert.equal(error.code, 'missing-mandatory');
+    assert.equal(error.path, "/ietf-interfaces:interfaces/interface[name='9']/type");
+
+    // Entries already on the board keep their mandatory leaves
+    assert.deepEqual(codes(entry, { exists: () => true }), []);
+});
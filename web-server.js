@@ -3,15 +3,33 @@
 /**
  * LAN9662 VelocityDRIVE Web Control Server
  * Node.js based web interface for mvdct CLI tool
+ * Device access goes through a pluggable transport (mvdct / mup1 / mup1cc)
  */
 
 import express from 'express';
 import cors from 'cors';
-import { spawn, execSync } from 'child_process';
-import { readFileSync, readdirSync, statSync, existsSync, writeFileSync, mkdirSync } from 'fs';
+import { execSync } from 'child_process';
+import { readFileSync, readdirSync, statSync, existsSync, writeFileSync, mkdirSync, unlinkSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import yaml from 'js-yaml';
+import { createTransport, TRANSPORTS, parseValue } from './device-transport.js';
+import { SidRegistry } from './sid-registry.js';
+import { YangSchema } from './yang-schema.js';
+import { validateEntries } from './yang-validator.js';
+import { PushChannel } from './push-channel.js';
+import { ConfigTransaction } from './config-transaction.js';
+import { ConfigStore, extractConfig } from './config-store.js';
+import { MetricsStore, DEFAULT_INTERVAL, DEFAULT_RETENTION, parseDuration } from './metrics-store.js';
+import { PrometheusText, CONTENT_TYPE as PROMETHEUS_CONTENT_TYPE } from './prometheus-text.js';
+import { planSchedule, entryValues, simulateLatency, alignBaseTime, compareSchedules, ptpTimeToNs, nsToPtpTime } from './tas-planner.js';
+import { planShapers } from './cbs-planner.js';
+import { planNetwork } from './stream-planner.js';
+import {
+    BoardModel, INTERFACES_PATH, BRIDGES_PATH, PLATFORM_PATH, STREAM_IDENTITY_PATH, PTP_PATH, PRIORITY_NAMES, interfacePath, componentPath,
+    normalizeBridgePort, normalizeShapers, normalizeSchedule, normalizeStatistics, normalizeInterface,
+    normalizeTrafficClassCounters, normalizePSFP
+} from './board-model.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,16 +41,24 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(__dirname));
 
-// mvdct 실행 경로 (저장소에 포함됨)
-const MVDCT_PATH = join(__dirname, 'tools', 'mvdct', 'mvdct');
+// mvdct 실행 경로 (저장소에 포함됨, MVDCT_PATH=./mvdct.js 로 Node 구현 사용 가능)
+const MVDCT_PATH = process.env.MVDCT_PATH || join(__dirname, 'tools', 'mvdct', 'mvdct');
+
+// YANG 카탈로그 (mvdct가 내려받은 .yang/.sid 파일, YANG_CATALOG_PATH 환경변수로 변경 가능)
+const YANG_CATALOG_PATH = process.env.YANG_CATALOG_PATH || SidRegistry.findCatalog() || join(__dirname, 'tools', 'mvdct', 'cli', 'downloads', 'coreconf');
 
 // ============================================
 // Multi-Board Auto-Detection
 // ============================================
 
+/**
+ * MVDCT_DEVICES 환경변수로 직접 지정한 보드 (쉼표 구분)
+ */
+const CONFIGURED_DEVICES = (process.env.MVDCT_DEVICES || '').split(',').map(p => p.trim()).filter(Boolean);
+
 /**
  * 시리얼 포트 자동 감지
- * /dev/ttyACM*, /dev/ttyUSB* 등 검색
+ * /dev/ttyACM*, /dev/ttyUSB* 등 검색 + MVDCT_DEVICES 환경변수 (쉼표 구분, 예: /dev/serial/by-id/...)
  */
 function detectSerialPorts() {
     const ports = [];
@@ -61,6 +87,9 @@ function detectSerialPorts() {
         console.error('[PORT DETECT] Error:', err.message);
     }
 
+    // 직접 지정한 보드 (존재하는 경로만)
+    ports.push(...CONFIGURED_DEVICES.filter(p => existsSync(p) && !ports.includes(p)));
+
     return ports.filter(p => p && p.trim());
 }
 
@@ -68,67 +97,353 @@ function detectSerialPorts() {
  * 연결된 보드 목록 (자동 감지)
  */
 let connectedDevices = detectSerialPorts();
-const DEFAULT_DEVICE = connectedDevices.length > 0 ? connectedDevices[0] : '/dev/ttyACM0';
+const DEFAULT_DEVICE = process.env.MVDCT_DEVICE || (connectedDevices.length > 0 ? connectedDevices[0] : '/dev/ttyACM0');
 
 console.log('[DEVICE] Auto-detected serial ports:', connectedDevices);
 console.log('[DEVICE] Default device:', DEFAULT_DEVICE);
 
+// ============================================
+// Device Transports (mvdct / mup1 / mup1cc)
+// ============================================
+
+// 기본 전송 방식: 직접 MUP1 세션 (TSN_TRANSPORT 환경변수로 변경 가능)
+const DEFAULT_TRANSPORT = process.env.TSN_TRANSPORT || 'mup1';
+
+if (!TRANSPORTS[DEFAULT_TRANSPORT]) {
+    console.error(`[TRANSPORT] Unknown transport "${DEFAULT_TRANSPORT}" (available: ${Object.keys(TRANSPORTS).join(', ')})`);
+    process.exit(1);
+}
+
+// CORECONF 인코딩: 'sid' (카탈로그의 SID 사용, 기본) 또는 'names' (YANG 경로 문자열)
+const CORECONF_ENCODING = process.env.CORECONF_ENCODING || 'sid';
+
+// 보드가 지원하는 YANG feature ('module:feature' 쉼표 구분, 미지정 시 전체 지원으로 간주)
+const YANG_FEATURES = process.env.YANG_FEATURES
+    ? process.env.YANG_FEATURES.split(',').map(name => name.trim()).filter(Boolean)
+    : null;
+
+/**
+ * SID 레지스트리 로드 (카탈로그가 없으면 YANG 경로 문자열로 동작)
+ */
+function loadSidRegistry() {
+    if (CORECONF_ENCODING === 'names' || !existsSync(YANG_CATALOG_PATH)) {
+        return null;
+    }
+    try {
+        const registry = SidRegistry.load(YANG_CATALOG_PATH, { features: YANG_FEATURES });
+        const info = registry.describe();
+        console.log(`[SID] ${info.sids} SIDs from ${info.modules} modules (${YANG_CATALOG_PATH})`);
+        return registry;
+    } catch (error) {
+        console.error(`[SID] Failed to load catalog ${YANG_CATALOG_PATH}:`, error.message);
+        return null;
+    }
+}
+
+const sidRegistry = loadSidRegistry();
+
+/**
+ * YANG 스키마 로드 (SID 모드에서는 SID 레지스트리의 스키마를 그대로 사용)
+ */
+function loadYangSchema() {
+    if (sidRegistry) {
+        return sidRegistry.schema;
+    }
+    if (!existsSync(YANG_CATALOG_PATH)) {
+        return null;
+    }
+    try {
+        const schema = YangSchema.load(YANG_CATALOG_PATH, { features: YANG_FEATURES });
+        console.log(`[YANG] ${schema.size} schema nodes from ${schema.modules.size} modules (${YANG_CATALOG_PATH})`);
+        return schema;
+    } catch (error) {
+        console.error(`[YANG] Failed to load schema ${YANG_CATALOG_PATH}:`, error.message);
+        return null;
+    }
+}
+
+const yangSchema = loadYangSchema();
+yangSchema?.errors.forEach(error => console.warn(`[YANG] ${error}`));
+
+// 디바이스별 전송 객체 (device path → DeviceTransport)
+const deviceTransports = new Map();
+
+// UI 푸시 채널 (SSE): board / full-yang / link / counters / ptp / history / connection 이벤트
+const pushChannel = new PushChannel();
+
+/**
+ * 디바이스 전송 객체 조회 (없으면 기본 전송 방식으로 생성)
+ */
+function getTransport(device, type = DEFAULT_TRANSPORT) {
+    let transport = deviceTransports.get(device);
+    if (!transport) {
+        transport = createTransport(type, device, { mvdctPath: MVDCT_PATH, registry: sidRegistry });
+        deviceTransports.set(device, transport);
+        console.log(`[TRANSPORT] ${device} → ${transport.type}`);
+
+        // 직접 MUP1 세션의 연결 상태 변화를 UI로 전달
+        if (transport.session) {
+            transport.session.on('state', (event) => {
+                if (deviceTransports.get(device) === transport) {
+                    pushChannel.publish('connection', event, { retain: true, key: device });
+                }
+            });
+        }
+    }
+    return transport;
+}
+
+/**
+ * 디바이스 연결 상태 (disconnected / opening / announcing / ready / degraded)
+ * 세션이 없는 전송 방식(mvdct, mup1cc)은 요청마다 포트를 열므로 null
+ */
+function getConnectionState(device) {
+    const transport = deviceTransports.get(device);
+    return transport && transport.session ? transport.session.describeState() : null;
+}
+
+console.log('[TRANSPORT] Default transport:', DEFAULT_TRANSPORT);
+
 // 명령어 히스토리
 let commandHistory = [];
 
 // YANG 카탈로그 캐시
 let yangCatalog = null;
 
+// ============================================
+// Per-Board State (queue, cache, pollers, snapshots)
+// ============================================
+
+// 보드 데이터 저장 위치 (BOARD_DATA_DIR 환경변수로 변경 가능)
+const BOARD_DATA_DIR = process.env.BOARD_DATA_DIR || join(__dirname, 'board-data');
+
+// 저장 디렉토리 생성
+if (!existsSync(BOARD_DATA_DIR)) {
+    mkdirSync(BOARD_DATA_DIR, { recursive: true });
+}
+
+// 카운터 시계열 저장 (board-data/<id>/metrics/): 수집 주기 (METRICS_INTERVAL, 0이면 끔)와
+// raw / 1분 / 1시간 단계 보관 기간 (METRICS_RETENTION, 예: '6h,7d,90d')
+const METRICS_INTERVAL = process.env.METRICS_INTERVAL !== undefined ? parseDuration(process.env.METRICS_INTERVAL) : DEFAULT_INTERVAL;
+const METRICS_RETENTION = process.env.METRICS_RETENTION
+    ? process.env.METRICS_RETENTION.split(',').map(value => value.trim())
+    : DEFAULT_RETENTION;
+
+if (!(METRICS_INTERVAL >= 0) || METRICS_RETENTION.some(value => !(parseDuration(value) > 0))) {
+    console.error(`[METRICS] Invalid METRICS_INTERVAL / METRICS_RETENTION (e.g. METRICS_INTERVAL=10s METRICS_RETENTION=6h,7d,90d)`);
+    process.exit(1);
+}
+
+// 보드별 상태 (device path → board)
+const boards = new Map();
+
+/**
+ * 디바이스 경로 → 보드 ID (board-data/<id>/ 디렉토리 이름, ?device= 축약형)
+ * 예: /dev/ttyACM0 → ttyACM0, /dev/serial/by-id/usb-Microchip_...-if00 → usb-Microchip_...-if00
+ */
+function boardId(device) {
+    return device.split('/').pop().replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * 보드 상태 조회 (없으면 생성)
+ * 보드마다 요청 큐, 결과 캐시, 정적 정보, 최신 수집 데이터, 폴링 타이머, 스냅샷 디렉토리를 따로 가짐
+ */
+function getBoard(device) {
+    let board = boards.get(device);
+    if (!board) {
+        board = {
+            device,
+            id: boardId(device),
+            dataDir: join(BOARD_DATA_DIR, boardId(device)),
+            requestQueue: [],
+            isProcessing: false,
+            resultCache: new Map(),
+            // 캐시할 수 있는 GET 중 캐시에서 응답한 / 보드에 요청한 수 (서버 시작 이후)
+            cacheHits: 0,
+            cacheMisses: 0,
+            staticInfo: { firmware: null, deviceType: null },
+            latestBoardData: null,
+            latestFullYang: null,
+            lastSnapshotTime: 0,
+            lastInterfacesTime: 0,
+            isCollectingStats: false,
+            isCollectingPTP: false,
+            // PTP 동기 상태 시계열 (폴러가 수집, 최근 PTP_HISTORY_SIZE개)
+            ptpHistory: [],
+            // 인터페이스별 TAS 스케줄 적용 감시 상태 (config-change → config-pending → operational)
+            tasWatches: new Map(),
+            timers: [],
+            // 보드에서 읽은 YANG 데이터 (한 번 파싱해 두고 정규화된 JSON으로 제공)
+            model: new BoardModel(),
+            // 설정 리비전 저장소 (board-data/<id>/revisions/)
+            configStore: new ConfigStore(join(BOARD_DATA_DIR, boardId(device), 'revisions'), {
+                device,
+                schema: yangSchema
+            }),
+            // 포트 / TC 카운터 시계열 (board-data/<id>/metrics/)
+            metrics: new MetricsStore(join(BOARD_DATA_DIR, boardId(device), 'metrics'), {
+                device,
+                interval: METRICS_INTERVAL || DEFAULT_INTERVAL,
+                retention: METRICS_RETENTION
+            }),
+            // PTP 동기 상태 시계열 (board-data/<id>/ptp/, 카운터가 아닌 측정값이라 별도 저장소)
+            ptpMetrics: new MetricsStore(join(BOARD_DATA_DIR, boardId(device), 'ptp'), {
+                device,
+                interval: PTP_INTERVAL,
+                retention: METRICS_RETENTION
+            }),
+            isCollectingMetrics: false
+        };
+        board.ptpHistory = restorePTPHistory(board.ptpMetrics);
+        if (!existsSync(board.dataDir)) {
+            mkdirSync(board.dataDir, { recursive: true });
+        }
+        boards.set(device, board);
+    }
+    return board;
+}
+
+/**
+ * 디바이스 선택자 해석 (전체 경로 또는 보드 ID, 생략 시 기본 디바이스)
+ * 감지되었거나 설정된 (MVDCT_DEVICE, MVDCT_DEVICES) 보드만 허용 - 임의의 경로는 열지 않음
+ * @returns {string|null} - 디바이스 경로 (알 수 없는 디바이스면 null)
+ */
+function resolveDevice(selector) {
+    if (!selector) {
+        return DEFAULT_DEVICE;
+    }
+    const known = [...new Set([DEFAULT_DEVICE, ...CONFIGURED_DEVICES, ...connectedDevices, ...boards.keys()])];
+    if (known.includes(selector)) {
+        return selector;
+    }
+    return known.find(device => boardId(device) === selector) || null;
+}
+
+/**
+ * 보드 요약 (상태 엔드포인트용)
+ */
+function describeBoard(board) {
+    const transport = deviceTransports.get(board.device);
+    return {
+        device: board.device,
+        id: board.id,
+        default: board.device === DEFAULT_DEVICE,
+        transport: transport ? transport.type : DEFAULT_TRANSPORT,
+        connection: getConnectionState(board.device),
+        polling: board.timers.length > 0,
+        lastUpdate: board.latestBoardData ? board.latestBoardData.timestamp : null,
+        lastFullYang: board.latestFullYang ? board.latestFullYang.timestamp : null,
+        queueLength: performanceStats(board).queueLength,
+        cacheSize: board.resultCache.size,
+        dataDir: board.dataDir
+    };
+}
+
 // ============================================
 // Performance Optimization Layer
 // ============================================
 
-// Result Cache - 동일한 GET 요청 결과를 캐싱
-const resultCache = new Map();
+// Result Cache - 동일한 GET 요청 결과를 보드별로 캐싱
 const CACHE_TTL = 2000; // 2초 TTL (하드웨어 상태는 빠르게 변할 수 있음)
 
-// Request Queue - 직렬 포트는 동시 접근 불가능하므로 큐로 순서 보장
-const requestQueue = [];
-let isProcessing = false;
+// Request Queue - mvdct/mup1cc는 프로세스마다 포트를 열므로 보드별 큐로 순서 보장
+// (서로 다른 보드의 요청은 동시에 실행)
 
 /**
  * Request Queue 처리기
  */
-async function processQueue() {
-    if (isProcessing || requestQueue.length === 0) {
+async function processQueue(board) {
+    if (board.isProcessing || board.requestQueue.length === 0) {
         return;
     }
 
-    isProcessing = true;
-    const { args, resolve, reject } = requestQueue.shift();
+    board.isProcessing = true;
+    const { task, resolve, reject } = board.requestQueue.shift();
 
     try {
-        const result = await executeMvdctRaw(args);
+        const result = await task();
         resolve(result);
     } catch (error) {
         reject(error);
     } finally {
-        isProcessing = false;
+        board.isProcessing = false;
         // 다음 요청 처리
-        if (requestQueue.length > 0) {
-            setImmediate(processQueue);
+        if (board.requestQueue.length > 0) {
+            setImmediate(() => processQueue(board));
         }
     }
 }
 
 /**
- * Queued mvdct 실행 (캐싱 + 큐잉)
+ * 보드 큐에 작업 추가
+ */
+function enqueue(board, task) {
+    return new Promise((resolve, reject) => {
+        board.requestQueue.push({ task, resolve, reject });
+        processQueue(board);
+    });
+}
+
+/**
+ * 전송 방식에 맞게 실행
+ * 파이프라이닝 전송(mup1)은 세션이 요청 순서를 관리하므로 큐를 거치지 않음
+ */
+function schedule(board, transport, task) {
+    return transport.pipelined ? task() : enqueue(board, task);
+}
+
+/**
+ * 실행 결과 기록 (히스토리 + 로그)
+ */
+function recordResult(device, args, result) {
+    const entry = {
+        device,
+        args,
+        result,
+        timestamp: new Date().toISOString()
+    };
+    commandHistory.push(entry);
+
+    // 푸시에는 결과 본문 없이 요약만 전송
+    pushChannel.publish('history', {
+        device,
+        args,
+        success: result.success,
+        code: result.code,
+        executionTime: result.executionTime,
+        timestamp: entry.timestamp
+    });
+
+    if (commandHistory.length > 100) {
+        commandHistory = commandHistory.slice(-100);
+    }
+
+    const status = result.success ? 'OK' : 'FAIL';
+    console.log(`[EXEC] ${args.join(' ')} → ${status} (${result.executionTime}ms)`);
+}
+
+/**
+ * Queued 디바이스 명령 실행 (캐싱 + 큐잉)
+ * @param {string} device - 시리얼 포트
+ * @param {string} operation - get, set, patch, fetch, call, delete, firmwareVersion, deviceType, yangId
+ * @param {...*} params - 명령 인자
  */
-function executeMvdct(args) {
+function executeDevice(device, operation, ...params) {
+    const board = getBoard(device);
+    const { resultCache } = board;
+    const transport = getTransport(device);
+    const args = transport.describe(operation, params);
+
     // Cache key 생성 (GET 요청만 캐싱)
-    const isGetCommand = args.includes('get') && !args.includes('set');
-    const cacheKey = isGetCommand ? JSON.stringify(args) : null;
+    const cacheKey = operation === 'get' ? JSON.stringify([transport.type, ...args]) : null;
 
     // 캐시 확인
     if (cacheKey && resultCache.has(cacheKey)) {
         const cached = resultCache.get(cacheKey);
         const age = Date.now() - cached.timestamp;
         if (age < CACHE_TTL) {
+            board.cacheHits++;
             console.log(`[CACHE HIT] ${cacheKey.substring(0, 80)}... (age: ${age}ms)`);
             return Promise.resolve({
                 ...cached.result,
@@ -140,140 +455,219 @@ function executeMvdct(args) {
             resultCache.delete(cacheKey);
         }
     }
+    if (cacheKey) {
+        board.cacheMisses++;
+    }
 
-    // 큐에 추가
-    return new Promise((resolve, reject) => {
-        requestQueue.push({ args, resolve, reject, cacheKey });
-        processQueue();
+    return schedule(board, transport, async () => {
+        const result = await transport.execute(operation, params);
+        recordResult(device, [transport.type, ...args], result);
+
+        // GET 명령어 결과 캐싱
+        if (cacheKey && result.success) {
+            resultCache.set(cacheKey, {
+                result,
+                timestamp: Date.now()
+            });
+
+            // 캐시 크기 제한 (최대 100개)
+            if (resultCache.size > 100) {
+                const firstKey = resultCache.keys().next().value;
+                resultCache.delete(firstKey);
+            }
+        }
+
+        return result;
     });
 }
 
 /**
- * 실제 mvdct 명령어 실행 (Raw, 캐싱 없음)
+ * 원시 mvdct 인자 실행 (/api/execute 호환용, 캐싱 없음)
+ * 인자에 'device <경로>'가 없으면 선택된 디바이스 사용
  */
-function executeMvdctRaw(args) {
-    return new Promise((resolve, reject) => {
-        const startTime = Date.now();
-        const proc = spawn(MVDCT_PATH, args, {
-            cwd: '/home/kim/Downloads/Microchip_VelocityDRIVE_CT-CLI-linux-2025.07.12'
-        });
-
-        let stdout = '';
-        let stderr = '';
-
-        proc.stdout.on('data', (data) => {
-            stdout += data.toString();
-        });
-
-        proc.stderr.on('data', (data) => {
-            stderr += data.toString();
-        });
+function executeRaw(args, fallbackDevice = DEFAULT_DEVICE) {
+    const deviceIndex = args.indexOf('device');
+    const device = deviceIndex !== -1 ? args[deviceIndex + 1] : fallbackDevice;
+    const transport = getTransport(device);
+
+    return schedule(getBoard(device), transport, async () => {
+        const result = await transport.run(args);
+        recordResult(device, [transport.type, ...args], result);
+        return result;
+    });
+}
 
-        proc.on('close', (code) => {
-            const executionTime = Date.now() - startTime;
-            const result = {
-                success: code === 0,
-                stdout: stdout.trim(),
-                stderr: stderr.trim(),
-                code,
-                executionTime, // 실행 시간 추가
-                timestamp: new Date().toISOString()
-            };
+// ============================================
+// Configuration Transactions (snapshot → iPATCH → verify → rollback)
+// ============================================
 
-            // 히스토리 저장
-            commandHistory.push({
-                args,
-                result,
-                timestamp: new Date().toISOString()
-            });
+// 최근 트랜잭션 보고서 (최대 50개)
+let transactions = [];
 
-            if (commandHistory.length > 100) {
-                commandHistory = commandHistory.slice(-100);
-            }
+/**
+ * 설정 트랜잭션 생성 - 보드의 큐와 히스토리를 그대로 사용
+ */
+function createTransaction(device, name) {
+    return new ConfigTransaction(
+        (operation, ...params) => executeDevice(device, operation, ...params),
+        { name, device, schema: yangSchema }
+    );
+}
 
-            // GET 명령어 결과 캐싱
-            const isGetCommand = args.includes('get') && !args.includes('set');
-            if (isGetCommand && result.success) {
-                const cacheKey = JSON.stringify(args);
-                resultCache.set(cacheKey, {
-                    result,
-                    timestamp: Date.now()
-                });
+/**
+ * 트랜잭션 실행 후 보고서 기록 및 보드 캐시 무효화 (설정이 바뀌었으므로)
+ */
+async function commitTransaction(tx) {
+    const report = await tx.commit();
+    getBoard(tx.device).resultCache.clear();
 
-                // 캐시 크기 제한 (최대 100개)
-                if (resultCache.size > 100) {
-                    const firstKey = resultCache.keys().next().value;
-                    resultCache.delete(firstKey);
-                }
-            }
+    transactions.push(report);
+    if (transactions.length > 50) {
+        transactions = transactions.slice(-50);
+    }
+    return report;
+}
 
-            console.log(`[EXEC] mvdct ${args.join(' ')} → ${code === 0 ? 'OK' : 'FAIL'} (${executionTime}ms)`);
-            resolve(result);
-        });
+/**
+ * 트랜잭션 응답: 트랜잭션 ID + 단계별 보고서 (+ 요청한 설정)
+ */
+function transactionResponse(report, config) {
+    return {
+        success: report.success,
+        transactionId: report.id,
+        status: report.status,
+        steps: report.steps,
+        rollback: report.rollback,
+        error: report.error,
+        config
+    };
+}
 
-        proc.on('error', (error) => {
-            const executionTime = Date.now() - startTime;
-            console.error(`[ERROR] mvdct ${args.join(' ')} → ${error.message} (${executionTime}ms)`);
-            reject({
-                success: false,
-                error: error.message,
-                executionTime,
-                timestamp: new Date().toISOString()
-            });
+/**
+ * 디바이스 선택자 → req.device
+ * 모든 API는 ?device=<경로 또는 보드 ID> 또는 body.device 로 보드를 선택 (생략 시 기본 디바이스)
+ */
+app.use('/api', (req, res, next) => {
+    const selector = req.query.device || (req.body && req.body.device);
+    const device = resolveDevice(selector ? String(selector) : null);
+
+    if (!device) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown device: ${selector}`,
+            devices: connectedDevices
         });
+    }
 
-        // 15초 타임아웃 (일부 명령어는 오래 걸릴 수 있음)
-        const timeoutId = setTimeout(() => {
-            proc.kill('SIGTERM');
-            // 3초 후에도 종료 안되면 SIGKILL
-            setTimeout(() => {
-                if (!proc.killed) {
-                    proc.kill('SIGKILL');
-                }
-            }, 3000);
-
-            const executionTime = Date.now() - startTime;
-            console.error(`[TIMEOUT] mvdct ${args.join(' ')} (${executionTime}ms)`);
-            reject({
-                success: false,
-                error: 'Command timeout (15s)',
-                executionTime,
-                timestamp: new Date().toISOString()
-            });
-        }, 15000);
-
-        // 프로세스 종료 시 타임아웃 해제
-        proc.on('close', () => clearTimeout(timeoutId));
-    });
-}
+    req.device = device;
+    next();
+});
 
 /**
  * API: 연결된 디바이스 목록
  */
 app.get('/api/devices', (req, res) => {
-    // 실시간 재검색
+    // 실시간 재검색 (새로 연결된 보드는 폴링 시작)
     const refreshed = detectSerialPorts();
     connectedDevices = refreshed;
+    syncBoards();
 
     res.json({
         success: true,
         devices: connectedDevices,
         default: DEFAULT_DEVICE,
-        count: connectedDevices.length
+        count: connectedDevices.length,
+        ids: Object.fromEntries(connectedDevices.map(device => [device, boardId(device)])),
+        transports: Object.fromEntries(
+            connectedDevices.map(device => [device, deviceTransports.get(device)?.type || DEFAULT_TRANSPORT])
+        )
+    });
+});
+
+/**
+ * API: 보드별 상태 요약 (전송 방식, 연결 상태, 마지막 수집 시각, 큐/캐시 크기)
+ */
+app.get('/api/boards', (req, res) => {
+    res.json({
+        success: true,
+        default: DEFAULT_DEVICE,
+        boards: [...boards.values()].map(describeBoard)
+    });
+});
+
+/**
+ * API: 사용 가능한 전송 방식 목록
+ */
+app.get('/api/transports', (req, res) => {
+    res.json({
+        success: true,
+        available: Object.keys(TRANSPORTS),
+        default: DEFAULT_TRANSPORT,
+        encoding: sidRegistry ? 'sid' : 'names',
+        devices: Object.fromEntries(
+            [...deviceTransports.entries()].map(([device, transport]) => [device, transport.type])
+        ),
+        // 직접 MUP1 세션 상태 (열림 여부, 진행 중 요청, 평균 응답 시간)
+        sessions: [...deviceTransports.values()]
+            .filter(transport => transport.session)
+            .map(transport => transport.session.describe())
     });
 });
 
+/**
+ * API: 디바이스 전송 방식 변경
+ */
+app.post('/api/devices/transport', async (req, res) => {
+    try {
+        const { transport: type } = req.body;
+        const device = req.device;
+        const board = getBoard(device);
+
+        if (!TRANSPORTS[type]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown transport: ${type}`,
+                available: Object.keys(TRANSPORTS)
+            });
+        }
+
+        // 진행 중인 요청이 끝난 뒤 교체
+        await enqueue(board, async () => {
+            const previous = deviceTransports.get(device);
+            if (previous) {
+                deviceTransports.delete(device);
+                await previous.close();
+            }
+            getTransport(device, type);
+        });
+
+        // 이전 전송 방식의 캐시 무효화
+        board.resultCache.clear();
+
+        res.json({
+            success: true,
+            device,
+            transport: type
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * API: 디바이스 상태 확인 (멀티 보드 지원)
  */
 app.get('/api/status', async (req, res) => {
     try {
-        const device = req.query.device || DEFAULT_DEVICE;
+        const device = req.device;
 
-        const result = await executeMvdct(['device', device, 'get', '/ietf-system:system-state/platform', '--console']);
+        const result = await executeDevice(device, 'get', '/ietf-system:system-state/platform');
+        const connection = getConnectionState(device);
         res.json({
             connected: result.success,
             device: device,
+            state: connection ? connection.state : (result.success ? 'ready' : 'disconnected'),
+            connection,
             ...result
         });
     } catch (error) {
@@ -281,15 +675,26 @@ app.get('/api/status', async (req, res) => {
     }
 });
 
+/**
+ * API: 실시간 이벤트 스트림 (Server-Sent Events)
+ * ?types=board,link,counters 로 받을 이벤트 종류 선택 (생략 시 전체)
+ * ?device= 를 주면 해당 보드의 이벤트만 전송 (생략 시 모든 보드)
+ * 접속 시 최신 보드 데이터와 연결 상태를 먼저 전송
+ */
+app.get('/api/events', (req, res) => {
+    const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : null;
+    pushChannel.subscribe(req, res, { types, device: req.query.device ? req.device : null });
+});
+
 /**
  * API: YANG GET 명령 (멀티 보드 지원)
  */
 app.post('/api/get', async (req, res) => {
     try {
-        const { path, device } = req.body;
-        const targetDevice = device || DEFAULT_DEVICE;
+        const { path } = req.body;
+        const targetDevice = req.device;
 
-        const result = await executeMvdct(['device', targetDevice, 'get', path, '--console']);
+        const result = await executeDevice(targetDevice, 'get', path);
         res.json({
             ...result,
             device: targetDevice
@@ -300,14 +705,47 @@ app.post('/api/get', async (req, res) => {
 });
 
 /**
- * API: YANG SET 명령 (멀티 보드 지원)
+ * 쓰기 요청을 YANG 스키마로 검증 (스키마가 없거나 body에 validate: false 이면 생략)
+ * 실패하면 잘못된 노드와 이유를 담아 400으로 응답
+ * @returns {boolean} - 요청을 거부했으면 true
+ */
+function rejectInvalidWrite(req, res, entries) {
+    if (!yangSchema || req.body.validate === false) {
+        return false;
+    }
+
+    const datastore = getBoard(req.device).model.datastore;
+    const errors = validateEntries(yangSchema, entries, {
+        // 보드에서 읽은 적 있는 리스트 항목은 새 항목이 아니므로 mandatory 검사 생략
+        exists: (path) => datastore.has(path)
+    });
+    if (errors.length === 0) {
+        return false;
+    }
+
+    console.warn(`[VALIDATE] ${req.path}: ${errors.length} error(s) - ${errors[0].path}: ${errors[0].message}`);
+    res.status(400).json({
+        success: false,
+        error: `Schema validation failed: ${errors[0].message}`,
+        errors,
+        device: req.device
+    });
+    return true;
+}
+
+/**
+ * API: YANG SET 명령 (멀티 보드 지원, 스키마 검증 후 전송)
  */
 app.post('/api/set', async (req, res) => {
     try {
-        const { path, value, device } = req.body;
-        const targetDevice = device || DEFAULT_DEVICE;
+        const { path, value } = req.body;
+        const targetDevice = req.device;
+
+        if (rejectInvalidWrite(req, res, [{ [path]: parseValue(value ?? null) }])) {
+            return;
+        }
 
-        const result = await executeMvdct(['device', targetDevice, 'set', path, value, '--console']);
+        const result = await executeDevice(targetDevice, 'set', path, value);
         res.json({
             ...result,
             device: targetDevice
@@ -323,7 +761,7 @@ app.post('/api/set', async (req, res) => {
 app.post('/api/execute', async (req, res) => {
     try {
         const { args } = req.body;
-        const result = await executeMvdct(args);
+        const result = await executeRaw(args, req.device);
         res.json(result);
     } catch (error) {
         res.status(500).json(error);
@@ -331,325 +769,1659 @@ app.post('/api/execute', async (req, res) => {
 });
 
 /**
- * API: 브릿지 설정 조회
+ * 보드에서 읽은 결과를 데이터 모델에 반영
+ */
+async function readIntoModel(board, path) {
+    const result = await executeDevice(board.device, 'get', path);
+    board.model.update(result);
+    return result;
+}
+
+/**
+ * 인터페이스 하나를 새로 읽어 정규화된 뷰로 응답 (bridge-port, shaper, schedule, statistics 공통)
+ */
+async function sendInterfaceView(req, res, normalize) {
+    try {
+        const board = getBoard(req.device);
+        const name = req.params.interface;
+        const result = await readIntoModel(board, interfacePath(name));
+        const view = board.model.interfaceView(name, normalize);
+
+        if (!view) {
+            // 없는 인터페이스는 보드가 4.04 (Not Found)로 응답
+            const notFound = result.success || /not.?found|4\.04/i.test(result.stderr);
+            const error = !notFound ? (result.stderr || `Failed to read interface ${name}`)
+                : board.model.rawInterface(name) ? `Interface ${name} has no ${req.path.split('/')[2]} data` : `Unknown interface: ${name}`;
+            return res.status(notFound ? 404 : 502).json({ success: false, error });
+        }
+        res.json({ success: true, device: req.device, ...view, timestamp: new Date().toISOString(), cached: !!result.cached });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+/**
+ * API: 브릿지 설정 조회
+ */
+app.get('/api/bridge', async (req, res) => {
+    try {
+        // GlobalDataService에서 캐시된 브리지 데이터 사용
+        const board = getBoard(req.device);
+        const { latestBoardData } = board;
+        if (latestBoardData && latestBoardData.bridge) {
+            return res.json({
+                ...latestBoardData.bridge,
+                bridges: board.model.bridges(),
+                cached: true,
+                timestamp: latestBoardData.timestamp,
+                source: 'GlobalDataService'
+            });
+        }
+
+        // Fallback: 캐시가 없으면 직접 조회
+        const result = await readIntoModel(board, BRIDGES_PATH);
+        res.json({ ...result, bridges: board.model.bridges(), cached: false });
+    } catch (error) {
+        res.status(500).json(error);
+    }
+});
+
+/**
+ * API: 인터페이스 목록 (정규화된 JSON, 폴링으로 모인 모델 사용)
+ */
+app.get('/api/interfaces', async (req, res) => {
+    try {
+        const board = getBoard(req.device);
+        let source = 'board model';
+
+        // 아직 수집된 인터페이스가 없으면 직접 조회
+        if (board.model.rawInterfaces().length === 0) {
+            const result = await readIntoModel(board, INTERFACES_PATH);
+            if (!result.success) {
+                return res.status(502).json({ success: false, error: result.stderr || 'Failed to read interfaces', interfaces: [] });
+            }
+            source = 'device';
+        }
+
+        res.json({
+            success: true,
+            device: req.device,
+            interfaces: board.model.interfaces(),
+            updated: board.model.updated.get(INTERFACES_PATH.substring(1)) || null,
+            source
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: 인터페이스 하나 (보드에서 새로 읽음)
+ */
+app.get('/api/interfaces/:interface', (req, res) => sendInterfaceView(req, res, normalizeInterface));
+
+/**
+ * API: 브리지 포트 설정 목록 (PVID, 우선순위, PCP 맵)
+ */
+app.get('/api/bridge-ports', async (req, res) => {
+    try {
+        const board = getBoard(req.device);
+        if (board.model.rawInterfaces().length === 0) {
+            await readIntoModel(board, INTERFACES_PATH);
+        }
+        res.json({ success: true, device: req.device, ports: board.model.bridgePorts() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/bridge-ports/:interface', (req, res) => sendInterfaceView(req, res, normalizeBridgePort));
+
+/**
+ * API: 트래픽 클래스 shaper (CBS / SLB)
+ */
+app.get('/api/shapers/:interface', (req, res) => sendInterfaceView(req, res, (iface) => ({
+    interface: String(req.params.interface),
+    shapers: normalizeShapers(iface)
+})));
+
+/**
+ * API: TAS 게이트 파라미터 (admin / oper)
+ */
+app.get('/api/schedule/:interface', (req, res) => sendInterfaceView(req, res, normalizeSchedule));
+
+/**
+ * API: 인터페이스 / 이더넷 / 트래픽 클래스 카운터
+ */
+app.get('/api/statistics/:interface', (req, res) => sendInterfaceView(req, res, normalizeStatistics));
+
+/**
+ * API: 스케줄러 설정 조회 - 모든 포트의 gate-parameter-table (ietf-interfaces 아래)
+ */
+app.get('/api/scheduler', async (req, res) => {
+    try {
+        const board = getBoard(req.device);
+        const result = await readIntoModel(board, INTERFACES_PATH);
+        if (!result.success) {
+            return res.status(502).json({ success: false, error: result.stderr || 'Failed to read interfaces', schedules: [] });
+        }
+        res.json({ success: true, device: req.device, schedules: board.model.schedules() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 인터페이스 링크 속도 (Mb/s) - 보드 모델에 읽혀 있는 값, 없으면 undefined
+ * ieee802-ethernet-interface speed는 Gb/s 단위 decimal64 ('1.000')
+ */
+function linkSpeedOf(model, iface) {
+    const ethernet = model.interfaceView(iface, normalizeInterface)?.ethernet;
+    const speed = ethernet && ethernet.speed !== null ? parseFloat(ethernet.speed) * 1000 : NaN;
+    return speed > 0 ? speed : undefined;
+}
+
+function shapersPath(iface) {
+    return `/ietf-interfaces:interfaces/interface[name='${iface}']/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers`;
+}
+
+/**
+ * 현재 traffic-class-shapers를 보드에서 읽음 (빈 리스트는 4.04 응답 → 빈 목록)
+ */
+async function readShapers(board, iface) {
+    const result = await readIntoModel(board, shapersPath(iface));
+    if (!result.success && !/not.?found|4\.04/i.test(result.stderr)) {
+        return { result, error: result.stderr || `Failed to read shapers of interface ${iface}` };
+    }
+    return { result, shapers: board.model.interfaceView(iface, normalizeShapers) || [] };
+}
+
+/**
+ * CBS 계획 - 현재 shaper를 먼저 읽어 계획에 없는 TC의 예약 대역폭도 함께 검사
+ */
+async function planCBSShapers(device, body, changes = {}) {
+    const board = getBoard(device);
+    const iface = String(body.interface);
+    const current = await readShapers(board, iface);
+    if (current.error) {
+        return { error: `Could not read current shapers: ${current.error}` };
+    }
+
+    const plan = planShapers({
+        ...body,
+        ...changes,
+        linkSpeed: body.linkSpeed ?? linkSpeedOf(board.model, iface),
+        shapers: current.shapers
+    });
+    return { plan, shapers: current.shapers };
+}
+
+/**
+ * API: CBS 계획 - 스트림 목록으로 idle/send slope, hiCredit/loCredit, 최대 지연 계산 (보드에 쓰지 않음)
+ * body: { interface, streams: [{ name, trafficClass, frameSize, interval, frames, maxLatency }],
+ *         linkSpeed, maxFrameSize, maxReservation }
+ */
+app.post('/api/cbs/plan', async (req, res) => {
+    try {
+        if (req.body.interface === undefined) {
+            return res.status(400).json({ success: false, error: 'Missing required parameter: interface' });
+        }
+
+        const { plan, shapers, error } = await planCBSShapers(req.device, req.body);
+        if (error) {
+            return res.status(502).json({ success: false, error });
+        }
+        res.json({ success: true, device: req.device, ...plan, current: shapers });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: CBS 설정 (Credit-Based Shaper)
+ * 새로운 YANG 경로 사용: mchp-velocitysp-port
+ * { interface, trafficClass, idleSlope } 또는 { interface, streams } (계획한 모든 TC 적용)
+ * 포트 전체 예약 대역폭이 802.1Qav 한도를 넘으면 거부 (validate: false 로 생략 가능)
+ */
+app.post('/api/cbs/configure', async (req, res) => {
+    try {
+        const { interface: iface, trafficClass, idleSlope, streams } = req.body;
+
+        if (!iface || (!streams && (trafficClass === undefined || !idleSlope))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: interface, and streams or trafficClass and idleSlope'
+            });
+        }
+
+        let classes = [{ trafficClass, idleSlope }];
+        let plan;
+        if (streams || req.body.validate !== false) {
+            const planned = await planCBSShapers(req.device, req.body, streams ? {} : { idleSlopes: { [trafficClass]: idleSlope } });
+            if (planned.error) {
+                return res.status(502).json({ success: false, error: planned.error });
+            }
+
+            plan = planned.plan;
+            const errors = plan.issues.filter(issue => issue.severity === 'error');
+            if (errors.length > 0) {
+                console.warn(`[CBS] Shapers for interface ${iface} rejected: ${errors[0].message}`);
+                return res.status(400).json({
+                    success: false,
+                    error: `CBS configuration rejected: ${errors[0].message}`,
+                    errors,
+                    plan,
+                    device: req.device
+                });
+            }
+            if (streams) {
+                classes = plan.classes.filter(entry => !entry.existing);
+            }
+        }
+
+        // CBS 설정 - credit-based shaper with idle-slope (트랜잭션: 실패 시 이전 shaper 복원)
+        const tx = createTransaction(req.device, 'cbs');
+        for (const entry of classes) {
+            tx.set(`TC${entry.trafficClass} credit-based shaper`, `${shapersPath(iface)}[traffic-class='${entry.trafficClass}']`, {
+                'traffic-class': entry.trafficClass,
+                'credit-based': {
+                    'idle-slope': entry.idleSlope
+                }
+            });
+        }
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, streams ? {
+            interface: iface,
+            classes: classes.map(entry => ({ trafficClass: entry.trafficClass, idleSlope: entry.idleSlope })),
+            plan
+        } : {
+            interface: iface,
+            trafficClass,
+            idleSlope,
+            plan
+        }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: CBS 설정 가져오기
+ */
+app.get('/api/cbs/config/:interface', async (req, res) => {
+    try {
+        const iface = req.params.interface;
+        const board = getBoard(req.device);
+        const { result, shapers } = await readShapers(board, iface);
+
+        res.json({ ...result, shapers: shapers || [] });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * TAS 스케줄 검증 - 링크 속도 / supported-list-max 생략 시 보드 모델에 읽혀 있는 값 사용
+ * (보드에 요청하지 않으므로 연결 없이도 계획 가능)
+ */
+function planTASSchedule(device, body) {
+    const model = getBoard(device).model;
+    const iface = body.interface !== undefined ? String(body.interface) : null;
+    const schedule = iface ? model.interfaceView(iface, normalizeSchedule) : null;
+
+    return planSchedule({
+        ...body,
+        linkSpeed: body.linkSpeed ?? (iface ? linkSpeedOf(model, iface) : undefined),
+        supportedListMax: body.supportedListMax ?? schedule?.supportedListMax
+    });
+}
+
+/**
+ * API: TAS 스케줄 계획 - GCL 검증, TC별 게이트 오픈 구간 / 가드 밴드, 지연 시뮬레이션
+ * 보드에 쓰지 않음. body: { interface, cycleTime, cycleTimeExtension, gcl, linkSpeed, maxFrameSize,
+ *                          simulate: { trafficClass, frameSize, arrival, period, offset, count } }
+ */
+app.post('/api/tas/plan', (req, res) => {
+    try {
+        const plan = planTASSchedule(req.device, req.body);
+        const simulation = req.body.simulate ? simulateLatency(plan, req.body.simulate) : undefined;
+
+        res.json({ success: true, device: req.device, ...plan, simulation });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// TAS Base Time / 스케줄 적용 감시
+// ============================================
+
+// base time 자동 계산 시 최소 여유 (시리얼로 쓰는 시간 포함)
+const TAS_BASE_TIME_LEAD = 1000000000;
+const TAS_WATCH_INTERVAL = 1000;
+// config-change-time 이후 operational 확인까지 기다리는 시간 / 감시 최대 시간
+const TAS_WATCH_GRACE = 10000;
+const TAS_WATCH_MAX = 10 * 60 * 1000;
+
+function gateParametersPath(iface) {
+    return `${interfacePath(iface)}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table`;
+}
+
+/**
+ * gate-parameter-table을 새로 읽어 정규화된 스케줄로 반환
+ * boardTime: 보드 현재 시각(ns, BigInt) - 캐시된 응답이면 캐시 나이만큼 보정
+ */
+async function readGateParameters(board, iface) {
+    const result = await readIntoModel(board, gateParametersPath(iface));
+    if (!result.success) {
+        return { result, error: result.stderr || `Failed to read gate parameters of interface ${iface}` };
+    }
+    const schedule = board.model.interfaceView(iface, normalizeSchedule);
+    if (!schedule) {
+        return { result, error: `Interface ${iface} has no gate-parameter-table` };
+    }
+    const boardTime = schedule.currentTime
+        ? ptpTimeToNs(schedule.currentTime) + BigInt(result.cacheAge || 0) * 1000000n
+        : null;
+    return { result, schedule, boardTime };
+}
+
+/**
+ * 요청의 base time을 ptp-time으로 변환
+ * baseTime: { seconds, nanoseconds } 또는 ns (숫자/문자열). 생략 시 보드 시각에서 cycles 주기 뒤,
+ * PTP epoch 기준 주기 경계 + phase(ns)로 정렬 (cycles 생략 시 TAS_BASE_TIME_LEAD 이상이 되는 최소 주기 수)
+ */
+function resolveBaseTime(body, cycleTime, boardTime) {
+    const { baseTime } = body;
+
+    if (typeof baseTime === 'object' && baseTime !== null) {
+        const nanoseconds = Number(baseTime.nanoseconds ?? 0);
+        if (!/^\d+$/.test(String(baseTime.seconds ?? 0)) || !Number.isInteger(nanoseconds) || nanoseconds < 0 || nanoseconds >= 1e9) {
+            return { error: 'baseTime must be { seconds, nanoseconds } with nanoseconds in 0..999999999' };
+        }
+        return { baseTime: { seconds: String(baseTime.seconds ?? 0), nanoseconds } };
+    }
+    if (baseTime !== undefined && baseTime !== null && baseTime !== '') {
+        if (!/^\d+$/.test(String(baseTime).trim())) {
+            return { error: `baseTime must be a non-negative integer of ns, got ${baseTime}` };
+        }
+        return { baseTime: nsToPtpTime(String(baseTime).trim()) };
+    }
+
+    if (!Number.isInteger(cycleTime) || cycleTime <= 0) {
+        return { error: `Cycle time must be a positive integer of ns to align the base time, got ${cycleTime}` };
+    }
+    const cycles = Number(body.cycles ?? Math.ceil(TAS_BASE_TIME_LEAD / cycleTime));
+    const phase = Number(body.phase ?? 0);
+    if (!Number.isInteger(cycles) || cycles < 1) {
+        return { error: `cycles must be a positive integer, got ${body.cycles}` };
+    }
+    if (!Number.isInteger(phase) || phase < 0 || phase >= cycleTime) {
+        return { error: `phase must be an integer of ns in 0..${cycleTime - 1}, got ${body.phase}` };
+    }
+    if (boardTime === null) {
+        return { error: 'The board does not report its current time (gate-parameter-table/current-time); give baseTime' };
+    }
+
+    const currentTime = nsToPtpTime(boardTime);
+    const aligned = alignBaseTime(currentTime, { cycleTime, cycles, phase });
+    return {
+        baseTime: aligned,
+        currentTime,
+        cycles,
+        phase,
+        lead: Number(ptpTimeToNs(aligned) - boardTime)
+    };
+}
+
+/**
+ * 새 스케줄이 operational이 될 때까지 gate-parameter-table 감시
+ * config-pending이 켜지면 'pending', 꺼지고 oper-base-time이 쓴 base time과 같으면 'operational',
+ * config-change-error가 늘면 'error', 기한을 넘기면 'timeout' - 상태마다 'tas' 이벤트 발행
+ */
+function watchTASChange(board, iface, baseTime, baselineErrors) {
+    const previous = board.tasWatches.get(iface);
+    if (previous && previous.timer) {
+        clearTimeout(previous.timer);
+    }
+
+    const watch = {
+        interface: iface,
+        state: 'requested',
+        baseTime,
+        configChangeTime: null,
+        currentTime: null,
+        startedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        timer: null
+    };
+    board.tasWatches.set(iface, watch);
+
+    let deadline = Date.now() + TAS_WATCH_MAX;
+
+    const update = (state, schedule, message) => {
+        const changed = watch.state !== state;
+        Object.assign(watch, {
+            state,
+            configChangeTime: schedule?.configChangeTime ?? watch.configChangeTime,
+            currentTime: schedule?.currentTime ?? watch.currentTime,
+            message,
+            updatedAt: new Date().toISOString()
+        });
+        if (changed) {
+            const log = state === 'operational' || state === 'pending' ? console.log : console.warn;
+            log(`[TAS] ${board.device} interface ${iface}: ${message}`);
+            pushChannel.publish('tas', { device: board.device, ...tasWatchView(watch) });
+        }
+    };
+
+    const poll = async () => {
+        watch.timer = null;
+        if (board.tasWatches.get(iface) !== watch) {
+            return;
+        }
+
+        try {
+            const { schedule, boardTime, error } = await readGateParameters(board, iface);
+            if (board.tasWatches.get(iface) !== watch) {
+                return;
+            }
+
+            if (error) {
+                watch.message = error;
+            } else if (baselineErrors !== null && schedule.configChangeError !== null && schedule.configChangeError > baselineErrors) {
+                return update('error', schedule, `schedule rejected by the board (config-change-error ${schedule.configChangeError})`);
+            } else if (schedule.configPending) {
+                if (schedule.configChangeTime && boardTime !== null) {
+                    const remaining = Number(ptpTimeToNs(schedule.configChangeTime) - boardTime) / 1e6;
+                    deadline = Date.now() + Math.min(TAS_WATCH_MAX, Math.max(0, remaining) + TAS_WATCH_GRACE);
+                }
+                update('pending', schedule, `schedule pending until ${schedule.configChangeTime ? formatPtpTime(schedule.configChangeTime) : 'config change time'}`);
+            } else if (schedule.oper.baseTime && ptpTimeToNs(schedule.oper.baseTime) === ptpTimeToNs(baseTime)) {
+                return update('operational', schedule, `schedule operational (base time ${formatPtpTime(baseTime)})`);
+            }
+        } catch (error) {
+            watch.message = error.message;
+        }
+
+        if (Date.now() > deadline) {
+            return update('timeout', null, `schedule not operational after ${Math.round((Date.now() - Date.parse(watch.startedAt)) / 1000)} s${watch.message ? ` (${watch.message})` : ''}`);
+        }
+        watch.timer = setTimeout(poll, TAS_WATCH_INTERVAL);
+        watch.timer.unref?.();
+    };
+
+    watch.timer = setTimeout(poll, TAS_WATCH_INTERVAL);
+    watch.timer.unref?.();
+    return watch;
+}
+
+function tasWatchView(watch) {
+    const { timer, ...view } = watch;
+    return view;
+}
+
+function formatPtpTime(time) {
+    return `${time.seconds}.${String(time.nanoseconds).padStart(9, '0')}`;
+}
+
+/**
+ * API: TAS base time 계산 - 보드의 현재 PTP 시각(gate-parameter-table/current-time)에서
+ * cycles 주기 뒤, 주기 경계 + phase로 정렬한 ptp-time (보드에 쓰지 않음)
+ * body: { interface, cycleTime, cycles, phase }
+ */
+app.post('/api/tas/base-time', async (req, res) => {
+    try {
+        const { interface: iface } = req.body;
+        if (iface === undefined) {
+            return res.status(400).json({ success: false, error: 'Missing required parameter: interface' });
+        }
+
+        const board = getBoard(req.device);
+        const current = await readGateParameters(board, String(iface));
+        if (current.error) {
+            return res.status(502).json({ success: false, error: current.error, device: req.device });
+        }
+
+        const cycleTime = Number(req.body.cycleTime ?? current.schedule.admin.cycleTime);
+        const resolved = resolveBaseTime({ ...req.body, baseTime: undefined }, cycleTime, current.boardTime);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error, device: req.device });
+        }
+
+        res.json({ success: true, device: req.device, interface: String(iface), cycleTime, ...resolved });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: TAS 설정 (계획 검증 통과 후 적용, validate: false 로 생략 가능)
+ * body: { interface, cycleTime, cycleTimeExtension, gcl: [{ gate, duration } | { gateStates, timeInterval }], baseTime, cycles, phase }
+ * baseTime 생략 시 보드 시각 기준으로 계산 (resolveBaseTime), 적용 후 operational까지 감시
+ */
+app.post('/api/tas/configure', async (req, res) => {
+    try {
+        const { interface: iface, cycleTimeExtension } = req.body;
+        const gcl = req.body.gcl;
+
+        if (iface === undefined || !Array.isArray(gcl) || gcl.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: interface, gcl (non-empty array)'
+            });
+        }
+
+        // { gate, duration } 또는 정규화된 스케줄 형식 { gateStates, timeInterval } 모두 허용
+        const values = gcl.map(entryValues);
+        const total = values.reduce((sum, entry) => sum + entry.duration, 0);
+        const cycleTime = Number(req.body.cycleTime ?? total);
+
+        if (req.body.validate !== false) {
+            const plan = planTASSchedule(req.device, { ...req.body, cycleTime });
+            const errors = plan.issues.filter(issue => issue.severity === 'error');
+            if (errors.length > 0) {
+                console.warn(`[TAS] Schedule for interface ${iface} rejected: ${errors[0].message}`);
+                return res.status(400).json({
+                    success: false,
+                    error: `TAS schedule rejected: ${errors[0].message}`,
+                    errors,
+                    plan,
+                    device: req.device
+                });
+            }
+        }
+
+        // 현재 스케줄 (보드 시각, 기존 GCL 길이, config-change-error 기준값)
+        const board = getBoard(req.device);
+        const current = await readGateParameters(board, String(iface));
+        if (current.error) {
+            return res.status(502).json({ success: false, error: `Could not read gate parameters: ${current.error}`, device: req.device });
+        }
+
+        const resolved = resolveBaseTime(req.body, cycleTime, current.boardTime);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error, device: req.device });
+        }
+        const { baseTime } = resolved;
+
+        const path = gateParametersPath(iface);
+        const value = {
+            'gate-enabled': true,
+            'admin-gate-states': 255,
+            'admin-control-list': {
+                'gate-control-entry': values.map((entry, index) => ({
+                    index,
+                    'operation-name': 'ieee802-dot1q-sched:set-gate-states',
+                    'time-interval-value': entry.duration,
+                    'gate-states-value': entry.gate
+                }))
+            },
+            'admin-cycle-time': { numerator: cycleTime, denominator: 1000000000 },
+            ...(cycleTimeExtension !== undefined ? { 'admin-cycle-time-extension': Number(cycleTimeExtension) } : {}),
+            'admin-base-time': baseTime,
+            // List Config 상태 기계 시작 - config-change-time에 admin → oper
+            'config-change': true
+        };
+
+        if (rejectInvalidWrite(req, res, [{ [path]: value }])) {
+            return;
+        }
+
+        // 모든 단계를 하나의 iPATCH로 적용 (중간 실패 시 이전 스케줄로 복원)
+        const tx = createTransaction(req.device, 'tas');
+        // 새 GCL보다 긴 기존 항목 삭제
+        current.schedule.admin.controlList
+            .filter(entry => entry.index >= gcl.length)
+            .forEach(entry => tx.delete(`GCL[${entry.index}]`, `${path}/admin-control-list/gate-control-entry[index='${entry.index}']`));
+        tx.set('Gate parameters', path, value);
+
+        const report = await commitTransaction(tx);
+        const watch = report.success ? watchTASChange(board, String(iface), baseTime, current.schedule.configChangeError) : null;
+
+        res.json({
+            ...transactionResponse(report, { interface: iface, cycleTime, baseTime, gcl }),
+            currentTime: resolved.currentTime,
+            cycles: resolved.cycles,
+            phase: resolved.phase,
+            watch: watch ? tasWatchView(watch) : undefined
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: TAS 스케줄 적용 상태 - config-change / config-pending / config-change-time과 마지막 감시 결과
+ */
+app.get('/api/tas/status/:interface', async (req, res) => {
+    try {
+        const iface = req.params.interface;
+        const board = getBoard(req.device);
+        const { schedule, error } = await readGateParameters(board, iface);
+        if (error) {
+            return res.status(502).json({ success: false, error, device: req.device });
+        }
+
+        const watch = board.tasWatches.get(iface);
+        res.json({
+            success: true,
+            device: req.device,
+            interface: iface,
+            gateEnabled: schedule.gateEnabled,
+            configChange: schedule.configChange,
+            configPending: schedule.configPending,
+            configChangeTime: schedule.configChangeTime,
+            configChangeError: schedule.configChangeError,
+            currentTime: schedule.currentTime,
+            admin: { baseTime: schedule.admin.baseTime, cycleTime: schedule.admin.cycleTime },
+            oper: { baseTime: schedule.oper.baseTime, cycleTime: schedule.oper.cycleTime },
+            watch: watch ? tasWatchView(watch) : null
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: admin / oper TAS 스케줄 비교 - 보드에서 새로 읽은 두 스케줄과 차이 (pending 변경, 사이클 불일치,
+ * 엔트리 수 차이 등), 양쪽 타임라인용 계획 (제어 리스트가 비어 있으면 null)
+ */
+app.get('/api/tas/compare/:interface', async (req, res) => {
+    try {
+        const iface = req.params.interface;
+        const board = getBoard(req.device);
+        const { result, schedule, error } = await readGateParameters(board, iface);
+        if (error) {
+            return res.status(502).json({ success: false, error, device: req.device });
+        }
+
+        const linkSpeed = linkSpeedOf(board.model, iface);
+        const plan = (side) => side.controlList.length > 0
+            ? planSchedule({ cycleTime: side.cycleTime, cycleTimeExtension: side.cycleTimeExtension, gcl: side.controlList, linkSpeed })
+            : null;
+
+        const comparison = compareSchedules(schedule);
+        if (!comparison.inSync && !comparison.pending) {
+            console.warn(`[TAS] ${req.device} interface ${iface}: running schedule differs from admin - ${comparison.differences[0].message}`);
+        }
+
+        res.json({
+            success: true,
+            device: req.device,
+            ...schedule,
+            comparison,
+            plans: { admin: plan(schedule.admin), oper: plan(schedule.oper) },
+            timestamp: new Date().toISOString(),
+            cached: !!result.cached
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: 네트워크 스트림 계획 - 토폴로지와 스트림 목록으로 브리지마다 PCP 매핑, TC 할당,
+ * CBS slope, TAS GCL을 계산해 /api/config/apply-yaml 용 YAML 패치 생성 (보드에 쓰지 않음)
+ * body: { bridges: [{ name, device }], links: [{ from, to, speed }],
+ *         streams: [{ name, talker, listeners, period, size, maxLatency, shaping }], bridgeDelay, cycleTime }
+ */
+app.post('/api/plan/network', (req, res) => {
+    try {
+        const plan = planNetwork(req.body);
+
+        // 브리지별 패치: 적용할 디바이스, YAML, 스키마 검증 결과
+        const bridges = {};
+        for (const bridge of req.body.bridges ?? []) {
+            const entries = plan.patches[bridge.name];
+            if (!entries) {
+                continue;
+            }
+            bridges[bridge.name] = {
+                device: bridge.device !== undefined ? resolveDevice(String(bridge.device)) : null,
+                yaml: yaml.dump(entries, { lineWidth: -1 }),
+                errors: yangSchema ? validateEntries(yangSchema, entries) : []
+            };
+        }
+
+        const invalid = Object.entries(bridges).filter(([, patch]) => patch.errors.length > 0);
+        if (invalid.length > 0) {
+            const [name, patch] = invalid[0];
+            console.warn(`[PLAN] Patch for bridge ${name} fails schema validation: ${patch.errors[0].path}: ${patch.errors[0].message}`);
+        }
+
+        res.json({ success: true, ...plan, valid: plan.valid && invalid.length === 0, bridges });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: Priority 매핑 설정
+ */
+app.post('/api/priority/configure', async (req, res) => {
+    try {
+        const { bridge, component, mapping } = req.body;
+
+        if (!mapping || typeof mapping !== 'object' || Object.keys(mapping).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameter: mapping ({ pcp: priority })'
+            });
+        }
+
+        const bridgeName = bridge || 'b0';
+        const componentName = component || 'c0';
+        const basePath = `/ieee802-dot1q-bridge:bridges/bridge[name='${bridgeName}']/component[name='${componentName}']/traffic-class-table`;
+
+        const tx = createTransaction(req.device, 'priority');
+        for (const [pcp, priority] of Object.entries(mapping || {})) {
+            tx.set(`PCP ${pcp} → priority ${priority}`, `${basePath}/traffic-class-map[priority-code-point='${pcp}']/priority`, String(priority));
+        }
+
+        const report = await commitTransaction(tx);
+        res.json(transactionResponse(report, { bridge: bridgeName, component: componentName, mapping }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: PCP Decoding Map 설정 (PCP → Priority 매핑)
+ */
+app.post('/api/pcp/decoding/configure', async (req, res) => {
+    try {
+        const { interface: iface, priorityMap } = req.body;
+
+        if (!iface || !priorityMap || !Array.isArray(priorityMap)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: interface, priorityMap (array)'
+            });
+        }
+
+        const basePath = `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port/pcp-decoding-table/pcp-decoding-map[pcp='8P0D']`;
+
+        // 8P0D 맵 엔트리 생성 + priority-map 설정을 한 트랜잭션으로
+        const tx = createTransaction(req.device, 'pcp-decoding')
+            .set('8P0D decoding map', basePath, { pcp: '8P0D' })
+            .set('Priority map', `${basePath}/priority-map`, priorityMap);
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, { interface: iface, priorityMap }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: PCP Encoding Map 설정 (Priority → PCP 매핑)
+ */
+app.post('/api/pcp/encoding/configure', async (req, res) => {
+    try {
+        const { interface: iface, priorityMap } = req.body;
+
+        if (!iface || !priorityMap || !Array.isArray(priorityMap)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: interface, priorityMap (array)'
+            });
+        }
+
+        const basePath = `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port/pcp-encoding-table/pcp-encoding-map[pcp='8P0D']`;
+
+        // 8P0D 맵 엔트리 생성 + priority-map 설정을 한 트랜잭션으로
+        const tx = createTransaction(req.device, 'pcp-encoding')
+            .set('8P0D encoding map', basePath, { pcp: '8P0D' })
+            .set('Priority map', `${basePath}/priority-map`, priorityMap);
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, { interface: iface, priorityMap }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: Default Priority 설정
+ */
+app.post('/api/port/default-priority', async (req, res) => {
+    try {
+        const { interface: iface, priority } = req.body;
+
+        if (!iface || priority === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: interface, priority'
+            });
+        }
+
+        const tx = createTransaction(req.device, 'default-priority')
+            .set('Default priority', `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port/default-priority`, String(priority));
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, { interface: iface, defaultPriority: priority }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: VLAN 등록 (filtering-database vlan-registration-entry)
+ */
+app.post('/api/vlan/register', async (req, res) => {
+    try {
+        const { bridge, component, vlanId, databaseId } = req.body;
+
+        const vid = parseInt(vlanId, 10);
+        if (!(vid >= 1 && vid <= 4094)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing or invalid parameter: vlanId (1-4094)'
+            });
+        }
+
+        const bridgeName = bridge || 'b0';
+        const componentName = component || 'c0';
+        const dbId = parseInt(databaseId ?? 0, 10);
+        const path = `/ieee802-dot1q-bridge:bridges/bridge[name='${bridgeName}']/component[name='${componentName}']/filtering-database/vlan-registration-entry[database-id='${dbId}'][vlan-id='${vid}']`;
+
+        const tx = createTransaction(req.device, 'vlan-register')
+            .set(`VLAN ${vid} registration`, path, { 'database-id': dbId, 'vlan-id': vid });
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, { bridge: bridgeName, component: componentName, vlanId: vid, databaseId: dbId }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: 포트 VLAN 설정 (PVID, ingress filtering)
+ */
+app.post('/api/vlan/port', async (req, res) => {
+    try {
+        const { interface: iface, pvid, ingressFiltering } = req.body;
+
+        if (!iface || (pvid === undefined && ingressFiltering === undefined)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: interface, pvid and/or ingressFiltering'
+            });
+        }
+
+        const basePath = `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port`;
+        const tx = createTransaction(req.device, 'vlan-port');
+        if (pvid !== undefined) {
+            tx.set('PVID', `${basePath}/pvid`, String(pvid));
+        }
+        if (ingressFiltering !== undefined) {
+            tx.set('Ingress filtering', `${basePath}/enable-ingress-filtering`, String(ingressFiltering));
+        }
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, { interface: iface, pvid, ingressFiltering }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: 최근 설정 트랜잭션 (?device= 를 주면 해당 보드만)
+ */
+app.get('/api/transactions', (req, res) => {
+    const list = req.query.device ? transactions.filter(t => t.device === req.device) : transactions;
+    res.json({ success: true, count: list.length, transactions: list.slice().reverse() });
+});
+
+/**
+ * API: 트랜잭션 보고서 조회
+ */
+app.get('/api/transactions/:id', (req, res) => {
+    const report = transactions.find(t => t.id === req.params.id);
+    if (!report) {
+        return res.status(404).json({ success: false, error: `Unknown transaction: ${req.params.id}` });
+    }
+    res.json({ success: true, ...report });
+});
+
+// ============================================
+// PSFP (802.1Qci Per-Stream Filtering and Policing)
+// ============================================
+
+const PSFP_MODULE = 'ieee802-dot1q-psfp-bridge';
+
+// 테이블 이름 → 리스트 / 키 / 한도
+const PSFP_TABLES = {
+    'stream-filters': { list: 'stream-filter-instance-table', key: 'stream-filter-instance-id', label: 'Stream filter', view: 'streamFilters', limit: 'maxStreamFilters' },
+    'stream-gates': { list: 'stream-gate-instance-table', key: 'stream-gate-instance-id', label: 'Stream gate', view: 'streamGates', limit: 'maxStreamGates' },
+    'flow-meters': { list: 'flow-meter-instance-table', key: 'flow-meter-instance-id', label: 'Flow meter', view: 'flowMeters', limit: 'maxFlowMeters' }
+};
+
+/**
+ * 요청의 bridge / component (생략 시 b0 / c0)
+ */
+function psfpComponent(source) {
+    return { bridge: source.bridge || 'b0', component: source.component || 'c0' };
+}
+
+function psfpEntryPath(bridge, component, table, id) {
+    const { list, key } = PSFP_TABLES[table];
+    return `${componentPath(bridge, component)}/${PSFP_MODULE}:${table}/${list}[${key}='${id}']`;
+}
+
+/**
+ * 0..7 → 'zero'..'seven' (priority-spec / ipv-spec), 그 외 값은 그대로 두어 스키마 검증에 맡김
+ */
+function priorityEnum(value, fallback) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    const n = Number(value);
+    return Number.isInteger(n) && PRIORITY_NAMES[n] ? PRIORITY_NAMES[n] : String(value);
+}
+
+/**
+ * 컴포넌트의 stream filter / stream gate / flow meter 테이블을 새로 읽음
+ * @returns {Object} - { psfp } 또는 { error }
+ */
+async function readPSFP(board, bridge, component) {
+    for (const table of Object.keys(PSFP_TABLES)) {
+        const result = await readIntoModel(board, `${componentPath(bridge, component)}/${PSFP_MODULE}:${table}`);
+        // 항목이 하나도 없는 테이블은 4.04 (Not Found)
+        if (!result.success && !/not.?found|4\.04/i.test(result.stderr)) {
+            return { error: result.stderr || `Failed to read ${table}` };
+        }
+    }
+    return { psfp: board.model.psfp(bridge, component) || normalizePSFP({}) };
+}
+
+/**
+ * PSFP 테이블 항목 하나 쓰기: 현재 테이블을 읽어 참조 / 인스턴스 한도를 확인하고, 스키마 검증 후 트랜잭션으로 적용
+ * @param {Function} check - (psfp) → 거부 사유 문자열 또는 null
+ * @param {Function} prepare - (tx, psfp, path) → 추가 단계 (예: 남는 GCL 항목 삭제)
+ */
+async function writePSFPEntry(req, res, table, id, value, { check, prepare } = {}) {
+    const { bridge, component } = psfpComponent(req.body);
+    const { label, view, limit } = PSFP_TABLES[table];
+
+    const { psfp, error } = await readPSFP(getBoard(req.device), bridge, component);
+    if (error) {
+        return res.status(502).json({ success: false, error: `Could not read PSFP tables: ${error}` });
+    }
+
+    const exists = psfp[view].some(entry => entry.id === Number(id));
+    const max = psfp.limits[limit];
+    const rejected = !exists && max !== null && psfp[view].length >= max
+        ? `${label} table is full (${max} instances)`
+        : check ? check(psfp) : null;
+    if (rejected) {
+        console.warn(`[PSFP] ${label} ${id} rejected: ${rejected}`);
+        return res.status(400).json({ success: false, error: rejected, device: req.device });
+    }
+
+    const path = psfpEntryPath(bridge, component, table, id);
+    if (rejectInvalidWrite(req, res, [{ [path]: value }])) {
+        return;
+    }
+
+    const tx = createTransaction(req.device, `psfp-${table}`).set(`${label} ${id}`, path, value);
+    if (prepare) {
+        prepare(tx, psfp, path);
+    }
+    const report = await commitTransaction(tx);
+
+    res.json(transactionResponse(report, { bridge, component, table, id: Number(id), value }));
+}
+
+/**
+ * API: PSFP 전체 조회 - stream filter (카운터 포함), stream gate, flow meter, 인스턴스 한도
+ * ?bridge=b0&component=c0
+ */
+app.get('/api/psfp', async (req, res) => {
+    try {
+        const { bridge, component } = psfpComponent(req.query);
+        const { psfp, error } = await readPSFP(getBoard(req.device), bridge, component);
+        if (error) {
+            return res.status(502).json({ success: false, error });
+        }
+        res.json({ success: true, device: req.device, bridge, component, ...psfp, timestamp: new Date().toISOString() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: Stream filter 생성/변경 - stream handle (+ priority)로 프레임을 골라 stream gate / flow meter에 연결
+ * body: { bridge, component, id, streamHandle, priority (0-7 또는 'wildcard'), maxSduSize, streamGate, flowMeter, blockOversize }
+ */
+app.post('/api/psfp/stream-filters', async (req, res) => {
+    try {
+        const { id, streamHandle, priority, maxSduSize, streamGate, flowMeter, blockOversize } = req.body;
+
+        if (id === undefined || streamHandle === undefined || streamGate === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: id, streamHandle, streamGate'
+            });
+        }
+
+        const metered = flowMeter !== undefined && flowMeter !== null && flowMeter !== '';
+        const value = {
+            'stream-filter-instance-id': Number(id),
+            'stream-handle': Number(streamHandle),
+            'priority-spec': priorityEnum(priority, 'wildcard'),
+            'max-sdu-size': Number(maxSduSize ?? 0),
+            'stream-gate-ref': Number(streamGate),
+            'stream-blocked-due-to-oversize-frame-enabled': !!blockOversize
+        };
+        if (metered) {
+            value['flow-meter-ref'] = Number(flowMeter);
+        }
+
+        await writePSFPEntry(req, res, 'stream-filters', id, value, {
+            check: (psfp) => {
+                if (!psfp.streamGates.some(gate => gate.id === Number(streamGate))) {
+                    return `Stream gate ${streamGate} does not exist`;
+                }
+                if (metered && !psfp.flowMeters.some(meter => meter.id === Number(flowMeter))) {
+                    return `Flow meter ${flowMeter} does not exist`;
+                }
+                return null;
+            },
+            // flow meter 연결 해제
+            prepare: (tx, psfp, path) => {
+                const current = psfp.streamFilters.find(filter => filter.id === Number(id));
+                if (!metered && current && current.flowMeter !== null) {
+                    tx.delete('Flow meter reference', `${path}/flow-meter-ref`);
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: Stream gate 생성/변경 - 게이트 상태와 IPV, 자체 GCL (config-change로 적용)
+ * body: { bridge, component, id, enabled, gateState ('open'|'closed'), ipv, cycleTime, cycleTimeExtension, baseTime,
+ *         gcl: [{ gateState, ipv, duration, intervalOctetMax }] }
+ */
+app.post('/api/psfp/stream-gates', async (req, res) => {
+    try {
+        const { id, enabled, gateState, ipv, cycleTimeExtension, baseTime } = req.body;
+        const gcl = req.body.gcl || [];
+
+        if (id === undefined || !Array.isArray(gcl)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: id (and gcl as an array)'
+            });
+        }
+
+        const total = gcl.reduce((sum, entry) => sum + Number(entry.duration), 0);
+        const cycleTime = Number(req.body.cycleTime ?? total);
+        // ns 값은 BigInt로 변환 (Number로는 현재 PTP 시각의 ns 정밀도를 잃음), 생략 시 0
+        const resolved = resolveBaseTime({ baseTime: baseTime ?? 0 }, cycleTime, null);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
+        const base = resolved.baseTime;
+
+        const value = {
+            'stream-gate-instance-id': Number(id),
+            'gate-enable': enabled !== false,
+            'admin-gate-states': gateState ?? 'open',
+            'admin-ipv': priorityEnum(ipv, 'null'),
+            'admin-control-list': {
+                'gate-control-entry': gcl.map((entry, index) => ({
+                    index,
+                    'gate-state-value': entry.gateState ?? 'open',
+                    'ipv-spec': priorityEnum(entry.ipv, 'null'),
+                    'time-interval-value': Number(entry.duration),
+                    ...(entry.intervalOctetMax !== undefined && entry.intervalOctetMax !== null
+                        ? { 'interval-octet-max': Number(entry.intervalOctetMax) } : {})
+                }))
+            },
+            'admin-cycle-time': { numerator: cycleTime, denominator: 1000000000 },
+            'admin-cycle-time-extension': Number(cycleTimeExtension ?? 0),
+            'admin-base-time': base,
+            'config-change': true
+        };
+
+        await writePSFPEntry(req, res, 'stream-gates', id, value, {
+            check: (psfp) => {
+                const max = psfp.limits.supportedListMax;
+                if (max !== null && gcl.length > max) {
+                    return `Gate control list has ${gcl.length} entries, the board supports ${max}`;
+                }
+                if (total > cycleTime) {
+                    return `Gate control list intervals add up to ${total} ns, more than the ${cycleTime} ns cycle`;
+                }
+                return null;
+            },
+            // 새 GCL보다 긴 기존 항목 삭제
+            prepare: (tx, psfp, path) => {
+                const current = psfp.streamGates.find(gate => gate.id === Number(id));
+                (current ? current.controlList : [])
+                    .filter(entry => entry.index >= gcl.length)
+                    .forEach(entry => tx.delete(`GCL[${entry.index}]`, `${path}/admin-control-list/gate-control-entry[index='${entry.index}']`));
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: Flow meter 생성/변경 (MEF 10.3 대역폭 프로파일)
+ * body: { bridge, component, id, cir, cbs, eir, ebs, couplingFlag, colorMode, dropOnYellow, markAllFramesRed }
+ * CIR/EIR은 bit/s, CBS/EBS는 byte
+ */
+app.post('/api/psfp/flow-meters', async (req, res) => {
+    try {
+        const { id, cir, cbs, eir, ebs, couplingFlag, colorMode, dropOnYellow, markAllFramesRed } = req.body;
+
+        if (id === undefined || cir === undefined || cbs === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters: id, cir, cbs'
+            });
+        }
+
+        const value = {
+            'flow-meter-instance-id': Number(id),
+            'committed-information-rate': Number(cir),
+            'committed-burst-size': Number(cbs),
+            'excess-information-rate': Number(eir ?? 0),
+            'excess-burst-size': Number(ebs ?? 0),
+            'coupling-flag': [1, '1', true, 'one'].includes(couplingFlag) ? 'one' : 'zero',
+            'color-mode': colorMode || 'color-blind',
+            'drop-on-yellow': !!dropOnYellow,
+            'mark-all-frames-red-enable': !!markAllFramesRed
+        };
+
+        await writePSFPEntry(req, res, 'flow-meters', id, value);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * API: PSFP 항목 삭제 (stream filter가 참조 중인 stream gate / flow meter는 거부)
+ * DELETE /api/psfp/stream-gates/1?bridge=b0&component=c0
+ */
+app.delete('/api/psfp/:table/:id', async (req, res) => {
+    try {
+        const { table, id } = req.params;
+        if (!PSFP_TABLES[table]) {
+            return res.status(404).json({ success: false, error: `Unknown PSFP table: ${table}` });
+        }
+
+        const { bridge, component } = psfpComponent(req.query);
+        const { label, view } = PSFP_TABLES[table];
+        const { psfp, error } = await readPSFP(getBoard(req.device), bridge, component);
+        if (error) {
+            return res.status(502).json({ success: false, error: `Could not read PSFP tables: ${error}` });
+        }
+        if (!psfp[view].some(entry => entry.id === Number(id))) {
+            return res.status(404).json({ success: false, error: `${label} ${id} does not exist` });
+        }
+
+        const reference = { 'stream-gates': 'streamGate', 'flow-meters': 'flowMeter' }[table];
+        const users = reference ? psfp.streamFilters.filter(filter => filter[reference] === Number(id)).map(filter => filter.id) : [];
+        if (users.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `${label} ${id} is used by stream filter(s) ${users.join(', ')}`,
+                device: req.device
+            });
+        }
+
+        const tx = createTransaction(req.device, `psfp-${table}`)
+            .delete(`${label} ${id}`, psfpEntryPath(bridge, component, table, id));
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, { bridge, component, table, id: Number(id) }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// Stream Identification / FRER (802.1CB)
+// ============================================
+
+// 식별 함수 → parameters choice의 case 이름
+const STREAM_ID_FUNCTIONS = {
+    'null-stream': 'null-stream-identification',
+    'smac-vlan': 'smac-vlan-stream-identification',
+    'dmac-vlan': 'dmac-vlan-stream-identification',
+    'ip': 'ip-stream-identification'
+};
+
+// API 필드 → 식별 함수별 YANG leaf
+const STREAM_ID_FIELDS = {
+    destinationMac: 'destination-mac',
+    sourceMac: 'source-mac',
+    tagged: 'tagged',
+    vlan: 'vlan',
+    ipSource: 'ip-source',
+    ipDestination: 'ip-destination',
+    dscp: 'dscp',
+    nextProtocol: 'next-protocol',
+    sourcePort: 'source-port',
+    destinationPort: 'destination-port'
+};
+
+const FRER_PATH = '/ieee802-dot1cb-frer:frer';
+
+function streamIdentityPath(index) {
+    return `${STREAM_IDENTITY_PATH}[index='${index}']`;
+}
+
+/**
+ * 보드 카탈로그가 지원하는 802.1CB 기능 (deviation으로 빠진 식별 함수 제외)
+ */
+function frerCapabilities() {
+    const supported = (path) => {
+        const node = yangSchema ? yangSchema.resolve(path) : null;
+        return !!node && node.supported !== false;
+    };
+    const functions = Object.entries(STREAM_ID_FUNCTIONS)
+        .filter(([, name]) => supported(`${STREAM_IDENTITY_PATH}/parameters/${name}/${name}`))
+        .map(([type]) => type);
+
+    return {
+        streamIdentification: supported(STREAM_IDENTITY_PATH),
+        functions,
+        // 시퀀스 생성 / 분할 / 복구와 복구 카운터는 ieee802-dot1cb-frer 모듈이 있어야 함
+        sequenceFunctions: supported(FRER_PATH)
+    };
+}
+
+/**
+ * 보드의 stream identity 목록을 새로 읽음 (항목이 없으면 4.04)
+ * @returns {Object} - { identities } 또는 { error }
+ */
+async function readStreamIdentities(board) {
+    const result = await readIntoModel(board, STREAM_IDENTITY_PATH);
+    if (!result.success) {
+        if (!/not.?found|4\.04/i.test(result.stderr)) {
+            return { error: result.stderr || 'Failed to read stream identities' };
+        }
+        board.model.datastore.delete(STREAM_IDENTITY_PATH);
+    }
+    return { identities: board.model.streamIdentities() };
+}
+
+/**
+ * API: 802.1CB 지원 범위 (식별 함수, 시퀀스 기능 유무)
+ */
+app.get('/api/frer', (req, res) => {
+    const capabilities = frerCapabilities();
+    res.json({
+        success: true,
+        ...capabilities,
+        reason: capabilities.sequenceFunctions ? undefined
+            : 'The board YANG catalog has no ieee802-dot1cb-frer module: sequence generation, splitting and recovery cannot be configured'
+    });
+});
+
+/**
+ * API: Stream identity 목록 (stream handle ↔ 식별 조건)
  */
-app.get('/api/bridge', async (req, res) => {
+app.get('/api/stream-identification', async (req, res) => {
     try {
-        // GlobalDataService에서 캐시된 브리지 데이터 사용
-        if (latestBoardData && latestBoardData.bridge) {
-            return res.json({
-                ...latestBoardData.bridge,
-                cached: true,
-                timestamp: latestBoardData.timestamp,
-                source: 'GlobalDataService'
-            });
+        const { identities, error } = await readStreamIdentities(getBoard(req.device));
+        if (error) {
+            return res.status(502).json({ success: false, error });
         }
-
-        // Fallback: 캐시가 없으면 직접 조회
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get',
-            '/ieee802-dot1q-bridge:bridges/bridge',
-            '--console'
-        ]);
-        res.json({ ...result, cached: false });
+        res.json({ success: true, device: req.device, identities, functions: frerCapabilities().functions });
     } catch (error) {
-        res.status(500).json(error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * API: 인터페이스 설정 조회 (캐시 활용)
+ * API: Stream identity 생성/변경
+ * body: { index, handle, type ('null-stream' | 'smac-vlan' | 'ip'), ports,
+ *         destinationMac, sourceMac, tagged, vlan, ipSource, ipDestination, dscp, nextProtocol, sourcePort, destinationPort }
  */
-app.get('/api/interfaces', async (req, res) => {
+app.post('/api/stream-identification', async (req, res) => {
     try {
-        // GlobalDataService에서 파싱된 인터페이스 배열 직접 사용 (최적화)
-        if (latestBoardData && latestBoardData.interfacesArray && latestBoardData.interfacesArray.length > 0) {
-            return res.json({
-                success: true,
-                interfaces: latestBoardData.interfacesArray,
-                timestamp: latestBoardData.timestamp,
-                cached: true,
-                source: 'GlobalDataService (pre-parsed)'
+        const { index, handle, type, ports } = req.body;
+        const parameters = STREAM_ID_FUNCTIONS[type];
+
+        if (index === undefined || handle === undefined || !parameters) {
+            return res.status(400).json({
+                success: false,
+                error: `Missing or invalid parameters: index, handle, type (${Object.keys(STREAM_ID_FUNCTIONS).join(', ')})`
             });
         }
 
-        // Fallback: 캐시된 raw 데이터가 있으면 파싱 시도
-        if (latestBoardData && latestBoardData.interfaces) {
-            const interfacesData = latestBoardData.interfaces;
+        if (!frerCapabilities().functions.includes(type)) {
+            return res.status(400).json({ success: false, error: `This board does not support ${type} stream identification` });
+        }
 
-            // YAML 파싱하여 interface 배열 추출
-            let interfaces = [];
-            if (interfacesData.success && interfacesData.stdout) {
-                try {
-                    // YAML에서 "- /ietf-interfaces:interfaces:" 부분 찾기
-                    const yamlMatch = interfacesData.stdout.match(/- \/ietf-interfaces:interfaces:\n([\s\S]+)/);
-                    if (yamlMatch) {
-                        const yamlContent = 'ietf-interfaces:interfaces:\n' + yamlMatch[1];
-                        const parsed = yaml.load(yamlContent);
-                        if (parsed && parsed['ietf-interfaces:interfaces'] && parsed['ietf-interfaces:interfaces'].interface) {
-                            interfaces = parsed['ietf-interfaces:interfaces'].interface;
-                        }
-                    }
-                } catch (parseError) {
-                    console.error('[API] YAML parsing error:', parseError.message);
-                }
+        const match = {};
+        for (const [field, leaf] of Object.entries(STREAM_ID_FIELDS)) {
+            if (req.body[field] !== undefined && req.body[field] !== null && req.body[field] !== '') {
+                match[leaf] = req.body[field];
             }
+        }
+        const value = {
+            index: Number(index),
+            handle: Number(handle),
+            [parameters]: match
+        };
+        if (Array.isArray(ports)) {
+            value['out-facing'] = { 'input-port': ports.map(String) };
+        }
 
-            return res.json({
-                success: true,
-                interfaces: interfaces,
-                timestamp: latestBoardData.timestamp,
-                cached: true,
-                source: 'GlobalDataService (fallback parsed)'
-            });
+        const path = streamIdentityPath(index);
+        if (rejectInvalidWrite(req, res, [{ [path]: value }])) {
+            return;
         }
 
-        // Fallback: 캐시가 없으면 직접 조회
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get',
-            '/ietf-interfaces:interfaces',
-            '--console'
-        ]);
-        res.json({
-            ...result,
-            interfaces: [],
-            cached: false
-        });
+        const { identities, error } = await readStreamIdentities(getBoard(req.device));
+        if (error) {
+            return res.status(502).json({ success: false, error: `Could not read stream identities: ${error}` });
+        }
+
+        const tx = createTransaction(req.device, 'stream-identity');
+        // 다른 식별 함수로 바꾸면 이전 case를 지움 (choice는 case 하나만)
+        const current = identities.find(identity => identity.index === Number(index));
+        if (current && current.type && STREAM_ID_FUNCTIONS[current.type] && current.type !== type) {
+            tx.delete(`Previous ${current.type} identification`, `${path}/${STREAM_ID_FUNCTIONS[current.type]}`);
+        }
+        tx.set(`Stream identity ${index}`, path, value);
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, { index: Number(index), handle: Number(handle), type, ports, match }));
     } catch (error) {
-        res.status(500).json(error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * API: 스케줄러 설정 조회
+ * API: Stream identity 삭제
  */
-app.get('/api/scheduler', async (req, res) => {
+app.delete('/api/stream-identification/:index', async (req, res) => {
     try {
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get',
-            '/ieee802-dot1q-sched:interfaces',
-            '--console'
-        ]);
-        res.json(result);
+        const { index } = req.params;
+        const { identities, error } = await readStreamIdentities(getBoard(req.device));
+        if (error) {
+            return res.status(502).json({ success: false, error: `Could not read stream identities: ${error}` });
+        }
+        if (!identities.some(identity => identity.index === Number(index))) {
+            return res.status(404).json({ success: false, error: `Stream identity ${index} does not exist` });
+        }
+
+        const tx = createTransaction(req.device, 'stream-identity')
+            .delete(`Stream identity ${index}`, streamIdentityPath(index));
+        const report = await commitTransaction(tx);
+
+        res.json(transactionResponse(report, { index: Number(index) }));
     } catch (error) {
-        res.status(500).json(error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ============================================
+// PTP (IEEE 1588 / 802.1AS Time Synchronization)
+// ============================================
+
+// API 필드 → instance 아래 YANG leaf
+const PTP_INSTANCE_FIELDS = {
+    enabled: 'default-ds/instance-enable',
+    instanceType: 'default-ds/instance-type',
+    domain: 'default-ds/domain-number',
+    priority1: 'default-ds/priority1',
+    priority2: 'default-ds/priority2',
+    externalPortConfig: 'default-ds/external-port-config-enable',
+    profile: 'mchp-velocitysp-ptp:automotive/profile'
+};
+
+// API 필드 → port 아래 YANG leaf (desiredState는 externalPortConfig가 켜져 있을 때의 포트 역할)
+const PTP_PORT_FIELDS = {
+    enabled: 'port-ds/port-enable',
+    desiredState: 'external-port-config-port-ds/desired-state',
+    delayMechanism: 'port-ds/delay-mechanism',
+    logSyncInterval: 'port-ds/log-sync-interval',
+    logMinPdelayReqInterval: 'port-ds/log-min-pdelay-req-interval',
+    logAnnounceInterval: 'port-ds/log-announce-interval'
+};
+
+const PTP_BOOLEAN_FIELDS = new Set(['enabled', 'externalPortConfig']);
+const PTP_ENUM_FIELDS = new Set(['instanceType', 'profile', 'desiredState', 'delayMechanism']);
+
+function ptpInstancePath(index) {
+    return `${PTP_PATH}/instances/instance[instance-index='${index}']`;
+}
+
 /**
- * API: CBS 설정 (Credit-Based Shaper)
- * 새로운 YANG 경로 사용: mchp-velocitysp-port
+ * 보드 카탈로그에서 지원하는 PTP 설정 필드 (deviation으로 빠진 leaf 제외)
+ * @returns {Object} - { instance: [field], port: [field] }
  */
-app.post('/api/cbs/configure', async (req, res) => {
-    try {
-        const { interface: iface, trafficClass, idleSlope } = req.body;
+function ptpCapabilities() {
+    const supported = (leaf) => {
+        const node = yangSchema ? yangSchema.resolve(`${PTP_PATH}/instances/instance/${leaf}`) : null;
+        return !!node && node.supported !== false;
+    };
+    return {
+        instance: Object.keys(PTP_INSTANCE_FIELDS).filter(field => supported(PTP_INSTANCE_FIELDS[field])),
+        port: Object.keys(PTP_PORT_FIELDS).filter(field => supported(`ports/port/${PTP_PORT_FIELDS[field]}`))
+    };
+}
 
-        if (!iface || trafficClass === undefined || !idleSlope) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required parameters: interface, trafficClass, idleSlope'
-            });
+/**
+ * 요청 필드들을 leaf 경로에 맞춰 중첩 객체로 (지원하지 않는 필드는 이름 목록으로 반환)
+ */
+function ptpValue(body, fields, supported, target) {
+    const unsupported = [];
+    for (const [field, leaf] of Object.entries(fields)) {
+        const value = body[field];
+        if (value === undefined || value === null || value === '') {
+            continue;
         }
+        if (!supported.includes(field)) {
+            unsupported.push(field);
+            continue;
+        }
+        const names = leaf.split('/');
+        const parent = names.slice(0, -1).reduce((node, name) => (node[name] ??= {}), target);
+        parent[names[names.length - 1]] = PTP_BOOLEAN_FIELDS.has(field) ? value === true || value === 'true'
+            : PTP_ENUM_FIELDS.has(field) ? String(value) : Number(value);
+    }
+    return unsupported;
+}
 
-        const path = `/ietf-interfaces:interfaces/interface[name='${iface}']/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers`;
-
-        // CBS 설정 - credit-based shaper with idle-slope
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
-            path,
-            JSON.stringify({
-                "traffic-class": trafficClass,
-                "credit-based": {
-                    "idle-slope": idleSlope
-                }
-            }),
-            '--console'
-        ]);
+/**
+ * 보드의 PTP 상태를 새로 읽음 (PTP 모듈이 없으면 4.04)
+ * @returns {Object} - { instances } 또는 { error }
+ */
+async function readPTP(board) {
+    const result = await readIntoModel(board, PTP_PATH);
+    if (!result.success) {
+        if (!/not.?found|4\.04/i.test(result.stderr)) {
+            return { error: result.stderr || 'Failed to read PTP state' };
+        }
+        board.model.datastore.delete(PTP_PATH);
+    }
+    return { instances: board.model.ptp() };
+}
 
-        res.json({
-            success: result.success,
-            result,
-            config: {
-                interface: iface,
-                trafficClass,
-                idleSlope
-            }
-        });
+/**
+ * API: PTP 인스턴스 조회 - 클럭 설정, grandmaster, servo offset, 포트 상태 / 역할 / link delay
+ */
+app.get('/api/ptp', async (req, res) => {
+    try {
+        const { instances, error } = await readPTP(getBoard(req.device));
+        if (error) {
+            return res.status(502).json({ success: false, error });
+        }
+        res.json({ success: true, device: req.device, instances, capabilities: ptpCapabilities(), timestamp: new Date().toISOString() });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * API: CBS 설정 가져오기
+ * API: 폴러가 모은 PTP 시계열 (offset-from-master, mean link delay, 포트 상태)
+ * ?since=<ISO 시각 또는 ms> 이후 샘플만
  */
-app.get('/api/cbs/config/:interface', async (req, res) => {
-    try {
-        const iface = req.params.interface;
-        const path = `/ietf-interfaces:interfaces/interface[name='${iface}']/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers`;
-
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get',
-            path,
-            '--console'
-        ]);
-
-        res.json(result);
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+app.get('/api/ptp/history', (req, res) => {
+    const board = getBoard(req.device);
+    const since = req.query.since ? new Date(isNaN(req.query.since) ? req.query.since : Number(req.query.since)).getTime() : 0;
+    if (Number.isNaN(since)) {
+        return res.status(400).json({ success: false, error: `Invalid since: ${req.query.since}` });
     }
+    res.json({
+        success: true,
+        device: req.device,
+        samples: board.ptpHistory.filter(sample => new Date(sample.timestamp).getTime() > since)
+    });
 });
 
 /**
- * API: TAS 설정
+ * API: PTP 인스턴스 설정
+ * body: { instance (기본 0), enabled, instanceType, profile, domain, priority1, priority2, externalPortConfig,
+ *         ports: [{ index, enabled, desiredState, delayMechanism, logSyncInterval, logMinPdelayReqInterval, logAnnounceInterval }] }
  */
-app.post('/api/tas/configure', async (req, res) => {
+app.post('/api/ptp/instance', async (req, res) => {
     try {
-        const { interface: iface, cycleTime, baseTime, gcl } = req.body;
-
-        const basePath = `/ieee802-dot1q-sched:interfaces/interface[name='${iface || 'eth0'}']/scheduler`;
+        const index = Number(req.body.instance ?? 0);
+        const ports = req.body.ports ?? [];
+        if (!Number.isInteger(index) || index < 0 || !Array.isArray(ports) || ports.some(port => port.index === undefined)) {
+            return res.status(400).json({ success: false, error: 'Invalid parameters: instance must be an index, ports a list of { index, ... }' });
+        }
 
-        const results = [];
+        const capabilities = ptpCapabilities();
+        const value = { 'instance-index': index };
+        const unsupported = ptpValue(req.body, PTP_INSTANCE_FIELDS, capabilities.instance, value);
+        if (ports.length > 0) {
+            value.ports = {
+                port: ports.map(port => {
+                    const entry = { 'port-index': Number(port.index) };
+                    unsupported.push(...ptpValue(port, PTP_PORT_FIELDS, capabilities.port, entry));
+                    return entry;
+                })
+            };
+        }
+        if (unsupported.length > 0) {
+            const fields = [...new Set(unsupported)];
+            return res.status(400).json({
+                success: false,
+                error: `This board does not support setting ${fields.join(', ')}`,
+                capabilities
+            });
+        }
 
-        // Base time 설정
-        if (baseTime !== undefined) {
-            const r1 = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'set',
-                `${basePath}/admin-base-time`, String(baseTime),
-                '--console'
-            ]);
-            results.push(r1);
-        }
-
-        // Cycle time 설정
-        if (cycleTime !== undefined) {
-            const r2 = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'set',
-                `${basePath}/admin-cycle-time`, String(cycleTime),
-                '--console'
-            ]);
-            results.push(r2);
-        }
-
-        // GCL 엔트리 설정
-        if (gcl && Array.isArray(gcl)) {
-            for (let i = 0; i < gcl.length; i++) {
-                const entry = gcl[i];
-
-                // Gate states
-                const r3 = await executeMvdct([
-                    'device', DEFAULT_DEVICE, 'set',
-                    `${basePath}/admin-control-list[index='${i}']/gate-states-value`,
-                    String(entry.gate),
-                    '--console'
-                ]);
-                results.push(r3);
-
-                // Time interval
-                const r4 = await executeMvdct([
-                    'device', DEFAULT_DEVICE, 'set',
-                    `${basePath}/admin-control-list[index='${i}']/time-interval-value`,
-                    String(entry.duration),
-                    '--console'
-                ]);
-                results.push(r4);
-            }
+        const { instances, error } = await readPTP(getBoard(req.device));
+        if (error) {
+            return res.status(502).json({ success: false, error: `Could not read PTP state: ${error}` });
+        }
+        const current = instances.find(instance => instance.index === index);
+        const unknown = current ? ports.filter(port => !current.ports.some(p => p.index === Number(port.index))) : [];
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, error: `PTP instance ${index} has no port ${unknown.map(port => port.index).join(', ')}` });
+        }
 
-            // GCL length 설정
-            const r5 = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'set',
-                `${basePath}/admin-control-list-length`,
-                String(gcl.length),
-                '--console'
-            ]);
-            results.push(r5);
+        const path = ptpInstancePath(index);
+        if (rejectInvalidWrite(req, res, [{ [path]: value }])) {
+            return;
         }
 
-        // TAS 활성화
-        const r6 = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
-            `${basePath}/gate-enabled`, 'true',
-            '--console'
-        ]);
-        results.push(r6);
+        const tx = createTransaction(req.device, 'ptp').set(`PTP instance ${index}`, path, value);
+        const report = await commitTransaction(tx);
 
-        res.json({
-            success: results.every(r => r.success),
-            results
-        });
+        res.json(transactionResponse(report, { instance: index, value }));
     } catch (error) {
-        res.status(500).json(error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ============================================
+// Configuration Revisions (save / diff / restore)
+// ============================================
+
 /**
- * API: Priority 매핑 설정
+ * 현재 running 설정 읽기 (전체 데이터스토어에서 상태 데이터 제외)
  */
-app.post('/api/priority/configure', async (req, res) => {
-    try {
-        const { bridge, component, mapping } = req.body;
+async function readRunningConfig(board) {
+    const result = await executeDevice(board.device, 'get', '/');
+    if (!result.success || !Array.isArray(result.data)) {
+        throw new Error(`Failed to read running config: ${result.stderr || 'no data'}`);
+    }
+    return extractConfig(result.data, board.configStore.schema);
+}
 
-        const bridgeName = bridge || 'b0';
-        const componentName = component || 'c0';
-        const basePath = `/ieee802-dot1q-bridge:bridges/bridge[name='${bridgeName}']/component[name='${componentName}']/traffic-class-table`;
+/**
+ * 리비전 선택자 → 설정 ('current' 는 보드에서 새로 읽음)
+ * @returns {Object|null} - { id, name, timestamp, config } (없는 리비전이면 null)
+ */
+async function resolveRevision(board, selector) {
+    if (!selector || selector === 'current') {
+        return { id: 'current', name: 'running', timestamp: new Date().toISOString(), config: await readRunningConfig(board) };
+    }
+    return board.configStore.get(selector);
+}
 
-        const results = [];
+/**
+ * API: 저장된 설정 리비전 목록
+ */
+app.get('/api/config/revisions', (req, res) => {
+    const revisions = getBoard(req.device).configStore.list();
+    res.json({ success: true, device: req.device, count: revisions.length, revisions });
+});
 
-        for (const [pcp, priority] of Object.entries(mapping)) {
-            const result = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'set',
-                `${basePath}/traffic-class-map[priority-code-point='${pcp}']/priority`,
-                String(priority),
-                '--console'
-            ]);
-            results.push(result);
+/**
+ * API: 현재 running 설정을 리비전으로 저장
+ * Body: { name, note }
+ */
+app.post('/api/config/revisions', async (req, res) => {
+    try {
+        const board = getBoard(req.device);
+        const { name, note } = req.body;
+        const result = await executeDevice(req.device, 'get', '/');
+        if (!result.success || !Array.isArray(result.data)) {
+            return res.status(502).json({ success: false, error: `Failed to read running config: ${result.stderr || 'no data'}` });
         }
 
-        res.json({
-            success: results.every(r => r.success),
-            results
-        });
+        const { config, ...revision } = board.configStore.save(result.data, { name, note });
+        res.json({ success: true, revision: { ...revision, nodes: config.length } });
     } catch (error) {
-        res.status(500).json(error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * API: PCP Decoding Map 설정 (PCP → Priority 매핑)
+ * API: 두 설정 비교 (YANG 경로 단위)
+ * Query: from=<리비전 ID/이름>, to=<리비전 ID/이름 또는 current (기본)>
  */
-app.post('/api/pcp/decoding/configure', async (req, res) => {
+app.get('/api/config/diff', async (req, res) => {
     try {
-        const { interface: iface, priorityMap } = req.body;
-
-        if (!iface || !priorityMap || !Array.isArray(priorityMap)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required parameters: interface, priorityMap (array)'
-            });
+        const board = getBoard(req.device);
+        const { from, to = 'current' } = req.query;
+        if (!from) {
+            return res.status(400).json({ success: false, error: 'Missing required parameter: from' });
         }
 
-        const basePath = `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port/pcp-decoding-table/pcp-decoding-map[pcp='8P0D']`;
-
-        // Create empty priority-map first
-        await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
-            `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port/pcp-decoding-table/pcp-decoding-map`,
-            JSON.stringify({ pcp: "8P0D" }),
-            '--console'
-        ]);
-
-        // Set priority map
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
-            `${basePath}/priority-map`,
-            JSON.stringify(priorityMap),
-            '--console'
-        ]);
+        const [before, after] = [await resolveRevision(board, from), await resolveRevision(board, to)];
+        const missing = !before ? from : !after ? to : null;
+        if (missing) {
+            return res.status(404).json({ success: false, error: `Unknown revision: ${missing}` });
+        }
 
+        const describe = ({ id, name, timestamp }) => ({ id, name, timestamp });
         res.json({
-            success: result.success,
-            result,
-            config: { interface: iface, priorityMap }
+            success: true,
+            device: req.device,
+            from: describe(before),
+            to: describe(after),
+            ...board.configStore.diff(before.config, after.config)
         });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -657,73 +2429,56 @@ app.post('/api/pcp/decoding/configure', async (req, res) => {
 });
 
 /**
- * API: PCP Encoding Map 설정 (Priority → PCP 매핑)
+ * API: 리비전 조회
  */
-app.post('/api/pcp/encoding/configure', async (req, res) => {
-    try {
-        const { interface: iface, priorityMap } = req.body;
-
-        if (!iface || !priorityMap || !Array.isArray(priorityMap)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required parameters: interface, priorityMap (array)'
-            });
-        }
-
-        const basePath = `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port/pcp-encoding-table/pcp-encoding-map[pcp='8P0D']`;
-
-        // Create empty priority-map first
-        await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
-            `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port/pcp-encoding-table/pcp-encoding-map`,
-            JSON.stringify({ pcp: "8P0D" }),
-            '--console'
-        ]);
-
-        // Set priority map
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
-            `${basePath}/priority-map`,
-            JSON.stringify(priorityMap),
-            '--console'
-        ]);
+app.get('/api/config/revisions/:id', (req, res) => {
+    const revision = getBoard(req.device).configStore.get(req.params.id);
+    if (!revision) {
+        return res.status(404).json({ success: false, error: `Unknown revision: ${req.params.id}` });
+    }
+    res.json({ success: true, ...revision });
+});
 
-        res.json({
-            success: result.success,
-            result,
-            config: { interface: iface, priorityMap }
-        });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+/**
+ * API: 리비전 삭제
+ */
+app.delete('/api/config/revisions/:id', (req, res) => {
+    if (!getBoard(req.device).configStore.remove(req.params.id)) {
+        return res.status(404).json({ success: false, error: `Unknown revision: ${req.params.id}` });
     }
+    res.json({ success: true, message: `Revision ${req.params.id} deleted` });
 });
 
 /**
- * API: Default Priority 설정
+ * API: 리비전 복원 - 현재 설정과의 차이만 트랜잭션(iPATCH)으로 적용, 실패 시 롤백
+ * Body: { dryRun } (true 면 적용할 단계만 반환)
  */
-app.post('/api/port/default-priority', async (req, res) => {
+app.post('/api/config/revisions/:id/restore', async (req, res) => {
     try {
-        const { interface: iface, priority } = req.body;
+        const board = getBoard(req.device);
+        const revision = board.configStore.get(req.params.id);
+        if (!revision) {
+            return res.status(404).json({ success: false, error: `Unknown revision: ${req.params.id}` });
+        }
 
-        if (!iface || priority === undefined) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required parameters: interface, priority'
-            });
+        const plan = board.configStore.restorePlan(revision, await readRunningConfig(board));
+        const target = { id: revision.id, name: revision.name, timestamp: revision.timestamp };
+
+        if (req.body.dryRun || plan.length === 0) {
+            return res.json({ success: true, revision: target, dryRun: !!req.body.dryRun, steps: plan });
         }
 
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
-            `/ietf-interfaces:interfaces/interface[name='${iface}']/ieee802-dot1q-bridge:bridge-port/default-priority`,
-            String(priority),
-            '--console'
-        ]);
+        const tx = createTransaction(req.device, `restore ${revision.name}`);
+        for (const step of plan) {
+            if (step.operation === 'delete') {
+                tx.delete(step.label, step.path);
+            } else {
+                tx.set(step.label, step.path, step.value);
+            }
+        }
+        const report = await commitTransaction(tx);
 
-        res.json({
-            success: result.success,
-            result,
-            config: { interface: iface, defaultPriority: priority }
-        });
+        res.json({ ...transactionResponse(report), revision: target });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -749,10 +2504,7 @@ app.post('/api/yang/fetch', async (req, res) => {
             });
         }
 
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'fetch', path,
-            '--console'
-        ]);
+        const result = await executeDevice(req.device, 'fetch', [path]);
 
         res.json({
             success: result.success,
@@ -766,22 +2518,20 @@ app.post('/api/yang/fetch', async (req, res) => {
 });
 
 /**
- * API: YAML 설정 파일로 일괄 적용 (IPATCH)
+ * API: YAML 설정 파일로 일괄 적용 (IPATCH, 스키마 검증 후 전송)
  */
 app.post('/api/config/apply-yaml', async (req, res) => {
     try {
         const { yamlConfig, configFile } = req.body;
 
-        let configPath;
+        let configText;
 
         if (configFile) {
             // 파일 경로가 제공된 경우
-            configPath = join(__dirname, configFile);
+            configText = readFileSync(join(__dirname, configFile), 'utf8');
         } else if (yamlConfig) {
-            // YAML 내용이 제공된 경우, 임시 파일 생성
-            const tempFile = join(__dirname, `temp-config-${Date.now()}.yaml`);
-            writeFileSync(tempFile, yamlConfig);
-            configPath = tempFile;
+            // YAML 내용이 제공된 경우
+            configText = yamlConfig;
         } else {
             return res.status(400).json({
                 success: false,
@@ -789,16 +2539,37 @@ app.post('/api/config/apply-yaml', async (req, res) => {
             });
         }
 
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'patch', configPath,
-            '--console'
-        ]);
+        // mvdct patch 형식: [{ '<yang path>': value }, ...]
+        let entries;
+        try {
+            entries = yaml.load(configText);
+        } catch (error) {
+            if (!(error instanceof yaml.YAMLException)) {
+                throw error;
+            }
+            // 파싱 오류 위치 (js-yaml mark는 0부터 시작)
+            const line = error.mark ? error.mark.line + 1 : null;
+            const column = error.mark ? error.mark.column + 1 : null;
+            return res.status(400).json({
+                success: false,
+                error: `Invalid YAML: ${error.reason}${line ? ` (line ${line}, column ${column})` : ''}`,
+                line,
+                column
+            });
+        }
+        if (!Array.isArray(entries)) {
+            return res.status(400).json({
+                success: false,
+                error: 'YAML config must be a list of { path: value } entries'
+            });
+        }
 
-        // 임시 파일 삭제
-        if (yamlConfig && existsSync(configPath)) {
-            require('fs').unlinkSync(configPath);
+        if (rejectInvalidWrite(req, res, entries)) {
+            return;
         }
 
+        const result = await executeDevice(req.device, 'patch', entries);
+
         res.json({
             success: result.success,
             result,
@@ -813,7 +2584,8 @@ app.post('/api/config/apply-yaml', async (req, res) => {
  * API: 명령어 히스토리
  */
 app.get('/api/history', (req, res) => {
-    res.json(commandHistory);
+    // ?device= 를 주면 해당 보드의 명령만
+    res.json(req.query.device ? commandHistory.filter(h => h.device === req.device) : commandHistory);
 });
 
 /**
@@ -828,32 +2600,56 @@ app.delete('/api/history', (req, res) => {
  * API: 성능 통계 및 캐시 상태
  */
 app.get('/api/stats/performance', (req, res) => {
-    const totalRequests = commandHistory.length;
-    const cacheHits = commandHistory.filter(h => h.result && h.result.cached).length;
-    const avgExecutionTime = commandHistory
-        .filter(h => h.result && h.result.executionTime)
-        .reduce((sum, h, _, arr) => sum + h.result.executionTime / arr.length, 0);
+    const stats = performanceStats(getBoard(req.device));
 
     res.json({
         success: true,
+        device: req.device,
         stats: {
-            totalRequests,
-            cacheHits,
-            cacheHitRate: totalRequests > 0 ? ((cacheHits / totalRequests) * 100).toFixed(2) + '%' : '0%',
-            cacheSize: resultCache.size,
-            queueLength: requestQueue.length,
-            isProcessing,
-            avgExecutionTime: avgExecutionTime ? Math.round(avgExecutionTime) + 'ms' : 'N/A'
+            totalRequests: stats.totalRequests,
+            cacheHits: stats.cacheHits,
+            cacheLookups: stats.cacheLookups,
+            cacheHitRate: stats.cacheLookups > 0 ? ((stats.cacheHits / stats.cacheLookups) * 100).toFixed(2) + '%' : '0%',
+            cacheSize: stats.cacheSize,
+            queueLength: stats.queueLength,
+            inFlight: stats.inFlight,
+            isProcessing: stats.isProcessing,
+            avgExecutionTime: stats.avgExecutionTime ? Math.round(stats.avgExecutionTime) + 'ms' : 'N/A'
         }
     });
 });
 
+/**
+ * 보드별 서버 성능 통계 (요청 수 / 평균 실행 시간 ms는 최근 명령 히스토리 기준, 캐시 적중은 서버 시작 이후)
+ * 파이프라이닝 전송(mup1)은 보드 큐를 거치지 않으므로 세션의 대기 / 응답 대기 요청 수를 더함
+ */
+function performanceStats(board) {
+    const history = commandHistory.filter(h => h.device === board.device);
+    const executed = history.filter(h => h.result && h.result.executionTime);
+    const transport = deviceTransports.get(board.device);
+    const session = transport && transport.session ? transport.session.describe() : null;
+    return {
+        totalRequests: history.length,
+        cacheHits: board.cacheHits,
+        cacheLookups: board.cacheHits + board.cacheMisses,
+        cacheSize: board.resultCache.size,
+        queueLength: board.requestQueue.length + (session ? session.queued : 0),
+        inFlight: session ? session.inFlight : (board.isProcessing ? 1 : 0),
+        isProcessing: board.isProcessing || (session !== null && session.inFlight > 0),
+        avgExecutionTime: executed.length > 0
+            ? executed.reduce((sum, h) => sum + h.result.executionTime, 0) / executed.length
+            : null
+    };
+}
+
 /**
  * API: 캐시 초기화
  */
 app.delete('/api/cache', (req, res) => {
-    const cacheSize = resultCache.size;
-    resultCache.clear();
+    // ?device= 를 주면 해당 보드만, 생략 시 모든 보드의 캐시 초기화
+    const targets = req.query.device ? [getBoard(req.device)] : [...boards.values()];
+    const cacheSize = targets.reduce((sum, board) => sum + board.resultCache.size, 0);
+    targets.forEach(board => board.resultCache.clear());
     res.json({
         success: true,
         message: `Cleared ${cacheSize} cached entries`
@@ -890,17 +2686,66 @@ app.get('/api/yang/catalog', (req, res) => {
  */
 app.get('/api/yang/module/:filename', (req, res) => {
     try {
-        const filename = req.params.filename;
-        const filepath = join(YANG_CATALOG_PATH, filename);
+        const filename = req.params.filename;
+        const filepath = join(YANG_CATALOG_PATH, filename);
+
+        if (!existsSync(filepath)) {
+            return res.status(404).json({ error: 'Module not found', path: filepath });
+        }
+
+        const content = readFileSync(filepath, 'utf-8');
+        res.type('text/plain').send(content);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * API: YANG 스키마 노드 조회 (?path=<스키마 경로, 데이터 경로 또는 instance-identifier>)
+ * 타입, 범위, 기본값, 설명, config/state, feature 조건과 자식 노드 목록 반환 (path 없으면 모듈과 최상위 노드)
+ */
+app.get('/api/yang/schema', (req, res) => {
+    if (!yangSchema) {
+        return res.status(404).json({ success: false, error: 'YANG schema not loaded' });
+    }
+
+    const node = yangSchema.resolve(req.query.path);
+    if (!node) {
+        return res.status(404).json({ success: false, error: `Unknown schema node: ${req.query.path}` });
+    }
+    res.json({ success: true, ...yangSchema.describe(node) });
+});
+
+/**
+ * API: SID 조회 (?path=<instance-identifier> 또는 ?sid=<숫자>)
+ * path → SID/CBOR 식별자, sid → YANG 경로 변환
+ */
+app.get('/api/yang/sid', (req, res) => {
+    if (!sidRegistry) {
+        return res.status(404).json({ success: false, error: 'SID registry not loaded' });
+    }
+
+    try {
+        if (req.query.sid !== undefined) {
+            const sid = parseInt(req.query.sid, 10);
+            const item = sidRegistry.items.get(sid);
+            if (!item) {
+                return res.status(404).json({ success: false, error: `Unknown SID: ${req.query.sid}` });
+            }
+            return res.json({ success: true, sid, namespace: item.namespace, module: item.module, identifier: item.identifier });
+        }
 
-        if (!existsSync(filepath)) {
-            return res.status(404).json({ error: 'Module not found', path: filepath });
+        if (req.query.path) {
+            return res.json({
+                success: true,
+                path: req.query.path,
+                identifier: sidRegistry.encodeIdentifier(req.query.path)
+            });
         }
 
-        const content = readFileSync(filepath, 'utf-8');
-        res.type('text/plain').send(content);
+        res.json({ success: true, ...sidRegistry.describe() });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ success: false, error: error.message });
     }
 });
 
@@ -910,11 +2755,7 @@ app.get('/api/yang/module/:filename', (req, res) => {
 app.post('/api/yang/explore', async (req, res) => {
     try {
         const { path } = req.body;
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get',
-            path || '/',
-            '--console'
-        ]);
+        const result = await executeDevice(req.device, 'get', path || '/');
         res.json(result);
     } catch (error) {
         res.status(500).json(error);
@@ -930,7 +2771,6 @@ app.get('/api/yang/roots', async (req, res) => {
         const rootPaths = [
             '/ietf-interfaces:interfaces',
             '/ieee802-dot1q-bridge:bridges',
-            '/ieee802-dot1q-sched:interfaces',
             '/ietf-system:system',
             '/ietf-system:system-state'
         ];
@@ -938,11 +2778,7 @@ app.get('/api/yang/roots', async (req, res) => {
         const results = [];
         for (const path of rootPaths) {
             try {
-                const result = await executeMvdct([
-                    'device', DEFAULT_DEVICE, 'get',
-                    path,
-                    '--console'
-                ]);
+                const result = await executeDevice(req.device, 'get', path);
                 if (result.success) {
                     results.push({ path, available: true });
                 } else {
@@ -973,31 +2809,28 @@ app.post('/api/test/cbs', async (req, res) => {
         };
 
         // 1. PCP 디코딩 설정
-        const pcp1 = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
+        const pcp1 = await executeDevice(
+            req.device, 'set',
             `/ietf-interfaces:interfaces/interface[name='${port}']/ieee802-dot1q-bridge:bridge-port/pcp-decoding-table/pcp-decoding-map`,
-            'pcp: 8P0D',
-            '--console'
-        ]);
+            'pcp: 8P0D'
+        );
         results.config.push({ step: 'PCP Decoding', ...pcp1 });
 
         // 2. CBS 설정
         const basePath = `/ietf-interfaces:interfaces/interface[name='${port}']/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers`;
 
-        const cbs = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'set',
+        const cbs = await executeDevice(
+            req.device, 'set',
             basePath,
-            `traffic-class: ${tc}\ncredit-based:\n  idle-slope: ${idleSlope}`,
-            '--console'
-        ]);
+            `traffic-class: ${tc}\ncredit-based:\n  idle-slope: ${idleSlope}`
+        );
         results.config.push({ step: 'CBS Config', ...cbs });
 
         // 3. 설정 전 통계
-        const statsBefore = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get',
-            `/ietf-interfaces:interfaces/interface[name='${port}']/mchp-velocitysp-port:eth-port/statistics/traffic-class`,
-            '--console'
-        ]);
+        const statsBefore = await executeDevice(
+            req.device, 'get',
+            `/ietf-interfaces:interfaces/interface[name='${port}']/mchp-velocitysp-port:eth-port/statistics/traffic-class`
+        );
         results.before = statsBefore;
 
         // 4. 대기 (테스트 트래픽 생성 시간)
@@ -1006,11 +2839,10 @@ app.post('/api/test/cbs', async (req, res) => {
         }
 
         // 5. 설정 후 통계
-        const statsAfter = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get',
-            `/ietf-interfaces:interfaces/interface[name='${port}']/mchp-velocitysp-port:eth-port/statistics/traffic-class`,
-            '--console'
-        ]);
+        const statsAfter = await executeDevice(
+            req.device, 'get',
+            `/ietf-interfaces:interfaces/interface[name='${port}']/mchp-velocitysp-port:eth-port/statistics/traffic-class`
+        );
         results.after = statsAfter;
 
         res.json({
@@ -1028,17 +2860,169 @@ app.post('/api/test/cbs', async (req, res) => {
 app.get('/api/stats/traffic-class/:port', async (req, res) => {
     try {
         const { port } = req.params;
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get',
-            `/ietf-interfaces:interfaces/interface[name='${port}']/mchp-velocitysp-port:eth-port/statistics/traffic-class`,
-            '--console'
-        ]);
+        const result = await executeDevice(
+            req.device, 'get',
+            `/ietf-interfaces:interfaces/interface[name='${port}']/mchp-velocitysp-port:eth-port/statistics/traffic-class`
+        );
         res.json(result);
     } catch (error) {
         res.status(500).json(error);
     }
 });
 
+/**
+ * 시각 파라미터: epoch ms 또는 ISO 문자열 (없으면 undefined, 읽을 수 없으면 NaN)
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+}
+
+/**
+ * API: 저장된 카운터 시계열 목록과 수집 주기 / 단계별 보관 기간
+ */
+app.get('/api/metrics', (req, res) => {
+    const board = getBoard(req.device);
+    res.json({
+        success: true,
+        device: req.device,
+        enabled: METRICS_INTERVAL > 0,
+        ...board.metrics.describe(),
+        series: board.metrics.list()
+    });
+});
+
+/**
+ * API: 카운터 시계열 조회 - 구간의 값, 증가량(delta), 초당 변화율(rate)
+ * ?series=port/1/in-octets,port/1/*-octets (* 는 경로 한 단계 안에서 일치, 또는 ?interface=1 → 해당 포트의 모든 시계열)
+ * &range=6h (기본 1h) 또는 &from=&to= (epoch ms / ISO), &points=360, &step=1m
+ */
+app.get('/api/metrics/query', (req, res) => {
+    try {
+        const board = getBoard(req.device);
+        const { interface: iface } = req.query;
+        const patterns = req.query.series
+            ? String(req.query.series).split(',').map(name => name.trim()).filter(Boolean)
+            : iface !== undefined ? [`port/${iface}/*`, `tc/${iface}/*/*`] : null;
+        if (!patterns || patterns.length === 0) {
+            return res.status(400).json({ success: false, error: 'Give series (comma separated, * within a segment) or interface' });
+        }
+
+        const to = parseTime(req.query.to) ?? Date.now();
+        const range = parseDuration(req.query.range ?? '1h');
+        const from = parseTime(req.query.from) ?? to - range;
+        const points = req.query.points !== undefined ? Number(req.query.points) : undefined;
+        const step = req.query.step !== undefined ? parseDuration(req.query.step) : undefined;
+
+        if (Number.isNaN(from) || Number.isNaN(to) || !(to > from)) {
+            return res.status(400).json({ success: false, error: 'from / to must be epoch ms or ISO times with from before to (or give range, e.g. 6h)' });
+        }
+        if ((points !== undefined && !(Number.isInteger(points) && points > 0)) || (step !== undefined && !(step > 0))) {
+            return res.status(400).json({ success: false, error: 'points must be a positive integer and step a duration such as 1m' });
+        }
+
+        const result = board.metrics.query(patterns, { from, to, points, step });
+        res.json({
+            success: true,
+            device: req.device,
+            ...result,
+            from: new Date(result.from).toISOString(),
+            to: new Date(result.to).toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// Prometheus Exporter (/metrics)
+// ============================================
+
+/**
+ * 보드 하나의 포트 / TC / CBS / TAS / 서버 통계를 Prometheus 메트릭으로 추가
+ * scrape 때 보드를 다시 읽지 않고 보드 모델에 마지막으로 읽힌 값을 사용
+ */
+function addBoardMetrics(text, board) {
+    const { device } = board;
+    const connection = getConnectionState(device);
+
+    text.gauge('tsn_device_up', 'Board answers requests (MUP1 session ready, or board data collected)')
+        .add({ device }, connection ? connection.state === 'ready' : board.latestBoardData !== null);
+    text.gauge('tsn_port_counters_timestamp_seconds', 'Time the port counters were last read from the board')
+        .add({ device }, board.lastInterfacesTime > 0 ? board.lastInterfacesTime / 1000 : null);
+
+    for (const iface of board.model.rawInterfaces()) {
+        const view = normalizeInterface(iface);
+        const labels = { device, port: view.name };
+        const speed = view.ethernet && view.ethernet.speed !== null ? parseFloat(view.ethernet.speed) * 1e9 : NaN;
+
+        text.gauge('tsn_port_up', 'Port oper-status is up').add(labels, view.operStatus === 'up');
+        text.gauge('tsn_port_enabled', 'Port is administratively enabled').add(labels, view.enabled);
+        text.gauge('tsn_port_speed_bits_per_second', 'Port link speed').add(labels, Number.isFinite(speed) ? speed : null);
+
+        const statistics = iface.statistics || {};
+        for (const counter of METRIC_PORT_COUNTERS) {
+            text.counter(`tsn_port_${counter.replace(/-/g, '_')}_total`, `Interface counter ${counter} (ietf-interfaces statistics)`)
+                .add(labels, statistics[counter] !== undefined ? Number(statistics[counter]) : null);
+        }
+
+        for (const tc of normalizeTrafficClassCounters(iface)) {
+            const tcLabels = { ...labels, tc: tc.trafficClass };
+            text.counter('tsn_tc_rx_packets_total', 'Packets received per traffic class').add(tcLabels, tc.rxPackets);
+            text.counter('tsn_tc_tx_packets_total', 'Packets transmitted per traffic class').add(tcLabels, tc.txPackets);
+        }
+
+        // idle-slope는 kbit/s
+        for (const shaper of normalizeShapers(iface).filter(entry => entry.mode === 'cbs' && entry.idleSlope !== null)) {
+            text.gauge('tsn_cbs_idle_slope_bits_per_second', 'Credit-based shaper idle slope per traffic class')
+                .add({ ...labels, tc: shaper.trafficClass }, shaper.idleSlope * 1000);
+        }
+
+        const schedule = normalizeSchedule(iface);
+        if (schedule) {
+            text.gauge('tsn_tas_gate_enabled', 'Time-aware shaper gate-enabled (802.1Qbv)').add(labels, schedule.gateEnabled);
+            text.gauge('tsn_tas_config_pending', 'A new TAS schedule waits for its base time').add(labels, schedule.configPending);
+            text.gauge('tsn_tas_oper_cycle_time_seconds', 'Cycle time of the running TAS schedule')
+                .add(labels, schedule.oper.cycleTime !== null ? schedule.oper.cycleTime / 1e9 : null);
+        }
+    }
+
+    const stats = performanceStats(board);
+    const labels = { device };
+    text.gauge('tsn_server_queue_length', 'Requests waiting to be sent to the board').add(labels, stats.queueLength);
+    text.gauge('tsn_server_in_flight', 'Requests sent to the board and not answered yet').add(labels, stats.inFlight);
+    text.gauge('tsn_server_processing', 'A board request is being executed').add(labels, stats.isProcessing);
+    text.gauge('tsn_server_cache_entries', 'Cached GET results').add(labels, stats.cacheSize);
+    text.gauge('tsn_server_recent_requests', 'Board commands in the recent command history (last 100 of all boards)').add(labels, stats.totalRequests);
+    text.gauge('tsn_server_cache_hit_ratio', 'Share of cacheable GET requests answered from the cache since the server started')
+        .add(labels, stats.cacheLookups > 0 ? stats.cacheHits / stats.cacheLookups : null);
+    text.gauge('tsn_server_execution_time_seconds', 'Average execution time of recent board commands')
+        .add(labels, stats.avgExecutionTime !== null ? stats.avgExecutionTime / 1000 : null);
+}
+
+/**
+ * Prometheus scrape 엔드포인트 (text format 0.0.4)
+ * 모든 보드의 메트릭 (?device= 를 주면 해당 보드만), 모든 값에 device 레이블
+ */
+app.get('/metrics', (req, res) => {
+    const device = req.query.device ? resolveDevice(String(req.query.device)) : null;
+    if (req.query.device && !device) {
+        return res.status(404).type('text/plain').send(`Unknown device: ${req.query.device}\n`);
+    }
+
+    try {
+        const text = new PrometheusText();
+        const targets = device ? [getBoard(device)] : [...boards.values()];
+        targets.forEach(board => addBoardMetrics(text, board));
+        res.set('Content-Type', PROMETHEUS_CONTENT_TYPE).send(text.render());
+    } catch (error) {
+        console.error('[METRICS ERROR] /metrics:', error.message);
+        res.status(500).type('text/plain').send(`${error.message}\n`);
+    }
+});
+
 /**
  * API: fetch - 여러 YANG 경로를 한 번에 조회 (효율적!)
  */
@@ -1053,20 +3037,7 @@ app.post('/api/fetch', async (req, res) => {
             });
         }
 
-        // fetch 파일 생성
-        const fetchContent = paths.map(p => `- ${p}`).join('\n');
-        const fetchFile = join(BOARD_DATA_DIR, `fetch-${Date.now()}.yaml`);
-        writeFileSync(fetchFile, fetchContent);
-
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'fetch', fetchFile,
-            '--console'
-        ]);
-
-        // 임시 파일 삭제
-        if (existsSync(fetchFile)) {
-            require('fs').unlinkSync(fetchFile);
-        }
+        const result = await executeDevice(req.device, 'fetch', paths);
 
         res.json({
             success: result.success,
@@ -1083,20 +3054,19 @@ app.post('/api/fetch', async (req, res) => {
  */
 app.get('/api/firmware', async (req, res) => {
     try {
-        // cachedStaticInfo에서 펌웨어 정보 사용
-        if (cachedStaticInfo && cachedStaticInfo.firmware) {
+        // 보드별 정적 정보 캐시에서 펌웨어 정보 사용
+        const board = getBoard(req.device);
+        const { staticInfo } = board;
+        if (staticInfo.firmware) {
             return res.json({
-                ...cachedStaticInfo.firmware,
+                ...staticInfo.firmware,
                 cached: true,
-                source: 'cachedStaticInfo'
+                source: 'staticInfo'
             });
         }
 
-        // Fallback: 캐시가 없으면 직접 조회
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'firmware', 'version',
-            '--console'
-        ]);
+        // Fallback: 캐시가 없으면 직접 조회 (성공하면 캐시)
+        const result = await readStaticInfo(board, 'firmware', 'firmwareVersion');
 
         res.json({
             success: result.success,
@@ -1114,20 +3084,19 @@ app.get('/api/firmware', async (req, res) => {
  */
 app.get('/api/device-type', async (req, res) => {
     try {
-        // cachedStaticInfo에서 장치 타입 정보 사용
-        if (cachedStaticInfo && cachedStaticInfo.deviceType) {
+        // 보드별 정적 정보 캐시에서 장치 타입 정보 사용
+        const board = getBoard(req.device);
+        const { staticInfo } = board;
+        if (staticInfo.deviceType) {
             return res.json({
-                ...cachedStaticInfo.deviceType,
+                ...staticInfo.deviceType,
                 cached: true,
-                source: 'cachedStaticInfo'
+                source: 'staticInfo'
             });
         }
 
-        // Fallback: 캐시가 없으면 직접 조회
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'type',
-            '--console'
-        ]);
+        // Fallback: 캐시가 없으면 직접 조회 (성공하면 캐시)
+        const result = await readStaticInfo(board, 'deviceType', 'deviceType');
 
         res.json({
             success: result.success,
@@ -1154,13 +3123,7 @@ app.post('/api/call', async (req, res) => {
             });
         }
 
-        const args = ['device', DEFAULT_DEVICE, 'call', path];
-        if (value) {
-            args.push(value);
-        }
-        args.push('--console');
-
-        const result = await executeMvdct(args);
+        const result = await executeDevice(req.device, 'call', path, value);
 
         res.json({
             success: result.success,
@@ -1177,10 +3140,7 @@ app.post('/api/call', async (req, res) => {
  */
 app.get('/api/yang/id', async (req, res) => {
     try {
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'yang', 'id',
-            '--console'
-        ]);
+        const result = await executeDevice(req.device, 'yangId');
 
         res.json({
             success: result.success,
@@ -1203,36 +3163,326 @@ app.get('/', (req, res) => {
 // Periodic Board Info Polling & Storage
 // ============================================
 
-const BOARD_DATA_DIR = join(__dirname, 'board-data');
+// 보드마다 아래 주기로 수집 (결과와 스냅샷은 보드별 상태와 board-data/<보드 ID>/ 에 저장)
 const POLLING_INTERVAL = 15000; // 15초마다 폴링
 const FULL_YANG_INTERVAL = 30000; // 30초마다 전체 YANG 수집
 const SNAPSHOT_INTERVAL = 60000; // 60초마다 스냅샷 저장 (파일 저장 최적화)
-let latestBoardData = null;
-let latestFullYang = null;
-let lastSnapshotTime = 0;
-
-// 정적 정보 캐시 (시작 시 한 번만 조회)
-let cachedStaticInfo = {
-    firmware: null,
-    deviceType: null
-};
+const STATS_INTERVAL = 3000; // 3초마다 인터페이스 카운터 수집 (푸시 구독자가 있을 때만)
+const PTP_INTERVAL = 5000; // 5초마다 PTP 동기 상태 수집 (푸시 구독자가 있을 때만, 없으면 폴링 주기)
+const PTP_HISTORY_SIZE = 1440; // 보드별 PTP 샘플 보관 개수 (5초 간격 2시간)
 
-// 저장 디렉토리 생성
-if (!existsSync(BOARD_DATA_DIR)) {
-    mkdirSync(BOARD_DATA_DIR, { recursive: true });
+/**
+ * 트래픽 클래스별 패킷 카운터 (mchp-velocitysp-port)
+ */
+function trafficClassCounters(iface) {
+    return normalizeTrafficClassCounters(iface).map(({ trafficClass, rxPackets, txPackets }) => ({ tc: trafficClass, rxPackets, txPackets }));
+}
+
+/**
+ * 이전 수집 결과와 비교하여 링크 변화(link)와 카운터 증가량(counters) 푸시
+ * @returns {boolean} - 링크 상태가 바뀐 포트가 있는지
+ */
+function publishInterfaceChanges(board, previous, current, interval) {
+    if (!previous || previous.length === 0 || !current) {
+        return false;
+    }
+
+    const before = new Map(previous.map(iface => [iface.name, iface]));
+    const timestamp = new Date().toISOString();
+    const interfaces = [];
+    let linkChanged = false;
+
+    for (const iface of current) {
+        const old = before.get(iface.name);
+        if (!old) {
+            continue;
+        }
+
+        if (old['oper-status'] !== iface['oper-status']) {
+            console.log(`[LINK] ${board.device} interface ${iface.name}: ${old['oper-status']} → ${iface['oper-status']}`);
+            linkChanged = true;
+            pushChannel.publish('link', {
+                device: board.device,
+                name: iface.name,
+                previous: old['oper-status'],
+                operStatus: iface['oper-status'],
+                timestamp
+            });
+        }
+
+        // 카운터 증가량 (카운터 리셋 시 0)
+        const delta = {};
+        for (const [counter, value] of Object.entries(iface.statistics || {})) {
+            const oldValue = Number((old.statistics || {})[counter]);
+            if (!Number.isNaN(Number(value)) && !Number.isNaN(oldValue)) {
+                delta[counter] = Math.max(0, Number(value) - oldValue);
+            }
+        }
+
+        const oldClasses = new Map(trafficClassCounters(old).map(tc => [tc.tc, tc]));
+        const trafficClass = trafficClassCounters(iface).map(tc => {
+            const oldTc = oldClasses.get(tc.tc) || tc;
+            return {
+                ...tc,
+                rxDelta: Math.max(0, tc.rxPackets - oldTc.rxPackets),
+                txDelta: Math.max(0, tc.txPackets - oldTc.txPackets)
+            };
+        });
+
+        interfaces.push({ name: iface.name, operStatus: iface['oper-status'], delta, trafficClass });
+    }
+
+    pushChannel.publish('counters', { device: board.device, timestamp, interval, interfaces });
+    return linkChanged;
+}
+
+/**
+ * 인터페이스를 새로 읽어 모델에 반영하고 링크 변화 / 카운터 증가량 푸시
+ * @returns {number|null} - 카운터를 읽은 시각 (ms, 캐시된 응답이면 캐시된 시각), 읽지 못하면 null
+ */
+async function refreshInterfaces(board) {
+    const result = await executeDevice(board.device, 'get', INTERFACES_PATH);
+    if (!result.success) {
+        return null;
+    }
+    if (result.cached) {
+        // 같은 응답을 읽은 다른 요청이 이미 모델에 반영함
+        return Date.now() - (result.cacheAge || 0);
+    }
+
+    const previous = board.model.rawInterfaces();
+    if (!board.model.update(result)) {
+        return null;
+    }
+    const now = Date.now();
+    const linkChanged = publishInterfaceChanges(board, previous, board.model.rawInterfaces(), now - board.lastInterfacesTime);
+    if (board.latestBoardData) {
+        board.latestBoardData = { ...board.latestBoardData, interfaces: result, model: board.model.summary() };
+        // 링크 변화는 다음 폴링을 기다리지 않고 Interfaces 탭에 바로 반영
+        if (linkChanged) {
+            pushChannel.publish('board', board.latestBoardData, { retain: true, key: board.device });
+        }
+    }
+    board.lastInterfacesTime = now;
+    return now;
+}
+
+/**
+ * 인터페이스 카운터만 빠르게 수집 (푸시 구독자가 있을 때만, 이전 수집이 끝나지 않았으면 생략)
+ */
+async function collectInterfaceStats(board) {
+    if (board.isCollectingStats || !board.latestBoardData || !pushChannel.hasSubscribers('counters', 'link')) {
+        return;
+    }
+
+    board.isCollectingStats = true;
+    try {
+        await refreshInterfaces(board);
+    } catch (error) {
+        console.error(`[STATS ERROR] ${board.device}:`, error.message);
+    } finally {
+        board.isCollectingStats = false;
+    }
+}
+
+/**
+ * 시계열로 저장하는 포트 카운터 (ietf-interfaces statistics)
+ * TC 카운터는 보드가 패킷 수만 제공 (mchp-velocitysp-port rx-packets / tx-packets)
+ */
+const METRIC_PORT_COUNTERS = [
+    'in-octets', 'out-octets',
+    'in-unicast-pkts', 'in-multicast-pkts', 'in-broadcast-pkts',
+    'out-unicast-pkts', 'out-multicast-pkts', 'out-broadcast-pkts',
+    'in-discards', 'out-discards', 'in-errors', 'out-errors'
+];
+
+/**
+ * 모델의 인터페이스 카운터 → { 'port/<이름>/<카운터>': 값, 'tc/<이름>/<TC>/rx-packets': 값 }
+ */
+function metricSamples(board) {
+    const values = {};
+    for (const iface of board.model.rawInterfaces()) {
+        const statistics = iface.statistics || {};
+        for (const counter of METRIC_PORT_COUNTERS) {
+            if (statistics[counter] !== undefined) {
+                values[`port/${iface.name}/${counter}`] = Number(statistics[counter]);
+            }
+        }
+        for (const tc of normalizeTrafficClassCounters(iface)) {
+            values[`tc/${iface.name}/${tc.trafficClass}/rx-packets`] = tc.rxPackets;
+            values[`tc/${iface.name}/${tc.trafficClass}/tx-packets`] = tc.txPackets;
+        }
+    }
+    return values;
+}
+
+/**
+ * 카운터 시계열 수집 (METRICS_INTERVAL마다, 구독자와 무관, 이전 수집이 끝나지 않았으면 생략)
+ */
+async function collectMetrics(board) {
+    if (board.isCollectingMetrics || !board.latestBoardData) {
+        return;
+    }
+
+    board.isCollectingMetrics = true;
+    try {
+        const timestamp = await refreshInterfaces(board);
+        if (timestamp !== null) {
+            board.metrics.record(timestamp, metricSamples(board));
+        }
+    } catch (error) {
+        console.error(`[METRICS ERROR] ${board.device}:`, error.message);
+    } finally {
+        board.isCollectingMetrics = false;
+    }
+}
+
+/**
+ * PTP 샘플 기록 - 인스턴스별 servo offset (offset-from-master), 포트별 상태와 mean link delay
+ * slave 포트가 사라지면 (동기 상실) 로그를 남김
+ */
+function recordPTPSample(board, timestamp) {
+    const sample = {
+        timestamp: new Date(timestamp).toISOString(),
+        instances: board.model.ptp().map(instance => ({
+            index: instance.index,
+            enabled: instance.enabled,
+            offset: instance.servos.length > 0 ? instance.servos[0].offset : null,
+            servoState: instance.servos.length > 0 ? instance.servos[0].state : null,
+            slavePort: instance.ports.find(port => port.state === 'slave')?.index ?? null,
+            ports: instance.ports.map(port => ({ index: port.index, state: port.state, meanLinkDelay: port.meanLinkDelay }))
+        }))
+    };
+    if (sample.instances.length === 0) {
+        return;
+    }
+
+    const previous = board.ptpHistory[board.ptpHistory.length - 1];
+    for (const instance of sample.instances) {
+        const before = previous?.instances.find(i => i.index === instance.index);
+        if (before && before.slavePort !== null && instance.slavePort === null) {
+            console.warn(`[PTP] ${board.device}: instance ${instance.index} lost sync (port ${before.slavePort} no longer slave)`);
+        } else if (before && before.slavePort === null && instance.slavePort !== null) {
+            console.log(`[PTP] ${board.device}: instance ${instance.index} synchronizing on port ${instance.slavePort}`);
+        }
+    }
+
+    board.ptpHistory.push(sample);
+    if (board.ptpHistory.length > PTP_HISTORY_SIZE) {
+        board.ptpHistory.splice(0, board.ptpHistory.length - PTP_HISTORY_SIZE);
+    }
+    if (METRICS_INTERVAL > 0) {
+        board.ptpMetrics.record(timestamp, ptpSeries(sample));
+    }
+    pushChannel.publish('ptp', { device: board.device, ...sample });
+}
+
+// IEEE 1588 port-state 열거형 순서 (값 1..9) - 시계열에는 숫자로 저장
+const PTP_PORT_STATES = ['initializing', 'faulty', 'disabled', 'listening', 'pre-master', 'master', 'passive', 'uncalibrated', 'slave'];
+
+/**
+ * PTP 샘플 → 시계열 값 ('<인스턴스>/offset', '<인스턴스>/port/<포트>/mean-link-delay' 등)
+ * slave 포트가 없으면 slave-port는 -1, 값이 없는 항목 (null)은 기록하지 않음
+ */
+function ptpSeries(sample) {
+    const values = {};
+    for (const instance of sample.instances) {
+        const prefix = String(instance.index);
+        values[`${prefix}/enabled`] = instance.enabled ? 1 : 0;
+        values[`${prefix}/offset`] = instance.offset;
+        values[`${prefix}/servo-state`] = instance.servoState;
+        values[`${prefix}/slave-port`] = instance.slavePort ?? -1;
+        for (const port of instance.ports) {
+            values[`${prefix}/port/${port.index}/state`] = PTP_PORT_STATES.indexOf(port.state) + 1 || null;
+            values[`${prefix}/port/${port.index}/mean-link-delay`] = port.meanLinkDelay;
+        }
+    }
+    return values;
+}
+
+/**
+ * 저장된 시계열에서 최근 PTP_HISTORY_SIZE개 샘플 복원 (서버 재시작 후에도 차트 유지)
+ * 한 샘플의 값은 모두 같은 시각으로 기록되므로 시각별로 모아 샘플을 다시 만듦
+ */
+function restorePTPHistory(store) {
+    const samples = new Map(); // timestamp → { [인스턴스]: { values, ports } }
+    try {
+        for (const name of store.list()) {
+            const [instance, ...rest] = name.split('/');
+            for (const [t, value] of store.readTier(name, 0).slice(-PTP_HISTORY_SIZE)) {
+                if (!samples.has(t)) {
+                    samples.set(t, new Map());
+                }
+                const instances = samples.get(t);
+                if (!instances.has(instance)) {
+                    instances.set(instance, { values: {}, ports: new Map() });
+                }
+                const entry = instances.get(instance);
+                if (rest[0] === 'port') {
+                    const port = entry.ports.get(rest[1]) || {};
+                    port[rest[2]] = value;
+                    entry.ports.set(rest[1], port);
+                } else {
+                    entry.values[rest[0]] = value;
+                }
+            }
+        }
+    } catch (error) {
+        console.error(`[PTP] ${store.device}: could not read the stored history:`, error.message);
+        return [];
+    }
+
+    return [...samples.keys()].sort((a, b) => a - b).slice(-PTP_HISTORY_SIZE).map(t => ({
+        timestamp: new Date(t).toISOString(),
+        instances: [...samples.get(t)].map(([index, { values, ports }]) => ({
+            index: Number(index),
+            enabled: values.enabled === 1,
+            offset: values.offset ?? null,
+            servoState: values['servo-state'] ?? null,
+            slavePort: values['slave-port'] === undefined || values['slave-port'] < 0 ? null : values['slave-port'],
+            ports: [...ports].map(([portIndex, port]) => ({
+                index: Number(portIndex),
+                state: PTP_PORT_STATES[port.state - 1] ?? null,
+                meanLinkDelay: port['mean-link-delay'] ?? null
+            })).sort((a, b) => a.index - b.index)
+        })).sort((a, b) => a.index - b.index)
+    }));
+}
+
+/**
+ * PTP 상태 수집 (기본 폴링과 별개로 구독자가 있을 때 더 촘촘히, 이전 수집이 끝나지 않았으면 생략)
+ */
+async function collectPTP(board, { force = false } = {}) {
+    if (board.isCollectingPTP || (!force && !pushChannel.hasSubscribers('ptp'))) {
+        return;
+    }
+
+    board.isCollectingPTP = true;
+    try {
+        const result = await executeDevice(board.device, 'get', PTP_PATH);
+        if (!result.cached && board.model.update(result)) {
+            recordPTPSample(board, Date.now());
+        }
+    } catch (error) {
+        console.error(`[PTP ERROR] ${board.device}:`, error.message);
+    } finally {
+        board.isCollectingPTP = false;
+    }
 }
 
 /**
  * 보드 정보 수집 - mvdct get 명령으로 개별 조회
  */
-async function collectBoardInfo() {
+async function collectBoardInfo(board) {
+    const device = board.device;
     try {
         const data = {
+            device,
             timestamp: new Date().toISOString(),
             system: null,
             interfaces: null,
-            interfacesArray: [],  // 파싱된 인터페이스 배열 추가
             bridge: null,
+            model: null,  // 정규화된 데이터 (platform, interfaces, bridges)
             firmware: null,
             deviceType: null,
             error: null
@@ -1240,81 +3490,74 @@ async function collectBoardInfo() {
 
         // mvdct get 명령으로 개별 조회 (fetch 대신)
         try {
-            const systemResult = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'get',
-                '/ietf-system:system-state/platform',
-                '--console'
-            ]);
+            const systemResult = await executeDevice(device, 'get', PLATFORM_PATH);
             data.system = systemResult;
+            board.model.update(systemResult);
         } catch (e) {
             data.error = { system: e.message };
         }
 
+        // 이전 인터페이스 (링크/카운터 변화 비교용)
+        const previousInterfaces = board.model.rawInterfaces();
+        let interfacesUpdated = false;
+
         try {
-            const interfacesResult = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'get',
-                '/ietf-interfaces:interfaces',
-                '--console'
-            ]);
+            const interfacesResult = await executeDevice(device, 'get', INTERFACES_PATH);
             data.interfaces = interfacesResult;
-
-            // YANG 파싱하여 인터페이스 배열 추출 (GlobalDataService 확장)
-            if (interfacesResult.success && interfacesResult.stdout) {
-                try {
-                    const yamlMatch = interfacesResult.stdout.match(/- \/ietf-interfaces:interfaces:\n([\s\S]+)/);
-                    if (yamlMatch) {
-                        const yamlContent = 'ietf-interfaces:interfaces:\n' + yamlMatch[1];
-                        const parsed = yaml.load(yamlContent);
-                        if (parsed && parsed['ietf-interfaces:interfaces'] && parsed['ietf-interfaces:interfaces'].interface) {
-                            data.interfacesArray = parsed['ietf-interfaces:interfaces'].interface;
-                            console.log(`[CACHE] Parsed ${data.interfacesArray.length} interfaces into GlobalDataService`);
-                        }
-                    }
-                } catch (parseError) {
-                    console.error('[CACHE] YAML parsing error:', parseError.message);
-                    data.error = { ...data.error, interfacesParsing: parseError.message };
-                }
+            interfacesUpdated = board.model.update(interfacesResult);
+            if (!interfacesUpdated && interfacesResult.success) {
+                data.error = { ...data.error, interfacesParsing: 'No datastore entries in interfaces result' };
             }
         } catch (e) {
             data.error = { ...data.error, interfaces: e.message };
         }
 
         try {
-            const bridgeResult = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'get',
-                '/ieee802-dot1q-bridge:bridges',
-                '--console'
-            ]);
+            const bridgeResult = await executeDevice(device, 'get', BRIDGES_PATH);
             data.bridge = bridgeResult;
+            board.model.update(bridgeResult);
         } catch (e) {
             data.error = { ...data.error, bridge: e.message };
         }
 
-        // 캐시된 정적 정보 사용 (매번 조회하지 않음)
-        data.firmware = cachedStaticInfo.firmware;
-        data.deviceType = cachedStaticInfo.deviceType;
+        // PTP 동기 상태는 구독자가 없어도 폴링마다 시계열에 기록
+        await collectPTP(board, { force: true });
 
-        latestBoardData = data;
+        // 캐시된 정적 정보 사용 (시작 시 못 읽은 항목만 다시 조회)
+        await collectStaticInfo(board);
+        data.firmware = board.staticInfo.firmware;
+        data.deviceType = board.staticInfo.deviceType;
 
-        // 파일 저장 최적화: 60초에 1번만 저장 (메모리 캐시는 15초마다 갱신)
+        data.model = board.model.summary();
+
+        // 이전 수집 결과와 비교하여 링크/카운터 변화 푸시
         const now = Date.now();
-        if (now - lastSnapshotTime >= SNAPSHOT_INTERVAL) {
+        if (interfacesUpdated && !data.interfaces.cached) {
+            publishInterfaceChanges(board, previousInterfaces, board.model.rawInterfaces(), now - board.lastInterfacesTime);
+            board.lastInterfacesTime = now;
+        }
+
+        board.latestBoardData = data;
+        pushChannel.publish('board', data, { retain: true, key: device });
+
+        // 파일 저장 최적화: 60초에 1번만 저장 (메모리 캐시는 15초마다 갱신)
+        if (now - board.lastSnapshotTime >= SNAPSHOT_INTERVAL) {
             const filename = `board-snapshot-${now}.json`;
-            const filepath = join(BOARD_DATA_DIR, filename);
+            const filepath = join(board.dataDir, filename);
             writeFileSync(filepath, JSON.stringify(data, null, 2));
-            lastSnapshotTime = now;
+            board.lastSnapshotTime = now;
 
             // 오래된 파일 정리 (최근 50개만 유지 - 50분치)
-            const files = readdirSync(BOARD_DATA_DIR)
+            const files = readdirSync(board.dataDir)
                 .filter(f => f.startsWith('board-snapshot-'))
                 .sort()
                 .reverse();
 
             files.slice(50).forEach(f => {
                 try {
-                    const oldFile = join(BOARD_DATA_DIR, f);
+                    const oldFile = join(board.dataDir, f);
                     if (existsSync(oldFile)) {
-                        require('fs').unlinkSync(oldFile);
+                        unlinkSync(oldFile);
                     }
                 } catch (err) {
                     // 삭제 실패는 무시
@@ -1324,64 +3567,67 @@ async function collectBoardInfo() {
 
         return data;
     } catch (error) {
-        console.error('[POLLING ERROR]', error.message);
+        console.error(`[POLLING ERROR] ${device}:`, error.message);
         return null;
     }
 }
 
 /**
- * 정적 정보 수집 (시작 시 한 번만 실행)
+ * 정적 정보 한 항목 조회 - 성공한 결과만 캐시
+ * (보드가 아직 응답하지 않아 실패하면 다음 폴링이나 API 요청에서 다시 조회)
  */
-async function collectStaticInfo() {
-    try {
-        console.log('[STATIC INFO] Collecting firmware and device type...');
+async function readStaticInfo(board, key, operation) {
+    if (board.staticInfo[key]) {
+        return board.staticInfo[key];
+    }
+    const result = await executeDevice(board.device, operation);
+    if (result.success) {
+        board.staticInfo[key] = result;
+    }
+    return result;
+}
 
-        // 펌웨어 정보
-        try {
-            const firmwareResult = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'firmware', 'version',
-                '--console'
-            ]);
-            cachedStaticInfo.firmware = firmwareResult;
-            console.log('[STATIC INFO] Firmware collected');
-        } catch (err) {
-            console.error('[STATIC INFO] Failed to get firmware:', err.message);
-        }
+/**
+ * 정적 정보 수집 (시작 시, 이후 아직 못 읽은 항목만 폴링마다 다시 시도)
+ */
+async function collectStaticInfo(board) {
+    const device = board.device;
+    const items = [['firmware', 'firmwareVersion'], ['deviceType', 'deviceType']];
+    if (items.every(([key]) => board.staticInfo[key])) {
+        return board.staticInfo;
+    }
 
-        // 장치 타입
+    console.log(`[STATIC INFO] ${device}: collecting firmware and device type...`);
+    for (const [key, operation] of items) {
         try {
-            const typeResult = await executeMvdct([
-                'device', DEFAULT_DEVICE, 'type',
-                '--console'
-            ]);
-            cachedStaticInfo.deviceType = typeResult;
-            console.log('[STATIC INFO] Device type collected');
+            const result = await readStaticInfo(board, key, operation);
+            if (result.success) {
+                console.log(`[STATIC INFO] ${device}: ${key} collected`);
+            } else {
+                console.error(`[STATIC INFO] ${device}: failed to get ${key}:`, result.stderr || result.error);
+            }
         } catch (err) {
-            console.error('[STATIC INFO] Failed to get device type:', err.message);
+            console.error(`[STATIC INFO] ${device}: failed to get ${key}:`, err.message);
         }
-
-        return cachedStaticInfo;
-    } catch (error) {
-        console.error('[STATIC INFO ERROR]', error.message);
-        return null;
     }
+    return board.staticInfo;
 }
 
 /**
  * 전체 YANG 트리 수집 - 순수 YANG 데이터만 추출
  */
-async function collectFullYang() {
+async function collectFullYang(board) {
+    const device = board.device;
     try {
-        console.log('[FULL YANG] Collecting complete YANG tree...');
+        console.log(`[FULL YANG] ${device}: collecting complete YANG tree...`);
 
         // JSON 로그 파일 경로
-        const logFile = join(BOARD_DATA_DIR, 'full-yang.log.json');
+        const logFile = join(board.dataDir, 'full-yang.log.json');
 
-        // mvdct로 전체 YANG 가져오기 (-lf 옵션으로 로그 저장)
-        const result = await executeMvdct([
-            'device', DEFAULT_DEVICE, 'get', '/',
-            '--console', '-lf', logFile
-        ]);
+        // 전체 YANG 가져오기 (mvdct는 -lf 옵션으로 로그 저장)
+        const result = await executeDevice(device, 'get', '/', { logFile });
+
+        board.model.update(result);
 
         if (result.success && result.stdout) {
             // 로그와 YANG 데이터 분리: "YAML:" 이후가 순수 YANG 데이터
@@ -1394,7 +3640,8 @@ async function collectFullYang() {
                 yangData = yangData.substring(yamlIndex + yamlMarker.length);
             }
 
-            latestFullYang = {
+            board.latestFullYang = {
+                device,
                 timestamp: new Date().toISOString(),
                 yangTree: {
                     success: true,
@@ -1403,26 +3650,111 @@ async function collectFullYang() {
                 }
             };
 
+            pushChannel.publish('full-yang', board.latestFullYang, { retain: true, key: device });
+
             // 파싱된 데이터 저장
-            const filepath = join(BOARD_DATA_DIR, 'full-yang-tree.json');
-            writeFileSync(filepath, JSON.stringify(latestFullYang, null, 2));
+            const filepath = join(board.dataDir, 'full-yang-tree.json');
+            writeFileSync(filepath, JSON.stringify(board.latestFullYang, null, 2));
 
-            console.log(`[FULL YANG] Complete YANG tree collected (${yangData.length} bytes, pure YANG)`);
-            return latestFullYang;
+            console.log(`[FULL YANG] ${device}: complete YANG tree collected (${yangData.length} bytes, pure YANG)`);
+            return board.latestFullYang;
         } else {
-            console.error('[FULL YANG ERROR]', result.stderr || 'Failed to collect');
+            console.error(`[FULL YANG ERROR] ${device}:`, result.stderr || 'Failed to collect');
             return null;
         }
     } catch (error) {
-        console.error('[FULL YANG ERROR]', error.message);
+        console.error(`[FULL YANG ERROR] ${device}:`, error.message);
         return null;
     }
 }
 
+/**
+ * 보드별 수집 시작 (정적 정보 → 기본 데이터 폴링 → 카운터 → 전체 YANG)
+ */
+function startBoardPolling(board) {
+    if (board.timers.length > 0) {
+        return;
+    }
+    const device = board.device;
+    console.log(`[POLLING] ${device}: starting periodic board info collection...`);
+
+    // 보관 기간이 지난 시계열 파일 (사라진 포트) 정리
+    const pruned = board.metrics.prune() + board.ptpMetrics.prune();
+    if (pruned > 0) {
+        console.log(`[METRICS] ${device}: removed ${pruned} expired series`);
+    }
+
+    // 1. 정적 정보 수집 (실패한 항목은 폴링 때 다시 시도)
+    collectStaticInfo(board).then((info) => {
+        if (info.firmware && info.deviceType) {
+            console.log(`[STATIC INFO] ${device}: static information cached`);
+        }
+    });
+
+    board.timers.push(
+        // 2. 즉시 첫 데이터 수집 (정적 정보 수집 후 약간의 딜레이) 후 주기적 폴링 (15초)
+        setTimeout(() => {
+            collectBoardInfo(board).then(() => {
+                console.log(`[POLLING] ${device}: initial data collected`);
+            });
+        }, 2000),
+        setInterval(async () => {
+            await collectBoardInfo(board);
+            console.log(`[POLLING] ${device}: data collected at ${new Date().toLocaleTimeString()}`);
+        }, POLLING_INTERVAL),
+
+        // 인터페이스 카운터 수집 (푸시 구독자가 있을 때만 실제 조회)
+        setInterval(() => collectInterfaceStats(board), STATS_INTERVAL),
+
+        // PTP 동기 상태 수집 (푸시 구독자가 있을 때만, 없으면 기본 폴링에서)
+        setInterval(() => collectPTP(board), PTP_INTERVAL),
+
+        // 포트 / TC 카운터 시계열 저장
+        ...(METRICS_INTERVAL > 0 ? [setInterval(() => collectMetrics(board), METRICS_INTERVAL)] : []),
+
+        // 3. 전체 YANG 트리 수집 (정적 정보 수집 후 시작, 이후 30초마다)
+        setTimeout(() => {
+            collectFullYang(board).then(() => {
+                console.log(`[FULL YANG] ${device}: initial full YANG tree collected`);
+            });
+        }, 5000),
+        setInterval(async () => {
+            await collectFullYang(board);
+            console.log(`[FULL YANG] ${device}: full YANG tree collected at ${new Date().toLocaleTimeString()}`);
+        }, FULL_YANG_INTERVAL)
+    );
+}
+
+/**
+ * 보드별 수집 중지 (수집된 데이터와 스냅샷은 유지)
+ */
+function stopBoardPolling(board) {
+    board.timers.forEach(timer => clearTimeout(timer));
+    board.timers = [];
+    console.log(`[POLLING] ${board.device}: stopped`);
+}
+
+/**
+ * 감지된 보드에 맞춰 수집 시작/중지 (기본 디바이스는 항상 수집)
+ */
+function syncBoards() {
+    const devices = new Set([DEFAULT_DEVICE, ...connectedDevices]);
+
+    for (const device of devices) {
+        startBoardPolling(getBoard(device));
+    }
+    for (const board of boards.values()) {
+        if (!devices.has(board.device) && board.timers.length > 0) {
+            stopBoardPolling(board);
+        }
+    }
+}
+
 /**
  * API: 최신 보드 데이터 조회
  */
 app.get('/api/board/latest', (req, res) => {
+    const { latestBoardData } = getBoard(req.device);
     if (latestBoardData) {
         res.json(latestBoardData);
     } else {
@@ -1435,13 +3767,13 @@ app.get('/api/board/latest', (req, res) => {
  */
 app.get('/api/board/snapshots', (req, res) => {
     try {
-        const files = readdirSync(BOARD_DATA_DIR)
+        const files = readdirSync(getBoard(req.device).dataDir)
             .filter(f => f.startsWith('board-snapshot-'))
             .sort()
             .reverse()
             .slice(0, 50); // 최근 50개
 
-        res.json({ files, count: files.length });
+        res.json({ device: req.device, files, count: files.length });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -1452,7 +3784,7 @@ app.get('/api/board/snapshots', (req, res) => {
  */
 app.get('/api/board/snapshot/:filename', (req, res) => {
     try {
-        const filepath = join(BOARD_DATA_DIR, req.params.filename);
+        const filepath = join(getBoard(req.device).dataDir, req.params.filename);
         if (existsSync(filepath)) {
             const data = JSON.parse(readFileSync(filepath, 'utf8'));
             res.json(data);
@@ -1468,6 +3800,7 @@ app.get('/api/board/snapshot/:filename', (req, res) => {
  * API: 전체 YANG 트리 조회
  */
 app.get('/api/yang/full', (req, res) => {
+    const { latestFullYang } = getBoard(req.device);
     if (latestFullYang) {
         res.json(latestFullYang);
     } else {
@@ -1475,56 +3808,40 @@ app.get('/api/yang/full', (req, res) => {
     }
 });
 
-// 서버 시작
-app.listen(PORT, '0.0.0.0', () => {
-    console.log('╔══════════════════════════════════════════════════════╗');
-    console.log('║  LAN966x VelocityDRIVE Web Control Server           ║');
-    console.log('║  Supports: LAN9662, LAN9668, LAN9692                ║');
-    console.log('╚══════════════════════════════════════════════════════╝');
-    console.log('');
-    console.log(`📡 Device: ${DEFAULT_DEVICE}`);
-    console.log(`🔧 mvdct: ${MVDCT_PATH}`);
-    console.log(`🌐 Server: http://localhost:${PORT}`);
-    console.log(`🌐 Network: http://<your-ip>:${PORT}`);
-    console.log(`📊 Polling: Every ${POLLING_INTERVAL/1000}s (basic data)`);
-    console.log(`📊 Full YANG: Every ${FULL_YANG_INTERVAL/1000}s`);
-    console.log(`💾 Storage: ${BOARD_DATA_DIR}`);
-    console.log('');
-    console.log('Press Ctrl+C to stop the server');
-    console.log('─────────────────────────────────────────────────────');
-
-    // 1. 정적 정보 수집 (한 번만 실행)
-    collectStaticInfo().then(() => {
-        console.log('[STATIC INFO] Static information cached');
+/**
+ * 서버 시작 - 감지된 모든 보드의 수집도 함께 시작
+ */
+function startServer() {
+    return app.listen(PORT, '0.0.0.0', () => {
+        console.log('╔══════════════════════════════════════════════════════╗');
+        console.log('║  LAN966x VelocityDRIVE Web Control Server           ║');
+        console.log('║  Supports: LAN9662, LAN9668, LAN9692                ║');
+        console.log('╚══════════════════════════════════════════════════════╝');
+        console.log('');
+        console.log(`📡 Device: ${DEFAULT_DEVICE}${connectedDevices.length > 1 ? ` (+${connectedDevices.length - 1} more boards)` : ''}`);
+        console.log(`🔌 Transport: ${DEFAULT_TRANSPORT}`);
+        console.log(`🔧 mvdct: ${MVDCT_PATH}`);
+        console.log(`🔢 CORECONF: ${sidRegistry ? `SID (${sidRegistry.size} SIDs)` : 'YANG names'}`);
+        console.log(`🌐 Server: http://localhost:${PORT}`);
+        console.log(`🌐 Network: http://<your-ip>:${PORT}`);
+        console.log(`📊 Polling: Every ${POLLING_INTERVAL/1000}s (basic data)`);
+        console.log(`📊 Full YANG: Every ${FULL_YANG_INTERVAL/1000}s`);
+        console.log(`🔔 Push: /api/events (counters every ${STATS_INTERVAL/1000}s, PTP every ${PTP_INTERVAL/1000}s while subscribed)`);
+        console.log(`💾 Storage: ${BOARD_DATA_DIR}/<board>/`);
+        console.log(`📈 Metrics: ${METRICS_INTERVAL > 0 ? `port / TC counters every ${METRICS_INTERVAL/1000}s, kept ${METRICS_RETENTION.join(' / ')} (raw / 1m / 1h)` : 'disabled (METRICS_INTERVAL=0)'}`);
+        console.log(`📡 Prometheus: http://localhost:${PORT}/metrics`);
+        console.log('');
+        console.log('Press Ctrl+C to stop the server');
+        console.log('─────────────────────────────────────────────────────');
+
+        // 감지된 모든 보드의 수집 시작 (보드마다 큐, 캐시, 폴링이 독립적으로 동작)
+        syncBoards();
     });
+}
 
-    // 2. 주기적 폴링 시작
-    console.log('[POLLING] Starting periodic board info collection...');
+// 직접 실행할 때만 시작 (web-server-mup1cc.js와 테스트는 가져가서 사용)
+if (import.meta.url === `file://${process.argv[1]}`) {
+    startServer();
+}
 
-    // 즉시 첫 데이터 수집 (정적 정보 수집 후 약간의 딜레이)
-    setTimeout(() => {
-        collectBoardInfo().then(() => {
-            console.log('[POLLING] Initial data collected');
-        });
-    }, 2000);
-
-    // 주기적 폴링 설정 (15초)
-    setInterval(async () => {
-        await collectBoardInfo();
-        console.log(`[POLLING] Data collected at ${new Date().toLocaleTimeString()}`);
-    }, POLLING_INTERVAL);
-
-    // 3. 전체 YANG 트리 수집 시작 (정적 정보 수집 후 시작)
-    setTimeout(() => {
-        console.log('[FULL YANG] Starting full YANG tree collection...');
-        collectFullYang().then(() => {
-            console.log('[FULL YANG] Initial full YANG tree collected');
-        });
-    }, 5000);
-
-    // 주기적 전체 YANG 수집 설정 (30초)
-    setInterval(async () => {
-        await collectFullYang();
-        console.log(`[FULL YANG] Full YANG tree collected at ${new Date().toLocaleTimeString()}`);
-    }, FULL_YANG_INTERVAL);
-});
\ No newline at end of file
+export { app, startServer, deviceTransports, getBoard };
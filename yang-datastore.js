@@ -0,0 +1,419 @@
+/**
+ * In-memory YANG Datastore
+ * Holds configuration/state as RFC 7951 style JSON and resolves instance-identifiers
+ * e.g. /ietf-interfaces:interfaces/interface[name='1']/mchp-velocitysp-port:eth-qos
+ */
+
+/**
+ * Known list keys (by local list name) for lists whose key is not given in a path predicate
+ */
+export const DEFAULT_LIST_KEYS = {
+    'interface': ['name'],
+    'bridge': ['name'],
+    'component': ['name'],
+    'traffic-class-shapers': ['traffic-class'],
+    'traffic-class': ['traffic-class'],
+    'gate-control-entry': ['index'],
+    'pcp-decoding-map': ['pcp'],
+    'pcp-encoding-map': ['pcp'],
+    'priority-map': ['priority-code-point'],
+    'traffic-class-map': ['priority-code-point'],
+    'vlan-registration-entry': ['database-id', 'vids'],
+    'filtering-entry': ['database-id', 'vids', 'address'],
+    'max-sdu-table': ['traffic-class'],
+    'instance': ['instance-index'],
+    'port': ['port-index'],
+    'servo': ['servo-index']
+};
+
+/**
+ * Split "prefix:name" into its parts
+ */
+function splitName(name) {
+    const colon = name.indexOf(':');
+    return colon === -1
+        ? { prefix: null, local: name }
+        : { prefix: name.substring(0, colon), local: name.substring(colon + 1) };
+}
+
+/**
+ * Parse an instance-identifier into steps
+ * @param {string} path - e.g. "/a:b/c[name='1'][x=\"2\"]/d"
+ * @returns {Array} - [{ name, keys }] where keys is null or { key: value }
+ */
+export function parseInstanceIdentifier(path) {
+    const steps = [];
+    if (!path || path === '/') {
+        return steps;
+    }
+
+    let i = path.startsWith('/') ? 1 : 0;
+    let name = '';
+    let keys = null;
+
+    const pushStep = () => {
+        if (name) {
+            steps.push({ name, keys });
+        }
+        name = '';
+        keys = null;
+    };
+
+    while (i < path.length) {
+        const ch = path[i];
+
+        if (ch === '/') {
+            pushStep();
+            i++;
+        } else if (ch === '[') {
+            // Predicate: [key='value'] or [key="value"]
+            const eq = path.indexOf('=', i);
+            if (eq === -1) {
+                throw new Error(`Invalid predicate in path: ${path}`);
+            }
+            const key = path.substring(i + 1, eq).trim();
+            let j = eq + 1;
+            while (path[j] === ' ') j++;
+            const quote = path[j];
+            let value;
+            if (quote === '\'' || quote === '"') {
+                const end = path.indexOf(quote, j + 1);
+                if (end === -1) {
+                    throw new Error(`Unterminated predicate value in path: ${path}`);
+                }
+                value = path.substring(j + 1, end);
+                j = end + 1;
+            } else {
+                const end = path.indexOf(']', j);
+                value = path.substring(j, end).trim();
+                j = end;
+            }
+            while (path[j] === ' ') j++;
+            if (path[j] !== ']') {
+                throw new Error(`Invalid predicate in path: ${path}`);
+            }
+            keys = keys || {};
+            keys[key] = value;
+            i = j + 1;
+        } else {
+            name += ch;
+            i++;
+        }
+    }
+    pushStep();
+
+    return steps;
+}
+
+/**
+ * Build an instance-identifier from steps
+ */
+export function formatInstanceIdentifier(steps) {
+    return '/' + steps.map(step => {
+        const predicates = step.keys
+            ? Object.entries(step.keys).map(([k, v]) => `[${k}='${v}']`).join('')
+            : '';
+        return step.name + predicates;
+    }).join('/');
+}
+
+/**
+ * Find the member name of obj matching a (possibly prefixed) node name
+ */
+function findMember(obj, name) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        return null;
+    }
+    if (Object.prototype.hasOwnProperty.call(obj, name)) {
+        return name;
+    }
+    const { local } = splitName(name);
+    for (const member of Object.keys(obj)) {
+        if (splitName(member).local === local) {
+            return member;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a list entry matches the given key values (compared as strings)
+ */
+function entryMatches(entry, keys) {
+    return Object.entries(keys).every(([k, v]) => {
+        const member = findMember(entry, k);
+        return member !== null && String(entry[member]) === String(v);
+    });
+}
+
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+export class YangDatastore {
+    constructor(tree = {}, options = {}) {
+        this.tree = tree;
+        this.listKeys = { ...DEFAULT_LIST_KEYS, ...(options.listKeys || {}) };
+    }
+
+    /**
+     * Key leaf names of a list
+     */
+    keysFor(listName, entry = null) {
+        const { local } = splitName(listName);
+        const keys = this.listKeys[local];
+        // Lists in different modules can share a name (ptp and lldp 'port'): the entry must carry the keys
+        if (keys && (!entry || typeof entry !== 'object' || keys.every(key => findMember(entry, key)))) {
+            return keys;
+        }
+        if (entry && typeof entry === 'object') {
+            for (const candidate of ['name', 'index', 'id']) {
+                if (findMember(entry, candidate)) {
+                    return [candidate];
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Walk to the node addressed by path
+     * @returns {Object|null} - { parent, member, value } or null when not found
+     */
+    resolve(path) {
+        const steps = parseInstanceIdentifier(path);
+        let parent = null;
+        let member = null;
+        let node = this.tree;
+
+        for (const step of steps) {
+            const found = findMember(node, step.name);
+            if (found === null) {
+                return null;
+            }
+            parent = node;
+            member = found;
+            node = node[found];
+
+            if (step.keys) {
+                if (!Array.isArray(node)) {
+                    return null;
+                }
+                const index = node.findIndex(entry => entryMatches(entry, step.keys));
+                if (index === -1) {
+                    return null;
+                }
+                parent = node;
+                member = index;
+                node = node[index];
+            }
+        }
+
+        return { parent, member, value: node };
+    }
+
+    /**
+     * Read a node (deep copy)
+     */
+    get(path) {
+        const resolved = this.resolve(path);
+        return resolved ? clone(resolved.value) : undefined;
+    }
+
+    has(path) {
+        return this.resolve(path) !== null;
+    }
+
+    /**
+     * Walk to the parent of the last step, creating containers and list entries on the way
+     * @returns {Object} - { container, step, module }
+     */
+    ensureParent(steps) {
+        let node = this.tree;
+        let module = null;
+
+        for (const step of steps.slice(0, -1)) {
+            const { prefix } = splitName(step.name);
+            let found = findMember(node, step.name);
+            if (found === null) {
+                found = prefix && prefix !== module ? step.name : splitName(step.name).local;
+                node[found] = step.keys ? [] : {};
+            }
+            module = prefix || module;
+
+            let child = node[found];
+            if (step.keys) {
+                if (!Array.isArray(child)) {
+                    child = node[found] = [];
+                }
+                let entry = child.find(e => entryMatches(e, step.keys));
+                if (!entry) {
+                    entry = { ...step.keys };
+                    child.push(entry);
+                }
+                child = entry;
+            } else if (child === null || typeof child !== 'object' || Array.isArray(child)) {
+                child = node[found] = {};
+            }
+            node = child;
+        }
+
+        return { container: node, step: steps[steps.length - 1], module };
+    }
+
+    /**
+     * Merge value into the node at path (iPATCH semantics)
+     * @returns {boolean} - true when the node was created
+     */
+    merge(path, value) {
+        const steps = parseInstanceIdentifier(path);
+        if (steps.length === 0) {
+            this.mergeInto(this.tree, value);
+            return false;
+        }
+
+        const { container, step, module } = this.ensureParent(steps);
+        const { prefix, local } = splitName(step.name);
+        let member = findMember(container, step.name);
+        const created = member === null;
+
+        if (created) {
+            member = prefix && prefix !== module ? step.name : local;
+        }
+
+        if (step.keys) {
+            if (!Array.isArray(container[member])) {
+                container[member] = [];
+            }
+            const list = container[member];
+            const index = list.findIndex(e => entryMatches(e, step.keys));
+            if (index === -1) {
+                list.push({ ...step.keys, ...clone(value) });
+                return true;
+            }
+            this.mergeInto(list[index], value);
+            return false;
+        }
+
+        if (created) {
+            container[member] = clone(value);
+        } else if (Array.isArray(container[member]) && Array.isArray(value)) {
+            this.mergeList(container[member], value, member);
+        } else if (this.isObject(container[member]) && this.isObject(value)) {
+            this.mergeInto(container[member], value);
+        } else {
+            container[member] = clone(value);
+        }
+        return created;
+    }
+
+    /**
+     * Replace the node at path (PUT semantics)
+     * @returns {boolean} - true when the node was created
+     */
+    replace(path, value) {
+        const steps = parseInstanceIdentifier(path);
+        if (steps.length === 0) {
+            this.tree = clone(value) || {};
+            return false;
+        }
+
+        const { container, step, module } = this.ensureParent(steps);
+        const { prefix, local } = splitName(step.name);
+        let member = findMember(container, step.name);
+        const created = member === null;
+        if (created) {
+            member = prefix && prefix !== module ? step.name : local;
+        }
+
+        if (step.keys) {
+            if (!Array.isArray(container[member])) {
+                container[member] = [];
+            }
+            const list = container[member];
+            const index = list.findIndex(e => entryMatches(e, step.keys));
+            const entry = { ...step.keys, ...clone(value) };
+            if (index === -1) {
+                list.push(entry);
+                return true;
+            }
+            list[index] = entry;
+            return false;
+        }
+
+        container[member] = clone(value);
+        return created;
+    }
+
+    /**
+     * Delete the node at path
+     * @returns {boolean} - false when the node did not exist
+     */
+    delete(path) {
+        const resolved = this.resolve(path);
+        if (!resolved || resolved.parent === null) {
+            return false;
+        }
+        if (Array.isArray(resolved.parent)) {
+            resolved.parent.splice(resolved.member, 1);
+        } else {
+            delete resolved.parent[resolved.member];
+        }
+        return true;
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    mergeInto(target, source) {
+        if (!this.isObject(source)) {
+            return;
+        }
+        for (const [key, value] of Object.entries(source)) {
+            const member = findMember(target, key) ?? key;
+            if (value === null) {
+                delete target[member];
+            } else if (Array.isArray(target[member]) && Array.isArray(value)) {
+                this.mergeList(target[member], value, member);
+            } else if (this.isObject(target[member]) && this.isObject(value)) {
+                this.mergeInto(target[member], value);
+            } else {
+                target[member] = clone(value);
+            }
+        }
+    }
+
+    mergeList(target, entries, name) {
+        const keys = this.keysFor(name, entries[0]);
+        if (!keys || !entries.every(e => this.isObject(e))) {
+            target.splice(0, target.length, ...clone(entries));
+            return;
+        }
+        for (const entry of entries) {
+            const keyValues = Object.fromEntries(keys.map(k => [k, entry[findMember(entry, k) ?? k]]));
+            const existing = target.find(e => entryMatches(e, keyValues));
+            if (existing) {
+                this.mergeInto(existing, entry);
+            } else {
+                target.push(clone(entry));
+            }
+        }
+    }
+
+    /**
+     * Top-level nodes as a list of { '/module:node': value } (mvdct output layout)
+     */
+    toEntries() {
+        return Object.entries(this.tree).map(([name, value]) => ({ [`/${name}`]: clone(value) }));
+    }
+
+    /**
+     * Deep copy of the whole tree
+     */
+    snapshot() {
+        return clone(this.tree);
+    }
+}
+
+export default YangDatastore;
@@ -0,0 +1,286 @@
+/**
+ * YANG Text Parser
+ * Parses .yang module text (RFC 7950 §6) into the same statement tree mvdct writes to its
+ * .yangson files, so YangSchema can build catalogs that come without them:
+ *
+ *   { type: 'Container', argument: 'interfaces', 'extension-name': null, statements: [...] }
+ *
+ * Keywords map to the yangson statement types (leaf-list → ListLeaf, if-feature → If, ...);
+ * prefixed extension statements become ExtensionInstance with the keyword in 'extension-name'.
+ * Quoted strings are unescaped, re-indented and '+' concatenated as the RFC describes.
+ */
+
+/**
+ * YANG keyword → yangson statement type
+ */
+const STATEMENT_TYPES = {
+    'action': 'Action',
+    'anydata': 'AnyData',
+    'anyxml': 'AnyXml',
+    'argument': 'Argument',
+    'augment': 'Augment',
+    'base': 'Base',
+    'belongs-to': 'BelongsTo',
+    'bit': 'Bit',
+    'case': 'Case',
+    'choice': 'Choice',
+    'config': 'Config',
+    'contact': 'Contact',
+    'container': 'Container',
+    'default': 'Default',
+    'description': 'Description',
+    'deviate': 'Deviate',
+    'deviation': 'Deviation',
+    'enum': 'EnumerationValue',
+    'error-app-tag': 'ErrorAppTag',
+    'error-message': 'ErrorMessage',
+    'extension': 'Extension',
+    'feature': 'Feature',
+    'fraction-digits': 'FractionDigits',
+    'grouping': 'Grouping',
+    'identity': 'Identity',
+    'if-feature': 'If',
+    'import': 'Import',
+    'include': 'Include',
+    'input': 'Input',
+    'key': 'Key',
+    'leaf': 'Leaf',
+    'leaf-list': 'ListLeaf',
+    'length': 'Length',
+    'list': 'List',
+    'mandatory': 'Mandatory',
+    'max-elements': 'Max',
+    'min-elements': 'Min',
+    'modifier': 'Modifier',
+    'module': 'Module',
+    'must': 'Must',
+    'namespace': 'Namespace',
+    'notification': 'Notification',
+    'ordered-by': 'OrderedBy',
+    'organization': 'Organization',
+    'output': 'Output',
+    'path': 'Path',
+    'pattern': 'Pattern',
+    'position': 'Position',
+    'prefix': 'Prefix',
+    'presence': 'Presence',
+    'range': 'Range',
+    'reference': 'Reference',
+    'refine': 'Refine',
+    'require-instance': 'RequireInstance',
+    'revision': 'Revision',
+    'revision-date': 'RevisionDate',
+    'rpc': 'Rpc',
+    'status': 'Status',
+    'submodule': 'Submodule',
+    'type': 'Type',
+    'typedef': 'TypeDefinition',
+    'unique': 'Unique',
+    'units': 'Units',
+    'uses': 'Uses',
+    'value': 'Value',
+    'when': 'When',
+    'yang-version': 'Version',
+    'yin-element': 'YinElement'
+};
+
+export class YangSyntaxError extends Error {
+    constructor(message, file, line) {
+        super(`${file ? `${file}:` : ''}${line}: ${message}`);
+        this.name = 'YangSyntaxError';
+        this.file = file;
+        this.line = line;
+    }
+}
+
+/**
+ * Split module text into tokens: { kind: 'word' | 'string' | '{' | '}' | ';' | '+', value, line }
+ */
+function tokenize(text, file) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const fail = (message) => { throw new YangSyntaxError(message, file, line); };
+
+    while (i < text.length) {
+        const c = text[i];
+
+        if (c === '\n') {
+            line++;
+            lineStart = ++i;
+        } else if (/\s/.test(c)) {
+            i++;
+        } else if (c === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') {
+                i++;
+            }
+        } else if (c === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            if (end === -1) {
+                fail('unterminated comment');
+            }
+            for (let j = i; j < end; j++) {
+                if (text[j] === '\n') {
+                    line++;
+                    lineStart = j + 1;
+                }
+            }
+            i = end + 2;
+        } else if (c === '{' || c === '}' || c === ';' || c === '+') {
+            tokens.push({ kind: c, value: c, line });
+            i++;
+        } else if (c === '"' || c === '\'') {
+            const startLine = line;
+            // Continuation lines of a double-quoted string are indented relative to this column
+            const column = columnOf(text, lineStart, i) + 1;
+            let j = i + 1;
+            let raw = '';
+            while (j < text.length && text[j] !== c) {
+                if (c === '"' && text[j] === '\\') {
+                    raw += text[j++];
+                }
+                if (text[j] === '\n') {
+                    line++;
+                    lineStart = j + 1;
+                }
+                raw += text[j++];
+            }
+            if (j >= text.length) {
+                throw new YangSyntaxError('unterminated string', file, startLine);
+            }
+            tokens.push({ kind: 'string', value: c === '"' ? unquoteDouble(raw, column, file, startLine) : raw, line: startLine });
+            i = j + 1;
+        } else {
+            let j = i;
+            while (j < text.length && !/[\s{};"']/.test(text[j]) && !(text[j] === '/' && (text[j + 1] === '/' || text[j + 1] === '*'))) {
+                j++;
+            }
+            tokens.push({ kind: 'word', value: text.substring(i, j), line });
+            i = j;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Column of a position, with tabs counting to the next multiple of 8 (RFC 7950 §6.1.3)
+ */
+function columnOf(text, lineStart, position) {
+    let column = 0;
+    for (let i = lineStart; i < position; i++) {
+        column = text[i] === '\t' ? column + 8 - (column % 8) : column + 1;
+    }
+    return column;
+}
+
+/**
+ * Content of a double-quoted string: trailing whitespace before line breaks removed,
+ * continuation lines de-indented up to the opening quote, escapes replaced
+ */
+function unquoteDouble(raw, column, file, line) {
+    const lines = raw.split('\n').map((text, index, all) => {
+        let result = index < all.length - 1 ? text.replace(/[ \t]+$/, '') : text;
+        if (index > 0) {
+            let skipped = 0;
+            let k = 0;
+            while (k < result.length && (result[k] === ' ' || result[k] === '\t') && skipped < column) {
+                skipped = result[k] === '\t' ? skipped + 8 - (skipped % 8) : skipped + 1;
+                k++;
+            }
+            result = result.substring(k);
+        }
+        return result;
+    });
+
+    return lines.join('\n').replace(/\\(.)/g, (match, escaped) => {
+        switch (escaped) {
+            case 'n': return '\n';
+            case 't': return '\t';
+            case '"': return '"';
+            case '\\': return '\\';
+            default: throw new YangSyntaxError(`invalid escape \\${escaped}`, file, line);
+        }
+    });
+}
+
+/**
+ * Parse the text of one .yang file
+ * @returns {Array} - top-level statements (one module or submodule), yangson layout
+ */
+export function parseYang(text, file = null) {
+    const tokens = tokenize(text, file);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const fail = (message, token = peek()) => {
+        throw new YangSyntaxError(message, file, token ? token.line : 'end of file');
+    };
+
+    const argument = () => {
+        const token = peek();
+        if (!token || (token.kind !== 'word' && token.kind !== 'string')) {
+            return null;
+        }
+        position++;
+        if (token.kind === 'word') {
+            return token.value;
+        }
+        // "a" + "b" concatenation applies to quoted strings only
+        let value = token.value;
+        while (peek() && peek().kind === '+' && tokens[position + 1] && tokens[position + 1].kind === 'string') {
+            value += tokens[position + 1].value;
+            position += 2;
+        }
+        return value;
+    };
+
+    const statement = () => {
+        const keyword = peek();
+        if (!keyword || keyword.kind !== 'word') {
+            fail(`expected a keyword, got ${keyword ? `'${keyword.value}'` : 'end of file'}`);
+        }
+        position++;
+
+        const extension = keyword.value.includes(':');
+        const type = extension ? 'ExtensionInstance' : STATEMENT_TYPES[keyword.value];
+        if (!type) {
+            fail(`unknown keyword '${keyword.value}'`, keyword);
+        }
+
+        const stmt = {
+            type,
+            argument: argument(),
+            'extension-name': extension ? keyword.value : null,
+            statements: []
+        };
+
+        const end = peek();
+        if (end && end.kind === ';') {
+            position++;
+        } else if (end && end.kind === '{') {
+            position++;
+            while (peek() && peek().kind !== '}') {
+                stmt.statements.push(statement());
+            }
+            if (!peek()) {
+                fail(`missing '}' for ${keyword.value} ${stmt.argument ?? ''}`.trim(), keyword);
+            }
+            position++;
+        } else {
+            fail(`expected ';' or '{' after ${keyword.value}`);
+        }
+
+        return stmt;
+    };
+
+    const statements = [];
+    while (position < tokens.length) {
+        statements.push(statement());
+    }
+    return statements;
+}
+
+export default parseYang;
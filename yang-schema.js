@@ -0,0 +1,934 @@
+/**
+ * YANG Schema Tree
+ * Built from the modules of a YANG catalog directory: the .yang files are parsed with
+ * yang-parser.js, the .yangson files mvdct writes next to them (JSON statement trees)
+ * are used for modules without readable .yang text.
+ * Imports, groupings, augments, deviations and features are resolved and leaf types are
+ * followed down to their built-in type, so that values can be translated to and from
+ * CORECONF CBOR and every node can be described offline (type, range, default, config).
+ *
+ * Schema node paths use the .sid file form: no predicates, choice/case/input/output
+ * included, module prefix only where the namespace changes
+ *   e.g. /ietf-interfaces:interfaces/interface/ieee802-dot1q-bridge:bridge-port/pvid
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { parseYang } from './yang-parser.js';
+
+/**
+ * YANG built-in types (RFC 7950 §4.2.4)
+ */
+const BUILTIN_TYPES = new Set([
+    'binary', 'bits', 'boolean', 'decimal64', 'empty', 'enumeration', 'identityref',
+    'instance-identifier', 'int8', 'int16', 'int32', 'int64', 'leafref', 'string',
+    'uint8', 'uint16', 'uint32', 'uint64', 'union'
+]);
+
+/**
+ * yangson statement type → schema node kind
+ */
+const NODE_KINDS = {
+    Container: 'container',
+    List: 'list',
+    Leaf: 'leaf',
+    ListLeaf: 'leaf-list',
+    AnyData: 'anydata',
+    AnyXml: 'anyxml',
+    Choice: 'choice',
+    Case: 'case',
+    Rpc: 'rpc',
+    Action: 'action',
+    Input: 'input',
+    Output: 'output',
+    Notification: 'notification'
+};
+
+/**
+ * Schema nodes that never show up in instance data
+ */
+const TRANSPARENT_KINDS = new Set(['choice', 'case', 'input', 'output']);
+
+/**
+ * Value ranges of the integer built-in types
+ */
+const INTEGER_RANGES = {
+    int8: '-128..127',
+    int16: '-32768..32767',
+    int32: '-2147483648..2147483647',
+    int64: '-9223372036854775808..9223372036854775807',
+    uint8: '0..255',
+    uint16: '0..65535',
+    uint32: '0..4294967295',
+    uint64: '0..18446744073709551615'
+};
+
+/**
+ * Node members copied as they are into node descriptions
+ */
+const DESCRIBED_MEMBERS = [
+    'description', 'reference', 'units', 'default', 'mandatory', 'presence', 'keys',
+    'minElements', 'maxElements', 'orderedBy', 'when', 'must', 'ifFeatures'
+];
+
+/**
+ * Split "prefix:name" into its parts
+ */
+function splitName(name) {
+    const colon = name.indexOf(':');
+    return colon === -1
+        ? { prefix: null, local: name }
+        : { prefix: name.substring(0, colon), local: name.substring(colon + 1) };
+}
+
+/**
+ * First sub-statement of the given type
+ */
+function sub(stmt, type) {
+    return stmt.statements.find(s => s.type === type);
+}
+
+export class YangSchema {
+    /**
+     * @param {Object} options - { features: enabled 'module:feature' names (null: all features enabled) }
+     */
+    constructor(options = {}) {
+        this.modules = new Map();    // module name → { name, prefix, namespace, revision, imports, ast, groupings, typedefs }
+        this.nodes = new Map();      // schema node path → node
+        this.identities = new Map(); // 'module:identity' → { module, name, bases }
+        this.features = new Map();   // 'module:feature' → { module, name, description, ifFeatures }
+        this.enabledFeatures = options.features ? new Set(options.features) : null;
+        this.root = { kind: 'root', name: '', module: null, path: '', parent: null, config: true, children: [] };
+        this.typedefCache = new Map();
+        this.unresolved = [];        // augments/deviations whose target is not in the schema
+        this.errors = [];            // .yang files that could not be parsed
+    }
+
+    /**
+     * Load the modules of a catalog directory and build the tree
+     * A module is read from its .yang file, or from the .yangson file when the text does not parse.
+     * @param {Object} options - see constructor
+     */
+    static load(dir, options = {}) {
+        const schema = new YangSchema(options);
+        if (!existsSync(dir)) {
+            return schema;
+        }
+
+        const files = readdirSync(dir);
+        const names = [...new Set(files.filter(f => /\.yang(son)?$/.test(f)).map(f => f.replace(/\.yang(son)?$/, '')))].sort();
+
+        for (const name of names) {
+            let statements = null;
+            if (files.includes(`${name}.yang`)) {
+                try {
+                    statements = parseYang(readFileSync(join(dir, `${name}.yang`), 'utf8'), `${name}.yang`);
+                } catch (error) {
+                    schema.errors.push(error.message);
+                }
+            }
+            if (!statements && files.includes(`${name}.yangson`)) {
+                statements = JSON.parse(readFileSync(join(dir, `${name}.yangson`), 'utf8'));
+            }
+            for (const ast of statements || []) {
+                schema.addModule(ast);
+            }
+        }
+        return schema.build();
+    }
+
+    /**
+     * Register a module statement tree (call build() once all modules are added)
+     */
+    addModule(ast) {
+        if (ast.type !== 'Module') {
+            return;
+        }
+
+        const module = {
+            name: ast.argument,
+            prefix: sub(ast, 'Prefix')?.argument,
+            namespace: sub(ast, 'Namespace')?.argument,
+            revision: sub(ast, 'Revision')?.argument || null,
+            description: sub(ast, 'Description')?.argument || null,
+            imports: {},
+            ast,
+            groupings: new Map(),
+            typedefs: new Map()
+        };
+
+        for (const stmt of ast.statements) {
+            if (stmt.type === 'Import') {
+                module.imports[sub(stmt, 'Prefix').argument] = stmt.argument;
+            } else if (stmt.type === 'Identity') {
+                this.identities.set(`${module.name}:${stmt.argument}`, {
+                    module: module.name,
+                    name: stmt.argument,
+                    bases: stmt.statements.filter(s => s.type === 'Base').map(s => this.qualify(s.argument, module))
+                });
+            } else if (stmt.type === 'Feature') {
+                this.features.set(`${module.name}:${stmt.argument}`, {
+                    module: module.name,
+                    name: stmt.argument,
+                    description: sub(stmt, 'Description')?.argument || null,
+                    ifFeatures: this.ifFeatures(stmt, module)
+                });
+            }
+        }
+
+        // Groupings and typedefs may be nested anywhere; names are unique enough per module
+        const collect = (stmt) => {
+            for (const child of stmt.statements) {
+                if (child.type === 'Grouping') {
+                    module.groupings.set(child.argument, child);
+                } else if (child.type === 'TypeDefinition') {
+                    module.typedefs.set(child.argument, child);
+                }
+                collect(child);
+            }
+        };
+        collect(ast);
+
+        this.modules.set(module.name, module);
+    }
+
+    /**
+     * Expand data definitions, then augments, then deviations
+     */
+    build() {
+        for (const module of this.modules.values()) {
+            this.expand(module.ast.statements, this.root, module.name, module);
+        }
+
+        // Augments may target nodes added by other augments: repeat until nothing moves
+        let pending = [...this.modules.values()].flatMap(module =>
+            module.ast.statements.filter(s => s.type === 'Augment').map(stmt => ({ stmt, module })));
+
+        while (pending.length > 0) {
+            const left = pending.filter(({ stmt, module }) => {
+                const target = this.findSchemaNode(stmt.argument, module);
+                if (!target) {
+                    return true;
+                }
+                this.expandWith(stmt, target, module.name, module);
+                return false;
+            });
+            if (left.length === pending.length) {
+                this.unresolved.push(...left.map(({ stmt, module }) => `${module.name}: augment ${stmt.argument}`));
+                break;
+            }
+            pending = left;
+        }
+
+        for (const module of this.modules.values()) {
+            for (const deviation of module.ast.statements.filter(s => s.type === 'Deviation')) {
+                this.applyDeviation(deviation, module);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Module record of a prefix as seen from the given module
+     */
+    moduleByPrefix(prefix, module) {
+        if (!prefix || prefix === module.prefix) {
+            return module;
+        }
+        return this.modules.get(module.imports[prefix]) || null;
+    }
+
+    /**
+     * 'prefix:name' → 'module:name'
+     */
+    qualify(name, module) {
+        const { prefix, local } = splitName(name);
+        // By import name: the imported module may not be registered yet
+        const target = !prefix || prefix === module.prefix ? module.name : module.imports[prefix];
+        return `${target || prefix}:${local}`;
+    }
+
+    // ============================================
+    // Tree construction
+    // ============================================
+
+    /**
+     * Add the data definition statements of a container/grouping/augment under parent
+     * @param {string} namespace - module the new nodes belong to
+     * @param {Object} scope - module the statements are written in (prefixes, groupings, typedefs)
+     */
+    expand(statements, parent, namespace, scope) {
+        for (const stmt of statements) {
+            if (NODE_KINDS[stmt.type]) {
+                this.addNode(stmt, parent, namespace, scope);
+            } else if (stmt.type === 'Uses') {
+                this.expandUses(stmt, parent, namespace, scope);
+            }
+        }
+    }
+
+    /**
+     * Expand the content of an augment/uses: the added nodes inherit its if-feature and when
+     */
+    expandWith(stmt, parent, namespace, scope, statements = stmt.statements) {
+        const before = parent.children.length;
+        this.expand(statements, parent, namespace, scope);
+
+        const ifFeatures = this.ifFeatures(stmt, scope);
+        const when = sub(stmt, 'When')?.argument;
+        for (const node of parent.children.slice(before)) {
+            if (ifFeatures.length > 0) {
+                node.ifFeatures = [...ifFeatures, ...(node.ifFeatures || [])];
+            }
+            if (when) {
+                node.when = node.when ? [when, ...[].concat(node.when)] : when;
+            }
+        }
+    }
+
+    addNode(stmt, parent, namespace, scope) {
+        const kind = NODE_KINDS[stmt.type];
+
+        // Shorthand case: a data node directly under a choice gets an implicit case
+        if (parent.kind === 'choice' && kind !== 'case') {
+            parent = this.createNode('case', stmt.argument, parent, namespace);
+        }
+
+        const node = this.createNode(kind, stmt.argument ?? kind, parent, namespace, stmt);
+        this.annotate(node, stmt, scope);
+
+        if (kind === 'leaf' || kind === 'leaf-list') {
+            const type = sub(stmt, 'Type');
+            node.type = type ? this.resolveType(type, scope) : { base: 'string' };
+            node.scope = scope.name;
+        } else if (kind === 'list') {
+            const key = sub(stmt, 'Key');
+            node.keys = key ? key.argument.trim().split(/\s+/) : [];
+        }
+
+        this.expand(stmt.statements, node, namespace, scope);
+
+        // Every rpc/action has an input and output, even when not written (augment targets)
+        if (kind === 'rpc' || kind === 'action') {
+            for (const implicit of ['input', 'output']) {
+                if (!node.children.some(c => c.kind === implicit)) {
+                    this.createNode(implicit, implicit, node, namespace);
+                }
+            }
+        }
+
+        return node;
+    }
+
+    createNode(kind, name, parent, namespace) {
+        const qualified = parent.kind === 'root' || parent.module !== namespace;
+
+        const node = {
+            kind,
+            name,
+            module: namespace,
+            path: `${parent.path}/${qualified ? `${namespace}:` : ''}${name}`,
+            parent,
+            config: parent.config,
+            children: []
+        };
+
+        parent.children.push(node);
+        this.nodes.set(node.path, node);
+        return node;
+    }
+
+    /**
+     * Copy the properties of a node statement (also of refine and deviate add/replace) onto a node
+     */
+    annotate(node, stmt, scope) {
+        for (const child of stmt.statements) {
+            switch (child.type) {
+                case 'Config':
+                    node.config = child.argument === 'true';
+                    break;
+                case 'Description':
+                case 'Reference':
+                case 'Status':
+                case 'Units':
+                case 'Presence':
+                    node[child.type.toLowerCase()] = child.argument;
+                    break;
+                case 'Default':
+                    // leaf-lists may have several defaults
+                    node.default = node.kind === 'leaf-list' ? [...[].concat(node.default ?? []), child.argument] : child.argument;
+                    break;
+                case 'Mandatory':
+                    node.mandatory = child.argument === 'true';
+                    break;
+                case 'Min':
+                    node.minElements = Number(child.argument);
+                    break;
+                case 'Max':
+                    node.maxElements = child.argument === 'unbounded' ? null : Number(child.argument);
+                    break;
+                case 'OrderedBy':
+                    node.orderedBy = child.argument;
+                    break;
+                case 'When':
+                    node.when = child.argument;
+                    break;
+                case 'Must':
+                    node.must = [...(node.must || []), child.argument];
+                    break;
+                case 'If':
+                    node.ifFeatures = [...(node.ifFeatures || []), this.qualifyFeatureExpression(child.argument, scope)];
+                    break;
+            }
+        }
+    }
+
+    expandUses(stmt, parent, namespace, scope) {
+        const { prefix, local } = splitName(stmt.argument);
+        const module = this.moduleByPrefix(prefix, scope);
+        const grouping = module && module.groupings.get(local);
+        if (!grouping) {
+            this.unresolved.push(`${scope.name}: uses ${stmt.argument}`);
+            return;
+        }
+
+        // Grouping content takes the namespace of the module that uses it
+        this.expandWith(stmt, parent, namespace, module, grouping.statements);
+
+        for (const child of stmt.statements) {
+            if (child.type === 'Augment') {
+                const target = this.findSchemaNode(child.argument, scope, parent, namespace);
+                if (target) {
+                    this.expandWith(child, target, namespace, scope);
+                } else {
+                    this.unresolved.push(`${scope.name}: uses augment ${child.argument}`);
+                }
+            } else if (child.type === 'Refine') {
+                const target = this.findSchemaNode(child.argument, scope, parent, namespace);
+                if (target) {
+                    this.annotate(target, child, scope);
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve a schema node identifier ('/p:a/p:b' absolute, 'p:a/b' descendant of from)
+     * @param {string} namespace - module that instantiated the grouping holding a descendant path
+     *   (nodes named in the grouping's own module live in that namespace)
+     */
+    findSchemaNode(path, scope, from = this.root, namespace = scope.name) {
+        let node = path.startsWith('/') ? this.root : from;
+
+        for (const segment of path.split('/').filter(Boolean)) {
+            const { prefix, local } = splitName(segment.trim());
+            const module = this.moduleByPrefix(prefix, scope);
+            const target = !module ? null : module === scope ? namespace : module.name;
+            node = node.children.find(c => c.name === local && c.module === target);
+            if (!node) {
+                return null;
+            }
+        }
+
+        return node === this.root ? null : node;
+    }
+
+    applyDeviation(deviation, module) {
+        const target = this.findSchemaNode(deviation.argument, module);
+        if (!target) {
+            this.unresolved.push(`${module.name}: deviation ${deviation.argument}`);
+            return;
+        }
+
+        for (const deviate of deviation.statements.filter(s => s.type === 'Deviate')) {
+            if (deviate.argument === 'not-supported') {
+                // Kept in the tree (the .sid files still assign SIDs), but flagged
+                target.supported = false;
+                return;
+            }
+            if (deviate.argument === 'replace' || deviate.argument === 'add') {
+                const type = sub(deviate, 'Type');
+                if (type) {
+                    target.type = this.resolveType(type, module);
+                    target.scope = module.name;
+                }
+                if (deviate.argument === 'replace') {
+                    // A replaced default/must is not added to the old ones
+                    deviate.statements.filter(s => s.type === 'Default' || s.type === 'Must')
+                        .forEach(s => { delete target[s.type.toLowerCase()]; });
+                }
+                this.annotate(target, deviate, module);
+            } else if (deviate.argument === 'delete') {
+                for (const stmt of deviate.statements) {
+                    const member = { Default: 'default', Units: 'units', Must: 'must' }[stmt.type];
+                    if (member === 'must') {
+                        target.must = (target.must || []).filter(must => must !== stmt.argument);
+                    } else if (member === 'default' && Array.isArray(target.default)) {
+                        target.default = target.default.filter(value => value !== stmt.argument);
+                    } else if (member) {
+                        delete target[member];
+                    }
+                }
+            }
+        }
+    }
+
+    // ============================================
+    // Features
+    // ============================================
+
+    /**
+     * if-feature expressions of a statement, feature names qualified with their module
+     */
+    ifFeatures(stmt, scope) {
+        return stmt.statements.filter(s => s.type === 'If').map(s => this.qualifyFeatureExpression(s.argument, scope));
+    }
+
+    /**
+     * 'not a or (p:b and c)' → 'not mod:a or (other:b and mod:c)'
+     */
+    qualifyFeatureExpression(expression, scope) {
+        return expression.replace(/[\w.-]+(:[\w.-]+)?/g, (name) =>
+            ['not', 'and', 'or'].includes(name) ? name : this.qualify(name, scope));
+    }
+
+    /**
+     * Evaluate an if-feature expression (RFC 7950 §7.20.2)
+     */
+    evaluateFeatures(expression) {
+        const tokens = expression.match(/\(|\)|[^\s()]+/g) || [];
+        let position = 0;
+
+        const factor = () => {
+            const token = tokens[position++];
+            if (token === 'not') {
+                return !factor();
+            }
+            if (token === '(') {
+                const value = or();
+                position++;
+                return value;
+            }
+            return this.featureEnabled(token);
+        };
+        const and = () => {
+            let value = factor();
+            while (tokens[position] === 'and') {
+                position++;
+                value = factor() && value;
+            }
+            return value;
+        };
+        const or = () => {
+            let value = and();
+            while (tokens[position] === 'or') {
+                position++;
+                value = and() || value;
+            }
+            return value;
+        };
+
+        return or();
+    }
+
+    /**
+     * Whether a feature is supported: listed as enabled (all are, without a list) and its own
+     * if-feature conditions hold
+     */
+    featureEnabled(name) {
+        const feature = this.features.get(name);
+        if (!feature || (this.enabledFeatures && !this.enabledFeatures.has(name))) {
+            return false;
+        }
+        return feature.ifFeatures.every(expression => this.evaluateFeatures(expression));
+    }
+
+    /**
+     * Whether a node exists with the enabled features (its own and its ancestors' if-feature)
+     */
+    nodeEnabled(node) {
+        for (let n = node; n && n.kind !== 'root'; n = n.parent) {
+            if (n.ifFeatures && !n.ifFeatures.every(expression => this.evaluateFeatures(expression))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // ============================================
+    // Types
+    // ============================================
+
+    /**
+     * Resolve a type statement to its built-in base
+     * @returns {Object} - { base, name, enums, bits, fractionDigits, bases, types, path, scope }
+     */
+    resolveType(typeStmt, scope) {
+        const { prefix, local } = splitName(typeStmt.argument);
+
+        if (!prefix && BUILTIN_TYPES.has(local)) {
+            return this.builtinType(local, typeStmt, scope);
+        }
+
+        const module = this.moduleByPrefix(prefix, scope);
+        const typedef = module && module.typedefs.get(local);
+        if (!typedef) {
+            return { base: 'string', name: typeStmt.argument, unresolved: true };
+        }
+
+        const key = `${module.name}:${local}`;
+        if (!this.typedefCache.has(key)) {
+            const type = { ...this.resolveType(sub(typedef, 'Type'), module), name: key };
+            for (const member of ['Default', 'Units', 'Description']) {
+                const stmt = sub(typedef, member);
+                if (stmt) {
+                    type[member.toLowerCase()] = stmt.argument;
+                }
+            }
+            this.typedefCache.set(key, type);
+        }
+
+        // A derived type may narrow the typedef's range/length and add patterns
+        const typedefType = this.typedefCache.get(key);
+        return typeStmt.statements.length > 0 ? this.restrict({ ...typedefType }, typeStmt) : typedefType;
+    }
+
+    /**
+     * Apply range, length, pattern and require-instance restrictions of a type statement
+     */
+    restrict(type, typeStmt) {
+        for (const stmt of typeStmt.statements) {
+            if (stmt.type === 'Range') {
+                type.range = stmt.argument;
+            } else if (stmt.type === 'Length') {
+                type.length = stmt.argument;
+            } else if (stmt.type === 'Pattern') {
+                const invert = stmt.statements.some(s => s.type === 'Modifier' && s.argument === 'invert-match');
+                type.patterns = [...(type.patterns || []), invert ? { pattern: stmt.argument, invert } : stmt.argument];
+            } else if (stmt.type === 'RequireInstance') {
+                type.requireInstance = stmt.argument === 'true';
+            }
+        }
+        return type;
+    }
+
+    builtinType(base, typeStmt, scope) {
+        const type = this.restrict({ base, name: base }, typeStmt);
+
+        switch (base) {
+            case 'enumeration': {
+                type.enums = {};
+                let next = 0;
+                for (const stmt of typeStmt.statements.filter(s => s.type === 'EnumerationValue')) {
+                    const value = sub(stmt, 'Value');
+                    type.enums[stmt.argument] = value ? Number(value.argument) : next;
+                    next = type.enums[stmt.argument] + 1;
+                }
+                break;
+            }
+            case 'bits': {
+                type.bits = {};
+                let next = 0;
+                for (const stmt of typeStmt.statements.filter(s => s.type === 'Bit')) {
+                    const position = sub(stmt, 'Position');
+                    type.bits[stmt.argument] = position ? Number(position.argument) : next;
+                    next = type.bits[stmt.argument] + 1;
+                }
+                break;
+            }
+            case 'decimal64':
+                type.fractionDigits = Number(sub(typeStmt, 'FractionDigits')?.argument ?? 0);
+                break;
+            case 'identityref':
+                type.bases = typeStmt.statements.filter(s => s.type === 'Base').map(s => this.qualify(s.argument, scope));
+                break;
+            case 'leafref':
+                type.path = sub(typeStmt, 'Path')?.argument;
+                type.scope = scope.name;
+                break;
+            case 'union':
+                type.types = typeStmt.statements.filter(s => s.type === 'Type').map(s => this.resolveType(s, scope));
+                break;
+        }
+
+        return type;
+    }
+
+    /**
+     * Type of a leaf/leaf-list with leafrefs followed to their target
+     */
+    leafType(node) {
+        let type = node.type;
+        let current = node;
+
+        for (let depth = 0; type && type.base === 'leafref' && depth < 8; depth++) {
+            current = this.leafrefTarget(current, type);
+            if (!current) {
+                return type;
+            }
+            type = current.type;
+        }
+
+        return type;
+    }
+
+    /**
+     * Follow a leafref path (predicates are ignored) from the node holding it
+     */
+    leafrefTarget(node, type) {
+        if (!type.path) {
+            return null;
+        }
+
+        const scope = this.modules.get(type.scope);
+        const path = type.path.replace(/\[[^\]]*\]/g, '').trim();
+        let current = path.startsWith('/') ? this.root : node;
+
+        for (const segment of path.split('/').filter(Boolean)) {
+            if (segment.trim() === '..') {
+                current = this.dataParent(current);
+            } else {
+                const { prefix, local } = splitName(segment.trim());
+                const module = this.moduleByPrefix(prefix, scope);
+                // Paths written in a grouping name nodes by the grouping's module
+                current = this.child(current, `${module ? module.name : prefix}:${local}`) || this.child(current, local);
+            }
+            if (!current) {
+                return null;
+            }
+        }
+
+        return current;
+    }
+
+    // ============================================
+    // Instance data view
+    // ============================================
+
+    /**
+     * Nearest ancestor that appears in instance data
+     */
+    dataParent(node) {
+        let parent = node.parent;
+        while (parent && TRANSPARENT_KINDS.has(parent.kind)) {
+            parent = parent.parent;
+        }
+        return parent;
+    }
+
+    /**
+     * Data child of a node by its JSON member name
+     * @param {string} name - 'module:name', or 'name' in the parent's module
+     */
+    child(node, name) {
+        if (!node.index) {
+            node.index = new Map();
+            const walk = (n) => {
+                for (const child of n.children) {
+                    if (TRANSPARENT_KINDS.has(child.kind)) {
+                        walk(child);
+                    } else {
+                        node.index.set(`${child.module}:${child.name}`, child);
+                    }
+                }
+            };
+            walk(node);
+        }
+
+        const { prefix, local } = splitName(name);
+        return node.index.get(`${prefix || node.module}:${local}`) || null;
+    }
+
+    /**
+     * Schema node by its .sid style path
+     */
+    find(path) {
+        return this.nodes.get(path) || null;
+    }
+
+    /**
+     * Schema node of a .sid style path, data path or instance-identifier (predicates ignored)
+     * @returns {Object|null} - root for '' or '/'
+     */
+    resolve(path) {
+        const bare = (path || '').replace(/\[(?:[^\]'"]|'[^']*'|"[^"]*")*\]/g, '').replace(/\/+$/, '');
+        if (!bare) {
+            return this.root;
+        }
+        if (this.nodes.has(bare)) {
+            return this.nodes.get(bare);
+        }
+
+        // Data paths leave out choice/case nodes
+        let node = this.root;
+        for (const segment of bare.split('/').filter(Boolean)) {
+            node = this.child(node, segment);
+            if (!node) {
+                return null;
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Data path of a node (choice/case left out, prefix where the module changes)
+     * @returns {string|null} - null inside rpcs, actions and notifications
+     */
+    dataPath(node) {
+        const steps = [];
+        for (let n = node; n && n.kind !== 'root'; n = this.dataParent(n)) {
+            if (['rpc', 'action', 'notification'].includes(n.kind)) {
+                return null;
+            }
+            if (TRANSPARENT_KINDS.has(n.kind)) {
+                continue;
+            }
+            const parent = this.dataParent(n);
+            steps.unshift(parent.kind === 'root' || parent.module !== n.module ? `${n.module}:${n.name}` : n.name);
+        }
+        return `/${steps.join('/')}`;
+    }
+
+    // ============================================
+    // Descriptions (schema browser)
+    // ============================================
+
+    /**
+     * Modules with their features
+     */
+    describeModules() {
+        return [...this.modules.values()].map(module => ({
+            name: module.name,
+            prefix: module.prefix,
+            namespace: module.namespace,
+            revision: module.revision,
+            imports: Object.values(module.imports),
+            features: [...this.features.values()]
+                .filter(feature => feature.module === module.name)
+                .map(feature => ({ name: feature.name, enabled: this.featureEnabled(`${module.name}:${feature.name}`) }))
+        }));
+    }
+
+    /**
+     * Full description of a schema node with a summary of its children
+     */
+    describe(node) {
+        if (node === this.root) {
+            return {
+                kind: 'root',
+                path: '/',
+                modules: this.describeModules(),
+                children: node.children.map(child => this.summarize(child))
+            };
+        }
+
+        const info = {
+            path: node.path,
+            dataPath: this.dataPath(node),
+            name: node.name,
+            module: node.module,
+            kind: node.kind,
+            config: node.config,
+            status: node.status || 'current',
+            enabled: this.nodeEnabled(node),
+            supported: node.supported !== false,
+            parent: node.parent.kind === 'root' ? '/' : node.parent.path
+        };
+
+        for (const member of DESCRIBED_MEMBERS) {
+            if (node[member] !== undefined) {
+                info[member] = node[member];
+            }
+        }
+
+        if (node.type) {
+            info.type = this.describeType(node.type);
+            const target = this.leafType(node);
+            if (target !== node.type) {
+                info.type.target = this.describeType(target);
+            }
+            // Defaults and units of the typedef apply when the leaf has none
+            if (info.default === undefined && node.type.default !== undefined && node.kind === 'leaf') {
+                info.default = node.type.default;
+            }
+            if (info.units === undefined && node.type.units !== undefined) {
+                info.units = node.type.units;
+            }
+        }
+
+        info.children = node.children.map(child => this.summarize(child));
+        return info;
+    }
+
+    /**
+     * One line of a child listing
+     */
+    summarize(node) {
+        const summary = { name: node.name, module: node.module, kind: node.kind, path: node.path, config: node.config };
+        if (node.type) {
+            summary.type = node.type.name;
+        }
+        if (node.keys) {
+            summary.keys = node.keys;
+        }
+        if (node.children.length > 0) {
+            summary.children = node.children.length;
+        }
+        if (!this.nodeEnabled(node) || node.supported === false) {
+            summary.enabled = false;
+        }
+        return summary;
+    }
+
+    describeType(type) {
+        const info = { name: type.name, base: type.base };
+
+        if (INTEGER_RANGES[type.base]) {
+            info.range = type.range || INTEGER_RANGES[type.base];
+        } else if (type.range) {
+            info.range = type.range;
+        }
+        for (const member of ['length', 'patterns', 'fractionDigits', 'bases', 'path', 'requireInstance', 'units', 'description']) {
+            if (type[member] !== undefined) {
+                info[member] = type[member];
+            }
+        }
+        if (type.enums) {
+            info.enums = Object.keys(type.enums);
+        }
+        if (type.bits) {
+            info.bits = Object.keys(type.bits);
+        }
+        if (type.bases) {
+            info.identities = type.bases.flatMap(base => this.derivedIdentities(base));
+        }
+        if (type.types) {
+            info.types = type.types.map(member => this.describeType(member));
+        }
+        if (type.unresolved) {
+            info.unresolved = true;
+        }
+
+        return info;
+    }
+
+    /**
+     * Identities derived (directly or not) from a base, as 'module:identity'
+     */
+    derivedIdentities(base) {
+        const derived = [];
+        for (const [name, identity] of this.identities) {
+            if (identity.bases.includes(base)) {
+                derived.push(name, ...this.derivedIdentities(name));
+            }
+        }
+        return [...new Set(derived)];
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+}
+
+export default YangSchema;
@@ -0,0 +1,423 @@
+/**
+ * Schema Validation of Writes
+ * Checks set/iPATCH payloads against the YANG schema before they are sent to a board, so
+ * mistakes come back as errors that name the node instead of as mvdct stderr:
+ *
+ *   validateEntries(schema, [{ "/ietf-interfaces:interfaces/interface[name='1']/enabled": 'maybe' }])
+ *   → [{ path: "/ietf-interfaces:interfaces/interface[name='1']/enabled",
+ *        schemaPath: '/ietf-interfaces:interfaces/interface/enabled',
+ *        code: 'invalid-value', message: "'maybe' is not a boolean" }]
+ *
+ * Codes: invalid-path, unknown-node, missing-key, read-only, invalid-structure,
+ * invalid-value, missing-mandatory.
+ */
+
+import { parseInstanceIdentifier, formatInstanceIdentifier } from './yang-datastore.js';
+
+/**
+ * Value bounds of the integer built-in types
+ */
+const INTEGER_BOUNDS = {
+    int8: [-128n, 127n],
+    int16: [-32768n, 32767n],
+    int32: [-2147483648n, 2147483647n],
+    int64: [-9223372036854775808n, 9223372036854775807n],
+    uint8: [0n, 255n],
+    uint16: [0n, 65535n],
+    uint32: [0n, 4294967295n],
+    uint64: [0n, 18446744073709551615n]
+};
+
+/**
+ * Local part of a 'module:name' member
+ */
+function localName(name) {
+    return name.substring(name.indexOf(':') + 1);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Member of an object by (possibly unprefixed) name
+ */
+function memberValue(entry, name) {
+    if (name in entry) {
+        return entry[name];
+    }
+    const member = Object.keys(entry).find(key => localName(key) === name);
+    return member === undefined ? undefined : entry[member];
+}
+
+function quote(value) {
+    return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+/**
+ * Whether a value lies in a YANG range/length expression ('1..4094 | 4096..max')
+ * @param {Function} parse - bound text → comparable value
+ * @param {Array} bounds - [min, max] substituted for 'min'/'max'
+ */
+function inRange(value, expression, parse, bounds) {
+    return expression.split('|').some(part => {
+        const [low, high = low] = part.split('..').map(text => text.trim());
+        const bound = (text) => text === 'min' ? bounds[0] : text === 'max' ? bounds[1] : parse(text);
+        return value >= bound(low) && value <= bound(high);
+    });
+}
+
+/**
+ * YANG (XSD) pattern as a JavaScript RegExp; null when the syntax has no JS equivalent
+ */
+const patternCache = new Map();
+function compilePattern(pattern) {
+    if (!patternCache.has(pattern)) {
+        let regex = null;
+        try {
+            regex = new RegExp(`^(?:${pattern})$`, 'u');
+        } catch (error) {
+            // XSD-only constructs (\p{IsBasicLatin}, \i, \c, ...) are not checked
+        }
+        patternCache.set(pattern, regex);
+    }
+    return patternCache.get(pattern);
+}
+
+/**
+ * Identities derived from a type's bases, per schema
+ */
+const identityCache = new WeakMap();
+function allowedIdentities(schema, type) {
+    if (!identityCache.has(schema)) {
+        identityCache.set(schema, new Map());
+    }
+    const cache = identityCache.get(schema);
+    const key = type.bases.join(' ');
+    if (!cache.has(key)) {
+        cache.set(key, new Set(type.bases.flatMap(base => schema.derivedIdentities(base))));
+    }
+    return cache.get(key);
+}
+
+/**
+ * Check a leaf value against its type
+ * @returns {string|null} - what is wrong, null when the value is valid
+ */
+export function checkValue(schema, type, value) {
+    if (!type) {
+        return null;
+    }
+
+    if (INTEGER_BOUNDS[type.base]) {
+        const text = String(value).trim();
+        if ((typeof value !== 'number' && typeof value !== 'string' && typeof value !== 'bigint') || !/^[+-]?\d+$/.test(text)) {
+            return `${quote(value)} is not an integer (${type.name})`;
+        }
+        const number = BigInt(text);
+        const bounds = INTEGER_BOUNDS[type.base];
+        const range = type.range || 'min..max';
+        if (!inRange(number, 'min..max', BigInt, bounds) || !inRange(number, range, BigInt, bounds)) {
+            return `${value} is out of range ${type.range || `${bounds[0]}..${bounds[1]}`} (${type.name})`;
+        }
+        return null;
+    }
+
+    switch (type.base) {
+        case 'decimal64': {
+            const text = String(value).trim();
+            if ((typeof value !== 'number' && typeof value !== 'string') || !/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(text)) {
+                return `${quote(value)} is not a decimal number (${type.name})`;
+            }
+            const fraction = text.includes('.') ? text.split('.')[1].length : 0;
+            if (fraction > type.fractionDigits) {
+                return `${value} has more than ${type.fractionDigits} fraction digits (${type.name})`;
+            }
+            if (type.range && !inRange(Number(text), type.range, Number, [-Infinity, Infinity])) {
+                return `${value} is out of range ${type.range} (${type.name})`;
+            }
+            return null;
+        }
+        case 'boolean':
+            return value === true || value === false || value === 'true' || value === 'false'
+                ? null : `${quote(value)} is not a boolean`;
+        case 'enumeration':
+            return Object.prototype.hasOwnProperty.call(type.enums, String(value))
+                ? null : `${quote(value)} is not one of ${Object.keys(type.enums).join(', ')} (${type.name})`;
+        case 'bits': {
+            if (typeof value !== 'string') {
+                return `${quote(value)} is not a space-separated list of bits (${type.name})`;
+            }
+            const unknown = value.split(/\s+/).filter(bit => bit && !(bit in type.bits));
+            return unknown.length === 0 ? null : `Unknown bit ${unknown.join(', ')} (${type.name}: ${Object.keys(type.bits).join(', ')})`;
+        }
+        case 'identityref': {
+            if (typeof value !== 'string') {
+                return `${quote(value)} is not an identity (${type.name})`;
+            }
+            const allowed = allowedIdentities(schema, type);
+            const match = value.includes(':') ? allowed.has(value) : [...allowed].some(name => localName(name) === value);
+            return match ? null : `${quote(value)} is not derived from ${type.bases.join(', ')}`;
+        }
+        case 'empty':
+            return value === null || value === '' || (Array.isArray(value) && value.length === 1 && value[0] === null)
+                ? null : `${quote(value)} given for an empty leaf (use null)`;
+        case 'union': {
+            const valid = type.types.some(member => checkValue(schema, member, value) === null);
+            return valid ? null : `${quote(value)} matches none of ${type.types.map(member => member.name).join(', ')}`;
+        }
+        case 'leafref':
+            // Target could not be followed (leafType returns the leafref itself): not checked
+            return null;
+        case 'string':
+        case 'binary':
+        default: {
+            if (isObject(value) || Array.isArray(value)) {
+                return `Expected a ${type.base} value (${type.name})`;
+            }
+            // YAML reads unquoted names like 1 as numbers
+            const text = String(value);
+            if (type.length) {
+                const length = type.base === 'binary' ? Buffer.from(text, 'base64').length : [...text].length;
+                if (!inRange(BigInt(length), type.length, BigInt, [0n, 18446744073709551615n])) {
+                    return `Length ${length} of ${quote(value)} is out of range ${type.length} (${type.name})`;
+                }
+            }
+            for (const entry of type.patterns || []) {
+                const { pattern, invert } = typeof entry === 'string' ? { pattern: entry, invert: false } : entry;
+                const regex = compilePattern(pattern);
+                if (regex && regex.test(text) === invert) {
+                    return `${quote(value)} does not match pattern ${pattern} (${type.name})`;
+                }
+            }
+            return null;
+        }
+    }
+}
+
+class Validator {
+    /**
+     * @param {Object} options - { exists(path): whether a list entry is already on the board }
+     */
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.exists = options.exists || (() => false);
+        this.errors = [];
+    }
+
+    fail(code, path, node, message) {
+        this.errors.push({ path, schemaPath: node ? node.path : null, code, message });
+    }
+
+    /**
+     * One { path: value } write (value null: delete)
+     */
+    entry(path, value) {
+        let steps;
+        try {
+            steps = parseInstanceIdentifier(path);
+        } catch (error) {
+            this.fail('invalid-path', path, null, error.message);
+            return;
+        }
+        if (steps.length === 0) {
+            this.fail('invalid-path', path, null, 'A path below the datastore root is required');
+            return;
+        }
+
+        // Resolve the path; lists above the target must be addressed by key
+        let node = this.schema.root;
+        let module = null;
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const prefix = formatInstanceIdentifier(steps.slice(0, i + 1));
+            const child = this.schema.child(node, step.name.includes(':') ? step.name : `${module}:${step.name}`);
+            if (!child) {
+                this.fail('unknown-node', prefix, node.kind === 'root' ? null : node, `Unknown node '${step.name}'${node.kind === 'root' ? '' : ` in ${node.path}`}`);
+                return;
+            }
+            node = child;
+            module = node.module;
+
+            if (step.keys && !this.predicates(node, step.keys, prefix)) {
+                return;
+            }
+            if (!step.keys && node.kind === 'list' && i < steps.length - 1) {
+                this.fail('missing-key', prefix, node, `List ${node.name} needs its key in the path: [${node.keys.map(key => `${key}='...'`).join('][')}]`);
+                return;
+            }
+        }
+
+        if (node.config === false) {
+            this.fail('read-only', path, node, `${node.name} is state data (config false) and cannot be written`);
+            return;
+        }
+        if (value === null) {
+            return;
+        }
+
+        const last = steps[steps.length - 1];
+        if (node.kind === 'list' && last.keys) {
+            this.listEntry(node, value, path, last.keys);
+        } else if (node.kind === 'leaf-list' && last.keys) {
+            this.leaf(node, value, path);
+        } else {
+            this.node(node, value, path);
+        }
+    }
+
+    /**
+     * Key predicates of a path step: the list's keys, with values of the key types
+     */
+    predicates(node, keys, path) {
+        const names = node.kind === 'leaf-list' ? ['.'] : node.kind === 'list' ? node.keys : [];
+        for (const [name, value] of Object.entries(keys)) {
+            if (!names.includes(name)) {
+                this.fail('invalid-path', path, node, names.length === 0
+                    ? `${node.name} is a ${node.kind}, not a list: no predicates allowed`
+                    : `'${name}' is not a key of ${node.name} (keys: ${names.join(', ')})`);
+                return false;
+            }
+            const keyNode = name === '.' ? node : this.schema.child(node, name);
+            const problem = keyNode && checkValue(this.schema, this.schema.leafType(keyNode), value);
+            if (problem) {
+                this.fail('invalid-value', path, keyNode, `Key ${name}: ${problem}`);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * A value at a schema node (members of containers, entries of lists, leaf values)
+     */
+    node(node, value, path) {
+        if (node.config === false) {
+            this.fail('read-only', path, node, `${node.name} is state data (config false) and cannot be written`);
+            return;
+        }
+
+        switch (node.kind) {
+            case 'leaf':
+                this.leaf(node, value, path);
+                break;
+            case 'leaf-list':
+                [].concat(value).forEach(item => this.leaf(node, item, path));
+                break;
+            case 'list':
+                [].concat(value).forEach(entry => this.listEntry(node, entry, path, null));
+                break;
+            case 'anydata':
+            case 'anyxml':
+                break;
+            default:
+                if (!isObject(value)) {
+                    this.fail('invalid-structure', path, node, `Expected an object for ${node.kind} ${node.name}, got ${quote(value)}`);
+                    return;
+                }
+                this.members(node, value, path);
+        }
+    }
+
+    leaf(node, value, path) {
+        if (isObject(value) || (Array.isArray(value) && node.type?.base !== 'empty')) {
+            this.fail('invalid-structure', path, node, `Expected a single value for ${node.kind} ${node.name}`);
+            return;
+        }
+        const problem = checkValue(this.schema, this.schema.leafType(node), value);
+        if (problem) {
+            this.fail('invalid-value', path, node, problem);
+        }
+    }
+
+    /**
+     * A list entry: all keys present (or given by the path), members valid, mandatory nodes set
+     * when the entry is new
+     * @param {string} path - the list's path, or the entry's path when keys come from predicates
+     * @param {Object} keys - key values from the path predicates (null: list path without keys)
+     */
+    listEntry(node, entry, path, keys) {
+        if (!isObject(entry)) {
+            this.fail('invalid-structure', path, node, `Expected an object for an entry of list ${node.name}, got ${quote(entry)}`);
+            return;
+        }
+
+        const values = {};
+        for (const key of node.keys || []) {
+            const value = memberValue(entry, key);
+            if (value === undefined && !(keys && key in keys)) {
+                this.fail('missing-key', path, node, `Entry of ${node.name} without key '${key}'`);
+                return;
+            }
+            if (keys && key in keys && value !== undefined && String(value) !== String(keys[key])) {
+                this.fail('invalid-value', path, this.schema.child(node, key), `Key ${key} is '${keys[key]}' in the path but ${quote(value)} in the value`);
+                return;
+            }
+            values[key] = value !== undefined ? value : keys[key];
+        }
+
+        const entryPath = keys ? path : `${path}${Object.entries(values).map(([key, value]) => `[${key}='${value}']`).join('')}`;
+        this.members(node, entry, entryPath);
+
+        if (!this.exists(entryPath)) {
+            this.mandatory(node, entry, entryPath);
+        }
+    }
+
+    members(node, value, path) {
+        for (const [name, member] of Object.entries(value)) {
+            const child = this.schema.child(node, name);
+            if (!child) {
+                this.fail('unknown-node', `${path}/${name}`, node, `Unknown node '${name}' in ${node.path}`);
+                continue;
+            }
+            this.node(child, member, `${path}/${name}`);
+        }
+    }
+
+    /**
+     * Mandatory leaves of a new entry, also inside its non-presence containers
+     * (choices, nodes with a when condition or a disabled feature are skipped: they may not exist)
+     */
+    mandatory(node, value, path) {
+        const walk = (parent, data, at) => {
+            for (const child of parent.children) {
+                if (child.kind === 'choice' || child.config === false || child.when || child.supported === false || !this.schema.nodeEnabled(child)) {
+                    continue;
+                }
+                const member = isObject(data) ? memberValue(data, child.name) : undefined;
+                if (child.mandatory && member === undefined) {
+                    this.fail('missing-mandatory', `${at}/${child.name}`, child, `Mandatory ${child.kind} ${child.name} is missing in the new ${node.name} entry`);
+                } else if (child.kind === 'container' && !child.presence) {
+                    walk(child, member, `${at}/${child.name}`);
+                }
+            }
+        };
+        walk(node, value, path);
+    }
+}
+
+/**
+ * Validate writes in mvdct patch layout
+ * @param {YangSchema} schema
+ * @param {Array} entries - [{ '<instance-identifier>': value }] (null value: delete)
+ * @param {Object} options - { exists(path) } (list entries it reports are not checked for mandatory nodes)
+ * @returns {Array} - [{ path, schemaPath, code, message }], empty when valid
+ */
+export function validateEntries(schema, entries, options = {}) {
+    const validator = new Validator(schema, options);
+
+    for (const entry of [].concat(entries || [])) {
+        if (!isObject(entry)) {
+            validator.fail('invalid-structure', null, null, `Expected { path: value } entries, got ${quote(entry)}`);
+            continue;
+        }
+        for (const [path, value] of Object.entries(entry)) {
+            validator.entry(path, value);
+        }
+    }
+
+    return validator.errors;
+}
+
+export default validateEntries;